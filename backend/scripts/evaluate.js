@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Offline evaluation of prompts/models against golden fixtures (README, "Evaluation").
+ *
+ *   node scripts/evaluate.js run <fixturesDir> [--label name] [--out file.json] [--repeat n]
+ *        [--provider mock|live] [--record dir | --replay dir] [--prompt name[@version]] [--verbose]
+ *   node scripts/evaluate.js compare <baseline.json> <candidate.json> [--out report.md] [--fail-on-regression]
+ */
+const fs = require('fs');
+const path = require('path');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { createProvider, MockProvider, RecordingProvider } = require('../src/services/providers');
+const { loadFixtures } = require('../src/eval/fixtures');
+const { runEvaluation } = require('../src/eval/runner');
+const { compareRuns } = require('../src/eval/scoring');
+const { formatSummary, formatComparison } = require('../src/eval/report');
+
+function parseArgs(argv) {
+  const args = { _: [] };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (!argv[i].startsWith('--')) {
+      args._.push(argv[i]);
+      continue;
+    }
+    const name = argv[i].slice(2);
+    const next = argv[i + 1];
+    if (next === undefined || next.startsWith('--')) {
+      args[name] = true;
+    } else {
+      args[name] = next;
+      i++;
+    }
+  }
+
+  return args;
+}
+
+function usage(message) {
+  if (message) console.error(`❌ ${message}\n`);
+  console.error([
+    'Usage:',
+    '  node scripts/evaluate.js run <fixturesDir> [--label name] [--out file.json] [--repeat n]',
+    '       [--provider mock|live] [--record dir | --replay dir] [--prompt name[@version]] [--verbose]',
+    '  node scripts/evaluate.js compare <baseline.json> <candidate.json> [--out report.md] [--fail-on-regression]'
+  ].join('\n'));
+  process.exit(2);
+}
+
+// mock (default, offline), live (AI_PROVIDER), or a recording of either
+function buildProvider(args) {
+  if (args.replay) {
+    return new RecordingProvider({ mode: 'replay', dir: path.resolve(args.replay) });
+  }
+
+  const inner = args.provider === 'live' || args.record ? createProvider() : new MockProvider();
+  return args.record
+    ? new RecordingProvider({ mode: 'record', dir: path.resolve(args.record), inner })
+    : inner;
+}
+
+async function run(args) {
+  const [fixturesDir] = args._;
+  if (!fixturesDir) usage('run needs a fixtures directory');
+
+  const repeat = parseInt(args.repeat || '1', 10);
+  if (!(repeat >= 1)) usage('--repeat must be a positive integer');
+
+  const fixtures = loadFixtures(path.resolve(fixturesDir));
+  const provider = buildProvider(args);
+  const service = new DeepSeekService({ provider, ocrConcurrency: 1 });
+
+  if (service.degraded) {
+    throw new Error(`${service.degradedReason} - use --provider mock or --replay <dir>`);
+  }
+
+  const label = args.label || `${provider.name}-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+  const out = path.resolve(args.out || path.join(__dirname, '..', 'eval', 'runs', `${label}.json`));
+
+  console.log(`🧪 Evaluating ${fixtures.length} fixture(s) from ${fixturesDir} with ${provider.name}${repeat > 1 ? ` x${repeat}` : ''}`);
+
+  // The pipeline logs every step; keep the report readable unless asked for
+  const log = console.log;
+  if (!args.verbose) console.log = () => {};
+
+  let result;
+  try {
+    result = await runEvaluation({
+      fixtures,
+      service,
+      recorder: provider instanceof RecordingProvider ? provider : null,
+      repeat,
+      promptTemplate: typeof args.prompt === 'string' ? args.prompt : undefined,
+      label,
+      onResult: fixture => log(`  ${fixture.name}: ${fixture.runs.map(r => r.action).join(', ')}`)
+    });
+  } finally {
+    console.log = log;
+    await service.ocrPool.close();
+  }
+
+  fs.mkdirSync(path.dirname(out), { recursive: true });
+  fs.writeFileSync(out, `${JSON.stringify(result, null, 2)}\n`);
+
+  console.log(`\n${formatSummary(result)}\n\n💾 Saved ${out}`);
+}
+
+function compare(args) {
+  const [baselineFile, candidateFile] = args._;
+  if (!baselineFile || !candidateFile) usage('compare needs a baseline and a candidate run');
+
+  const baseline = JSON.parse(fs.readFileSync(baselineFile, 'utf8'));
+  const candidate = JSON.parse(fs.readFileSync(candidateFile, 'utf8'));
+  const comparison = compareRuns(baseline, candidate);
+  const report = formatComparison(baseline, candidate, comparison);
+
+  if (args.out) {
+    fs.writeFileSync(args.out, report);
+    console.log(`💾 Saved ${args.out}`);
+  }
+  console.log(report);
+
+  if (args['fail-on-regression'] && comparison.regressions > 0) {
+    process.exitCode = 1;
+  }
+}
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const args = parseArgs(rest);
+
+  switch (command) {
+    case 'run': return run(args);
+    case 'compare': return compare(args);
+    default: return usage(command ? `Unknown command: ${command}` : null);
+  }
+}
+
+main().catch(error => {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+});
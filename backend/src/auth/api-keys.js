@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+const constants = require('../config/constants');
+
+// `Authorization: Bearer <key>` or `X-API-Key: <key>`
+function readApiKey(req) {
+  const header = req.get('authorization') || '';
+  const bearer = header.match(/^Bearer\s+(\S+)$/i);
+  return bearer ? bearer[1] : (req.get('x-api-key') || '').trim() || null;
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash('sha256').update(String(a)).digest();
+  const right = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(left, right);
+}
+
+// Start of the next UTC day, when daily quotas reset
+function nextQuotaReset() {
+  const reset = new Date();
+  reset.setUTCHours(24, 0, 0, 0);
+  return reset.toISOString();
+}
+
+/**
+ * Resolves the caller's API key into `req.apiKey`.
+ * With `required` off, requests without a key pass as anonymous (IP rate limit only);
+ * a key that is sent must still be valid.
+ */
+function createAuthMiddleware({ keyStore, required }) {
+  return (req, res, next) => {
+    const key = readApiKey(req);
+
+    if (!key) {
+      if (!required) return next();
+
+      return res.status(401).json({
+        error: constants.MESSAGES.API_KEY_REQUIRED,
+        code: 'API_KEY_REQUIRED',
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    const apiKey = keyStore.authenticate(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        error: constants.MESSAGES.INVALID_API_KEY,
+        code: 'INVALID_API_KEY',
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    req.apiKey = apiKey;
+    next();
+  };
+}
+
+/**
+ * Refuses AI work once the key has used its daily token quota (UTC day).
+ * The check happens before the analysis, so the last one of the day may overshoot.
+ */
+function createQuotaGuard({ keyStore, defaultQuota }) {
+  return (req, res, next) => {
+    if (!req.apiKey) return next();
+
+    const quota = req.apiKey.dailyTokenQuota ?? defaultQuota;
+    if (!quota) return next();
+
+    const used = keyStore.tokensUsedToday(req.apiKey.id);
+    if (used < quota) return next();
+
+    res.status(429).json({
+      error: constants.MESSAGES.TOKEN_QUOTA_EXCEEDED,
+      code: 'TOKEN_QUOTA_EXCEEDED',
+      quota: quota,
+      used: used,
+      resetsAt: nextQuotaReset(),
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  };
+}
+
+// Admin endpoints: ADMIN_API_KEY as bearer token / X-API-Key; disabled when it is not set
+function createAdminAuth(adminKey) {
+  return (req, res, next) => {
+    if (!adminKey) {
+      return res.status(503).json({
+        error: constants.MESSAGES.ADMIN_DISABLED,
+        code: 'ADMIN_DISABLED',
+        requestId: req.requestId
+      });
+    }
+
+    const key = readApiKey(req);
+
+    if (!key || !safeEqual(key, adminKey)) {
+      return res.status(401).json({
+        error: constants.MESSAGES.ADMIN_UNAUTHORIZED,
+        code: 'ADMIN_UNAUTHORIZED',
+        requestId: req.requestId
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  readApiKey,
+  createAuthMiddleware,
+  createQuotaGuard,
+  createAdminAuth
+};
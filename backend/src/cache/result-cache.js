@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+function sha256(...parts) {
+  const hash = crypto.createHash('sha256');
+  parts.forEach(part => hash.update(part));
+  return hash.digest('hex');
+}
+
+/**
+ * Content hash of an uploaded image. Hashes the decoded pixels, so a re-pasted or
+ * re-saved screenshot with identical pixels maps to the same entry; falls back to
+ * the raw bytes when the image cannot be decoded.
+ * @param {Buffer} buffer
+ * @returns {Promise<string>}
+ */
+async function imageFingerprint(buffer) {
+  try {
+    const { data, info } = await sharp(buffer).raw().toBuffer({ resolveWithObject: true });
+    return sha256(`${info.width}x${info.height}x${info.channels}:`, data);
+  } catch (error) {
+    return sha256(buffer);
+  }
+}
+
+// Hash of parsed candles (or any JSON-serialisable input)
+function dataFingerprint(value) {
+  return sha256(JSON.stringify(value));
+}
+
+/**
+ * Cache key of one analysis: input fingerprints + every parameter that changes the answer.
+ * @param {Object} parts
+ * @param {string[]} parts.inputs - fingerprints of the uploaded charts/data
+ * @param {Object} parts.params - symbol, timeframe, tradeType, extraNotes
+ * @param {string} parts.promptVersion
+ * @param {string} [parts.model] - provider/model, so switching models does not replay old answers
+ */
+function cacheKey({ inputs, params, promptVersion, model = '' }) {
+  return sha256(JSON.stringify({
+    inputs,
+    symbol: params.symbol,
+    timeframe: params.timeframe,
+    tradeType: params.tradeType,
+    extraNotes: params.extraNotes || '',
+    promptVersion,
+    model
+  }));
+}
+
+/**
+ * In-memory LRU of finished analyses with a TTL, optionally backed by a persistent
+ * store (CacheStore) so entries survive restarts. Values are cloned on the way in
+ * and out; callers may mutate what they get.
+ */
+class ResultCache {
+  constructor({ maxEntries = 200, ttlMs = 900000, store = null } = {}) {
+    this.maxEntries = maxEntries;
+    this.ttlMs = ttlMs;
+    this.store = store;
+    this.entries = new Map();
+    this.counters = { hits: 0, misses: 0, sets: 0, evictions: 0 };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{value: Object, cachedAt: string}|null}
+   */
+  get(key) {
+    let entry = this.entries.get(key);
+
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      entry = null;
+    }
+
+    if (!entry && this.store) {
+      entry = this.readStore(key);
+      if (entry) this.remember(key, entry);
+    }
+
+    if (!entry) {
+      this.counters.misses++;
+      return null;
+    }
+
+    // Move to the most recently used end
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.counters.hits++;
+
+    return { value: structuredClone(entry.value), cachedAt: entry.cachedAt };
+  }
+
+  set(key, value) {
+    const entry = {
+      value: structuredClone(value),
+      cachedAt: new Date().toISOString(),
+      expiresAt: Date.now() + this.ttlMs
+    };
+
+    this.remember(key, entry);
+    this.counters.sets++;
+
+    if (this.store) {
+      try {
+        this.store.set(key, entry);
+      } catch (error) {
+        console.warn('⚠️ Result cache: failed to persist entry:', error.message);
+      }
+    }
+  }
+
+  remember(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.counters.evictions++;
+    }
+  }
+
+  readStore(key) {
+    try {
+      return this.store.get(key);
+    } catch (error) {
+      console.warn('⚠️ Result cache: failed to read persisted entry:', error.message);
+      return null;
+    }
+  }
+
+  stats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      ttlMs: this.ttlMs,
+      persistent: Boolean(this.store),
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  ResultCache,
+  cacheKey,
+  imageFingerprint,
+  dataFingerprint
+};
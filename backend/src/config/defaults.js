@@ -0,0 +1,121 @@
+// Default configuration. Jangan taruh API key di sini — gunakan env var atau CONFIG_FILE.
+module.exports = {
+  // AI Provider Keys
+  DEEPSEEK_API_KEY: '',
+  
+  // Server Configuration
+  PORT: 3000,
+  NODE_ENV: 'development',
+  
+  // CORS - '*' atau daftar domain dipisah koma
+  CORS_ORIGIN: '*',
+  
+  // Rate Limiting
+  RATE_LIMIT_WINDOW_MS: 900000,    // 15 minutes
+  RATE_LIMIT_MAX_REQUESTS: 50,     // 50 requests per window
+  
+  // File Upload
+  MAX_FILE_SIZE: 10 * 1024 * 1024, // 10MB
+  MAX_TIMEFRAMES: 4, // charts per multi-timeframe request
+  ALLOWED_IMAGE_TYPES: ['image/jpeg', 'image/png', 'image/jpg', 'image/webp'],
+  ALLOWED_DATA_TYPES: ['text/csv', 'text/plain', 'application/json', 'application/vnd.ms-excel', 'application/octet-stream'],
+  
+  // Trading Constants
+  TRADING_PAIRS: [],           // Batasi simbol yang boleh dianalisis; kosong = semua instrumen di registry
+  INSTRUMENTS_FILE: '',        // YAML tambahan: simbol baru atau override (mis. contract sesuai broker)
+  TIMEFRAMES: ['M1', 'M5', 'M15', 'H1', 'H4', 'D1', 'W1', 'MN'],
+  DEFAULT_SYMBOL: 'XAUUSD',    // Dipakai jika simbol tidak dikirim dan tidak terbaca dari chart
+  DEFAULT_TIMEFRAME: 'H1',
+  TRADE_TYPES: ['scalping', 'intraday', 'swing', 'position'],
+  
+  // Trade Plan Rules (sama dengan aturan di prompt)
+  MIN_RISK_REWARD: 1.5,        // R:R minimal 1:1.5
+  MIN_CONFIDENCE: 70,          // Probability minimal 70%
+  LEVEL_RANGE_TOLERANCE: 0.25, // Level boleh keluar range OCR sejauh 25% lebar range
+  
+  // Position Sizing (spesifikasi kontrak ada di src/instruments/instruments.yaml)
+  DEFAULT_ACCOUNT_CURRENCY: 'USD',
+  MAX_RISK_PERCENT: 5,         // Risiko per trade maksimal 5% dari balance
+  
+  // Response Messages
+  MESSAGES: {
+    NO_IMAGE: 'No chart image provided',
+    NO_DATA: 'No candle data provided',
+    INVALID_DATA_TYPE: 'Invalid data file type. Only CSV and JSON exports are allowed.',
+    INVALID_FILE_TYPE: 'Invalid file type. Only JPEG, PNG, JPG, and WEBP are allowed.',
+    FILE_TOO_LARGE: 'File too large. Maximum size is 10MB.',
+    RATE_LIMIT_EXCEEDED: 'Too many requests. Please try again later.',
+    ANALYSIS_FAILED: 'Analysis failed. Please try again or contact support.',
+    SERVER_ERROR: 'Internal server error. Please try again later.',
+    QUEUE_FULL: 'Analysis queue is full. Please try again later.',
+    JOB_NOT_FOUND: 'Job not found or expired',
+    SERVICE_DEGRADED: 'AI provider is not configured. Analysis is unavailable until an API key is set.',
+    API_KEY_REQUIRED: 'API key required. Send it as "Authorization: Bearer <key>" or "X-API-Key".',
+    INVALID_API_KEY: 'Invalid or revoked API key',
+    TOKEN_QUOTA_EXCEEDED: 'Daily token quota exceeded. The quota resets at 00:00 UTC.',
+    ADMIN_DISABLED: 'Admin API is disabled. Set ADMIN_API_KEY to enable it.',
+    ADMIN_UNAUTHORIZED: 'Invalid admin key',
+    DISCLAIMER: '⚠️ This is AI-generated analysis for educational purposes only. Trading involves substantial risk of loss. Past performance is not indicative of future results.'
+  },
+  
+  // DeepSeek API Configuration
+  DEEPSEEK_API_URL: 'https://api.deepseek.com',
+  DEEPSEEK_MODEL: 'deepseek-chat',
+  DEEPSEEK_TIMEOUT: 45000, // 45 seconds
+  
+  // AI Provider Selection: deepseek | openai | ollama | mock
+  AI_PROVIDER: 'deepseek',
+  AI_BASE_URL: '',  // Override base URL (wajib untuk openai)
+  AI_MODEL: '',
+  AI_API_KEY: '',
+  AI_REPAIR_ATTEMPTS: 1,  // Re-ask the model this many times when its JSON fails validation
+  AI_HTTP_RECORDING: 'off',  // off | record | replay - provider HTTP traffic via AI_HTTP_CASSETTE
+  AI_HTTP_CASSETTE: '',      // Cassette file (JSON) for record/replay
+  
+  // Prompt Templates - file <name>@<version>.md, lihat src/prompts/templates
+  PROMPT_TEMPLATE: 'default',  // Template for requests that do not pick one (and no tradeType match)
+  PROMPTS_DIR: '',             // Extra template directory, loaded after the built-in templates
+  
+  // OCR Configuration
+  OCR_LANGUAGE: 'eng',
+  OCR_TIMEOUT: 30000,          // Per OCR job and per worker start
+  OCR_WORKER_MAX_JOBS: 200,    // Recycle a Tesseract worker after this many jobs
+  OCR_WARMUP: true,            // Start the OCR workers at boot instead of on first request
+  
+  // Concurrency (per process) - OCR makan CPU, AI dibatasi kuota provider
+  OCR_CONCURRENCY: 1,          // Also the OCR worker pool size
+  AI_CONCURRENCY: 2,
+  
+  // Async Jobs (POST /api/jobs)
+  JOB_CONCURRENCY: 2,       // Jobs running the pipeline at once
+  JOB_QUEUE_MAX: 50,        // Waiting jobs before new ones are refused
+  JOB_TTL_MS: 3600000,      // Finished jobs are kept for 1 hour
+  
+  // Result Cache - hasil analisis yang sama tidak dikirim ulang ke AI
+  CACHE_ENABLED: true,
+  CACHE_TTL_MS: 900000,     // 15 minutes - charts go stale quickly
+  CACHE_MAX_ENTRIES: 200,   // In-memory LRU size
+  CACHE_PERSIST: false,     // Also keep entries in SQLite (survive restarts)
+  
+  // Follow-up Chat (POST /api/analyses/:id/chat)
+  CHAT_HISTORY_MESSAGES: 20,     // Pesan terakhir per analisis yang disimpan dan dikirim ulang ke AI
+  CHAT_MAX_MESSAGE_LENGTH: 2000, // Characters per follow-up question
+  
+  // API Keys & Quotas - key dibuat lewat /api/admin/keys
+  AUTH_REQUIRED: false,     // Refuse /api requests without a valid API key
+  ADMIN_API_KEY: '',        // Enables /api/admin when set
+  DAILY_TOKEN_QUOTA: 0,     // AI tokens per key per UTC day for keys without their own quota (0 = unlimited)
+  
+  // Webhooks - notifikasi sinyal ke Telegram/Discord/endpoint sendiri, diisi lewat CONFIG_FILE
+  WEBHOOKS: [],                 // [{ url, format: json|telegram|discord, secret, symbols, actions, minProbability, chatId }]
+  WEBHOOK_TIMEOUT_MS: 5000,     // Per delivery attempt
+  WEBHOOK_MAX_RETRIES: 3,       // Extra attempts after a network error, 429 or 5xx
+  WEBHOOK_RETRY_DELAY_MS: 1000, // First backoff delay, doubled per retry
+  
+  // Storage (SQLite) - ':memory:' untuk database sementara
+  DB_PATH: './data/analyzer.db',
+  
+  // Logging
+  LOG_REQUESTS: true,
+  LOG_ERRORS: true
+};
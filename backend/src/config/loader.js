@@ -0,0 +1,195 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const defaults = require('./defaults');
+const profiles = require('./profiles');
+const schema = require('./schema');
+
+class ConfigError extends Error {
+  constructor(issues) {
+    super(`Invalid configuration:\n  - ${issues.join('\n  - ')}`);
+    this.name = 'ConfigError';
+    this.issues = issues;
+  }
+}
+
+function readConfigFile(filePath) {
+  const resolved = path.resolve(process.cwd(), filePath);
+  let raw;
+  
+  try {
+    raw = fs.readFileSync(resolved, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`CONFIG_FILE: cannot read ${resolved} (${error.code || error.message})`]);
+  }
+  
+  try {
+    const ext = path.extname(resolved).toLowerCase();
+    const parsed = ext === '.yaml' || ext === '.yml' ? yaml.load(raw) : JSON.parse(raw);
+    
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('top level must be an object');
+    }
+    return parsed;
+  } catch (error) {
+    if (error instanceof ConfigError) throw error;
+    throw new ConfigError([`CONFIG_FILE: failed to parse ${resolved} (${error.message})`]);
+  }
+}
+
+// Env vars are always strings - convert them to the type the schema expects
+function coerceEnvValue(key, value, rule, issues) {
+  switch (rule.type) {
+    case 'number': {
+      const num = Number(value);
+      if (value.trim() === '' || isNaN(num)) {
+        issues.push(`${key}: expected a number, got "${rule.secret ? '***' : value}" (from environment)`);
+        return undefined;
+      }
+      return num;
+    }
+    case 'boolean':
+      if (/^(true|1|yes|on)$/i.test(value)) return true;
+      if (/^(false|0|no|off)$/i.test(value)) return false;
+      issues.push(`${key}: expected true/false, got "${value}" (from environment)`);
+      return undefined;
+    case 'array':
+      return value.split(',').map(v => v.trim()).filter(Boolean);
+    default:
+      return value;
+  }
+}
+
+function readEnvOverrides(env, issues) {
+  const overrides = {};
+  
+  Object.entries(schema).forEach(([key, rule]) => {
+    if (rule.env === false || env[key] === undefined) return;
+    
+    const value = coerceEnvValue(key, env[key], rule, issues);
+    if (value !== undefined) {
+      overrides[key] = value;
+    }
+  });
+  
+  return overrides;
+}
+
+function validateConfig(config) {
+  const issues = [];
+  
+  Object.entries(schema).forEach(([key, rule]) => {
+    const value = config[key];
+    const shown = rule.secret ? '***' : JSON.stringify(value);
+    
+    if (value === undefined || value === null || value === '') {
+      if (rule.required) issues.push(`${key}: is required`);
+      return;
+    }
+    
+    const actualType = Array.isArray(value) ? 'array' : typeof value;
+    if (actualType !== rule.type) {
+      issues.push(`${key}: expected ${rule.type}, got ${actualType} ${shown}`);
+      return;
+    }
+    
+    if (rule.enum && !rule.enum.includes(value)) {
+      issues.push(`${key}: must be one of ${rule.enum.join(', ')} (got ${shown})`);
+    }
+    if (rule.min !== undefined && value < rule.min) {
+      issues.push(`${key}: must be >= ${rule.min} (got ${shown})`);
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      issues.push(`${key}: must be <= ${rule.max} (got ${shown})`);
+    }
+    if (rule.required && rule.type === 'array' && value.length === 0) {
+      issues.push(`${key}: must not be empty`);
+    }
+  });
+  
+  if (config.AI_HTTP_RECORDING && config.AI_HTTP_RECORDING !== 'off' && !config.AI_HTTP_CASSETTE) {
+    issues.push(`AI_HTTP_CASSETTE: is required when AI_HTTP_RECORDING is ${config.AI_HTTP_RECORDING}`);
+  }
+  
+  if (Array.isArray(config.TIMEFRAMES) && config.DEFAULT_TIMEFRAME && !config.TIMEFRAMES.includes(config.DEFAULT_TIMEFRAME)) {
+    issues.push(`DEFAULT_TIMEFRAME: must be one of TIMEFRAMES (got ${JSON.stringify(config.DEFAULT_TIMEFRAME)})`);
+  }
+  
+  Object.keys(config).forEach(key => {
+    if (!schema[key]) {
+      issues.push(`${key}: unknown configuration key`);
+    }
+  });
+  
+  return issues;
+}
+
+/**
+ * Build the configuration: defaults <- NODE_ENV profile <- CONFIG_FILE (JSON/YAML) <- env vars.
+ * Throws ConfigError listing every problem found.
+ */
+function loadConfig({ env = process.env, file = env.CONFIG_FILE } = {}) {
+  const issues = [];
+  const nodeEnv = env.NODE_ENV || defaults.NODE_ENV;
+  
+  if (!profiles[nodeEnv]) {
+    throw new ConfigError([`NODE_ENV: unknown profile "${nodeEnv}". Allowed: ${Object.keys(profiles).join(', ')}`]);
+  }
+  
+  const fileConfig = file ? readConfigFile(file) : {};
+  const envConfig = readEnvOverrides(env, issues);
+  
+  const config = {
+    ...defaults,
+    ...profiles[nodeEnv],
+    ...fileConfig,
+    ...envConfig,
+    NODE_ENV: nodeEnv
+  };
+  
+  // Messages are merged key by key so a file can override a single message
+  config.MESSAGES = {
+    ...defaults.MESSAGES,
+    ...(profiles[nodeEnv].MESSAGES || {}),
+    ...(fileConfig.MESSAGES || {})
+  };
+  
+  issues.push(...validateConfig(config));
+  
+  if (issues.length > 0) {
+    throw new ConfigError(issues);
+  }
+  
+  return config;
+}
+
+function isUsableApiKey(key) {
+  return typeof key === 'string' && key.length > 0 && !key.includes('********');
+}
+
+// Copy of the config that is safe to log
+function redactConfig(config) {
+  const redacted = {};
+  
+  Object.entries(config).forEach(([key, value]) => {
+    if (schema[key]?.secret && Array.isArray(value)) {
+      // Webhook entries carry secrets and bot tokens in their URLs
+      redacted[key] = `${value.length} configured`;
+    } else if (schema[key]?.secret) {
+      redacted[key] = isUsableApiKey(value) ? '***' : '(not set)';
+    } else {
+      redacted[key] = value;
+    }
+  });
+  
+  return redacted;
+}
+
+module.exports = {
+  loadConfig,
+  validateConfig,
+  redactConfig,
+  isUsableApiKey,
+  ConfigError
+};
@@ -0,0 +1,18 @@
+// Per-environment overrides, applied on top of defaults.js based on NODE_ENV
+module.exports = {
+  development: {
+    LOG_REQUESTS: true
+  },
+  
+  production: {
+    RATE_LIMIT_MAX_REQUESTS: 50
+  },
+  
+  test: {
+    AI_PROVIDER: 'mock',
+    DB_PATH: ':memory:',
+    LOG_REQUESTS: false,
+    OCR_WARMUP: false,
+    RATE_LIMIT_MAX_REQUESTS: 1000
+  }
+};
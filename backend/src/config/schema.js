@@ -0,0 +1,84 @@
+// Validation rules for every config key.
+// type: string | number | boolean | array | object
+// secret: never printed; env: false disables env var override
+module.exports = {
+  DEEPSEEK_API_KEY: { type: 'string', secret: true },
+  
+  PORT: { type: 'number', min: 1, max: 65535 },
+  NODE_ENV: { type: 'string', enum: ['development', 'production', 'test'] },
+  
+  CORS_ORIGIN: { type: 'string', required: true },
+  
+  RATE_LIMIT_WINDOW_MS: { type: 'number', min: 1000 },
+  RATE_LIMIT_MAX_REQUESTS: { type: 'number', min: 1 },
+  
+  MAX_FILE_SIZE: { type: 'number', min: 1024 },
+  MAX_TIMEFRAMES: { type: 'number', min: 2, max: 8 },
+  ALLOWED_IMAGE_TYPES: { type: 'array', required: true },
+  ALLOWED_DATA_TYPES: { type: 'array', required: true },
+  
+  TRADING_PAIRS: { type: 'array' },
+  INSTRUMENTS_FILE: { type: 'string' },
+  TIMEFRAMES: { type: 'array', required: true },
+  DEFAULT_SYMBOL: { type: 'string', required: true },
+  DEFAULT_TIMEFRAME: { type: 'string', required: true },
+  TRADE_TYPES: { type: 'array', required: true },
+  
+  MIN_RISK_REWARD: { type: 'number', min: 0 },
+  MIN_CONFIDENCE: { type: 'number', min: 0, max: 100 },
+  LEVEL_RANGE_TOLERANCE: { type: 'number', min: 0 },
+  
+  DEFAULT_ACCOUNT_CURRENCY: { type: 'string', required: true },
+  MAX_RISK_PERCENT: { type: 'number', min: 0.01, max: 100 },
+  
+  MESSAGES: { type: 'object', env: false },
+  
+  DEEPSEEK_API_URL: { type: 'string', required: true },
+  DEEPSEEK_MODEL: { type: 'string', required: true },
+  DEEPSEEK_TIMEOUT: { type: 'number', min: 1000 },
+  
+  AI_PROVIDER: { type: 'string', enum: ['deepseek', 'openai', 'ollama', 'local', 'mock'] },
+  AI_BASE_URL: { type: 'string' },
+  AI_MODEL: { type: 'string' },
+  AI_API_KEY: { type: 'string', secret: true },
+  AI_REPAIR_ATTEMPTS: { type: 'number', min: 0, max: 3 },
+  AI_HTTP_RECORDING: { type: 'string', enum: ['off', 'record', 'replay'] },
+  AI_HTTP_CASSETTE: { type: 'string' },
+  
+  PROMPT_TEMPLATE: { type: 'string', required: true },
+  PROMPTS_DIR: { type: 'string' },
+  
+  OCR_LANGUAGE: { type: 'string', required: true },
+  OCR_TIMEOUT: { type: 'number', min: 1000 },
+  OCR_WORKER_MAX_JOBS: { type: 'number', min: 1 },
+  OCR_WARMUP: { type: 'boolean' },
+  
+  OCR_CONCURRENCY: { type: 'number', min: 1 },
+  AI_CONCURRENCY: { type: 'number', min: 1 },
+  
+  JOB_CONCURRENCY: { type: 'number', min: 1 },
+  JOB_QUEUE_MAX: { type: 'number', min: 0 },
+  JOB_TTL_MS: { type: 'number', min: 1000 },
+  
+  CACHE_ENABLED: { type: 'boolean' },
+  CACHE_TTL_MS: { type: 'number', min: 1000 },
+  CACHE_MAX_ENTRIES: { type: 'number', min: 1 },
+  CACHE_PERSIST: { type: 'boolean' },
+  
+  CHAT_HISTORY_MESSAGES: { type: 'number', min: 2 },
+  CHAT_MAX_MESSAGE_LENGTH: { type: 'number', min: 1 },
+  
+  AUTH_REQUIRED: { type: 'boolean' },
+  ADMIN_API_KEY: { type: 'string', secret: true },
+  DAILY_TOKEN_QUOTA: { type: 'number', min: 0 },
+  
+  WEBHOOKS: { type: 'array', secret: true, env: false },
+  WEBHOOK_TIMEOUT_MS: { type: 'number', min: 100 },
+  WEBHOOK_MAX_RETRIES: { type: 'number', min: 0, max: 10 },
+  WEBHOOK_RETRY_DELAY_MS: { type: 'number', min: 0 },
+  
+  DB_PATH: { type: 'string', required: true },
+  
+  LOG_REQUESTS: { type: 'boolean' },
+  LOG_ERRORS: { type: 'boolean' }
+};
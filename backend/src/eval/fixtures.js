@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const { parseCandles } = require('../market-data/candle-parser');
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const DATA_EXTENSIONS = ['.csv', '.json', '.txt'];
+const EXPECTED_SUFFIX = '.expected.json';
+
+/**
+ * Golden fixtures: every `<name>.expected.json` sits next to one input, `<name>.png|jpg|webp`
+ * (screenshot) or `<name>.csv|json|txt` (OHLC export).
+ *
+ * <name>.expected.json:
+ *   symbol, timeframe, tradeType, extraNotes - request parameters
+ *   expected.action      - the golden action, "BUY" | "SELL" | "HOLD"
+ *   expected.acceptableActions - other actions that are defensible too (scored separately)
+ *   expected.trend       - bullish | bearish | sideways
+ *   expected.support / expected.resistance - reference levels
+ *   expected.levelTolerancePct - error (in % of price) that scores 0 (default 0.5)
+ *   future               - candles after the chart ({ high, low, close }), used to play out the trade
+ */
+function loadFixtures(dir) {
+  const files = fs.readdirSync(dir);
+  const names = files
+    .filter(file => file.endsWith(EXPECTED_SUFFIX))
+    .map(file => file.slice(0, -EXPECTED_SUFFIX.length))
+    .sort();
+
+  if (names.length === 0) {
+    throw new Error(`No fixtures in ${dir} (expected <name>${EXPECTED_SUFFIX} files)`);
+  }
+
+  return names.map(name => {
+    const inputs = files.filter(file => {
+      const ext = path.extname(file).toLowerCase();
+      return path.basename(file, path.extname(file)) === name &&
+        (IMAGE_EXTENSIONS.includes(ext) || DATA_EXTENSIONS.includes(ext));
+    });
+
+    if (inputs.length !== 1) {
+      throw new Error(`Fixture ${name}: expected exactly one chart or data file, found ${inputs.length}`);
+    }
+
+    const spec = JSON.parse(fs.readFileSync(path.join(dir, `${name}${EXPECTED_SUFFIX}`), 'utf8'));
+    // A list would let an answer that never trades score perfectly
+    if (Array.isArray(spec.expected?.action)) {
+      throw new Error(`Fixture ${name}: expected.action must be one action; list the others in expected.acceptableActions`);
+    }
+    const file = path.join(dir, inputs[0]);
+    const kind = IMAGE_EXTENSIONS.includes(path.extname(file).toLowerCase()) ? 'image' : 'ohlc';
+    const buffer = fs.readFileSync(file);
+
+    return {
+      name: name,
+      kind: kind,
+      file: inputs[0],
+      imageBuffer: kind === 'image' ? buffer : undefined,
+      candles: kind === 'ohlc' ? parseCandles(buffer).candles : undefined,
+      params: {
+        symbol: spec.symbol || 'XAUUSD',
+        timeframe: spec.timeframe || 'H1',
+        tradeType: spec.tradeType || 'intraday',
+        extraNotes: spec.extraNotes || ''
+      },
+      expected: spec.expected || {},
+      future: spec.future || null
+    };
+  });
+}
+
+module.exports = {
+  loadFixtures
+};
@@ -0,0 +1,76 @@
+const { METRICS } = require('./scoring');
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '-';
+  return String(value);
+}
+
+function formatDelta(metric) {
+  if (metric.delta === null) return '-';
+  const sign = metric.delta > 0 ? '+' : '';
+  const mark = { better: ' ✅', worse: ' ❌', same: '' }[metric.verdict] || '';
+  return `${sign}${metric.delta}${mark}`;
+}
+
+// Console summary of one run
+function formatSummary(run) {
+  const lines = [
+    `Run: ${run.label} | ${run.provider}/${run.model} | prompt ${run.promptTemplates.join(', ')} | repeat ${run.repeat}`,
+    ...METRICS.map(({ key, label }) => `  ${label.padEnd(18)} ${formatValue(run.summary[key])}`),
+    `  ${'Trades'.padEnd(18)} ${run.summary.trades} (total R ${formatValue(run.summary.totalR)})`
+  ];
+
+  if (run.staleRecordings) {
+    lines.push(`  ⚠️ ${run.staleRecordings} replayed call(s) had a different prompt than when recorded`);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Markdown report of compareRuns(baseline, candidate).
+ */
+function formatComparison(baseline, candidate, comparison) {
+  const describe = run => `${run.label} (${run.provider}/${run.model}, ${run.promptTemplates.join(', ')}, ${run.createdAt})`;
+
+  const lines = [
+    '# Evaluation comparison',
+    '',
+    `- Baseline: ${describe(baseline)}`,
+    `- Candidate: ${describe(candidate)}`,
+    `- Fixtures improved: ${comparison.improvements}, regressed: ${comparison.regressions}`,
+    '',
+    '| Metric | Baseline | Candidate | Delta |',
+    '| --- | --- | --- | --- |',
+    ...comparison.metrics.map(metric =>
+      `| ${metric.label} | ${formatValue(metric.baseline)} | ${formatValue(metric.candidate)} | ${formatDelta(metric)} |`)
+  ];
+
+  if (comparison.fixtures.length > 0) {
+    lines.push(
+      '',
+      '## Changed fixtures',
+      '',
+      '| Fixture | Action (baseline → candidate) | Action accuracy | Action acceptable | Change |',
+      '| --- | --- | --- | --- | --- |',
+      ...comparison.fixtures.map(fixture =>
+        `| ${fixture.name} | ${formatValue(fixture.action.baseline)} → ${formatValue(fixture.action.candidate)} | ` +
+        `${formatValue(fixture.actionAccuracy.baseline)} → ${formatValue(fixture.actionAccuracy.candidate)} | ` +
+        `${formatValue(fixture.actionAcceptable.baseline)} → ${formatValue(fixture.actionAcceptable.candidate)} | ${fixture.change} |`)
+    );
+  }
+
+  if (comparison.onlyInBaseline.length || comparison.onlyInCandidate.length) {
+    lines.push(
+      '',
+      `Only in baseline: ${comparison.onlyInBaseline.join(', ') || 'none'}`,
+      `Only in candidate: ${comparison.onlyInCandidate.join(', ') || 'none'}`
+    );
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  formatSummary,
+  formatComparison
+};
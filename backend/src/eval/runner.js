@@ -0,0 +1,84 @@
+const { scoreAnalysis, scoreConsistency, summarizeRuns } = require('./scoring');
+
+function levelOf(zone) {
+  return typeof zone?.level === 'number' ? zone.level : null;
+}
+
+/**
+ * Runs every fixture through the analysis pipeline (`repeat` times each) and scores the answers.
+ * @param {Object} options
+ * @param {Object[]} options.fixtures - from loadFixtures()
+ * @param {Object} options.service - DeepSeekService
+ * @param {Object} [options.recorder] - RecordingProvider used by the service (switched per fixture)
+ * @param {number} [options.repeat]
+ * @param {string} [options.promptTemplate]
+ * @param {Function} [options.onResult] - called with each fixture result as it finishes
+ * @returns {Promise<Object>} the run: summary + per-fixture results
+ */
+async function runEvaluation({ fixtures, service, recorder = null, repeat = 1, promptTemplate, label, onResult = null }) {
+  const results = [];
+
+  for (const fixture of fixtures) {
+    recorder?.use(fixture.name);
+    const runs = [];
+
+    for (let attempt = 0; attempt < repeat; attempt++) {
+      const startTime = Date.now();
+      const request = { ...fixture.params, promptTemplate };
+      const analysis = fixture.kind === 'image'
+        ? await service.analyzeTradingChart({ imageBuffer: fixture.imageBuffer, ...request })
+        : await service.analyzeMarketData({ candles: fixture.candles, ...request });
+
+      runs.push({
+        action: analysis.decision?.action || null,
+        trend: analysis.vision_summary?.trend_structure || null,
+        support: levelOf(analysis.vision_summary?.support_zone),
+        resistance: levelOf(analysis.vision_summary?.resistance_zone),
+        entry: analysis.decision?.entry ?? null,
+        sl: analysis.decision?.sl ?? null,
+        tp1: analysis.decision?.tp1 ?? null,
+        probability: analysis.decision?.probability ?? null,
+        errors: analysis.error ? [analysis.error.message] : analysis.validation?.errors || [],
+        tradePlanPassed: analysis.trade_plan_check?.passed ?? null,
+        tokens: analysis.api_usage?.total_tokens || 0,
+        ms: Date.now() - startTime,
+        scores: scoreAnalysis(analysis, fixture)
+      });
+    }
+
+    recorder?.save();
+
+    const result = {
+      name: fixture.name,
+      kind: fixture.kind,
+      file: fixture.file,
+      params: fixture.params,
+      expected: fixture.expected,
+      runs: runs,
+      consistency: scoreConsistency(runs)
+    };
+
+    results.push(result);
+    onResult?.(result);
+  }
+
+  // Prompt template actually used (the default depends on the trade type), per fixture
+  const templates = [...new Set(fixtures.map(fixture =>
+    service.prompts.resolve({ template: promptTemplate, tradeType: fixture.params.tradeType }).id))];
+
+  return {
+    label: label,
+    createdAt: new Date().toISOString(),
+    provider: service.provider.name,
+    model: service.provider.model,
+    promptTemplates: templates,
+    repeat: repeat,
+    staleRecordings: recorder?.mode === 'replay' ? recorder.staleCalls : undefined,
+    summary: summarizeRuns(results),
+    fixtures: results
+  };
+}
+
+module.exports = {
+  runEvaluation
+};
@@ -0,0 +1,238 @@
+const OutcomeStore = require('../storage/outcome-store');
+
+const DEFAULT_LEVEL_TOLERANCE_PCT = 0.5;
+
+const round = (value, digits = 4) => value === null ? null : parseFloat(value.toFixed(digits));
+const mean = (values) => values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null;
+
+function asNumber(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Plays a BUY/SELL decision through the candles that followed the chart.
+ * Entry fills immediately; when SL and TP1 fall in the same candle the stop counts first.
+ */
+function simulateTrade(decision, future) {
+  const { action } = decision;
+  const entry = asNumber(decision.entry);
+  const sl = asNumber(decision.sl);
+  const tp1 = asNumber(decision.tp1);
+
+  if (action !== 'BUY' && action !== 'SELL') {
+    return { outcome: 'no_trade', r: 0 };
+  }
+  if (entry === null || sl === null || tp1 === null) {
+    return { outcome: 'no_levels', r: 0 };
+  }
+
+  const long = action === 'BUY';
+  const trade = { action, entry, sl };
+
+  for (const candle of future) {
+    const stopped = long ? candle.low <= sl : candle.high >= sl;
+    const target = long ? candle.high >= tp1 : candle.low <= tp1;
+
+    if (stopped) return { outcome: 'stopped_out', r: OutcomeStore.computeRMultiple(trade, sl) };
+    if (target) return { outcome: 'tp1_hit', r: OutcomeStore.computeRMultiple(trade, tp1) };
+  }
+
+  const last = future[future.length - 1];
+  return { outcome: 'expired', r: last?.close ? OutcomeStore.computeRMultiple(trade, last.close) : 0 };
+}
+
+// 1 at the reference level, 0 at `tolerancePct` away or more (or when the model gave no level)
+function scoreLevel(expected, actual, tolerancePct) {
+  if (asNumber(expected) === null) return null;
+
+  if (asNumber(actual) === null) {
+    return { expected, actual: null, errorPct: null, score: 0 };
+  }
+
+  const errorPct = Math.abs(actual - expected) / expected * 100;
+  return {
+    expected: expected,
+    actual: actual,
+    errorPct: round(errorPct),
+    score: round(Math.max(0, 1 - errorPct / tolerancePct))
+  };
+}
+
+/**
+ * Scores of one analysis against the fixture's labels.
+ * Checks that have no label are null and are left out of the averages.
+ */
+function scoreAnalysis(analysis, fixture) {
+  const { expected } = fixture;
+  const decision = analysis.decision || {};
+  const summary = analysis.vision_summary || {};
+  const tolerance = expected.levelTolerancePct || DEFAULT_LEVEL_TOLERANCE_PCT;
+  const acceptableActions = expected.action ? [expected.action, ...(expected.acceptableActions || [])] : [];
+
+  const levels = {
+    support: scoreLevel(expected.support, summary.support_zone?.level, tolerance),
+    resistance: scoreLevel(expected.resistance, summary.resistance_zone?.level, tolerance)
+  };
+  const levelScores = Object.values(levels).filter(Boolean);
+
+  return {
+    schemaValid: analysis.validation?.valid === true,
+    fallback: Boolean(analysis.error),
+    actionMatch: expected.action ? decision.action === expected.action : null,
+    actionAcceptable: acceptableActions.length ? acceptableActions.includes(decision.action) : null,
+    trendMatch: expected.trend ? summary.trend_structure === expected.trend : null,
+    levels: levels,
+    levelScore: levelScores.length ? round(mean(levelScores.map(level => level.score))) : null,
+    trade: fixture.future ? simulateTrade(decision, fixture.future) : null
+  };
+}
+
+function modalShare(values) {
+  const counts = {};
+  values.forEach(value => { counts[value] = (counts[value] || 0) + 1; });
+  return Math.max(...Object.values(counts)) / values.length;
+}
+
+/**
+ * Agreement between repeated runs of one fixture: share of runs with the most common action,
+ * and how far the support/resistance levels spread (% of their mean).
+ */
+function scoreConsistency(runs) {
+  if (runs.length < 2) return null;
+
+  const spread = (key) => {
+    const values = runs.map(run => asNumber(run[key])).filter(v => v !== null);
+    if (values.length < 2) return null;
+    return round((Math.max(...values) - Math.min(...values)) / mean(values) * 100);
+  };
+
+  return {
+    actionAgreement: round(modalShare(runs.map(run => run.action))),
+    supportSpreadPct: spread('support'),
+    resistanceSpreadPct: spread('resistance')
+  };
+}
+
+// Rate of `true` among the non-null values
+function rate(values) {
+  const known = values.filter(value => value !== null && value !== undefined);
+  return known.length ? round(known.filter(Boolean).length / known.length) : null;
+}
+
+/**
+ * Totals over every run of every fixture.
+ * @param {Array<{runs: Object[], consistency: Object|null}>} fixtures
+ */
+function summarizeRuns(fixtures) {
+  const runs = fixtures.flatMap(fixture => fixture.runs);
+  const scores = runs.map(run => run.scores);
+  const trades = scores.map(score => score.trade).filter(trade => trade && trade.outcome !== 'no_trade' && trade.outcome !== 'no_levels');
+  const levelErrors = scores.flatMap(score => Object.values(score.levels))
+    .filter(level => level && level.errorPct !== null)
+    .map(level => level.errorPct);
+  const agreement = fixtures.map(fixture => fixture.consistency?.actionAgreement).filter(v => v !== undefined && v !== null);
+
+  return {
+    fixtures: fixtures.length,
+    runs: runs.length,
+    schemaValidRate: rate(scores.map(score => score.schemaValid)),
+    fallbackRate: rate(scores.map(score => score.fallback)),
+    actionAccuracy: rate(scores.map(score => score.actionMatch)),
+    actionAcceptableRate: rate(scores.map(score => score.actionAcceptable)),
+    trendAccuracy: rate(scores.map(score => score.trendMatch)),
+    levelScore: round(mean(scores.map(score => score.levelScore).filter(v => v !== null))),
+    levelErrorPct: round(mean(levelErrors)),
+    consistency: round(mean(agreement)),
+    trades: trades.length,
+    winRate: trades.length ? round(trades.filter(trade => trade.r > 0).length / trades.length) : null,
+    avgR: round(mean(trades.map(trade => trade.r))),
+    totalR: round(trades.reduce((sum, trade) => sum + trade.r, 0)),
+    tokens: runs.reduce((sum, run) => sum + (run.tokens || 0), 0),
+    avgMs: Math.round(mean(runs.map(run => run.ms)) || 0)
+  };
+}
+
+// Summary metrics and which direction is an improvement
+const METRICS = [
+  { key: 'schemaValidRate', label: 'Schema valid', better: 'higher' },
+  { key: 'fallbackRate', label: 'Fallbacks', better: 'lower' },
+  { key: 'actionAccuracy', label: 'Action accuracy', better: 'higher' },
+  { key: 'actionAcceptableRate', label: 'Action acceptable', better: 'higher' },
+  { key: 'trendAccuracy', label: 'Trend accuracy', better: 'higher' },
+  { key: 'levelScore', label: 'Level score', better: 'higher' },
+  { key: 'levelErrorPct', label: 'Level error %', better: 'lower' },
+  { key: 'consistency', label: 'Consistency', better: 'higher' },
+  { key: 'winRate', label: 'Win rate', better: 'higher' },
+  { key: 'avgR', label: 'Avg R', better: 'higher' },
+  { key: 'tokens', label: 'Tokens', better: 'lower' },
+  { key: 'avgMs', label: 'Avg latency ms', better: 'lower' }
+];
+
+function modalAction(runs) {
+  const counts = {};
+  runs.forEach(run => { counts[run.action] = (counts[run.action] || 0) + 1; });
+  return Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null;
+}
+
+function changeOf(before, after) {
+  if (before === null || after === null || before === after) return 'same';
+  return after > before ? 'improved' : 'regressed';
+}
+
+/**
+ * Baseline vs candidate run: metric deltas and the fixtures whose answer changed.
+ * @returns {{metrics: Object[], fixtures: Object[], regressions: number, improvements: number}}
+ */
+function compareRuns(baseline, candidate) {
+  const metrics = METRICS.map(({ key, label, better }) => {
+    const before = baseline.summary[key] ?? null;
+    const after = candidate.summary[key] ?? null;
+    const delta = before !== null && after !== null ? round(after - before) : null;
+    const verdict = delta === null ? 'n/a'
+      : delta === 0 ? 'same'
+      : (delta > 0) === (better === 'higher') ? 'better' : 'worse';
+    return { key, label, baseline: before, candidate: after, delta, verdict };
+  });
+
+  const byName = new Map(baseline.fixtures.map(fixture => [fixture.name, fixture]));
+  const fixtures = candidate.fixtures
+    .filter(fixture => byName.has(fixture.name))
+    .map(fixture => {
+      const before = byName.get(fixture.name);
+      const matchBefore = rate(before.runs.map(run => run.scores.actionMatch));
+      const matchAfter = rate(fixture.runs.map(run => run.scores.actionMatch));
+      const acceptableBefore = rate(before.runs.map(run => run.scores.actionAcceptable));
+      const acceptableAfter = rate(fixture.runs.map(run => run.scores.actionAcceptable));
+      // The golden action decides; acceptable answers only break a tie
+      const change = [changeOf(matchBefore, matchAfter), changeOf(acceptableBefore, acceptableAfter)]
+        .find(verdict => verdict !== 'same') || 'same';
+
+      return {
+        name: fixture.name,
+        action: { baseline: modalAction(before.runs), candidate: modalAction(fixture.runs) },
+        actionAccuracy: { baseline: matchBefore, candidate: matchAfter },
+        actionAcceptable: { baseline: acceptableBefore, candidate: acceptableAfter },
+        change: change
+      };
+    })
+    .filter(fixture => fixture.change !== 'same' || fixture.action.baseline !== fixture.action.candidate);
+
+  return {
+    metrics: metrics,
+    fixtures: fixtures,
+    regressions: fixtures.filter(fixture => fixture.change === 'regressed').length,
+    improvements: fixtures.filter(fixture => fixture.change === 'improved').length,
+    onlyInBaseline: baseline.fixtures.filter(f => !candidate.fixtures.some(c => c.name === f.name)).map(f => f.name),
+    onlyInCandidate: candidate.fixtures.filter(f => !byName.has(f.name)).map(f => f.name)
+  };
+}
+
+module.exports = {
+  simulateTrade,
+  scoreLevel,
+  scoreAnalysis,
+  scoreConsistency,
+  summarizeRuns,
+  compareRuns,
+  METRICS
+};
@@ -0,0 +1,36 @@
+/**
+ * True range of each candle; the first candle has no previous close so TR = high - low.
+ * @param {Array<{high: number, low: number, close: number}>} candles
+ * @returns {number[]}
+ */
+function trueRange(candles) {
+  return candles.map((c, i) => {
+    if (i === 0) return c.high - c.low;
+    const prevClose = candles[i - 1].close;
+    return Math.max(c.high - c.low, Math.abs(c.high - prevClose), Math.abs(c.low - prevClose));
+  });
+}
+
+/**
+ * Average True Range with Wilder smoothing.
+ * @param {Array<{high: number, low: number, close: number}>} candles
+ * @param {number} [period=14]
+ * @returns {(number|null)[]}
+ */
+function atr(candles, period = 14) {
+  const result = new Array(candles.length).fill(null);
+  if (candles.length < period) return result;
+  
+  const tr = trueRange(candles);
+  let prev = tr.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = prev;
+  
+  for (let i = period; i < candles.length; i++) {
+    prev = (prev * (period - 1) + tr[i]) / period;
+    result[i] = prev;
+  }
+  
+  return result;
+}
+
+module.exports = { atr, trueRange };
@@ -0,0 +1,29 @@
+const { sma } = require('./moving-averages');
+
+/**
+ * Bollinger Bands: SMA middle band +/- `multiplier` population standard deviations.
+ * @param {number[]} closes
+ * @param {Object} [options]
+ * @returns {{ upper: (number|null)[], middle: (number|null)[], lower: (number|null)[] }}
+ */
+function bollinger(closes, { period = 20, multiplier = 2 } = {}) {
+  const middle = sma(closes, period);
+  const upper = new Array(closes.length).fill(null);
+  const lower = new Array(closes.length).fill(null);
+  
+  for (let i = period - 1; i < closes.length; i++) {
+    const mean = middle[i];
+    let variance = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      variance += (closes[j] - mean) ** 2;
+    }
+    const deviation = Math.sqrt(variance / period);
+    
+    upper[i] = mean + multiplier * deviation;
+    lower[i] = mean - multiplier * deviation;
+  }
+  
+  return { upper, middle, lower };
+}
+
+module.exports = { bollinger };
@@ -0,0 +1,37 @@
+/**
+ * Pure-JS technical indicators computed from candle / close arrays.
+ * Series outputs are aligned with their input; warm-up values are null.
+ */
+const { sma, ema } = require('./moving-averages');
+const { rsi } = require('./rsi');
+const { macd } = require('./macd');
+const { atr, trueRange } = require('./atr');
+const { bollinger } = require('./bollinger');
+const { pivots, previousDay } = require('./pivots');
+const { findSwings } = require('./swings');
+const { clusterZones } = require('./zones');
+const { marketStructure } = require('./structure');
+
+// Last non-null value of an indicator series
+function last(series) {
+  for (let i = series.length - 1; i >= 0; i--) {
+    if (series[i] !== null && series[i] !== undefined) return series[i];
+  }
+  return null;
+}
+
+module.exports = {
+  sma,
+  ema,
+  rsi,
+  macd,
+  atr,
+  trueRange,
+  bollinger,
+  pivots,
+  previousDay,
+  findSwings,
+  clusterZones,
+  marketStructure,
+  last
+};
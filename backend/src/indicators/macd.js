@@ -0,0 +1,30 @@
+const { ema } = require('./moving-averages');
+
+/**
+ * MACD line (fast EMA - slow EMA), signal line (EMA of MACD) and histogram.
+ * @param {number[]} closes
+ * @param {Object} [options]
+ * @returns {{ macd: (number|null)[], signal: (number|null)[], histogram: (number|null)[] }}
+ */
+function macd(closes, { fast = 12, slow = 26, signal = 9 } = {}) {
+  const fastEma = ema(closes, fast);
+  const slowEma = ema(closes, slow);
+  const line = closes.map((_, i) =>
+    fastEma[i] !== null && slowEma[i] !== null ? fastEma[i] - slowEma[i] : null
+  );
+  
+  // Signal EMA only runs over the defined part of the MACD line
+  const start = line.findIndex(v => v !== null);
+  const signalLine = new Array(closes.length).fill(null);
+  if (start !== -1) {
+    ema(line.slice(start), signal).forEach((v, i) => { signalLine[start + i] = v; });
+  }
+  
+  const histogram = line.map((v, i) =>
+    v !== null && signalLine[i] !== null ? v - signalLine[i] : null
+  );
+  
+  return { macd: line, signal: signalLine, histogram };
+}
+
+module.exports = { macd };
@@ -0,0 +1,42 @@
+/**
+ * Simple moving average. Output is aligned with the input; warm-up values are null.
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {(number|null)[]}
+ */
+function sma(values, period) {
+  const result = new Array(values.length).fill(null);
+  let sum = 0;
+  
+  for (let i = 0; i < values.length; i++) {
+    sum += values[i];
+    if (i >= period) sum -= values[i - period];
+    if (i >= period - 1) result[i] = sum / period;
+  }
+  
+  return result;
+}
+
+/**
+ * Exponential moving average seeded with the SMA of the first `period` values.
+ * @param {number[]} values
+ * @param {number} period
+ * @returns {(number|null)[]}
+ */
+function ema(values, period) {
+  const result = new Array(values.length).fill(null);
+  if (values.length < period) return result;
+  
+  const k = 2 / (period + 1);
+  let prev = values.slice(0, period).reduce((a, b) => a + b, 0) / period;
+  result[period - 1] = prev;
+  
+  for (let i = period; i < values.length; i++) {
+    prev = values[i] * k + prev * (1 - k);
+    result[i] = prev;
+  }
+  
+  return result;
+}
+
+module.exports = { sma, ema };
@@ -0,0 +1,79 @@
+const FIBONACCI_RATIOS = [0.382, 0.618, 1.0];
+
+/**
+ * Floor-trader pivot points from one period's high/low/close.
+ * @param {{high: number, low: number, close: number}} period - usually the previous candle/session
+ * @param {'classic'|'fibonacci'} [method='classic']
+ * @returns {{ pivot: number, r1: number, r2: number, r3: number, s1: number, s2: number, s3: number }}
+ */
+function pivots({ high, low, close }, method = 'classic') {
+  const pivot = (high + low + close) / 3;
+  const range = high - low;
+  
+  if (method === 'fibonacci') {
+    const [f1, f2, f3] = FIBONACCI_RATIOS;
+    return {
+      pivot,
+      r1: pivot + f1 * range,
+      r2: pivot + f2 * range,
+      r3: pivot + f3 * range,
+      s1: pivot - f1 * range,
+      s2: pivot - f2 * range,
+      s3: pivot - f3 * range
+    };
+  }
+  
+  if (method !== 'classic') {
+    throw new Error(`Unknown pivot method: ${method}`);
+  }
+  
+  return {
+    pivot,
+    r1: 2 * pivot - low,
+    r2: pivot + range,
+    r3: high + 2 * (pivot - low),
+    s1: 2 * pivot - high,
+    s2: pivot - range,
+    s3: low - 2 * (high - pivot)
+  };
+}
+
+// Candle time (ISO string, epoch seconds or milliseconds) as a Date, null when missing
+function toDate(time) {
+  if (time === undefined || time === null || time === '') return null;
+  const num = typeof time === 'number' ? time : /^\d{9,13}$/.test(String(time)) ? Number(time) : null;
+  const date = new Date(num === null ? time : num < 1e12 ? num * 1000 : num);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * High/low/close of the last completed UTC day before the newest candle - the period
+ * daily pivots are built from. Null when a candle has no time, or when the data does not
+ * cover that whole day (it starts after the day's midnight).
+ * @param {Array<{time, high: number, low: number, close: number}>} candles - oldest first
+ * @returns {{day: string, high: number, low: number, close: number}|null}
+ */
+function previousDay(candles) {
+  const dates = candles.map(c => toDate(c.time));
+  if (dates.length === 0 || dates.some(date => !date)) return null;
+  
+  const days = dates.map(date => date.toISOString().slice(0, 10));
+  const lastDay = days[days.length - 1];
+  let end = days.length - 1;
+  while (end >= 0 && days[end] === lastDay) end--;
+  if (end < 0) return null;
+  
+  let start = end;
+  while (start > 0 && days[start - 1] === days[end]) start--;
+  if (start === 0 && dates[0].toISOString().slice(11) !== '00:00:00.000Z') return null;
+  
+  const period = candles.slice(start, end + 1);
+  return {
+    day: days[end],
+    high: Math.max(...period.map(c => c.high)),
+    low: Math.min(...period.map(c => c.low)),
+    close: period[period.length - 1].close
+  };
+}
+
+module.exports = { pivots, previousDay };
@@ -0,0 +1,34 @@
+/**
+ * Relative Strength Index with Wilder smoothing.
+ * @param {number[]} closes
+ * @param {number} [period=14]
+ * @returns {(number|null)[]}
+ */
+function rsi(closes, period = 14) {
+  const result = new Array(closes.length).fill(null);
+  if (closes.length <= period) return result;
+  
+  let gain = 0;
+  let loss = 0;
+  
+  for (let i = 1; i <= period; i++) {
+    const change = closes[i] - closes[i - 1];
+    if (change > 0) gain += change; else loss -= change;
+  }
+  
+  let avgGain = gain / period;
+  let avgLoss = loss / period;
+  const toRSI = () => (avgLoss === 0 ? 100 : 100 - 100 / (1 + avgGain / avgLoss));
+  result[period] = toRSI();
+  
+  for (let i = period + 1; i < closes.length; i++) {
+    const change = closes[i] - closes[i - 1];
+    avgGain = (avgGain * (period - 1) + Math.max(change, 0)) / period;
+    avgLoss = (avgLoss * (period - 1) + Math.max(-change, 0)) / period;
+    result[i] = toRSI();
+  }
+  
+  return result;
+}
+
+module.exports = { rsi };
@@ -0,0 +1,81 @@
+const { findSwings } = require('./swings');
+
+// Each swing compared with the previous one of the same kind
+function labelSwings(swings, higher, lower) {
+  return swings.map((swing, i) => ({
+    ...swing,
+    label: i === 0 ? null : swing.price > swings[i - 1].price ? higher : lower
+  }));
+}
+
+/**
+ * Swing structure of a candle series.
+ *
+ * - Swing highs are labelled HH/LH and swing lows HL/LL against the previous swing.
+ * - trend: bullish (last high HH and last low HL), bearish (LH + LL), otherwise ranging.
+ * - A close beyond the last confirmed swing high/low is a break of structure. It is a BOS
+ *   when it goes the same way as the previous break and a CHoCH (change of character)
+ *   when it reverses it. A swing is only confirmed `lookback` candles after it formed.
+ *
+ * @param {Array<{high: number, low: number, close: number, time: string}>} candles
+ * @param {number} [lookback=2] - passed to findSwings
+ * @returns {{ trend: string, swings: Object[], lastBreak: Object|null, breaks: number }}
+ *   `swings` are the last 6, oldest first
+ */
+function marketStructure(candles, lookback = 2) {
+  const swings = findSwings(candles, lookback);
+  const highs = labelSwings(swings.highs, 'HH', 'LH');
+  const lows = labelSwings(swings.lows, 'HL', 'LL');
+  
+  const lastHigh = highs[highs.length - 1];
+  const lastLow = lows[lows.length - 1];
+  let trend = 'unknown';
+  if (lastHigh?.label && lastLow?.label) {
+    if (lastHigh.label === 'HH' && lastLow.label === 'HL') trend = 'bullish';
+    else if (lastHigh.label === 'LH' && lastLow.label === 'LL') trend = 'bearish';
+    else trend = 'ranging';
+  }
+  
+  const breaks = [];
+  let activeHigh = null;
+  let activeLow = null;
+  let nextHigh = 0;
+  let nextLow = 0;
+  
+  for (let i = 0; i < candles.length; i++) {
+    // A newer confirmed swing replaces the previous level, broken or not
+    while (nextHigh < highs.length && highs[nextHigh].index + lookback < i) activeHigh = highs[nextHigh++];
+    while (nextLow < lows.length && lows[nextLow].index + lookback < i) activeLow = lows[nextLow++];
+    
+    const direction = activeHigh && candles[i].close > activeHigh.price ? 'up'
+      : activeLow && candles[i].close < activeLow.price ? 'down'
+      : null;
+    if (!direction) continue;
+    
+    const previous = breaks[breaks.length - 1];
+    breaks.push({
+      type: previous && previous.direction !== direction ? 'CHoCH' : 'BOS',
+      direction,
+      level: direction === 'up' ? activeHigh.price : activeLow.price,
+      index: i,
+      time: candles[i].time
+    });
+    
+    if (direction === 'up') activeHigh = null;
+    else activeLow = null;
+  }
+  
+  const labelled = [
+    ...highs.map(s => ({ kind: 'high', ...s })),
+    ...lows.map(s => ({ kind: 'low', ...s }))
+  ].sort((a, b) => a.index - b.index);
+  
+  return {
+    trend,
+    swings: labelled.slice(-6),
+    lastBreak: breaks[breaks.length - 1] || null,
+    breaks: breaks.length
+  };
+}
+
+module.exports = { marketStructure };
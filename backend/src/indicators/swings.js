@@ -0,0 +1,29 @@
+/**
+ * Fractal swing points: a high (low) greater (lower) than the `lookback`
+ * candles on each side. Of several equal extremes, the first one is used.
+ * @param {Array<{high: number, low: number, time: string}>} candles
+ * @param {number} [lookback=2]
+ * @returns {{ highs: Object[], lows: Object[] }}
+ */
+function findSwings(candles, lookback = 2) {
+  const highs = [];
+  const lows = [];
+  
+  for (let i = lookback; i < candles.length - lookback; i++) {
+    let isHigh = true;
+    let isLow = true;
+    
+    for (let j = 1; j <= lookback; j++) {
+      // Strict on the left, inclusive on the right so equal tops count once
+      if (candles[i].high <= candles[i - j].high || candles[i].high < candles[i + j].high) isHigh = false;
+      if (candles[i].low >= candles[i - j].low || candles[i].low > candles[i + j].low) isLow = false;
+    }
+    
+    if (isHigh) highs.push({ index: i, price: candles[i].high, time: candles[i].time });
+    if (isLow) lows.push({ index: i, price: candles[i].low, time: candles[i].time });
+  }
+  
+  return { highs, lows };
+}
+
+module.exports = { findSwings };
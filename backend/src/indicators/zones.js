@@ -0,0 +1,67 @@
+// Strength score weights; the total is capped at 100
+const TOUCH_SCORE = 25;
+const RECENCY_SCORE = 25;
+const ROLE_REVERSAL_SCORE = 15;
+
+/**
+ * Support/resistance zones: prices within `tolerance` of a zone's mean are merged into it.
+ * Every merged point (a swing high/low or an extracted level) counts as one touch.
+ *
+ * strength = 25 per touch + up to 25 for a recent last touch
+ *          + 15 when the zone held as both a high and a low (role reversal)
+ *
+ * @param {Array<{price: number, index?: number, kind?: 'high'|'low'}>} points
+ * @param {Object} options
+ * @param {number} options.tolerance - maximum distance of a point from the zone's mean
+ * @param {number} [options.currentPrice] - zones below are support, above are resistance
+ * @param {number} [options.length] - candle count, for recency (omit for plain levels)
+ * @param {number} [options.limit=6] - strongest zones kept
+ * @returns {Array<{low: number, high: number, mid: number, touches: number, lastTouch: number|null, strength: number, type: string|null}>}
+ *   sorted by price
+ */
+function clusterZones(points, { tolerance, currentPrice = null, length = null, limit = 6 }) {
+  const sorted = points
+    .filter(p => Number.isFinite(p.price))
+    .sort((a, b) => a.price - b.price);
+  const clusters = [];
+  
+  for (const point of sorted) {
+    const cluster = clusters[clusters.length - 1];
+    
+    if (cluster && point.price - cluster.mean <= tolerance) {
+      cluster.points.push(point);
+      cluster.mean = cluster.points.reduce((sum, p) => sum + p.price, 0) / cluster.points.length;
+    } else {
+      clusters.push({ points: [point], mean: point.price });
+    }
+  }
+  
+  const zones = clusters.map(({ points: members, mean }) => {
+    const prices = members.map(p => p.price);
+    const indexes = members.map(p => p.index).filter(Number.isFinite);
+    const lastTouch = indexes.length > 0 ? Math.max(...indexes) : null;
+    const kinds = new Set(members.map(p => p.kind).filter(Boolean));
+    const recency = length > 1 && lastTouch !== null ? lastTouch / (length - 1) : 0;
+    
+    const strength = members.length * TOUCH_SCORE
+      + recency * RECENCY_SCORE
+      + (kinds.size === 2 ? ROLE_REVERSAL_SCORE : 0);
+    
+    return {
+      low: Math.min(...prices),
+      high: Math.max(...prices),
+      mid: mean,
+      touches: members.length,
+      lastTouch,
+      strength: Math.min(100, Math.round(strength)),
+      type: currentPrice === null ? null : mean <= currentPrice ? 'support' : 'resistance'
+    };
+  });
+  
+  return zones
+    .sort((a, b) => b.strength - a.strength || b.touches - a.touches)
+    .slice(0, limit)
+    .sort((a, b) => a.mid - b.mid);
+}
+
+module.exports = { clusterZones };
@@ -0,0 +1,25 @@
+const constants = require('../config/constants');
+const { InstrumentRegistry, InstrumentError } = require('./instrument-registry');
+
+// Shared registry (instruments.yaml <- INSTRUMENTS_FILE, limited to TRADING_PAIRS when set).
+// Loaded once at startup, like the configuration.
+let instruments;
+
+try {
+  instruments = new InstrumentRegistry({
+    extraFile: constants.INSTRUMENTS_FILE,
+    enabled: constants.TRADING_PAIRS
+  });
+
+  if (!instruments.get(constants.DEFAULT_SYMBOL)) {
+    throw new InstrumentError(`DEFAULT_SYMBOL: ${constants.DEFAULT_SYMBOL} is not an enabled instrument`);
+  }
+} catch (error) {
+  if (error instanceof InstrumentError) {
+    console.error(`❌ CRITICAL: ${error.message}, refusing to start`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+module.exports = instruments;
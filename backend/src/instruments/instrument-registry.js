@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Built-in instruments; INSTRUMENTS_FILE adds to (and can override fields of) these
+const BUILTIN_FILE = path.join(__dirname, 'instruments.yaml');
+
+const ASSET_CLASSES = ['forex', 'metal', 'crypto', 'index', 'energy', 'stock'];
+const POSITIVE_FIELDS = ['pipSize', 'tickSize'];
+const CONTRACT_FIELDS = ['contractSize', 'minLot', 'lotStep', 'maxLot'];
+
+// "EUR/USD", "eur-usd", "XAU_USD" -> "EURUSD"; other characters are kept, so junk stays unknown
+const SEPARATORS = /[\s/\-_.]/g;
+
+class InstrumentError extends Error {
+  constructor(message, code = 'INVALID_INSTRUMENTS') {
+    super(message);
+    this.name = 'InstrumentError';
+    this.code = code;
+  }
+}
+
+function normalizeKey(value) {
+  return String(value ?? '').toUpperCase().trim();
+}
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+/**
+ * Price rounded to the instrument's tick size and quoted decimals.
+ * @param {Object} instrument - registry entry
+ * @param {number} price
+ */
+function roundPrice(instrument, price) {
+  const ticks = Math.round(price / instrument.tickSize);
+  return parseFloat((ticks * instrument.tickSize).toFixed(instrument.precision));
+}
+
+// Price as the instrument is quoted, e.g. 1.08500 for EURUSD
+function formatPrice(instrument, price) {
+  return roundPrice(instrument, price).toFixed(instrument.precision);
+}
+
+function isPlausiblePrice(instrument, price) {
+  const [min, max] = instrument.priceRange;
+  return typeof price === 'number' && price >= min && price <= max;
+}
+
+function readInstrumentsFile(filePath) {
+  let raw;
+  try {
+    raw = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new InstrumentError(`Cannot read instruments from ${filePath} (${error.code || error.message})`);
+  }
+
+  try {
+    const data = yaml.load(raw) || {};
+    return { sessions: data.sessions || {}, instruments: data.instruments || {} };
+  } catch (error) {
+    throw new InstrumentError(`${filePath}: invalid YAML (${error.message})`);
+  }
+}
+
+function instrumentIssues(symbol, instrument, sessions) {
+  const issues = [];
+  const invalid = (field, detail) => issues.push(`${symbol}.${field}: ${detail}`);
+
+  if (!/^[A-Z0-9]{2,12}$/.test(symbol)) invalid('symbol', 'must be 2-12 upper-case letters or digits');
+  if (!instrument.name) invalid('name', 'is required');
+  if (!ASSET_CLASSES.includes(instrument.assetClass)) invalid('assetClass', `must be one of ${ASSET_CLASSES.join(', ')}`);
+  if (!/^[A-Z]{3}$/.test(instrument.quoteCurrency || '')) invalid('quoteCurrency', 'must be a 3-letter currency code');
+
+  POSITIVE_FIELDS
+    .filter(field => !isPositive(instrument[field]))
+    .forEach(field => invalid(field, 'must be a positive number'));
+
+  if (!Number.isInteger(instrument.precision) || instrument.precision < 0 || instrument.precision > 8) {
+    invalid('precision', 'must be an integer from 0 to 8');
+  }
+  if (typeof instrument.typicalSpread !== 'number' || instrument.typicalSpread < 0) {
+    invalid('typicalSpread', 'must be a number >= 0');
+  }
+
+  const range = instrument.priceRange;
+  if (!Array.isArray(range) || range.length !== 2 || !isPositive(range[0]) || !(range[1] > range[0])) {
+    invalid('priceRange', 'must be [min, max] with 0 < min < max');
+  }
+
+  (instrument.sessions || [])
+    .filter(name => !sessions[name])
+    .forEach(name => invalid('sessions', `unknown session "${name}"`));
+
+  const contract = instrument.contract || {};
+  const badContract = CONTRACT_FIELDS.filter(field => !isPositive(contract[field]));
+  if (badContract.length > 0) invalid('contract', `invalid ${badContract.join(', ')}`);
+
+  return issues;
+}
+
+/**
+ * Tradable instruments from a YAML data file: asset class, pip/tick size, quoted precision,
+ * typical spread, sessions, aliases, plausible price range and per-lot contract specs.
+ * Lookups accept the canonical symbol, an alias, or the symbol with separators ("EUR/USD").
+ */
+class InstrumentRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.extraFile] - more instruments / overrides (INSTRUMENTS_FILE)
+   * @param {string[]} [options.enabled] - allow-list of symbols (TRADING_PAIRS), empty = all
+   */
+  constructor({ extraFile = '', enabled = [], builtinFile = BUILTIN_FILE } = {}) {
+    const builtin = readInstrumentsFile(builtinFile);
+    const extra = extraFile ? readInstrumentsFile(path.resolve(process.cwd(), extraFile)) : { sessions: {}, instruments: {} };
+
+    this.sessions = { ...builtin.sessions, ...extra.sessions };
+    this.instruments = new Map();
+    this.lookup = new Map();
+
+    // A file entry overrides single fields of a built-in symbol, contract specs included
+    const merged = { ...builtin.instruments };
+    Object.entries(extra.instruments).forEach(([symbol, overrides]) => {
+      const base = merged[symbol] || {};
+      merged[symbol] = { ...base, ...overrides, contract: { ...base.contract, ...overrides?.contract } };
+    });
+
+    const wanted = enabled.map(normalizeKey);
+    const unknown = wanted.filter(symbol => !merged[symbol]);
+    if (unknown.length > 0) {
+      throw new InstrumentError(`TRADING_PAIRS: unknown instruments ${unknown.join(', ')}`);
+    }
+
+    const issues = [];
+    Object.entries(merged)
+      .filter(([symbol]) => wanted.length === 0 || wanted.includes(symbol))
+      .forEach(([symbol, definition]) => {
+        const instrument = {
+          symbol: symbol,
+          name: definition.name,
+          assetClass: definition.assetClass,
+          baseCurrency: definition.baseCurrency || null,
+          quoteCurrency: definition.quoteCurrency,
+          pipSize: definition.pipSize,
+          tickSize: definition.tickSize,
+          precision: definition.precision,
+          typicalSpread: definition.typicalSpread,
+          sessions: definition.sessions || [],
+          aliases: (definition.aliases || []).map(normalizeKey),
+          priceRange: definition.priceRange,
+          contract: definition.contract
+        };
+
+        issues.push(...instrumentIssues(symbol, instrument, this.sessions));
+        this.instruments.set(symbol, instrument);
+      });
+
+    // Every name a symbol is known by, with and without separators
+    this.instruments.forEach(instrument => {
+      [instrument.symbol, ...instrument.aliases].forEach(name => {
+        [name, name.replace(SEPARATORS, '')].forEach(key => {
+          const claimed = this.lookup.get(key);
+          if (claimed && claimed !== instrument) {
+            issues.push(`${instrument.symbol}.aliases: "${name}" is already used by ${claimed.symbol}`);
+          }
+          this.lookup.set(key, instrument);
+        });
+      });
+    });
+
+    if (issues.length > 0) {
+      throw new InstrumentError(`Invalid instruments: ${issues.join('; ')}`);
+    }
+  }
+
+  // Instrument by canonical symbol only
+  get(symbol) {
+    return this.instruments.get(normalizeKey(symbol)) || null;
+  }
+
+  // Instrument by symbol, alias or separated form ("GOLD", "eur/usd"); null when unknown
+  resolve(name) {
+    const key = normalizeKey(name);
+    if (!key) return null;
+    return this.lookup.get(key) || this.lookup.get(key.replace(SEPARATORS, '')) || null;
+  }
+
+  symbols() {
+    return [...this.instruments.keys()];
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {string} [filter.assetClass]
+   * @returns {Object[]} instruments in data-file order
+   */
+  list({ assetClass } = {}) {
+    return [...this.instruments.values()]
+      .filter(instrument => !assetClass || instrument.assetClass === assetClass);
+  }
+
+  assetClasses() {
+    return [...new Set(this.list().map(instrument => instrument.assetClass))];
+  }
+}
+
+module.exports = {
+  InstrumentRegistry,
+  InstrumentError,
+  roundPrice,
+  formatPrice,
+  isPlausiblePrice,
+  ASSET_CLASSES
+};
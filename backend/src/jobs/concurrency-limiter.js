@@ -0,0 +1,51 @@
+/**
+ * Promise semaphore: at most `concurrency` tasks run at once, the rest wait in FIFO order.
+ */
+class ConcurrencyLimiter {
+  constructor(name, concurrency) {
+    this.name = name;
+    this.concurrency = concurrency;
+    this.active = 0;
+    this.waiting = [];
+  }
+
+  async run(task) {
+    await this.acquire();
+    
+    try {
+      return await task();
+    } finally {
+      this.release();
+    }
+  }
+
+  acquire() {
+    if (this.active < this.concurrency) {
+      this.active++;
+      return Promise.resolve();
+    }
+    
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Hand the slot straight to the next waiter so `active` never dips below the real count
+  release() {
+    const next = this.waiting.shift();
+    
+    if (next) {
+      next();
+    } else {
+      this.active--;
+    }
+  }
+
+  stats() {
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      waiting: this.waiting.length
+    };
+  }
+}
+
+module.exports = ConcurrencyLimiter;
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+
+const FINISHED = ['done', 'failed'];
+
+/**
+ * In-process job queue with a bounded worker pool.
+ * `handler(payload, { setStage })` runs the pipeline and resolves with the result;
+ * jobs move queued → <stages reported by the handler> → done | failed.
+ * A handler error may carry a partial `result`, which is kept on the failed job.
+ * Finished jobs are kept for `ttlMs` and pruned lazily (no timers keep the process alive).
+ * A job is only visible to the owner (API key id, null when anonymous) that submitted it.
+ */
+class JobQueue {
+  constructor({ handler, concurrency = 2, maxQueued = 50, ttlMs = 3600000 }) {
+    this.handler = handler;
+    this.concurrency = concurrency;
+    this.maxQueued = maxQueued;
+    this.ttlMs = ttlMs;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  isFull() {
+    return this.pending.length >= this.maxQueued;
+  }
+
+  /**
+   * @param {Object} payload - handler input (kept only until the job finishes)
+   * @param {Object} [input] - summary of the input shown in job status
+   * @param {string|null} [owner] - id of the submitting API key
+   * @returns {Object} public job view
+   */
+  submit(payload, input = {}, owner = null) {
+    this.prune();
+
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      input: input,
+      stages: [{ stage: 'queued', at: now }],
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      finishedAt: null,
+      result: null,
+      error: null,
+      owner: owner,
+      payload: payload
+    };
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.drain();
+
+    return this.view(job);
+  }
+
+  // Null for unknown jobs and for jobs of another owner alike
+  get(id, owner = null) {
+    this.prune();
+
+    const job = this.jobs.get(id);
+    return job && job.owner === owner ? this.view(job) : null;
+  }
+
+  setStage(job, stage) {
+    const now = new Date().toISOString();
+    job.status = stage;
+    job.updatedAt = now;
+    job.stages.push({ stage, at: now });
+  }
+
+  drain() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.execute(this.pending.shift());
+    }
+  }
+
+  async execute(job) {
+    this.running++;
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.result = await this.handler(job.payload, {
+        jobId: job.id,
+        setStage: (stage) => this.setStage(job, stage)
+      });
+      this.setStage(job, 'done');
+    } catch (error) {
+      console.error(`❌ [job ${job.id}] Failed during ${job.status}:`, error.message);
+      job.error = { message: error.message, stage: job.status };
+      job.result = error.result || null;
+      this.setStage(job, 'failed');
+    } finally {
+      // Release the image buffer as soon as possible
+      job.payload = null;
+      job.finishedAt = new Date().toISOString();
+      this.running--;
+      this.drain();
+    }
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+
+    for (const [id, job] of this.jobs) {
+      if (FINISHED.includes(job.status) && Date.parse(job.finishedAt) < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  // Everything except the raw payload and the owner; position is 1-based while waiting
+  view(job) {
+    const { payload, owner, ...rest } = job;
+    const position = this.pending.indexOf(job);
+
+    return {
+      ...rest,
+      queuePosition: position >= 0 ? position + 1 : null
+    };
+  }
+
+  stats() {
+    let done = 0;
+    let failed = 0;
+
+    for (const job of this.jobs.values()) {
+      if (job.status === 'done') done++;
+      if (job.status === 'failed') failed++;
+    }
+
+    return {
+      concurrency: this.concurrency,
+      running: this.running,
+      queued: this.pending.length,
+      maxQueued: this.maxQueued,
+      done: done,
+      failed: failed
+    };
+  }
+}
+
+JobQueue.FINISHED = FINISHED;
+
+module.exports = JobQueue;
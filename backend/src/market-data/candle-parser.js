@@ -0,0 +1,206 @@
+/**
+ * Parse OHLCV exports (CSV / JSON) into a normalized candle array:
+ *   [{ time, open, high, low, close, volume }] sorted oldest -> newest.
+ *
+ * Supported inputs:
+ * - TradingView CSV (time,open,high,low,close,Volume)
+ * - MetaTrader 5 export (<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>...)
+ * - MetaTrader 4 history CSV without header (2024.01.02,00:00,O,H,L,C,V)
+ * - JSON arrays of objects ({ time, open, ... } or { t, o, h, l, c, v }) or of [t, o, h, l, c, v]
+ */
+
+const MAX_CANDLES = 5000;
+
+const COLUMN_ALIASES = {
+  datetime: ['datetime', 'timestamp', 'date_time'],
+  date: ['date', 'day'],
+  time: ['time', 't'],
+  open: ['open', 'o'],
+  high: ['high', 'h'],
+  low: ['low', 'l'],
+  close: ['close', 'c', 'price', 'last'],
+  volume: ['volume', 'vol', 'v', 'tickvol', 'tick_volume', 'real_volume']
+};
+
+function normalizeHeader(name) {
+  return String(name).replace(/[<>"']/g, '').trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+function findColumn(headers, field) {
+  return headers.findIndex(h => COLUMN_ALIASES[field].includes(h));
+}
+
+function parseTime(value, timePart) {
+  if (value === undefined || value === null || value === '') return null;
+  
+  if (typeof value === 'number' || /^\d{9,13}$/.test(String(value).trim())) {
+    const num = Number(value);
+    // Epoch seconds vs milliseconds
+    return new Date(num < 1e12 ? num * 1000 : num).toISOString();
+  }
+  
+  let text = String(value).trim().replace(/^(\d{4})\.(\d{2})\.(\d{2})/, '$1-$2-$3');
+  if (timePart) text += `T${String(timePart).trim()}`;
+  else text = text.replace(' ', 'T');
+  
+  const date = new Date(/[zZ]|[+-]\d{2}:?\d{2}$/.test(text) ? text : `${text}Z`);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  return parseFloat(String(value ?? '').trim().replace(/"/g, ''));
+}
+
+function buildCandle({ time, open, high, low, close, volume }) {
+  const candle = {
+    time: time,
+    open: toNumber(open),
+    high: toNumber(high),
+    low: toNumber(low),
+    close: toNumber(close),
+    volume: volume === undefined || volume === '' ? null : toNumber(volume)
+  };
+  
+  const prices = [candle.open, candle.high, candle.low, candle.close];
+  if (prices.some(p => !Number.isFinite(p) || p <= 0)) return null;
+  if (candle.high < Math.max(candle.open, candle.close) || candle.low > Math.min(candle.open, candle.close)) return null;
+  if (candle.volume !== null && !Number.isFinite(candle.volume)) candle.volume = null;
+  
+  return candle;
+}
+
+function detectDelimiter(line) {
+  return ['\t', ';', ','].reduce((best, d) =>
+    line.split(d).length > line.split(best).length ? d : best
+  , ',');
+}
+
+function parseCSV(text) {
+  const lines = text.split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  const delimiter = detectDelimiter(lines[0]);
+  const firstCells = lines[0].split(delimiter);
+  const hasHeader = firstCells.some(cell => /[a-z]/i.test(cell) && isNaN(Date.parse(cell)));
+  
+  let rows = lines.map(l => l.split(delimiter));
+  let map;
+  
+  if (hasHeader) {
+    const headers = firstCells.map(normalizeHeader);
+    rows = rows.slice(1);
+    map = {};
+    Object.keys(COLUMN_ALIASES).forEach(field => { map[field] = findColumn(headers, field); });
+    
+    if (map.datetime === -1 && map.date === -1 && map.time !== -1) {
+      map.datetime = map.time;
+      map.time = -1;
+    }
+    if (map.datetime === -1 && map.date !== -1) {
+      map.datetime = map.date;
+    } else {
+      map.time = -1;
+    }
+  } else {
+    // Headerless MetaTrader 4: date,time,o,h,l,c,v  or  datetime,o,h,l,c[,v]
+    const splitDateTime = firstCells.length >= 7 || /^\d{1,2}:\d{2}/.test(firstCells[1] || '');
+    map = splitDateTime
+      ? { datetime: 0, time: 1, open: 2, high: 3, low: 4, close: 5, volume: 6 }
+      : { datetime: 0, time: -1, open: 1, high: 2, low: 3, close: 4, volume: 5 };
+  }
+  
+  ['open', 'high', 'low', 'close'].forEach(field => {
+    if (map[field] === undefined || map[field] === -1) {
+      throw new Error(`Invalid candle data: missing ${field} column`);
+    }
+  });
+  
+  const cell = (row, index) => (index === undefined || index === -1 ? undefined : row[index]);
+  
+  return rows.map(row => buildCandle({
+    time: parseTime(cell(row, map.datetime), cell(row, map.time)),
+    open: cell(row, map.open),
+    high: cell(row, map.high),
+    low: cell(row, map.low),
+    close: cell(row, map.close),
+    volume: cell(row, map.volume)
+  }));
+}
+
+function parseJSONCandles(items) {
+  return items.map(item => {
+    if (Array.isArray(item)) {
+      const [time, open, high, low, close, volume] = item;
+      return buildCandle({ time: parseTime(time), open, high, low, close, volume });
+    }
+    
+    if (!item || typeof item !== 'object') return null;
+    
+    const entries = Object.entries(item).map(([k, v]) => [normalizeHeader(k), v]);
+    const pick = (field) => {
+      const found = entries.find(([k]) => COLUMN_ALIASES[field].includes(k));
+      return found ? found[1] : undefined;
+    };
+    
+    return buildCandle({
+      time: parseTime(pick('datetime') ?? pick('time') ?? pick('date')),
+      open: pick('open'),
+      high: pick('high'),
+      low: pick('low'),
+      close: pick('close'),
+      volume: pick('volume')
+    });
+  });
+}
+
+/**
+ * @param {string|Buffer|Array|Object} input - raw CSV/JSON text or already-parsed JSON
+ * @returns {{ candles: Object[], skipped: number }} skipped: invalid rows and repeated timestamps
+ */
+function parseCandles(input) {
+  let data = Buffer.isBuffer(input) ? input.toString('utf8') : input;
+  
+  if (typeof data === 'string') {
+    data = data.replace(/^\uFEFF/, '').trim();
+    if (!data) throw new Error('Invalid candle data: input is empty');
+    
+    if (data.startsWith('[') || data.startsWith('{')) {
+      try {
+        data = JSON.parse(data);
+      } catch (error) {
+        throw new Error(`Invalid candle data: malformed JSON (${error.message})`);
+      }
+    }
+  }
+  
+  let parsed;
+  if (typeof data === 'string') {
+    parsed = parseCSV(data);
+  } else {
+    const items = Array.isArray(data) ? data : (data?.candles || data?.data);
+    if (!Array.isArray(items)) {
+      throw new Error('Invalid candle data: expected an array of candles');
+    }
+    parsed = parseJSONCandles(items);
+  }
+  
+  let candles = parsed.filter(Boolean);
+  
+  if (candles.length === 0) {
+    throw new Error('Invalid candle data: no valid OHLC rows found');
+  }
+  
+  if (candles.every(c => c.time)) {
+    candles.sort((a, b) => a.time.localeCompare(b.time));
+    // Overlapping exports repeat bars; the sort is stable, so the later row wins
+    candles = candles.filter((candle, i) => candles[i + 1]?.time !== candle.time);
+  }
+  
+  const skipped = parsed.length - candles.length;
+  
+  return {
+    candles: candles.slice(-MAX_CANDLES),
+    skipped: skipped
+  };
+}
+
+module.exports = { parseCandles, MAX_CANDLES };
@@ -0,0 +1,108 @@
+const { formatPrice } = require('../instruments/instrument-registry');
+
+// Discord embed colour per action
+const ACTION_COLORS = { BUY: 0x16a34a, SELL: 0xdc2626, HOLD: 0x6b7280 };
+const ACTION_ICONS = { BUY: '🟢', SELL: '🔴', HOLD: '⏸️' };
+
+// Discord caps embed descriptions at 4096 characters, Telegram messages at 4096
+const MAX_REASON_LENGTH = 1000;
+
+function truncate(text, length) {
+  const value = String(text || '');
+  return value.length > length ? `${value.slice(0, length - 1)}…` : value;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Entry/SL/TP lines of a decision, at the instrument's quoted precision
+function priceLines(notification) {
+  const { decision, instrument } = notification;
+  const price = value => (typeof value !== 'number' ? '-' : instrument ? formatPrice(instrument, value) : String(value));
+
+  return [
+    ['Entry', price(decision.entry)],
+    ['Stop Loss', price(decision.sl)],
+    ['TP1', price(decision.tp1)],
+    ['TP2', price(decision.tp2)]
+  ];
+}
+
+/**
+ * Plain JSON for custom receivers: the decision plus enough context to act on it.
+ */
+function json(notification) {
+  const { event, analysisId, symbol, timeframe, tradeType, source, decision, riskAssessment, tradePlanCheck, timestamp } = notification;
+
+  return {
+    event: event,
+    analysisId: analysisId,
+    symbol: symbol,
+    timeframe: timeframe,
+    tradeType: tradeType,
+    source: source,
+    decision: decision,
+    riskAssessment: riskAssessment,
+    tradePlanPassed: tradePlanCheck ? tradePlanCheck.passed : null,
+    timestamp: timestamp
+  };
+}
+
+/**
+ * Telegram Bot API sendMessage body (url: https://api.telegram.org/bot<token>/sendMessage).
+ */
+function telegram(notification, webhook) {
+  const { symbol, timeframe, decision, analysisId, disclaimer } = notification;
+
+  const text = [
+    `${ACTION_ICONS[decision.action]} <b>${decision.action} ${escapeHtml(symbol)}</b> (${escapeHtml(timeframe)})`,
+    `Probability: ${decision.probability ?? '-'}% · R:R ${escapeHtml(decision.risk_reward || '-')}`,
+    '',
+    ...priceLines(notification).map(([name, value]) => `${name}: <code>${value}</code>`),
+    '',
+    escapeHtml(truncate(decision.reason, MAX_REASON_LENGTH)),
+    '',
+    `<i>${escapeHtml(disclaimer)}</i>`,
+    analysisId ? `<code>${analysisId}</code>` : null
+  ].filter(line => line !== null).join('\n');
+
+  return {
+    chat_id: webhook.chatId,
+    text: text,
+    parse_mode: 'HTML',
+    disable_web_page_preview: true
+  };
+}
+
+/**
+ * Discord (and compatible) incoming-webhook body with one embed.
+ */
+function discord(notification, webhook) {
+  const { symbol, timeframe, decision, analysisId, disclaimer, timestamp } = notification;
+
+  return {
+    username: webhook.username || 'Trading Analyzer',
+    embeds: [
+      {
+        title: `${ACTION_ICONS[decision.action]} ${decision.action} ${symbol} (${timeframe})`,
+        description: truncate(decision.reason, MAX_REASON_LENGTH),
+        color: ACTION_COLORS[decision.action],
+        fields: [
+          ...priceLines(notification).map(([name, value]) => ({ name, value, inline: true })),
+          { name: 'Probability', value: `${decision.probability ?? '-'}%`, inline: true },
+          { name: 'R:R', value: decision.risk_reward || '-', inline: true }
+        ],
+        footer: { text: analysisId ? `${disclaimer} · ${analysisId}` : disclaimer },
+        timestamp: timestamp
+      }
+    ]
+  };
+}
+
+const FORMATTERS = { json, telegram, discord };
+
+module.exports = {
+  FORMATTERS,
+  escapeHtml
+};
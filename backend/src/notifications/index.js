@@ -0,0 +1,24 @@
+const constants = require('../config/constants');
+const instruments = require('../instruments');
+const { WebhookNotifier, WebhookError } = require('./webhook-notifier');
+
+// Shared notifier for the WEBHOOKS of the configuration, checked once at startup
+let notifier;
+
+try {
+  notifier = new WebhookNotifier({
+    webhooks: constants.WEBHOOKS,
+    instruments,
+    timeoutMs: constants.WEBHOOK_TIMEOUT_MS,
+    maxRetries: constants.WEBHOOK_MAX_RETRIES,
+    retryDelayMs: constants.WEBHOOK_RETRY_DELAY_MS
+  });
+} catch (error) {
+  if (error instanceof WebhookError) {
+    console.error(`❌ CRITICAL: ${error.message}, refusing to start`);
+    process.exit(1);
+  }
+  throw error;
+}
+
+module.exports = notifier;
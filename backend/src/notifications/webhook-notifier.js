@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { FORMATTERS } = require('./formatters');
+
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+const EVENT = 'analysis.completed';
+
+// Longest wait between attempts, also for a Retry-After header
+const MAX_RETRY_DELAY_MS = 60000;
+
+class WebhookError extends Error {
+  constructor(message, code = 'INVALID_WEBHOOKS') {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+  }
+}
+
+/**
+ * HMAC-SHA256 of `<timestamp>.<body>`, hex encoded. Receivers recompute it from the
+ * X-Webhook-Timestamp header and the raw body, and reject old timestamps.
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+// Network errors, timeouts, 429 and 5xx are worth another attempt; other 4xx are not
+function isRetryable(error) {
+  const status = error.response?.status;
+  return !status || status === 429 || status >= 500;
+}
+
+function retryAfterMs(error) {
+  const seconds = Number(error.response?.headers?.['retry-after']);
+  return Number.isFinite(seconds) && seconds >= 0 ? seconds * 1000 : null;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Pushes finished analyses to the configured webhooks (WEBHOOKS).
+ *
+ * Each webhook: url, format (json | telegram | discord), optional name, secret (HMAC
+ * signing), symbols, actions (default BUY and SELL), minProbability, chatId (telegram)
+ * and username (discord). Deliveries run in the background and never fail an analysis.
+ */
+class WebhookNotifier {
+  constructor({ webhooks = [], instruments, timeoutMs = 5000, maxRetries = 3, retryDelayMs = 1000 } = {}) {
+    this.instruments = instruments;
+    this.maxRetries = maxRetries;
+    this.retryDelayMs = retryDelayMs;
+    this.webhooks = this.validate(webhooks);
+
+    this.client = axios.create({
+      timeout: timeoutMs,
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'TradingAnalyzer-Webhooks/1.0.0'
+      }
+    });
+
+    this.pending = new Set();
+    this.counts = { delivered: 0, failed: 0, skipped: 0 };
+  }
+
+  // Normalized webhook list; every problem is reported at once
+  validate(webhooks) {
+    const issues = [];
+
+    const list = webhooks.map((webhook, index) => {
+      const label = `WEBHOOKS[${index}]`;
+      let url = null;
+
+      try {
+        url = new URL(webhook.url);
+        if (!['http:', 'https:'].includes(url.protocol)) throw new Error('not http(s)');
+      } catch (error) {
+        issues.push(`${label}.url: must be an http(s) URL`);
+      }
+
+      const format = webhook.format || 'json';
+      const actions = (webhook.actions || ['BUY', 'SELL']).map(action => String(action).toUpperCase());
+      const minProbability = webhook.minProbability ?? 0;
+      const symbols = (webhook.symbols || []).map(symbol => {
+        const instrument = this.instruments.resolve(symbol);
+        if (!instrument) issues.push(`${label}.symbols: unknown instrument ${symbol}`);
+        return instrument ? instrument.symbol : null;
+      });
+
+      if (!FORMATTERS[format]) {
+        issues.push(`${label}.format: must be one of ${Object.keys(FORMATTERS).join(', ')}`);
+      }
+      if (format === 'telegram' && !webhook.chatId) {
+        issues.push(`${label}.chatId: is required for telegram`);
+      }
+      actions.filter(action => !ACTIONS.includes(action)).forEach(action => {
+        issues.push(`${label}.actions: unknown action ${action}`);
+      });
+      if (typeof minProbability !== 'number' || minProbability < 0 || minProbability > 100) {
+        issues.push(`${label}.minProbability: must be a number between 0 and 100`);
+      }
+
+      return {
+        ...webhook,
+        name: webhook.name || (url ? url.host : label),
+        format,
+        actions,
+        minProbability,
+        symbols: symbols.filter(Boolean)
+      };
+    });
+
+    if (issues.length > 0) {
+      throw new WebhookError(`Invalid webhooks: ${issues.join('; ')}`);
+    }
+    return list;
+  }
+
+  /**
+   * Whether a webhook wants this notification. Empty `symbols` means every symbol.
+   */
+  matches(webhook, { symbol, decision }) {
+    if (webhook.symbols.length > 0 && !webhook.symbols.includes(symbol)) return false;
+    if (!webhook.actions.includes(decision.action)) return false;
+    return (decision.probability ?? 0) >= webhook.minProbability;
+  }
+
+  /**
+   * Queue deliveries of a finished analysis. Fallback analyses (errors) are never sent.
+   * @param {Object} analysis - analysis response with id, decision and metadata
+   * @returns {Promise<Object[]>} one delivery result per matching webhook (for tests; callers need not wait)
+   */
+  notify(analysis) {
+    if (this.webhooks.length === 0 || analysis.error || !analysis.decision) {
+      return Promise.resolve([]);
+    }
+
+    const metadata = analysis.metadata || {};
+    const notification = {
+      event: EVENT,
+      analysisId: analysis.id || null,
+      symbol: metadata.symbol,
+      timeframe: metadata.timeframe,
+      tradeType: metadata.tradeType,
+      source: metadata.source || null,
+      decision: analysis.decision,
+      riskAssessment: analysis.risk_assessment || null,
+      tradePlanCheck: analysis.trade_plan_check || null,
+      instrument: this.instruments.get(metadata.symbol),
+      disclaimer: analysis.disclaimer || metadata.disclaimer || '',
+      timestamp: metadata.timestamp || new Date().toISOString()
+    };
+
+    const targets = this.webhooks.filter(webhook => this.matches(webhook, notification));
+    this.counts.skipped += this.webhooks.length - targets.length;
+
+    const deliveries = Promise.all(targets.map(webhook => this.deliver(webhook, notification).catch(error => {
+      this.counts.failed++;
+      console.error(`❌ Webhook ${webhook.name}: ${error.message}`);
+      return { webhook: webhook.name, delivered: false, status: null, attempts: 0, error: error.message };
+    })));
+    this.pending.add(deliveries);
+    deliveries.finally(() => this.pending.delete(deliveries));
+    return deliveries;
+  }
+
+  async deliver(webhook, notification) {
+    const body = JSON.stringify(FORMATTERS[webhook.format](notification, webhook));
+    const deliveryId = crypto.randomUUID();
+
+    for (let attempt = 0; ; attempt++) {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const headers = {
+        'X-Webhook-Event': notification.event,
+        'X-Webhook-Delivery': deliveryId,
+        'X-Webhook-Timestamp': String(timestamp),
+        ...(webhook.secret && { 'X-Webhook-Signature': `sha256=${signPayload(webhook.secret, timestamp, body)}` })
+      };
+
+      try {
+        const response = await this.client.post(webhook.url, body, { headers });
+        this.counts.delivered++;
+        console.log(`📣 Webhook ${webhook.name}: ${notification.decision.action} ${notification.symbol} delivered (HTTP ${response.status}, attempt ${attempt + 1})`);
+        return { webhook: webhook.name, delivered: true, status: response.status, attempts: attempt + 1 };
+
+      } catch (error) {
+        const status = error.response?.status || null;
+
+        if (!isRetryable(error) || attempt >= this.maxRetries) {
+          this.counts.failed++;
+          console.error(`❌ Webhook ${webhook.name}: delivery failed after ${attempt + 1} attempts (${status ? `HTTP ${status}` : error.code || error.message})`);
+          return { webhook: webhook.name, delivered: false, status, attempts: attempt + 1, error: error.message };
+        }
+
+        // Exponential backoff: 1x, 2x, 4x ... the base delay, unless the receiver says otherwise
+        const delay = Math.min(retryAfterMs(error) ?? this.retryDelayMs * 2 ** attempt, MAX_RETRY_DELAY_MS);
+        console.warn(`🔁 Webhook ${webhook.name}: attempt ${attempt + 1} failed (${status ? `HTTP ${status}` : error.code || error.message}), retrying in ${delay}ms`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  // Wait for deliveries still in flight (shutdown)
+  async idle() {
+    await Promise.all([...this.pending]);
+  }
+
+  stats() {
+    return {
+      configured: this.webhooks.length,
+      pending: this.pending.size,
+      ...this.counts
+    };
+  }
+}
+
+module.exports = {
+  WebhookNotifier,
+  WebhookError,
+  signPayload
+};
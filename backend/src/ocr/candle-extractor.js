@@ -0,0 +1,237 @@
+const sharp = require('sharp');
+
+// Channel distance from the background that counts as "ink" (wicks, borders)
+const INK_THRESHOLD = 40;
+// Minimum saturation for a pixel to be a candle body colour
+const MIN_SATURATION = 0.35;
+// Minimum r² of the price-scale fit; below that the labels are misread
+const MIN_FIT = 0.995;
+// Wider colour blobs are lines/areas (moving averages, price line), not candles
+const MAX_CANDLE_WIDTH = 0.05;
+// Candles shorter than this (wick to wick, in px) are dashes or noise
+const MIN_CANDLE_HEIGHT = 3;
+
+/**
+ * Linear y-pixel -> price mapping from OCR'd price-scale labels.
+ * Misread labels are dropped one at a time (worst residual first) until the fit is good,
+ * keeping at least 3: any two points fit a line exactly, so a pruned pair proves nothing.
+ * Exactly 2 labels are only trusted as read.
+ * @param {Array<{price: number, y: number}>} labels - label value and vertical centre in px
+ * @returns {{slope: number, intercept: number, r2: number, labels: Object[]}|null}
+ */
+function calibratePriceScale(labels) {
+  let points = labels.filter(l => Number.isFinite(l.price) && Number.isFinite(l.y));
+  const onlyTwo = points.length === 2;
+
+  while (points.length >= 2) {
+    const fit = linearFit(points);
+
+    // Prices grow upwards, pixel rows grow downwards
+    if (fit && fit.slope < 0 && (onlyTwo || fit.r2 >= MIN_FIT)) {
+      return { ...fit, labels: points };
+    }
+    if (points.length <= 3) break;
+
+    const residual = p => fit ? Math.abs(fit.slope * p.y + fit.intercept - p.price) : 0;
+    const worst = points.reduce((a, b) => residual(b) > residual(a) ? b : a);
+    points = points.filter(p => p !== worst);
+  }
+
+  return null;
+}
+
+// Least squares price = slope * y + intercept
+function linearFit(points) {
+  const n = points.length;
+  const meanY = points.reduce((s, p) => s + p.y, 0) / n;
+  const meanPrice = points.reduce((s, p) => s + p.price, 0) / n;
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+
+  for (const p of points) {
+    sxy += (p.y - meanY) * (p.price - meanPrice);
+    sxx += (p.y - meanY) ** 2;
+    syy += (p.price - meanPrice) ** 2;
+  }
+
+  if (sxx === 0 || syy === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    slope: slope,
+    intercept: meanPrice - slope * meanY,
+    r2: (sxy * sxy) / (sxx * syy)
+  };
+}
+
+function priceAtY(calibration, y) {
+  return calibration.slope * y + calibration.intercept;
+}
+
+// 'up' (green hues), 'down' (red hues) or null for greys and other colours
+function candleColor(r, g, b) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  if (max === 0 || (max - min) / max < MIN_SATURATION) return null;
+
+  const delta = max - min;
+  let hue;
+  if (max === r) hue = 60 * (((g - b) / delta) % 6);
+  else if (max === g) hue = 60 * ((b - r) / delta + 2);
+  else hue = 60 * ((r - g) / delta + 4);
+  if (hue < 0) hue += 360;
+
+  if (hue >= 90 && hue <= 185) return 'up';
+  if (hue <= 15 || hue >= 330) return 'down';
+  return null;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+/**
+ * Candle bodies and wicks in an RGB(A) pixel buffer (pure, used by extractCandles and tests).
+ * Bodies are found by colour (green/teal = up, red = down); wicks are the ink above and
+ * below the body's centre column, so both coloured and grey wicks work.
+ * Hollow or single-colour candle styles are not detected.
+ * @param {{data: Uint8Array, width: number, height: number, channels: number}} pixels
+ * @returns {Array<{x: number, width: number, direction: string, bodyTop: number, bodyBottom: number, wickTop: number, wickBottom: number}>}
+ *   pixel positions, left to right
+ */
+function detectCandlesFromPixels({ data, width, height, channels }) {
+  const at = (x, y) => {
+    const i = (y * width + x) * channels;
+    return [data[i], data[i + 1], data[i + 2]];
+  };
+
+  // Most frequent colour of a sample = background
+  const counts = new Map();
+  for (let i = 0; i < width * height; i += 11) {
+    const key = at(i % width, Math.floor(i / width)).join(',');
+    counts.set(key, (counts.get(key) || 0) + 1);
+  }
+  const background = [...counts.entries()].reduce((a, b) => b[1] > a[1] ? b : a)[0].split(',').map(Number);
+  const isInk = (x, y) => at(x, y).some((v, c) => Math.abs(v - background[c]) > INK_THRESHOLD);
+
+  // Coloured span per column
+  const columns = [];
+  for (let x = 0; x < width; x++) {
+    const found = { up: null, down: null };
+    for (let y = 0; y < height; y++) {
+      const color = candleColor(...at(x, y));
+      if (!color) continue;
+      const span = found[color] || (found[color] = { top: y, bottom: y, count: 0 });
+      span.bottom = y;
+      span.count++;
+    }
+    // A column belongs to the dominant colour
+    const direction = !found.up ? (found.down ? 'down' : null)
+      : !found.down ? 'up'
+      : found.up.count >= found.down.count ? 'up' : 'down';
+    columns.push(direction ? { direction, ...found[direction] } : null);
+  }
+
+  // Neighbouring columns of the same colour form one candle
+  const groups = [];
+  let current = null;
+  for (let x = 0; x <= width; x++) {
+    const column = columns[x];
+    if (current && column && column.direction === current.direction) {
+      current.columns.push(column);
+      continue;
+    }
+    if (current) groups.push(current);
+    current = column ? { x, direction: column.direction, columns: [column] } : null;
+  }
+
+  const maxWidth = Math.max(3, Math.round(width * MAX_CANDLE_WIDTH));
+  const candles = [];
+
+  for (const group of groups) {
+    const groupWidth = group.columns.length;
+    if (groupWidth > maxWidth) continue;
+
+    // Median over columns ignores a same-coloured wick in the centre column
+    const bodyTop = median(group.columns.map(c => c.top));
+    const bodyBottom = median(group.columns.map(c => c.bottom));
+    const centre = group.x + Math.floor(groupWidth / 2);
+
+    let wickTop = Math.min(bodyTop, ...group.columns.map(c => c.top));
+    while (wickTop > 0 && isInk(centre, wickTop - 1)) wickTop--;
+    let wickBottom = Math.max(bodyBottom, ...group.columns.map(c => c.bottom));
+    while (wickBottom < height - 1 && isInk(centre, wickBottom + 1)) wickBottom++;
+
+    if (wickBottom - wickTop + 1 < MIN_CANDLE_HEIGHT) continue;
+
+    candles.push({
+      x: group.x + (groupWidth - 1) / 2,
+      width: groupWidth,
+      direction: group.direction,
+      bodyTop,
+      bodyBottom,
+      wickTop,
+      wickBottom
+    });
+  }
+
+  return candles;
+}
+
+/**
+ * Approximate OHLC series from a chart screenshot.
+ * @param {Buffer} imageBuffer - colour screenshot
+ * @param {{left: number, top: number, width: number, height: number}} box - main price pane
+ * @param {Object} calibration - from calibratePriceScale (image pixel coordinates)
+ * @param {Object} [options]
+ * @param {{width: number, height: number}} [options.size] - resize the image first so `box`
+ *   and `calibration` (measured on a resized copy) line up
+ * @returns {Promise<{candles: Object[], lastPrice: number|null}>}
+ */
+async function extractCandles(imageBuffer, box, calibration, { size = null } = {}) {
+  let image = sharp(imageBuffer);
+  if (size) {
+    const { width, height } = await image.metadata();
+    if (width !== size.width || height !== size.height) {
+      image = sharp(await image.resize(size.width, size.height, { fit: 'fill' }).toBuffer());
+    }
+  }
+
+  const { data, info } = await image
+    .extract(box)
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const detected = detectCandlesFromPixels({ data, width: info.width, height: info.height, channels: info.channels });
+  const price = y => priceAtY(calibration, box.top + y);
+
+  const candles = detected.map((c, index) => {
+    const bodyHigh = price(c.bodyTop);
+    const bodyLow = price(c.bodyBottom);
+
+    return {
+      index: index,
+      time: null,
+      open: c.direction === 'up' ? bodyLow : bodyHigh,
+      high: price(c.wickTop),
+      low: price(c.wickBottom),
+      close: c.direction === 'up' ? bodyHigh : bodyLow,
+      x: box.left + c.x
+    };
+  });
+
+  return {
+    candles,
+    lastPrice: candles.length > 0 ? candles[candles.length - 1].close : null
+  };
+}
+
+module.exports = {
+  calibratePriceScale,
+  priceAtY,
+  detectCandlesFromPixels,
+  extractCandles
+};
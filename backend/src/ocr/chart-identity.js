@@ -0,0 +1,263 @@
+// Symbol and timeframe from the chart header / legend text, e.g. "XAUUSD, 1H, OANDA",
+// "OANDA:XAUUSD · 240", "EURUSD.m,H4" (MetaTrader) or "Gold Spot / U.S. Dollar · 1D".
+
+// Digits Tesseract reads in place of letters ("XAUU5D", "G8PUSD")
+const LOOKALIKE_LETTERS = { 0: 'O', 1: 'I', 2: 'Z', 5: 'S', 6: 'G', 8: 'B' };
+
+// Fuzzy matches below this are ignored (one wrong character in a 6-letter symbol = 0.83)
+const MIN_FUZZY_CONFIDENCE = 0.8;
+
+const MINUTES_TO_TIMEFRAME = {
+  1: 'M1',
+  5: 'M5',
+  15: 'M15',
+  30: 'M30',
+  60: 'H1',
+  240: 'H4',
+  1440: 'D1',
+  10080: 'W1',
+  43200: 'MN'
+};
+
+const UNIT_MINUTES = { minute: 1, hour: 60, day: 1440, week: 10080, month: 43200 };
+
+// "1H", "4h", "15m", "15 min", "1D", "1W", "1M" (TradingView: upper-case M is a month)
+const NUMBER_UNIT_PATTERN = /(?<![\w.])(\d{1,3})\s?(minutes?|mins?|hours?|hrs?|days?|weeks?|months?|mo|m|h|d|w)(?![\w.])/gi;
+// "M15", "H4", "D1", "W1", "MN1" (MetaTrader)
+const METATRADER_PATTERN = /(?<![\w.])(MN|M|H|D|W)(\d{1,2})?(?![\w.])/g;
+const WORD_PATTERN = /\b(hourly|daily|weekly|monthly)\b/i;
+const WORD_MINUTES = { hourly: 60, daily: 1440, weekly: 10080, monthly: 43200 };
+
+// "OANDA:XAUUSD" -> "XAUUSD"; separators around the symbol belong to the legend layout
+const TOKEN_PATTERN = /[A-Za-z0-9&/.#+:!-]+/g;
+
+function levenshtein(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let match;
+  TOKEN_PATTERN.lastIndex = 0;
+  while ((match = TOKEN_PATTERN.exec(text)) !== null) {
+    const raw = match[0].replace(/[.:!-]+$/, '');
+    const word = raw.includes(':') ? raw.split(':').pop() : raw;
+    if (/[A-Za-z0-9]/.test(word)) tokens.push({ word, index: match.index, end: match.index + raw.length });
+  }
+  return tokens;
+}
+
+// Broker suffixes: "EURUSD.m", "XAUUSDm", "GOLD#", "EURUSD.pro", "BTCUSD+"
+function withoutBrokerSuffix(word) {
+  return word
+    .replace(/\.[a-z]{1,4}$/i, '')
+    .replace(/[#+!]$/, '')
+    .replace(/^([A-Z0-9]{6,})[a-z]{1,3}$/, '$1');
+}
+
+function letters(word) {
+  return word.toUpperCase().replace(/[0-9]/g, digit => LOOKALIKE_LETTERS[digit] || digit);
+}
+
+// Names (symbols and aliases without separators) long enough to be matched approximately
+function fuzzyNames(instruments) {
+  return instruments.list().flatMap(instrument => [instrument.symbol, ...instrument.aliases]
+    .map(name => name.replace(/[^A-Z0-9]/g, ''))
+    .filter(name => name.length >= 5)
+    .map(name => ({ name, instrument })));
+}
+
+// Closest instrument to one word, or null when none is close or two are equally close
+function fuzzyMatch(word, names) {
+  const compact = word.toUpperCase().replace(/[^A-Z0-9]/g, '');
+  if (compact.length < 5) return null;
+
+  let best = null;
+  let ambiguous = false;
+
+  names.forEach(({ name, instrument }) => {
+    // A digit read in place of a letter costs a quarter edit, so "XAUU5D" is close but not exact
+    const distance = Math.min(levenshtein(compact, name), levenshtein(letters(compact), name) + 0.25);
+    const confidence = 1 - distance / Math.max(compact.length, name.length);
+
+    if (!best || confidence > best.confidence) {
+      best = { instrument, confidence };
+      ambiguous = false;
+    } else if (confidence === best.confidence && instrument !== best.instrument) {
+      ambiguous = true;
+    }
+  });
+
+  return best && !ambiguous && best.confidence >= MIN_FUZZY_CONFIDENCE ? best : null;
+}
+
+/**
+ * First instrument named in the text. Exact names (symbol, alias, "EUR/USD", broker suffix)
+ * win over approximate ones; "XAU USD" is tried as one word too.
+ * @returns {{symbol: string, matched: string, confidence: number, end: number} | null}
+ */
+function detectSymbol(text, instruments) {
+  const tokens = tokenize(text);
+  const candidates = [];
+
+  // Longest run first at each position, so "EUR / USD" is matched as a whole
+  tokens.forEach((token, i) => {
+    for (let span = 3; span >= 1; span--) {
+      const run = tokens.slice(i, i + span);
+      const spaced = run.length === span && run.every((t, k) => k === 0 || t.index - run[k - 1].end <= 3);
+      if (!spaced) continue;
+
+      const last = run[run.length - 1];
+      candidates.push({ word: run.map(t => t.word).join(''), matched: text.slice(token.index, last.end), end: last.end });
+    }
+  });
+
+  for (const candidate of candidates) {
+    const exact = instruments.resolve(candidate.word);
+    const suffixed = !exact && instruments.resolve(withoutBrokerSuffix(candidate.word));
+    const instrument = exact || suffixed;
+
+    if (instrument) {
+      return {
+        symbol: instrument.symbol,
+        matched: candidate.matched,
+        confidence: exact ? 1 : 0.95,
+        end: candidate.end
+      };
+    }
+  }
+
+  const names = fuzzyNames(instruments);
+  let best = null;
+  tokens.forEach(token => {
+    const match = fuzzyMatch(token.word, names);
+    if (match && (!best || match.confidence > best.confidence)) {
+      best = {
+        symbol: match.instrument.symbol,
+        matched: token.word,
+        confidence: parseFloat(match.confidence.toFixed(2)),
+        end: token.end
+      };
+    }
+  });
+
+  return best;
+}
+
+function unitMinutes(unit) {
+  if (unit === 'M') return UNIT_MINUTES.month;
+  const lower = unit.toLowerCase();
+  if (lower === 'm' || lower.startsWith('min')) return UNIT_MINUTES.minute;
+  if (lower === 'mo' || lower.startsWith('month')) return UNIT_MINUTES.month;
+  if (lower.startsWith('h')) return UNIT_MINUTES.hour;
+  if (lower.startsWith('d')) return UNIT_MINUTES.day;
+  return UNIT_MINUTES.week;
+}
+
+function timeframeFromMinutes(minutes, timeframes) {
+  const timeframe = MINUTES_TO_TIMEFRAME[minutes];
+  return timeframe && timeframes.includes(timeframe) ? timeframe : null;
+}
+
+function metaTraderTimeframe(prefix, digits, timeframes) {
+  const name = prefix === 'MN' ? 'MN' : `${prefix}${digits || ''}`;
+  if (prefix !== 'MN' && !digits) return null;
+  return timeframes.includes(name) ? name : null;
+}
+
+/**
+ * Chart timeframe named in the text. A bare interval right after the symbol
+ * ("XAUUSD, 240", "XAUUSD · D") counts too; elsewhere a number alone is not a timeframe.
+ * @param {string} text
+ * @param {Object} options
+ * @param {string[]} options.timeframes - supported timeframes (TIMEFRAMES)
+ * @param {number} [options.symbolEnd] - offset where the detected symbol ends
+ * @returns {{timeframe: string, matched: string} | null}
+ */
+function detectTimeframe(text, { timeframes, symbolEnd = null }) {
+  if (symbolEnd !== null) {
+    const after = text.slice(symbolEnd).match(/^\s*[,·•|:-]?\s*(\d{1,5}|[DWM])(?![\w.])/);
+    if (after) {
+      const value = after[1];
+      const minutes = /^\d+$/.test(value) ? Number(value) : { D: 1440, W: 10080, M: 43200 }[value];
+      const timeframe = timeframeFromMinutes(minutes, timeframes);
+      if (timeframe) return { timeframe, matched: value };
+    }
+  }
+
+  const found = [];
+  let match;
+
+  NUMBER_UNIT_PATTERN.lastIndex = 0;
+  while ((match = NUMBER_UNIT_PATTERN.exec(text)) !== null) {
+    const timeframe = timeframeFromMinutes(Number(match[1]) * unitMinutes(match[2]), timeframes);
+    if (timeframe) found.push({ timeframe, matched: match[0], index: match.index });
+  }
+
+  METATRADER_PATTERN.lastIndex = 0;
+  while ((match = METATRADER_PATTERN.exec(text)) !== null) {
+    const timeframe = metaTraderTimeframe(match[1], match[2], timeframes);
+    if (timeframe) found.push({ timeframe, matched: match[0], index: match.index });
+  }
+
+  const word = text.match(WORD_PATTERN);
+  if (word) {
+    const timeframe = timeframeFromMinutes(WORD_MINUTES[word[1].toLowerCase()], timeframes);
+    if (timeframe) found.push({ timeframe, matched: word[0], index: word.index });
+  }
+
+  if (found.length === 0) return null;
+
+  // Closest to the symbol, otherwise the first one in the text
+  const anchor = symbolEnd ?? 0;
+  const [first] = found.sort((a, b) => Math.abs(a.index - anchor) - Math.abs(b.index - anchor));
+  return { timeframe: first.timeframe, matched: first.matched };
+}
+
+/**
+ * Symbol and timeframe shown on a chart, from the legend first and the rest of the text second.
+ * @param {string[]} texts - OCR text in order of trust (legend, then everything)
+ * @param {Object} options
+ * @param {Object} options.instruments - InstrumentRegistry
+ * @param {string[]} options.timeframes - supported timeframes
+ * @returns {{symbol: Object|null, timeframe: Object|null}}
+ */
+function detectChartIdentity(texts, { instruments, timeframes }) {
+  let symbol = null;
+  let timeframe = null;
+
+  for (const text of texts.filter(Boolean)) {
+    const found = symbol ? null : detectSymbol(text, instruments);
+    if (found) {
+      symbol = { symbol: found.symbol, matched: found.matched, confidence: found.confidence };
+    }
+    if (!timeframe) {
+      timeframe = detectTimeframe(text, { timeframes, symbolEnd: found ? found.end : null });
+    }
+  }
+
+  return { symbol, timeframe };
+}
+
+module.exports = {
+  detectChartIdentity,
+  detectSymbol,
+  detectTimeframe,
+  levenshtein
+};
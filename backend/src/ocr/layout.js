@@ -0,0 +1,174 @@
+const sharp = require('sharp');
+
+// Layout detection works on a downscaled copy; boxes are scaled back to the input size
+const ANALYSIS_WIDTH = 800;
+// Grey-level distance from the background that counts as "ink"
+const INK_THRESHOLD = 40;
+// Share of a row/column that must be ink for it to be a separator line
+const LINE_COVERAGE = 0.85;
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+function box(left, top, width, height) {
+  return {
+    left: Math.round(left),
+    top: Math.round(top),
+    width: Math.max(1, Math.round(width)),
+    height: Math.max(1, Math.round(height))
+  };
+}
+
+// Most frequent grey level = chart background
+function backgroundLevel(data) {
+  const histogram = new Array(256).fill(0);
+  for (let i = 0; i < data.length; i += 7) histogram[data[i]]++;
+  return histogram.indexOf(Math.max(...histogram));
+}
+
+function inkRatioRow(pixels, y, x0, x1, bg) {
+  const { data, width } = pixels;
+  let ink = 0;
+  for (let x = x0; x < x1; x++) {
+    if (Math.abs(data[y * width + x] - bg) > INK_THRESHOLD) ink++;
+  }
+  return ink / Math.max(1, x1 - x0);
+}
+
+function inkRatioColumn(pixels, x, y0, y1, bg) {
+  const { data, width } = pixels;
+  let ink = 0;
+  for (let y = y0; y < y1; y++) {
+    if (Math.abs(data[y * width + x] - bg) > INK_THRESHOLD) ink++;
+  }
+  return ink / Math.max(1, y1 - y0);
+}
+
+// Thin lines only: a solid block of ink (candle body, filled area) is not a separator
+function findLines(count, ratioAt, from, to) {
+  const lines = [];
+  let start = null;
+
+  for (let i = from; i <= to; i++) {
+    const isLine = i < to && ratioAt(i) >= LINE_COVERAGE;
+
+    if (isLine && start === null) start = i;
+    if (!isLine && start !== null) {
+      const before = start - 3 >= 0 ? ratioAt(start - 3) : 0;
+      const after = i + 2 < count ? ratioAt(i + 2) : 0;
+      if (i - start <= 3 && before < 0.5 && after < 0.5) {
+        lines.push(Math.round((start + i - 1) / 2));
+      }
+      start = null;
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Layout of a single-channel pixel buffer (pure, used by detectLayout and tests).
+ * @param {{data: Uint8Array, width: number, height: number}} pixels - 1 byte per pixel
+ * @returns {{width, height, regions: {main, priceAxis, timeAxis, legend, panes}, detected: Object}}
+ */
+function detectLayoutFromPixels(pixels) {
+  const { width, height } = pixels;
+  const bg = backgroundLevel(pixels.data);
+
+  // Price scale: right-most vertical separator in the right 40% of the image
+  const columns = findLines(width, x => inkRatioColumn(pixels, x, 0, height, bg), Math.floor(width * 0.6), width - 5);
+  const axisX = columns.length > 0
+    ? columns[columns.length - 1]
+    : width - clamp(width * 0.08, 50, 140);
+
+  // Horizontal separators across the plot area: pane borders and the time axis border
+  const rows = findLines(height, y => inkRatioRow(pixels, y, 0, Math.floor(axisX), bg), Math.floor(height * 0.1), height - 3);
+  const timeAxisLine = rows.length > 0 && rows[rows.length - 1] > height * 0.85
+    ? rows[rows.length - 1]
+    : null;
+  const timeAxisY = timeAxisLine !== null
+    ? timeAxisLine
+    : height - clamp(height * 0.04, 18, 40);
+
+  // Pane borders split the plot into the main chart and indicator sub-panes
+  const borders = rows.filter(y => y !== timeAxisLine && y < timeAxisY);
+  const edges = [0, ...borders, timeAxisY];
+  const segments = [];
+  for (let i = 0; i < edges.length - 1; i++) {
+    if (edges[i + 1] - edges[i] >= height * 0.06) {
+      segments.push({ top: edges[i], bottom: edges[i + 1] });
+    }
+  }
+
+  const [main, ...panes] = segments.length > 0 ? segments : [{ top: 0, bottom: timeAxisY }];
+  const mainHeight = main.bottom - main.top;
+
+  return {
+    width,
+    height,
+    regions: {
+      main: box(0, main.top, axisX, mainHeight),
+      priceAxis: box(axisX + 1, main.top, width - axisX - 1, mainHeight),
+      timeAxis: box(0, timeAxisY + 1, axisX, height - timeAxisY - 1),
+      legend: box(0, main.top, axisX * 0.5, clamp(mainHeight * 0.12, 30, 120)),
+      panes: panes.map(pane => ({
+        box: box(0, pane.top + 1, axisX, pane.bottom - pane.top - 1),
+        // Indicator name and values are printed in the top-left corner of the pane
+        header: box(0, pane.top + 1, axisX * 0.6, clamp((pane.bottom - pane.top) * 0.3, 16, 40))
+      }))
+    },
+    detected: {
+      priceAxis: columns.length > 0,
+      timeAxis: timeAxisLine !== null,
+      paneBorders: borders.length
+    }
+  };
+}
+
+function scaleBox(b, factor, maxWidth, maxHeight) {
+  const left = clamp(Math.floor(b.left * factor), 0, maxWidth - 1);
+  const top = clamp(Math.floor(b.top * factor), 0, maxHeight - 1);
+  return {
+    left,
+    top,
+    width: clamp(Math.round(b.width * factor), 1, maxWidth - left),
+    height: clamp(Math.round(b.height * factor), 1, maxHeight - top)
+  };
+}
+
+/**
+ * Locates price scale, time axis, indicator sub-panes and legend on a chart screenshot.
+ * @param {Buffer} imageBuffer
+ * @returns {Promise<Object>} layout with boxes in the input image's pixel coordinates
+ */
+async function detectLayout(imageBuffer) {
+  const { width, height } = await sharp(imageBuffer).metadata();
+  const analysisWidth = Math.min(width, ANALYSIS_WIDTH);
+
+  const { data, info } = await sharp(imageBuffer)
+    .resize({ width: analysisWidth })
+    .grayscale()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const layout = detectLayoutFromPixels({ data, width: info.width, height: info.height });
+  const factor = width / info.width;
+  const scale = b => scaleBox(b, factor, width, height);
+  const { regions } = layout;
+
+  return {
+    width,
+    height,
+    regions: {
+      main: scale(regions.main),
+      priceAxis: scale(regions.priceAxis),
+      timeAxis: scale(regions.timeAxis),
+      legend: scale(regions.legend),
+      panes: regions.panes.map(pane => ({ box: scale(pane.box), header: scale(pane.header) }))
+    },
+    detected: layout.detected
+  };
+}
+
+module.exports = { detectLayout, detectLayoutFromPixels };
@@ -0,0 +1,178 @@
+const { parsePrice } = require('../validation/analysis-schema');
+
+const FULL_WHITELIST = '0123456789.$%:,-+ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz /()[]';
+
+/**
+ * Tesseract settings per chart region. `scale` enlarges small axis text before OCR.
+ * PSM 6 = uniform block, 11 = sparse text (labels spread along an axis).
+ */
+const REGION_OCR_SETTINGS = {
+  legend: {
+    scale: 2,
+    parameters: { tessedit_pageseg_mode: '6', tessedit_char_whitelist: FULL_WHITELIST }
+  },
+  priceAxis: {
+    scale: 2,
+    parameters: { tessedit_pageseg_mode: '6', tessedit_char_whitelist: '0123456789.,-' }
+  },
+  timeAxis: {
+    scale: 2,
+    parameters: { tessedit_pageseg_mode: '11', tessedit_char_whitelist: FULL_WHITELIST }
+  },
+  pane: {
+    scale: 2,
+    parameters: { tessedit_pageseg_mode: '6', tessedit_char_whitelist: FULL_WHITELIST }
+  }
+};
+
+// `values` = how many readings the pane header ends with
+const PANE_TYPES = [
+  { type: 'rsi', pattern: /\bRSI\b|Relative Strength/i, values: 1 },
+  { type: 'macd', pattern: /\bMACD\b/i, values: 3 },
+  { type: 'stochastic', pattern: /\bStoch/i, values: 2 },
+  { type: 'volume', pattern: /\bVol(ume)?\b/i, values: 1 },
+  { type: 'atr', pattern: /\bATR\b/i, values: 1 }
+];
+
+// Readings after the indicator name. "(14, close)" lists are dropped; inline settings
+// ("MACD 12 26 close 9 ...") come first, so only the last `count` numbers are kept.
+function valuesAfterName(text, { pattern, values: count }) {
+  const match = text.match(pattern);
+  const rest = match ? text.slice(match.index + match[0].length) : text;
+  const withoutParams = rest.replace(/\([^)]*\)/g, ' ');
+
+  const numbers = (withoutParams.match(/[-−]?\d+(?:[.,]\d+)?/g) || [])
+    .map(token => {
+      const negative = /^[-−]/.test(token);
+      const value = parsePrice(token.replace(/^[-−]/, ''));
+      return negative ? -value : value;
+    })
+    .filter(Number.isFinite);
+
+  return numbers.slice(-count);
+}
+
+// One price scale label -> price, or null for anything else ("USD", countdowns, ...)
+function parsePriceLabel(line) {
+  const match = line.trim().match(/^-?\d[\d.,]*\d$/);
+  const value = match ? parsePrice(match[0]) : NaN;
+  return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Price scale text (one label per line) -> sorted unique levels.
+ */
+function parsePriceAxis(text) {
+  const levels = (text || '').split('\n')
+    .map(parsePriceLabel)
+    .filter(value => value !== null);
+
+  return [...new Set(levels)].sort((a, b) => a - b);
+}
+
+/**
+ * Price scale OCR lines with their vertical position -> { price, y } pairs for calibration.
+ * @param {Array<{text: string, y: number}>} lines
+ */
+function parsePriceAxisLabels(lines) {
+  return (lines || [])
+    .map(line => ({ price: parsePriceLabel(line.text), y: line.y }))
+    .filter(label => label.price !== null);
+}
+
+/**
+ * Time axis text -> labels such as "12:00", "15 Jan", "Tue", "2024".
+ */
+function parseTimeAxis(text) {
+  const pattern = /\b(\d{1,2}:\d{2}|\d{1,2} [A-Z][a-z]{2}|[A-Z][a-z]{2} \d{1,2}(?![:\d])|Mon|Tue|Wed|Thu|Fri|Sat|Sun|Jan|Feb|Mar|Apr|May|Jun|Jul|Aug|Sep|Oct|Nov|Dec|(?:19|20)\d{2})\b/g;
+  return (text || '').match(pattern) || [];
+}
+
+/**
+ * Indicator sub-pane header text -> { type, values }.
+ * MACD panes print MACD, signal and histogram in vendor-specific order; the histogram
+ * is recognised as the value equal to the difference of the other two.
+ */
+function parseIndicatorPane(text) {
+  const source = text || '';
+  const match = PANE_TYPES.find(p => p.pattern.test(source));
+  const type = match ? match.type : 'unknown';
+  const numbers = match ? valuesAfterName(source, match) : [];
+  const values = {};
+
+  if (type === 'rsi' && numbers.length > 0 && numbers[0] >= 0 && numbers[0] <= 100) {
+    values.RSI = numbers[0];
+  }
+
+  if (type === 'macd' && numbers.length > 0) {
+    const [a, b, c] = numbers;
+    const close = (x, y) => Math.abs(x - y) <= Math.max(Math.abs(x), Math.abs(y)) * 0.05 + 1e-9;
+
+    if (numbers.length >= 3 && close(a, b - c)) {
+      Object.assign(values, { MACD_histogram: a, MACD: b, MACD_signal: c });
+    } else if (numbers.length >= 3) {
+      Object.assign(values, { MACD: a, MACD_signal: b, MACD_histogram: c });
+    } else {
+      values.MACD = a;
+      if (b !== undefined) values.MACD_signal = b;
+    }
+  }
+
+  if (type === 'stochastic' && numbers.length > 0) {
+    values.STOCH_K = numbers[0];
+    if (numbers[1] !== undefined) values.STOCH_D = numbers[1];
+  }
+
+  if (type === 'atr' && numbers.length > 0) {
+    values.ATR = numbers[0];
+  }
+
+  return { type, values };
+}
+
+/**
+ * Legend text (symbol, timeframe, OHLC readout, overlay MAs) -> { labels, indicators, ohlc }.
+ */
+function parseLegend(text) {
+  const source = text || '';
+  const indicators = {};
+  const ohlc = {};
+
+  // "EMA (20, close) 2031.5", "EMA20 2031.5", "MA 50 close 2025"
+  const maPattern = /\b(EMA|SMA|MA|WMA)\s*(?:\(\s*(\d+)[^)]*\)|(\d{1,3})\b(?:\s+[a-z]+\d*)*)?\s*[:=]?\s*(\d[\d.,]*\d)/gi;
+  let maMatch;
+  while ((maMatch = maPattern.exec(source)) !== null) {
+    const key = `${maMatch[1].toUpperCase()}${maMatch[2] || maMatch[3] || ''}`;
+    const value = parsePrice(maMatch[4]);
+    if (Number.isFinite(value)) indicators[key] = value;
+  }
+
+  const ohlcPattern = /\b([OHLC])\s*[:=]?\s*(\d[\d.,]*\d)/g;
+  const names = { O: 'open', H: 'high', L: 'low', C: 'close' };
+  let ohlcMatch;
+  while ((ohlcMatch = ohlcPattern.exec(source)) !== null) {
+    const value = parsePrice(ohlcMatch[2]);
+    if (Number.isFinite(value) && ohlc[names[ohlcMatch[1]]] === undefined) {
+      ohlc[names[ohlcMatch[1]]] = value;
+    }
+  }
+
+  // Remaining words: symbol, timeframe, exchange, ...
+  const labels = (source.match(/[A-Za-z0-9][A-Za-z0-9!/.]*/g) || [])
+    .map(word => word.replace(/[.]$/, ''))
+    .filter(word => word.length >= 2 && /[A-Za-z]/.test(word))
+    .filter(word => !/^(EMA|SMA|MA|WMA)\d*$/i.test(word))
+    .filter(word => !/^[OHLC][\d.,]+$/.test(word))
+    .filter(word => !/^(open|high|low|close|hl2|hlc3|ohlc4)$/i.test(word));
+
+  return { labels: [...new Set(labels)], indicators, ohlc };
+}
+
+module.exports = {
+  REGION_OCR_SETTINGS,
+  parsePriceAxis,
+  parsePriceAxisLabels,
+  parseTimeAxis,
+  parseIndicatorPane,
+  parseLegend
+};
@@ -0,0 +1,222 @@
+const { createWorker } = require('tesseract.js');
+
+// Rejects with `message` after `ms` unless `promise` settles first
+function withTimeout(promise, ms, message, onTimeout) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      if (onTimeout) onTimeout();
+      reject(new Error(`${message} timed out after ${ms}ms`));
+    }, ms);
+  });
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Warm, size-limited pool of Tesseract workers.
+ *
+ * - Workers are created up front by start() (or lazily on first use) and reused.
+ * - Every recognize() and every worker start is bounded by `timeoutMs`.
+ * - A worker is recycled after `maxJobsPerWorker` jobs, after a timeout or when it errors.
+ * - When a worker cannot be started (e.g. language data unavailable) new starts are
+ *   paused for `timeoutMs` so callers fail fast instead of piling up hung workers.
+ */
+class OcrWorkerPool {
+  constructor({ size = 1, language = 'eng', timeoutMs = 30000, maxJobsPerWorker = 200, parameters = {}, factory } = {}) {
+    this.size = size;
+    this.language = language;
+    this.timeoutMs = timeoutMs;
+    this.maxJobsPerWorker = maxJobsPerWorker;
+    this.parameters = parameters;
+    // Injectable for tests: factory(errorHandler) -> Promise<worker>
+    this.factory = factory || ((errorHandler) => createWorker(language, 1, { errorHandler }));
+
+    this.workers = [];
+    this.waiting = [];
+    this.starting = 0;
+    this.nextId = 0;
+    this.closed = false;
+    this.unavailableUntil = 0;
+    this.lastError = null;
+    this.counters = { created: 0, jobs: 0, failures: 0, timeouts: 0, recycled: 0 };
+  }
+
+  // Fill the pool; start failures are logged, recognize() retries later
+  async start() {
+    const missing = this.size - this.workers.length - this.starting;
+    const results = await Promise.allSettled(
+      Array.from({ length: Math.max(missing, 0) }, () => this.spawn({ busy: false }))
+    );
+    const failed = results.filter(r => r.status === 'rejected');
+
+    if (failed.length > 0) {
+      console.warn(`⚠️ OCR pool: ${failed.length}/${results.length} workers failed to start: ${failed[0].reason.message}`);
+    }
+    return this.stats();
+  }
+
+  async spawn({ busy }) {
+    this.starting++;
+    const entry = { id: ++this.nextId, worker: null, busy: busy, jobs: 0, crashed: false, customParameters: false };
+    let worker = null;
+
+    try {
+      // errorHandler fires for load errors too, in which case createWorker never settles
+      const created = new Promise((resolve, reject) => {
+        let ready = false;
+        this.factory((error) => {
+          this.lastError = String(error?.message || error);
+          if (ready) {
+            entry.crashed = true;
+            // Idle workers are dropped right away, busy ones when their job ends
+            if (!entry.busy && this.workers.includes(entry)) this.retire(entry);
+          } else {
+            reject(new Error(this.lastError));
+          }
+        }).then(worker => {
+          ready = true;
+          resolve(worker);
+        }, reject);
+      });
+
+      // A worker that only starts after the timeout is not wanted any more
+      worker = await withTimeout(created, this.timeoutMs, 'OCR worker start', () => {
+        created.then(late => late.terminate()).catch(() => {});
+      });
+      await worker.setParameters(this.parameters);
+
+      entry.worker = worker;
+      this.counters.created++;
+
+      if (this.closed) {
+        throw new Error('OCR pool is closed');
+      }
+
+      this.workers.push(entry);
+      return entry;
+
+    } catch (error) {
+      // Started but never pooled: terminate it, or its thread and memory leak
+      if (worker) {
+        await worker.terminate().catch(() => {});
+      }
+      this.lastError = error.message;
+      this.unavailableUntil = Date.now() + this.timeoutMs;
+      throw error;
+    } finally {
+      this.starting--;
+    }
+  }
+
+  async acquire() {
+    if (this.closed) {
+      throw new Error('OCR pool is closed');
+    }
+
+    const idle = this.workers.find(entry => !entry.busy);
+    if (idle) {
+      idle.busy = true;
+      return idle;
+    }
+
+    if (this.workers.length + this.starting < this.size) {
+      if (Date.now() < this.unavailableUntil) {
+        throw new Error(`OCR worker unavailable: ${this.lastError}`);
+      }
+      return this.spawn({ busy: true });
+    }
+
+    return new Promise((resolve, reject) => this.waiting.push({ resolve, reject }));
+  }
+
+  release(entry) {
+    if (entry.crashed || entry.jobs >= this.maxJobsPerWorker) {
+      this.retire(entry);
+    } else {
+      entry.busy = false;
+    }
+
+    const next = this.waiting.shift();
+    if (next) {
+      this.acquire().then(next.resolve, next.reject);
+    }
+  }
+
+  retire(entry) {
+    this.workers = this.workers.filter(w => w !== entry);
+    this.counters.recycled++;
+    entry.worker.terminate().catch(() => {});
+  }
+
+  /**
+   * @param {Buffer} image
+   * @param {Object} [options] - tesseract recognize() options (rectangle, rotateAuto, ...)
+   * @param {Object} [parameters] - per-job overrides of the pool's tesseract parameters
+   * @returns {Promise<Object>} tesseract result ({ data: { text, ... } })
+   */
+  async recognize(image, options = {}, parameters = null) {
+    const entry = await this.acquire();
+
+    try {
+      const result = await withTimeout(
+        this.applyParameters(entry, parameters).then(() => entry.worker.recognize(image, options)),
+        this.timeoutMs,
+        'OCR',
+        () => this.counters.timeouts++
+      );
+      entry.jobs++;
+      this.counters.jobs++;
+      return result;
+
+    } catch (error) {
+      // A worker that timed out may still be busy - never hand it out again
+      entry.crashed = true;
+      this.counters.failures++;
+      this.lastError = error.message;
+      throw error;
+
+    } finally {
+      this.release(entry);
+    }
+  }
+
+  // Workers keep parameters between jobs, so reset them after an override
+  async applyParameters(entry, parameters) {
+    if (parameters) {
+      await entry.worker.setParameters({ ...this.parameters, ...parameters });
+      entry.customParameters = true;
+    } else if (entry.customParameters) {
+      await entry.worker.setParameters(this.parameters);
+      entry.customParameters = false;
+    }
+  }
+
+  stats() {
+    const busy = this.workers.filter(entry => entry.busy).length;
+
+    return {
+      size: this.size,
+      workers: this.workers.length,
+      busy: busy,
+      idle: this.workers.length - busy,
+      starting: this.starting,
+      waiting: this.waiting.length,
+      maxJobsPerWorker: this.maxJobsPerWorker,
+      timeoutMs: this.timeoutMs,
+      available: Date.now() >= this.unavailableUntil,
+      ...this.counters,
+      lastError: this.lastError
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    this.waiting.splice(0).forEach(w => w.reject(new Error('OCR pool is closed')));
+
+    const workers = this.workers.splice(0);
+    await Promise.allSettled(workers.map(entry => entry.worker.terminate()));
+  }
+}
+
+module.exports = OcrWorkerPool;
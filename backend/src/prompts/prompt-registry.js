@@ -0,0 +1,193 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+
+// Built-in templates; PROMPTS_DIR adds to (and can override) these
+const BUILTIN_DIR = path.join(__dirname, 'templates');
+
+// `<name>@<version>.md`, e.g. default@1.7.0.md
+const FILE_PATTERN = /^([a-z0-9][a-z0-9_-]*)@(\d+\.\d+\.\d+)\.md$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+class PromptTemplateError extends Error {
+  constructor(message, code = 'INVALID_PROMPT_TEMPLATE') {
+    super(message);
+    this.name = 'PromptTemplateError';
+    this.code = code;
+  }
+}
+
+function compareVersions(a, b) {
+  const left = a.split('.').map(Number);
+  const right = b.split('.').map(Number);
+  for (let i = 0; i < 3; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  return 0;
+}
+
+/**
+ * Template file: YAML front matter (`system`, optional `description` and `tradeTypes`)
+ * followed by the user message with `{{variable}}` placeholders.
+ */
+function parseTemplateFile(filePath, { variables }) {
+  const match = path.basename(filePath).match(FILE_PATTERN);
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const parts = raw.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n([\s\S]*)$/);
+
+  if (!parts) {
+    throw new PromptTemplateError(`${filePath}: missing front matter (--- ... ---)`);
+  }
+
+  let meta;
+  try {
+    meta = yaml.load(parts[1]) || {};
+  } catch (error) {
+    throw new PromptTemplateError(`${filePath}: invalid front matter (${error.message})`);
+  }
+
+  const template = {
+    id: `${match[1]}@${match[2]}`,
+    name: match[1],
+    version: match[2],
+    description: meta.description || '',
+    tradeTypes: meta.tradeTypes || [],
+    system: String(meta.system || '').trim(),
+    user: parts[2].trimEnd(),
+    source: filePath
+  };
+
+  if (!template.system) {
+    throw new PromptTemplateError(`${filePath}: front matter needs a system message`);
+  }
+
+  if (!Array.isArray(template.tradeTypes)) {
+    throw new PromptTemplateError(`${filePath}: tradeTypes must be a list`);
+  }
+
+  // Typos in placeholders would silently render as empty text
+  const unknown = [...`${template.system}\n${template.user}`.matchAll(VARIABLE_PATTERN)]
+    .map(m => m[1])
+    .filter(name => !variables.includes(name));
+
+  if (unknown.length > 0) {
+    throw new PromptTemplateError(`${filePath}: unknown variables ${[...new Set(unknown)].join(', ')}`);
+  }
+
+  template.variables = [...new Set([...template.user.matchAll(VARIABLE_PATTERN)].map(m => m[1]))];
+  return template;
+}
+
+function renderText(text, values) {
+  return text.replace(VARIABLE_PATTERN, (_, name) => values[name] ?? '');
+}
+
+/**
+ * Versioned prompt templates loaded from disk at startup.
+ * A request gets (in order): the template it names, the template whose `tradeTypes`
+ * include its trade type, or `defaultTemplate`. A name without a version means its latest version.
+ */
+class PromptRegistry {
+  /**
+   * @param {Object} options
+   * @param {string[]} options.variables - placeholders templates may use
+   * @param {string} [options.extraDir] - more templates (PROMPTS_DIR)
+   * @param {string} [options.defaultTemplate]
+   */
+  constructor({ variables, extraDir = '', defaultTemplate = 'default', builtinDir = BUILTIN_DIR }) {
+    this.variables = variables;
+    this.defaultTemplate = defaultTemplate;
+    this.templates = new Map();
+
+    [builtinDir, extraDir].filter(Boolean).forEach(dir => this.loadDirectory(path.resolve(process.cwd(), dir)));
+
+    this.byTradeType = new Map();
+    this.latestTemplates().forEach(template => {
+      template.tradeTypes.forEach(tradeType => {
+        const claimed = this.byTradeType.get(tradeType);
+        if (claimed && claimed !== template.name) {
+          throw new PromptTemplateError(`Trade type "${tradeType}" is claimed by both ${claimed} and ${template.name}`);
+        }
+        this.byTradeType.set(tradeType, template.name);
+      });
+    });
+
+    this.resolve({ template: defaultTemplate });
+  }
+
+  loadDirectory(dir) {
+    let files;
+    try {
+      files = fs.readdirSync(dir).filter(file => FILE_PATTERN.test(file));
+    } catch (error) {
+      throw new PromptTemplateError(`Cannot read prompt templates from ${dir} (${error.code || error.message})`);
+    }
+
+    files.forEach(file => {
+      const template = parseTemplateFile(path.join(dir, file), { variables: this.variables });
+      this.templates.set(template.id, template);
+    });
+  }
+
+  versionsOf(name) {
+    return [...this.templates.values()]
+      .filter(template => template.name === name)
+      .sort((a, b) => compareVersions(a.version, b.version));
+  }
+
+  latestTemplates() {
+    const names = new Set([...this.templates.values()].map(template => template.name));
+    return [...names].map(name => this.versionsOf(name).pop());
+  }
+
+  /**
+   * @param {Object} selection
+   * @param {string} [selection.template] - `name` or `name@version`
+   * @param {string} [selection.tradeType]
+   * @returns {Object} the template
+   */
+  resolve({ template, tradeType } = {}) {
+    const wanted = template || this.byTradeType.get(tradeType) || this.defaultTemplate;
+    const [name, version] = wanted.split('@');
+    const found = version ? this.templates.get(wanted) : this.versionsOf(name).pop();
+
+    if (!found) {
+      throw new PromptTemplateError(`Unknown prompt template: ${wanted}`, 'UNKNOWN_PROMPT_TEMPLATE');
+    }
+    return found;
+  }
+
+  /**
+   * @returns {{template: Object, messages: Array<{role: string, content: string}>}}
+   */
+  render(template, values) {
+    return {
+      template,
+      messages: [
+        { role: 'system', content: renderText(template.system, values) },
+        { role: 'user', content: renderText(template.user, values) }
+      ]
+    };
+  }
+
+  // Summary for GET /api/prompts
+  list() {
+    return this.latestTemplates()
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(latest => ({
+        name: latest.name,
+        latest: latest.version,
+        versions: this.versionsOf(latest.name).map(template => template.version),
+        description: latest.description,
+        tradeTypes: latest.tradeTypes,
+        variables: latest.variables,
+        default: latest.name === this.defaultTemplate
+      }));
+  }
+}
+
+module.exports = {
+  PromptRegistry,
+  PromptTemplateError,
+  parseTemplateFile
+};
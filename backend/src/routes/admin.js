@@ -0,0 +1,126 @@
+const express = require('express');
+const { createAdminAuth } = require('../auth/api-keys');
+
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// null/'' = use the server default; otherwise a non-negative integer (positive for rate limits)
+function parseLimit(value, name, errors, { min }) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    errors.push(`${name} must be an integer >= ${min}`);
+    return null;
+  }
+  return number;
+}
+
+function parseKeyBody(body) {
+  const errors = [];
+  const name = String(body.name || '').trim();
+  
+  if (!name || name.length > 100) {
+    errors.push('name is required (max 100 characters)');
+  }
+  
+  return {
+    key: {
+      name,
+      rateLimit: parseLimit(body.rateLimit, 'rateLimit', errors, { min: 1 }),
+      dailyTokenQuota: parseLimit(body.dailyTokenQuota, 'dailyTokenQuota', errors, { min: 0 })
+    },
+    errors
+  };
+}
+
+function keyNotFound(req, res) {
+  return res.status(404).json({
+    error: 'API key not found',
+    code: 'KEY_NOT_FOUND',
+    id: req.params.id,
+    requestId: req.requestId
+  });
+}
+
+/**
+ * All routes need ADMIN_API_KEY.
+ * POST   /api/admin/keys      - issue a key (the plain key is only in this response)
+ * GET    /api/admin/keys      - all keys with today's token use
+ * GET    /api/admin/keys/:id  - one key
+ * DELETE /api/admin/keys/:id  - revoke a key
+ * GET    /api/admin/usage     - requests and tokens per key and per day (?from=&to=&apiKeyId=)
+ */
+function createAdminRouter({ keyStore, adminKey }) {
+  const router = express.Router();
+  
+  router.use(createAdminAuth(adminKey));
+  
+  router.post('/keys', (req, res) => {
+    const { key, errors } = parseKeyBody(req.body || {});
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid API key request: ${errors.join('; ')}`,
+        code: 'INVALID_KEY_REQUEST',
+        requestId: req.requestId
+      });
+    }
+    
+    const created = keyStore.create(key);
+    console.log(`🔑 [${req.requestId}] API key issued: ${created.name} (${created.prefix}…)`);
+    
+    res.status(201).json({
+      ...created,
+      warning: 'Store this key now - it cannot be shown again.',
+      requestId: req.requestId
+    });
+  });
+  
+  router.get('/keys', (req, res) => {
+    res.json({
+      items: keyStore.list(),
+      requestId: req.requestId
+    });
+  });
+  
+  router.get('/keys/:id', (req, res) => {
+    const key = keyStore.get(req.params.id);
+    if (!key) return keyNotFound(req, res);
+    
+    res.json({
+      ...key,
+      tokensToday: keyStore.tokensUsedToday(key.id),
+      requestId: req.requestId
+    });
+  });
+  
+  router.delete('/keys/:id', (req, res) => {
+    const key = keyStore.revoke(req.params.id);
+    if (!key) return keyNotFound(req, res);
+    
+    console.log(`🔑 [${req.requestId}] API key revoked: ${key.name} (${key.prefix}…)`);
+    res.json({ ...key, requestId: req.requestId });
+  });
+  
+  router.get('/usage', (req, res) => {
+    const { from, to, apiKeyId } = req.query;
+    
+    if ((from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) {
+      return res.status(400).json({
+        error: 'Invalid query: from/to must be YYYY-MM-DD',
+        code: 'INVALID_QUERY',
+        requestId: req.requestId
+      });
+    }
+    
+    res.json({
+      ...keyStore.usage({ from, to, apiKeyId }),
+      filters: { from, to, apiKeyId },
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createAdminRouter;
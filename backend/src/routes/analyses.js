@@ -0,0 +1,164 @@
+const express = require('express');
+const constants = require('../config/constants');
+const OutcomeStore = require('../storage/outcome-store');
+const { parseDate } = require('./query-dates');
+
+const ACTIONS = ['BUY', 'SELL', 'HOLD'];
+
+function parseListQuery(query) {
+  const errors = [];
+  const filters = {
+    symbol: query.symbol ? String(query.symbol).trim() : undefined,
+    timeframe: query.timeframe ? String(query.timeframe).toUpperCase().trim() : undefined,
+    action: query.action ? String(query.action).toUpperCase().trim() : undefined,
+    from: parseDate(query.from, 'from', errors),
+    to: parseDate(query.to, 'to', errors, { endOfDay: true }),
+    page: query.page !== undefined ? parseInt(query.page, 10) : 1,
+    limit: query.limit !== undefined ? parseInt(query.limit, 10) : 20
+  };
+  
+  if (filters.timeframe && !constants.TIMEFRAMES.includes(filters.timeframe)) {
+    errors.push(`timeframe must be one of ${constants.TIMEFRAMES.join(', ')}`);
+  }
+  if (filters.action && !ACTIONS.includes(filters.action)) {
+    errors.push(`action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (isNaN(filters.page) || filters.page < 1) {
+    errors.push('page must be a positive integer');
+  }
+  if (isNaN(filters.limit) || filters.limit < 1) {
+    errors.push('limit must be a positive integer');
+  }
+  
+  return { filters, errors };
+}
+
+function parseOutcomeBody(body) {
+  const errors = [];
+  const outcome = String(body.outcome || '').toLowerCase().trim();
+  const exitPrice = body.exitPrice !== undefined && body.exitPrice !== null && body.exitPrice !== ''
+    ? Number(body.exitPrice)
+    : undefined;
+  const closedAt = parseDate(body.closedAt, 'closedAt', errors);
+  
+  if (!OutcomeStore.OUTCOMES.includes(outcome)) {
+    errors.push(`outcome must be one of ${OutcomeStore.OUTCOMES.join(', ')}`);
+  }
+  if (exitPrice !== undefined && (!Number.isFinite(exitPrice) || exitPrice <= 0)) {
+    errors.push('exitPrice must be a positive number');
+  }
+  if (outcome === 'manual_close' && exitPrice === undefined) {
+    errors.push('exitPrice is required for manual_close');
+  }
+  
+  return {
+    outcome: { outcome, exitPrice, closedAt, notes: body.notes ? String(body.notes).substring(0, 500) : undefined },
+    errors
+  };
+}
+
+/**
+ * GET  /api/analyses              - paginated history with filters
+ * GET  /api/analyses/:id          - full stored analysis (incl. outcome)
+ * POST /api/analyses/:id/outcome  - record how a BUY/SELL signal played out
+ */
+function createAnalysesRouter({ store, outcomeStore, instruments }) {
+  const router = express.Router();
+  
+  router.get('/', (req, res) => {
+    const { filters, errors } = parseListQuery(req.query);
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid query: ${errors.join('; ')}`,
+        code: 'INVALID_QUERY',
+        requestId: req.requestId
+      });
+    }
+    
+    // Stored under the canonical symbol; aliases ("gold", "eur/usd") filter the same
+    if (filters.symbol) {
+      const instrument = instruments.resolve(filters.symbol);
+      if (!instrument) {
+        return res.status(400).json({
+          error: `Unknown instrument: ${filters.symbol}`,
+          code: 'UNKNOWN_INSTRUMENT',
+          requestId: req.requestId
+        });
+      }
+      filters.symbol = instrument.symbol;
+    }
+    
+    res.json({
+      ...store.list(filters),
+      filters: filters,
+      requestId: req.requestId
+    });
+  });
+  
+  router.get('/:id', (req, res) => {
+    const record = store.get(req.params.id);
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        code: 'ANALYSIS_NOT_FOUND',
+        id: req.params.id,
+        requestId: req.requestId
+      });
+    }
+    
+    res.json({
+      ...record,
+      outcome: outcomeStore.get(record.id),
+      requestId: req.requestId
+    });
+  });
+  
+  router.post('/:id/outcome', (req, res) => {
+    const record = store.get(req.params.id);
+    
+    if (!record) {
+      return res.status(404).json({
+        error: 'Analysis not found',
+        code: 'ANALYSIS_NOT_FOUND',
+        id: req.params.id,
+        requestId: req.requestId
+      });
+    }
+    
+    if (record.action === 'HOLD' || typeof record.entry !== 'number' || typeof record.sl !== 'number') {
+      return res.status(409).json({
+        error: 'Outcomes can only be recorded for BUY/SELL analyses with entry and stop loss',
+        code: 'NOT_A_TRADE',
+        id: record.id,
+        requestId: req.requestId
+      });
+    }
+    
+    const { outcome, errors } = parseOutcomeBody(req.body || {});
+    
+    // Scoring it at another level would report a result the plan never had
+    if (outcome.outcome === 'tp2_hit' && typeof record.tp2 !== 'number') {
+      errors.push('tp2_hit needs an analysis with a TP2');
+    }
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid outcome: ${errors.join('; ')}`,
+        code: 'INVALID_OUTCOME',
+        requestId: req.requestId
+      });
+    }
+    
+    res.json({
+      id: record.id,
+      outcome: outcomeStore.record(record, outcome),
+      requestId: req.requestId
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createAnalysesRouter;
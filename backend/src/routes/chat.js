@@ -0,0 +1,129 @@
+const express = require('express');
+const constants = require('../config/constants');
+
+function readChatBody(body) {
+  const errors = [];
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+  const updateDecision = body.updateDecision === true || String(body.updateDecision).toLowerCase() === 'true';
+  
+  if (!message) {
+    errors.push('message is required');
+  } else if (message.length > constants.CHAT_MAX_MESSAGE_LENGTH) {
+    errors.push(`message must be at most ${constants.CHAT_MAX_MESSAGE_LENGTH} characters`);
+  }
+  
+  return { message, updateDecision, errors };
+}
+
+/**
+ * GET  /api/analyses/:id/chat - follow-up conversation of a stored analysis
+ * POST /api/analyses/:id/chat - ask a follow-up question ({ message, updateDecision })
+ *
+ * The model sees the original prompt, its analysis and the last CHAT_HISTORY_MESSAGES
+ * messages. `updateDecision` asks for a revised decision, checked like a fresh one;
+ * the stored analysis itself is never changed.
+ */
+function createChatRouter({ store, chatStore, service, guards = [], onUsage = () => {} }) {
+  const router = express.Router({ mergeParams: true });
+  
+  function findAnalysis(req, res) {
+    const record = store.get(req.params.id);
+    
+    if (!record) {
+      res.status(404).json({
+        error: 'Analysis not found',
+        code: 'ANALYSIS_NOT_FOUND',
+        id: req.params.id,
+        requestId: req.requestId
+      });
+    }
+    return record;
+  }
+  
+  router.get('/', (req, res) => {
+    const record = findAnalysis(req, res);
+    if (!record) return;
+    
+    res.json({
+      analysisId: record.id,
+      messages: chatStore.list(record.id),
+      requestId: req.requestId
+    });
+  });
+  
+  router.post('/', ...guards, async (req, res, next) => {
+    try {
+      if (service.degraded) {
+        return res.status(503).json({
+          error: constants.MESSAGES.SERVICE_DEGRADED,
+          code: 'SERVICE_DEGRADED',
+          reason: service.degradedReason,
+          requestId: req.requestId,
+          timestamp: new Date().toISOString()
+        });
+      }
+      
+      const record = findAnalysis(req, res);
+      if (!record) return;
+      
+      const { message, updateDecision, errors } = readChatBody(req.body || {});
+      
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: `Invalid follow-up: ${errors.join('; ')}`,
+          code: 'INVALID_CHAT_MESSAGE',
+          requestId: req.requestId
+        });
+      }
+      
+      const reply = await service.followUp(record, {
+        message,
+        updateDecision,
+        history: chatStore.list(record.id)
+      });
+      
+      onUsage(req, { id: record.id, api_usage: reply.api_usage });
+      
+      const messages = chatStore.append(record.id, [
+        { role: 'user', content: message },
+        {
+          role: 'assistant',
+          content: reply.answer,
+          decision: reply.decision,
+          tradePlanCheck: reply.trade_plan_check,
+          totalTokens: reply.api_usage.total_tokens
+        }
+      ]);
+      
+      res.json({
+        analysisId: record.id,
+        reply: messages[messages.length - 1],
+        validation: reply.validation,
+        api_usage: reply.api_usage,
+        messages: messages,
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    
+    } catch (error) {
+      if (!error.message.startsWith('AI service error')) return next(error);
+      
+      // Calls made before the failure were billed all the same
+      if (error.usage) {
+        onUsage(req, { id: req.params.id, api_usage: error.usage });
+      }
+      
+      console.error(`❌ [${req.requestId}] Follow-up failed:`, error.message);
+      res.status(502).json({
+        error: error.message,
+        code: 'CHAT_FAILED',
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createChatRouter;
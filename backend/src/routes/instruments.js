@@ -0,0 +1,42 @@
+const express = require('express');
+
+/**
+ * GET /api/instruments - tradable instruments (optional ?assetClass=forex)
+ * GET /api/instruments/:symbol - one instrument, looked up by symbol or alias
+ */
+function createInstrumentsRouter({ instruments }) {
+  const router = express.Router();
+  
+  router.get('/', (req, res) => {
+    const assetClass = req.query.assetClass ? String(req.query.assetClass).toLowerCase().trim() : undefined;
+    
+    res.json({
+      items: instruments.list({ assetClass }),
+      assetClasses: instruments.assetClasses(),
+      sessions: instruments.sessions,
+      requestId: req.requestId
+    });
+  });
+  
+  router.get('/:symbol', (req, res) => {
+    const instrument = instruments.resolve(req.params.symbol);
+    
+    if (!instrument) {
+      return res.status(404).json({
+        error: `Unknown instrument: ${req.params.symbol}`,
+        code: 'UNKNOWN_INSTRUMENT',
+        requestId: req.requestId
+      });
+    }
+    
+    res.json({
+      ...instrument,
+      sessions: Object.fromEntries(instrument.sessions.map(name => [name, instruments.sessions[name]])),
+      requestId: req.requestId
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createInstrumentsRouter;
@@ -0,0 +1,78 @@
+const express = require('express');
+const { calculatePositionSize, sizeAnalysis, readAccount, toNumber } = require('../trading/position-sizing');
+
+const STATUS_BY_CODE = {
+  UNKNOWN_INSTRUMENT: 400,
+  CONVERSION_RATE_REQUIRED: 400,
+  INVALID_POSITION_INPUT: 400,
+  NOT_A_TRADE: 409
+};
+
+/**
+ * POST /api/position-size - lot size for a trade plan
+ *
+ * Body: accountBalance, riskPercent (default 1), accountCurrency, conversionRate, and either
+ * `analysisId` (entry/SL/TPs and recommended_position of a stored analysis) or
+ * symbol, action, entry, sl, tp1, tp2.
+ */
+function createPositionSizeRouter({ store }) {
+  const router = express.Router();
+  
+  router.post('/', (req, res) => {
+    const body = req.body || {};
+    const account = readAccount(body) || { balance: undefined, riskPercent: toNumber(body.riskPercent) ?? 1 };
+    
+    try {
+      let sizing;
+      let analysisId = null;
+      
+      if (body.analysisId) {
+        const record = store.get(String(body.analysisId));
+        
+        if (!record) {
+          return res.status(404).json({
+            error: 'Analysis not found',
+            code: 'ANALYSIS_NOT_FOUND',
+            id: body.analysisId,
+            requestId: req.requestId
+          });
+        }
+        
+        analysisId = record.id;
+        sizing = sizeAnalysis(record.result || {}, record.symbol, account);
+      } else {
+        sizing = calculatePositionSize({
+          ...account,
+          symbol: body.symbol,
+          action: body.action ? String(body.action).toUpperCase().trim() : undefined,
+          entry: toNumber(body.entry),
+          sl: toNumber(body.sl),
+          tp1: toNumber(body.tp1),
+          tp2: toNumber(body.tp2),
+          recommendedPosition: body.recommendedPosition
+        });
+      }
+      
+      res.json({
+        ...sizing,
+        analysisId: analysisId,
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    
+    } catch (error) {
+      if (!STATUS_BY_CODE[error.code]) throw error;
+      
+      res.status(STATUS_BY_CODE[error.code]).json({
+        error: error.message,
+        code: error.code,
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
+      });
+    }
+  });
+  
+  return router;
+}
+
+module.exports = createPositionSizeRouter;
@@ -0,0 +1,19 @@
+// Date without a time, e.g. 2024-05-01
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * ISO timestamp of a `from`/`to` query value; problems are pushed to `errors`.
+ * With `endOfDay`, a bare date means the whole day (UTC): `to=2024-05-01` includes May 1st.
+ */
+function parseDate(value, name, errors, { endOfDay = false } = {}) {
+  if (!value) return undefined;
+  const text = String(value).trim();
+  const date = new Date(endOfDay && DATE_ONLY.test(text) ? `${text}T23:59:59.999Z` : text);
+  if (isNaN(date.getTime())) {
+    errors.push(`${name} must be an ISO date`);
+    return undefined;
+  }
+  return date.toISOString();
+}
+
+module.exports = { parseDate };
@@ -0,0 +1,49 @@
+const express = require('express');
+const { parseDate } = require('./query-dates');
+
+/**
+ * GET /api/stats/signals - win rate, average R and expectancy of recorded outcomes
+ */
+function createStatsRouter({ outcomeStore, instruments }) {
+  const router = express.Router();
+  
+  router.get('/signals', (req, res) => {
+    const errors = [];
+    const filters = {
+      symbol: req.query.symbol ? String(req.query.symbol).trim() : undefined,
+      from: parseDate(req.query.from, 'from', errors),
+      to: parseDate(req.query.to, 'to', errors, { endOfDay: true })
+    };
+    
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: `Invalid query: ${errors.join('; ')}`,
+        code: 'INVALID_QUERY',
+        requestId: req.requestId
+      });
+    }
+    
+    // Aliases filter like the canonical symbol the analyses are stored under
+    if (filters.symbol) {
+      const instrument = instruments.resolve(filters.symbol);
+      if (!instrument) {
+        return res.status(400).json({
+          error: `Unknown instrument: ${filters.symbol}`,
+          code: 'UNKNOWN_INSTRUMENT',
+          requestId: req.requestId
+        });
+      }
+      filters.symbol = instrument.symbol;
+    }
+    
+    res.json({
+      ...outcomeStore.stats(filters),
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  });
+  
+  return router;
+}
+
+module.exports = createStatsRouter;
@@ -4,8 +4,28 @@ const multer = require('multer');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const compression = require('compression');
-const DeepSeekService = require('./services/deepseek-service');
+const DeepSeekService = require('./services/deepseek-services');
+const { openDatabase } = require('./storage/database');
+const AnalysisStore = require('./storage/analysis-store');
+const OutcomeStore = require('./storage/outcome-store');
+const CacheStore = require('./storage/cache-store');
+const ApiKeyStore = require('./storage/api-key-store');
+const ChatStore = require('./storage/chat-store');
+const { createAuthMiddleware, createQuotaGuard } = require('./auth/api-keys');
+const { ResultCache, cacheKey, imageFingerprint, dataFingerprint } = require('./cache/result-cache');
+const createAnalysesRouter = require('./routes/analyses');
+const createChatRouter = require('./routes/chat');
+const createStatsRouter = require('./routes/stats');
+const createAdminRouter = require('./routes/admin');
+const createPositionSizeRouter = require('./routes/position-size');
+const createInstrumentsRouter = require('./routes/instruments');
+const { sizeAnalysis, readAccount, accountErrors } = require('./trading/position-sizing');
+const JobQueue = require('./jobs/job-queue');
+const { parseCandles } = require('./market-data/candle-parser');
 const constants = require('./config/constants');
+const instruments = require('./instruments');
+const notifier = require('./notifications');
+const { redactConfig } = require('./config/loader');
 
 // Initialize Express
 const app = express();
@@ -29,9 +49,11 @@ app.use(compression());
 
 // CORS Configuration
 const corsOptions = {
-  origin: constants.CORS_ORIGIN === '*' ? '*' : constants.CORS_ORIGIN,
-  methods: ['GET', 'POST', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With'],
+  origin: constants.CORS_ORIGIN === '*'
+    ? '*'
+    : constants.CORS_ORIGIN.split(',').map(o => o.trim()).filter(Boolean),
+  methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key', 'X-Requested-With'],
   credentials: true,
   maxAge: 86400 // 24 hours
 };
@@ -44,9 +66,10 @@ app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
 // ========== RATE LIMITING ==========
+// Per API key when the request carries one (with the key's own limit), otherwise per IP
 const limiter = rateLimit({
   windowMs: constants.RATE_LIMIT_WINDOW_MS,
-  max: constants.RATE_LIMIT_MAX_REQUESTS,
+  max: (req) => req.apiKey?.rateLimit || constants.RATE_LIMIT_MAX_REQUESTS,
   message: {
     error: constants.MESSAGES.RATE_LIMIT_EXCEEDED,
     code: 'RATE_LIMIT_EXCEEDED',
@@ -54,8 +77,13 @@ const limiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
-  skipSuccessfulRequests: false,
+  // Cache hits do not count against the rate limit. Every request is counted when it arrives and
+  // express-rate-limit refunds the ones it deems "successful" after the response; here that means
+  // cache hits only, not every 2xx. (`skip` runs before the handler, so it cannot know about the cache.)
+  skipSuccessfulRequests: true,
+  requestWasSuccessful: (req, res) => res.locals.cacheHit === true,
   keyGenerator: (req) => {
+    if (req.apiKey) return `key:${req.apiKey.id}`;
     return req.ip || req.headers['x-forwarded-for'] || req.connection.remoteAddress;
   }
 });
@@ -100,18 +128,144 @@ const upload = multer({
   }
 });
 
+// OHLC data uploads (CSV / JSON exports)
+const dataUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: constants.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (constants.ALLOWED_DATA_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(constants.MESSAGES.INVALID_DATA_TYPE));
+    }
+  }
+});
+
+// Multi-timeframe uploads: `chart_<TF>` images and/or `data_<TF>` candle files
+const multiUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: constants.MAX_FILE_SIZE,
+    files: constants.MAX_TIMEFRAMES
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname.startsWith('data_')
+      ? constants.ALLOWED_DATA_TYPES
+      : constants.ALLOWED_IMAGE_TYPES;
+    
+    if (allowed.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(file.fieldname.startsWith('data_')
+        ? constants.MESSAGES.INVALID_DATA_TYPE
+        : constants.MESSAGES.INVALID_FILE_TYPE));
+    }
+  }
+});
+
+// Prompt preview: optional `chart` image or `data` candle file
+const previewUpload = multer({
+  storage: storage,
+  limits: {
+    fileSize: constants.MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    const allowed = file.fieldname === 'data'
+      ? constants.ALLOWED_DATA_TYPES
+      : constants.ALLOWED_IMAGE_TYPES;
+    
+    if (allowed.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(file.fieldname === 'data'
+        ? constants.MESSAGES.INVALID_DATA_TYPE
+        : constants.MESSAGES.INVALID_FILE_TYPE));
+    }
+  }
+});
+
 // ========== INITIALIZE SERVICES ==========
 console.log('🚀 Initializing Trading Chart Analyzer API...');
 console.log(`📊 Environment: ${constants.NODE_ENV}`);
-console.log(`🔑 API Key: ${constants.DEEPSEEK_API_KEY ? '✅ Configured' : '❌ NOT CONFIGURED!'}`);
+console.log(`🤖 AI Provider: ${constants.AI_PROVIDER}`);
+
+const deepseekService = new DeepSeekService();
+console.log(`🔑 API Key: ${deepseekService.degraded ? '❌ NOT CONFIGURED! (degraded mode)' : '✅ Configured'}`);
 
-if (!constants.DEEPSEEK_API_KEY || constants.DEEPSEEK_API_KEY.includes('********')) {
-  console.error('❌ CRITICAL: Please update your DeepSeek API key in src/config/constants.js');
-  console.error('❌ The application will not work without a valid API key!');
-  process.exit(1);
+if (constants.NODE_ENV === 'development') {
+  console.log('⚙️  Config:', redactConfig(constants));
 }
 
-const deepseekService = new DeepSeekService();
+const db = openDatabase(constants.DB_PATH);
+const analysisStore = new AnalysisStore(db);
+const outcomeStore = new OutcomeStore(db);
+const apiKeyStore = new ApiKeyStore(db);
+const chatStore = new ChatStore(db, { maxMessages: constants.CHAT_HISTORY_MESSAGES });
+console.log(`🗄️  Database: ${constants.DB_PATH}`);
+
+// Finished analyses keyed by input hash + parameters, so re-submits skip OCR and the AI
+const cacheStore = constants.CACHE_ENABLED && constants.CACHE_PERSIST ? new CacheStore(db) : null;
+const resultCache = constants.CACHE_ENABLED
+  ? new ResultCache({ maxEntries: constants.CACHE_MAX_ENTRIES, ttlMs: constants.CACHE_TTL_MS, store: cacheStore })
+  : null;
+if (cacheStore) cacheStore.prune();
+
+// Daily token quota per API key, checked before any OCR/AI work
+const quotaGuard = createQuotaGuard({ keyStore: apiKeyStore, defaultQuota: constants.DAILY_TOKEN_QUOTA });
+
+// Async analysis jobs: same pipeline as /api/analyze, result polled via GET /api/jobs/:id
+const jobQueue = new JobQueue({
+  concurrency: constants.JOB_CONCURRENCY,
+  maxQueued: constants.JOB_QUEUE_MAX,
+  ttlMs: constants.JOB_TTL_MS,
+  handler: async ({ requestId, apiKey, params, account, file, queuedAt, cache }, { setStage }) => {
+    const req = { requestId, apiKey, originalUrl: '/api/jobs' };
+    // processingTime covers the work only; the wait for a worker is reported as queueWait
+    const startTime = Date.now();
+    const queueWait = `${startTime - queuedAt}ms`;
+    
+    if (cache.hit) {
+      const cached = replayCached(req, cache, startTime);
+      cached.metadata.queueWait = queueWait;
+      return addPositionSize(cached, analyzedParams(params, cached).symbol, account);
+    }
+    
+    const analysis = await deepseekService.analyzeTradingChart({
+      imageBuffer: file.buffer,
+      ...params,
+      onEvent: (event, data) => event === 'stage' && setStage(data.stage)
+    });
+    const used = analyzedParams(params, analysis);
+    
+    finalizeAnalysis(req, analysis, {
+      params: used,
+      startTime,
+      input: {
+        file: { name: file.originalname, size: file.size, type: file.mimetype }
+      },
+      metadata: {
+        fileSize: `${(file.size / 1024).toFixed(1)} KB`,
+        fileType: file.mimetype,
+        cache: cache.status,
+        queueWait: queueWait
+      }
+    });
+    rememberAnalysis(cache, analysis);
+    
+    // Fallback analyses carry an `error`; keep the result but report the job as failed
+    if (analysis.error) {
+      const error = new Error(analysis.error.message);
+      error.result = analysis;
+      throw error;
+    }
+    
+    return addPositionSize(analysis, used.symbol, account);
+  }
+});
 
 // ========== API ENDPOINTS ==========
 
@@ -121,7 +275,8 @@ app.get('/api/health', async (req, res) => {
     const apiStatus = await deepseekService.testConnection();
     
     res.json({
-      status: 'healthy',
+      status: deepseekService.degraded ? 'degraded' : 'healthy',
+      ...(deepseekService.degraded && { reasons: [deepseekService.degradedReason] }),
       service: 'Trading Chart Analyzer API',
       version: '1.0.0',
       environment: constants.NODE_ENV,
@@ -130,12 +285,41 @@ app.get('/api/health', async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       api: {
+        provider: deepseekService.provider.describe(),
         deepseek: apiStatus
       },
+      concurrency: {
+        ocr: deepseekService.ocrLimiter.stats(),
+        ai: deepseekService.aiLimiter.stats()
+      },
+      ocrPool: deepseekService.ocrPool.stats(),
+      jobs: jobQueue.stats(),
+      cache: resultCache ? resultCache.stats() : { enabled: false },
+      webhooks: notifier.stats(),
       endpoints: {
         analyze: 'POST /api/analyze',
+        analyzeData: 'POST /api/analyze/data',
+        analyzeMulti: 'POST /api/analyze/multi',
+        analyzeStream: 'POST /api/analyze/stream (SSE)',
+        jobs: 'POST /api/jobs',
+        job: 'GET /api/jobs/:id',
         health: 'GET /api/health',
-        test: 'GET /api/test-keys'
+        test: 'GET /api/test-keys',
+        analyses: 'GET /api/analyses',
+        analysis: 'GET /api/analyses/:id',
+        outcome: 'POST /api/analyses/:id/outcome',
+        chat: 'GET|POST /api/analyses/:id/chat',
+        stats: 'GET /api/stats/signals',
+        positionSize: 'POST /api/position-size',
+        instruments: 'GET /api/instruments, GET /api/instruments/:symbol',
+        prompts: 'GET /api/prompts',
+        promptPreview: 'POST /api/prompts/preview',
+        admin: 'GET|POST /api/admin/keys, DELETE /api/admin/keys/:id, GET /api/admin/usage'
+      },
+      auth: {
+        required: constants.AUTH_REQUIRED,
+        admin: Boolean(constants.ADMIN_API_KEY),
+        dailyTokenQuota: constants.DAILY_TOKEN_QUOTA || null
       },
       limits: {
         fileSize: `${constants.MAX_FILE_SIZE / 1024 / 1024}MB`,
@@ -152,6 +336,12 @@ app.get('/api/health', async (req, res) => {
   }
 });
 
+// API key administration (authenticated with ADMIN_API_KEY, not with issued keys)
+app.use('/api/admin', createAdminRouter({ keyStore: apiKeyStore, adminKey: constants.ADMIN_API_KEY }));
+
+// Everything below resolves the caller's API key (required when AUTH_REQUIRED is on)
+app.use('/api', createAuthMiddleware({ keyStore: apiKeyStore, required: constants.AUTH_REQUIRED }));
+
 // Test Keys Endpoint
 app.get('/api/test-keys', async (req, res) => {
   try {
@@ -182,11 +372,268 @@ app.get('/api/test-keys', async (req, res) => {
   }
 });
 
+// ========== ANALYSIS HELPERS ==========
+
+function sendDegraded(req, res) {
+  return res.status(503).json({
+    error: constants.MESSAGES.SERVICE_DEGRADED,
+    code: 'SERVICE_DEGRADED',
+    reason: deepseekService.degradedReason,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  });
+}
+
+const isAuto = (value) => value === undefined || value === null || /^(auto)?$/i.test(String(value).trim());
+
+// Extract and validate trading parameters; sends a 400 and returns null when invalid.
+// With `detect`, a missing (or "auto") symbol/timeframe stays null and is read from the chart.
+function readAnalysisParams(req, res, { detect = false } = {}) {
+  const body = req.body || {};
+  const autoSymbol = detect && isAuto(body.symbol);
+  const autoTimeframe = detect && isAuto(body.timeframe);
+  const instrument = instruments.resolve(isAuto(body.symbol) ? constants.DEFAULT_SYMBOL : body.symbol);
+  const timeframe = isAuto(body.timeframe) ? constants.DEFAULT_TIMEFRAME : String(body.timeframe).toUpperCase().trim();
+  const tradeType = String(body.tradeType || 'intraday').toLowerCase().trim();
+  const extraNotes = String(body.extraNotes || '').substring(0, 500).trim();
+  const promptTemplate = String(body.promptTemplate || '').trim();
+
+  if (!instrument) {
+    res.status(400).json({
+      error: `Invalid symbol. Allowed: ${instruments.symbols().join(', ')} (aliases: GET /api/instruments)`,
+      code: 'INVALID_SYMBOL',
+      requestId: req.requestId
+    });
+    return null;
+  }
+
+  if (!constants.TIMEFRAMES.includes(timeframe)) {
+    res.status(400).json({
+      error: `Invalid timeframe. Allowed: ${constants.TIMEFRAMES.join(', ')}`,
+      code: 'INVALID_TIMEFRAME',
+      requestId: req.requestId
+    });
+    return null;
+  }
+
+  if (!constants.TRADE_TYPES.includes(tradeType)) {
+    res.status(400).json({
+      error: `Invalid trade type. Allowed: ${constants.TRADE_TYPES.join(', ')}`,
+      code: 'INVALID_TRADE_TYPE',
+      requestId: req.requestId
+    });
+    return null;
+  }
+
+  // Pinned to name@version, so the cache key and the analysis use the same template
+  let template;
+  try {
+    template = deepseekService.prompts.resolve({ template: promptTemplate || undefined, tradeType });
+  } catch (error) {
+    res.status(400).json({
+      error: `${error.message}. See GET /api/prompts`,
+      code: error.code || 'UNKNOWN_PROMPT_TEMPLATE',
+      requestId: req.requestId
+    });
+    return null;
+  }
+
+  // Aliases ("GOLD", "EUR/USD") continue as the canonical symbol
+  return {
+    symbol: autoSymbol ? null : instrument.symbol,
+    timeframe: autoTimeframe ? null : timeframe,
+    tradeType,
+    extraNotes,
+    promptTemplate: template.id
+  };
+}
+
+// Symbol and timeframe an analysis ran with: the request's, or those detected on the chart
+function analyzedParams(params, analysis) {
+  return {
+    ...params,
+    symbol: analysis.chart_detection?.symbol.used || params.symbol || constants.DEFAULT_SYMBOL,
+    timeframe: analysis.chart_detection?.timeframe.used || params.timeframe || constants.DEFAULT_TIMEFRAME
+  };
+}
+
+// Optional account fields (accountBalance, riskPercent, ...) for position sizing.
+// Null when not sent; sends a 400 and returns false when invalid.
+function readAccountParams(req, res) {
+  const account = readAccount(req.body || {});
+  if (!account) return null;
+  
+  const errors = accountErrors(account);
+  if (errors.length > 0) {
+    res.status(400).json({
+      error: `Invalid account: ${errors.join('; ')}`,
+      code: 'INVALID_POSITION_INPUT',
+      requestId: req.requestId
+    });
+    return false;
+  }
+  
+  return account;
+}
+
+// Per request, so it is neither cached nor stored with the analysis
+function addPositionSize(analysis, symbol, account) {
+  if (!account) return analysis;
+  
+  try {
+    analysis.position_size = sizeAnalysis(analysis, symbol, account);
+  } catch (error) {
+    analysis.position_size = { error: error.message, code: error.code };
+  }
+  return analysis;
+}
+
+// Add request metadata and persist (failure to persist must not lose the analysis for the user)
+function finalizeAnalysis(req, analysis, { params, input, startTime, metadata = {} }) {
+  const processingTime = Date.now() - startTime;
+  
+  analysis.metadata = {
+    ...analysis.metadata,
+    symbol: params.symbol,
+    timeframe: params.timeframe,
+    tradeType: params.tradeType,
+    ...metadata,
+    processingTime: `${processingTime}ms`,
+    disclaimer: constants.MESSAGES.DISCLAIMER,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    analysis.id = analysisStore.save({
+      input: { ...params, ...input },
+      analysis: analysis
+    });
+  } catch (storeError) {
+    console.error(`❌ [${req.requestId}] Failed to store analysis:`, storeError.message);
+  }
+  
+  recordUsage(req, analysis, false);
+  
+  // Webhooks run in the background; a failed delivery never fails the request
+  notifier.notify(analysis);
+  return analysis;
+}
+
+// Usage accounting per API key (anonymous requests are recorded with a null key)
+function recordUsage(req, analysis, cached) {
+  try {
+    apiKeyStore.recordUsage({
+      apiKeyId: req.apiKey?.id || null,
+      endpoint: (req.originalUrl || '').split('?')[0],
+      analysisId: analysis.id || null,
+      cached: cached,
+      usage: analysis.api_usage || {}
+    });
+  } catch (usageError) {
+    console.error(`❌ [${req.requestId}] Failed to record usage:`, usageError.message);
+  }
+}
+
+// `force=true` (form field, JSON body or query string) skips the cache lookup
+function isForced(req) {
+  const force = req.body?.force ?? req.query?.force;
+  return force === true || String(force).toLowerCase() === 'true';
+}
+
+/**
+ * Cache lookup for one analysis request. `fingerprint` returns the input hashes and is
+ * only called when caching is enabled. `status` (hit | miss | bypass | disabled) goes
+ * into metadata.cache.
+ */
+async function lookupCache(req, params, fingerprint) {
+  if (!resultCache) {
+    return { key: null, status: 'disabled', hit: null };
+  }
+  
+  const key = cacheKey({
+    inputs: await fingerprint(),
+    params: params,
+    promptVersion: params.promptTemplate,
+    model: `${deepseekService.provider.name}/${deepseekService.provider.model}`
+  });
+  
+  if (isForced(req)) {
+    return { key, status: 'bypass', hit: null };
+  }
+  
+  const hit = resultCache.get(key);
+  return { key, status: hit ? 'hit' : 'miss', hit };
+}
+
+// Cached analysis with this request's metadata. It keeps the original `id` and is not stored again.
+function replayCached(req, { hit }, startTime) {
+  const analysis = hit.value;
+  
+  analysis.metadata = {
+    ...analysis.metadata,
+    cache: 'hit',
+    cachedAt: hit.cachedAt,
+    originalRequestId: analysis.metadata?.requestId,
+    processingTime: `${Date.now() - startTime}ms`,
+    requestId: req.requestId,
+    timestamp: new Date().toISOString()
+  };
+  
+  console.log(`♻️ [${req.requestId}] Cache hit: analysis ${analysis.id || '-'} from ${hit.cachedAt}`);
+  recordUsage(req, analysis, true);
+  return analysis;
+}
+
+// Fallback analyses (errors) are never cached
+function rememberAnalysis(lookup, analysis) {
+  if (lookup.key && !analysis.error) {
+    resultCache.set(lookup.key, analysis);
+  }
+}
+
+function sendAnalysisError(req, res, error, startTime) {
+  const errorTime = Date.now() - startTime;
+  console.error(`❌ [${req.requestId}] Analysis error after ${errorTime}ms:`, {
+    error: error.message,
+    stack: constants.NODE_ENV === 'development' ? error.stack : undefined,
+    body: req.body,
+    file: req.file ? {
+      size: req.file.size,
+      type: req.file.mimetype,
+      originalname: req.file.originalname
+    } : 'No file'
+  });
+  
+  const statusCode = error.message.includes('Invalid') ? 400 : 500;
+  
+  res.status(statusCode).json({
+    error: error.message || constants.MESSAGES.ANALYSIS_FAILED,
+    code: 'ANALYSIS_ERROR',
+    requestId: req.requestId,
+    timestamp: new Date().toISOString(),
+    processingTime: `${errorTime}ms`,
+    decision: {
+      action: 'HOLD',
+      reason: 'Technical error during analysis. Please try again with a clearer chart image.',
+      entry: null,
+      sl: null,
+      tp1: null,
+      tp2: null
+    }
+  });
+}
+
 // Main Analysis Endpoint
-app.post('/api/analyze', limiter, upload.single('chart'), async (req, res) => {
+app.post('/api/analyze', limiter, quotaGuard, upload.single('chart'), async (req, res) => {
   const startTime = Date.now();
   
   try {
+    // Refuse analysis while the AI provider is not configured
+    if (deepseekService.degraded) {
+      return sendDegraded(req, res);
+    }
+    
     // Validate file
     if (!req.file) {
       return res.status(400).json({
@@ -207,100 +654,493 @@ app.post('/api/analyze', limiter, upload.single('chart'), async (req, res) => {
       });
     }
 
-    // Extract and validate parameters
-    const symbol = (req.body.symbol || 'XAUUSD').toUpperCase().trim();
-    const timeframe = (req.body.timeframe || 'H1').toUpperCase().trim();
-    const tradeType = (req.body.tradeType || 'intraday').toLowerCase().trim();
-    const extraNotes = (req.body.extraNotes || '').substring(0, 500).trim();
+    const params = readAnalysisParams(req, res, { detect: true });
+    if (!params) return;
+    const account = readAccountParams(req, res);
+    if (account === false) return;
 
-    // Validate trading parameters
-    if (!constants.TRADING_PAIRS.includes(symbol)) {
-      return res.status(400).json({
-        error: `Invalid symbol. Allowed: ${constants.TRADING_PAIRS.join(', ')}`,
-        code: 'INVALID_SYMBOL',
-        requestId: req.requestId
-      });
+    console.log(`📥 [${req.requestId}] Analysis request: ${params.symbol || 'auto'} | ${params.timeframe || 'auto'} | ${params.tradeType} | Size: ${(req.file.size / 1024).toFixed(1)}KB`);
+
+    const cache = await lookupCache(req, params, async () => [await imageFingerprint(req.file.buffer)]);
+    if (cache.hit) {
+      res.locals.cacheHit = true;
+      const cached = replayCached(req, cache, startTime);
+      return res.json(addPositionSize(cached, analyzedParams(params, cached).symbol, account));
     }
 
-    if (!constants.TIMEFRAMES.includes(timeframe)) {
-      return res.status(400).json({
-        error: `Invalid timeframe. Allowed: ${constants.TIMEFRAMES.join(', ')}`,
-        code: 'INVALID_TIMEFRAME',
-        requestId: req.requestId
-      });
+    // Process analysis
+    const analysis = await deepseekService.analyzeTradingChart({
+      imageBuffer: req.file.buffer,
+      ...params
+    });
+    const used = analyzedParams(params, analysis);
+
+    finalizeAnalysis(req, analysis, {
+      params: used,
+      startTime,
+      input: {
+        file: {
+          name: req.file.originalname,
+          size: req.file.size,
+          type: req.file.mimetype
+        }
+      },
+      metadata: {
+        fileSize: `${(req.file.size / 1024).toFixed(1)} KB`,
+        fileType: req.file.mimetype,
+        cache: cache.status
+      }
+    });
+    rememberAnalysis(cache, analysis);
+
+    // Success response
+    res.json(addPositionSize(analysis, used.symbol, account));
+
+  } catch (error) {
+    sendAnalysisError(req, res, error, startTime);
+  }
+});
+
+// Server-Sent Events writer; `no-transform` keeps compression() from buffering the stream.
+// `signal` aborts when the client goes away, so the pipeline can stop instead of spending tokens.
+function openEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  
+  let closed = false;
+  const controller = new AbortController();
+  res.on('close', () => {
+    closed = true;
+    controller.abort(new Error('Client disconnected'));
+  });
+  
+  return {
+    signal: controller.signal,
+    send(event, data) {
+      if (closed) return;
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    end() {
+      if (!closed) res.end();
     }
+  };
+}
 
-    if (!constants.TRADE_TYPES.includes(tradeType)) {
+// Streaming Analysis Endpoint: same pipeline as /api/analyze, progress pushed as SSE events
+app.post('/api/analyze/stream', limiter, quotaGuard, upload.single('chart'), async (req, res) => {
+  const startTime = Date.now();
+  
+  if (deepseekService.degraded) {
+    return sendDegraded(req, res);
+  }
+  
+  if (!req.file) {
+    return res.status(400).json({
+      error: constants.MESSAGES.NO_IMAGE,
+      code: 'NO_IMAGE',
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  const params = readAnalysisParams(req, res, { detect: true });
+  if (!params) return;
+  const account = readAccountParams(req, res);
+  if (account === false) return;
+  
+  console.log(`📥 [${req.requestId}] Streaming analysis request: ${params.symbol || 'auto'} | ${params.timeframe || 'auto'} | ${params.tradeType} | Size: ${(req.file.size / 1024).toFixed(1)}KB`);
+  
+  const stream = openEventStream(res);
+  stream.send('start', { requestId: req.requestId, ...params });
+  
+  try {
+    const cache = await lookupCache(req, params, async () => [await imageFingerprint(req.file.buffer)]);
+    if (cache.hit) {
+      res.locals.cacheHit = true;
+      const cached = replayCached(req, cache, startTime);
+      stream.send('result', addPositionSize(cached, analyzedParams(params, cached).symbol, account));
+      return;
+    }
+    
+    const analysis = await deepseekService.analyzeTradingChart({
+      imageBuffer: req.file.buffer,
+      ...params,
+      onEvent: (event, data) => stream.send(event, data),
+      signal: stream.signal
+    });
+    
+    // Stopped early: nothing to store, but tokens of an interrupted AI call still count
+    if (analysis.error && stream.signal.aborted) {
+      console.warn(`🔌 [${req.requestId}] Client disconnected, analysis stopped`);
+      recordUsage(req, analysis, false);
+      return;
+    }
+    
+    const used = analyzedParams(params, analysis);
+    
+    finalizeAnalysis(req, analysis, {
+      params: used,
+      startTime,
+      input: {
+        file: {
+          name: req.file.originalname,
+          size: req.file.size,
+          type: req.file.mimetype
+        }
+      },
+      metadata: {
+        fileSize: `${(req.file.size / 1024).toFixed(1)} KB`,
+        fileType: req.file.mimetype,
+        streamed: true,
+        cache: cache.status
+      }
+    });
+    rememberAnalysis(cache, analysis);
+    
+    stream.send('result', addPositionSize(analysis, used.symbol, account));
+    
+  } catch (error) {
+    console.error(`❌ [${req.requestId}] Streaming analysis error:`, error.message);
+    stream.send('error', {
+      error: error.message || constants.MESSAGES.ANALYSIS_FAILED,
+      code: 'ANALYSIS_ERROR',
+      requestId: req.requestId
+    });
+  } finally {
+    stream.end();
+  }
+});
+
+// OHLC Data Analysis Endpoint (CSV/JSON upload as `data`, or JSON body with `candles`/`data`)
+app.post('/api/analyze/data', limiter, quotaGuard, dataUpload.single('data'), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    if (deepseekService.degraded) {
+      return sendDegraded(req, res);
+    }
+    
+    const rawData = req.file ? req.file.buffer : (req.body.candles || req.body.data);
+    
+    if (!rawData || (Array.isArray(rawData) && rawData.length === 0)) {
       return res.status(400).json({
-        error: `Invalid trade type. Allowed: ${constants.TRADE_TYPES.join(', ')}`,
-        code: 'INVALID_TRADE_TYPE',
-        requestId: req.requestId
+        error: constants.MESSAGES.NO_DATA,
+        code: 'NO_DATA',
+        requestId: req.requestId,
+        timestamp: new Date().toISOString()
       });
     }
+    
+    const params = readAnalysisParams(req, res);
+    if (!params) return;
+    const account = readAccountParams(req, res);
+    if (account === false) return;
+    
+    const { candles, skipped } = parseCandles(rawData);
+    
+    if (candles.length < DeepSeekService.MIN_CANDLES) {
+      throw new Error(`Invalid candle data: at least ${DeepSeekService.MIN_CANDLES} candles required (got ${candles.length})`);
+    }
+    
+    console.log(`📥 [${req.requestId}] OHLC analysis request: ${params.symbol} | ${params.timeframe} | ${params.tradeType} | ${candles.length} candles${skipped ? ` (${skipped} skipped)` : ''}`);
+    
+    const cache = await lookupCache(req, params, async () => [dataFingerprint(candles)]);
+    if (cache.hit) {
+      res.locals.cacheHit = true;
+      return res.json(addPositionSize(replayCached(req, cache, startTime), params.symbol, account));
+    }
+    
+    const analysis = await deepseekService.analyzeMarketData({
+      candles: candles,
+      ...params
+    });
+    
+    finalizeAnalysis(req, analysis, {
+      params,
+      startTime,
+      input: {
+        data: {
+          name: req.file?.originalname || 'request body',
+          candles: candles.length,
+          skipped: skipped
+        }
+      },
+      metadata: {
+        candles: candles.length,
+        skippedRows: skipped,
+        cache: cache.status
+      }
+    });
+    rememberAnalysis(cache, analysis);
+    
+    res.json(addPositionSize(analysis, params.symbol, account));
+    
+  } catch (error) {
+    sendAnalysisError(req, res, error, startTime);
+  }
+});
 
-    console.log(`📥 [${req.requestId}] Analysis request: ${symbol} | ${timeframe} | ${tradeType} | Size: ${(req.file.size / 1024).toFixed(1)}KB`);
+// Multi-timeframe inputs from uploaded files or a JSON `datasets` array; throws 'Invalid ...' errors
+function readTimeframeInputs(req) {
+  const files = req.files || [];
+  const entries = files.length > 0
+    ? files.map(file => {
+        const [kind, timeframe] = file.fieldname.split('_');
+        if ((kind !== 'chart' && kind !== 'data') || !timeframe) {
+          throw new Error(`Invalid multi-timeframe request: unexpected field "${file.fieldname}" (use chart_<TF> or data_<TF>)`);
+        }
+        return kind === 'data'
+          ? { timeframe, data: file.buffer, name: file.originalname }
+          : { timeframe, imageBuffer: file.buffer, name: file.originalname, size: file.size };
+      })
+    : (Array.isArray(req.body.datasets) ? req.body.datasets : []).map(set => ({
+        timeframe: set.timeframe,
+        data: set.candles || set.data,
+        name: 'request body'
+      }));
+  
+  if (entries.length < 2) {
+    throw new Error('Invalid multi-timeframe request: at least 2 timeframes required');
+  }
+  
+  if (entries.length > constants.MAX_TIMEFRAMES) {
+    throw new Error(`Invalid multi-timeframe request: at most ${constants.MAX_TIMEFRAMES} timeframes allowed`);
+  }
+  
+  const seen = new Set();
+  
+  return entries.map(entry => {
+    const timeframe = String(entry.timeframe || '').toUpperCase().trim();
+    
+    if (!constants.TIMEFRAMES.includes(timeframe)) {
+      throw new Error(`Invalid timeframe "${entry.timeframe}". Allowed: ${constants.TIMEFRAMES.join(', ')}`);
+    }
+    if (seen.has(timeframe)) {
+      throw new Error(`Invalid multi-timeframe request: duplicate timeframe ${timeframe}`);
+    }
+    seen.add(timeframe);
+    
+    if (entry.imageBuffer) {
+      return { timeframe, imageBuffer: entry.imageBuffer, name: entry.name, size: entry.size };
+    }
+    
+    if (!entry.data || (Array.isArray(entry.data) && entry.data.length === 0)) {
+      throw new Error(`Invalid candle data for ${timeframe}: no data`);
+    }
+    
+    const { candles, skipped } = parseCandles(entry.data);
+    
+    if (candles.length < DeepSeekService.MIN_CANDLES) {
+      throw new Error(`Invalid candle data for ${timeframe}: at least ${DeepSeekService.MIN_CANDLES} candles required (got ${candles.length})`);
+    }
+    
+    return { timeframe, candles, skipped, name: entry.name };
+  });
+}
 
-    // Process analysis
-    const analysis = await deepseekService.analyzeTradingChart({
-      imageBuffer: req.file.buffer,
-      symbol: symbol,
-      timeframe: timeframe,
-      tradeType: tradeType,
-      extraNotes: extraNotes
+// Multi-Timeframe Analysis Endpoint (several charts/data sets of one symbol, one combined answer)
+app.post('/api/analyze/multi', limiter, quotaGuard, multiUpload.any(), async (req, res) => {
+  const startTime = Date.now();
+  
+  try {
+    if (deepseekService.degraded) {
+      return sendDegraded(req, res);
+    }
+    
+    const inputs = readTimeframeInputs(req);
+    const timeframes = inputs.map(input => input.timeframe)
+      .sort((a, b) => constants.TIMEFRAMES.indexOf(a) - constants.TIMEFRAMES.indexOf(b));
+    
+    // The lowest timeframe is the entry timeframe
+    req.body.timeframe = timeframes[0];
+    const params = readAnalysisParams(req, res);
+    if (!params) return;
+    const account = readAccountParams(req, res);
+    if (account === false) return;
+    
+    console.log(`📥 [${req.requestId}] Multi-timeframe analysis request: ${params.symbol} | ${timeframes.join(', ')} | ${params.tradeType}`);
+    
+    // Sorted by timeframe so the upload order does not matter
+    const cache = await lookupCache(req, params, () => Promise.all(
+      [...inputs]
+        .sort((a, b) => constants.TIMEFRAMES.indexOf(a.timeframe) - constants.TIMEFRAMES.indexOf(b.timeframe))
+        .map(async input => `${input.timeframe}:${input.candles ? dataFingerprint(input.candles) : await imageFingerprint(input.imageBuffer)}`)
+    ));
+    if (cache.hit) {
+      res.locals.cacheHit = true;
+      return res.json(addPositionSize(replayCached(req, cache, startTime), params.symbol, account));
+    }
+    
+    const analysis = await deepseekService.analyzeMultiTimeframe({
+      inputs: inputs,
+      symbol: params.symbol,
+      tradeType: params.tradeType,
+      extraNotes: params.extraNotes,
+      promptTemplate: params.promptTemplate
+    });
+    
+    finalizeAnalysis(req, analysis, {
+      params,
+      startTime,
+      input: {
+        timeframes: inputs.map(input => ({
+          timeframe: input.timeframe,
+          name: input.name,
+          ...(input.candles
+            ? { candles: input.candles.length, skipped: input.skipped }
+            : { size: input.size })
+        }))
+      },
+      metadata: {
+        timeframes: timeframes,
+        cache: cache.status
+      }
     });
+    rememberAnalysis(cache, analysis);
+    
+    res.json(addPositionSize(analysis, params.symbol, account));
+    
+  } catch (error) {
+    sendAnalysisError(req, res, error, startTime);
+  }
+});
 
-    // Add request metadata
-    const processingTime = Date.now() - startTime;
-    
-    analysis.metadata = {
-      ...analysis.metadata,
-      symbol: symbol,
-      timeframe: timeframe,
-      tradeType: tradeType,
-      fileSize: `${(req.file.size / 1024).toFixed(1)} KB`,
-      fileType: req.file.mimetype,
-      processingTime: `${processingTime}ms`,
-      disclaimer: constants.MESSAGES.DISCLAIMER,
+// Async Analysis Job (returns 202 + job id; poll GET /api/jobs/:id)
+app.post('/api/jobs', limiter, quotaGuard, upload.single('chart'), async (req, res) => {
+  if (deepseekService.degraded) {
+    return sendDegraded(req, res);
+  }
+  
+  if (!req.file) {
+    return res.status(400).json({
+      error: constants.MESSAGES.NO_IMAGE,
+      code: 'NO_IMAGE',
       requestId: req.requestId,
       timestamp: new Date().toISOString()
-    };
+    });
+  }
+  
+  const params = readAnalysisParams(req, res, { detect: true });
+  if (!params) return;
+  const account = readAccountParams(req, res);
+  if (account === false) return;
+  
+  if (jobQueue.isFull()) {
+    return res.status(503).json({
+      error: constants.MESSAGES.QUEUE_FULL,
+      code: 'QUEUE_FULL',
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  // A cache hit still goes through the queue so clients poll the same way
+  const cache = await lookupCache(req, params, async () => [await imageFingerprint(req.file.buffer)]);
+  
+  const job = jobQueue.submit(
+    { requestId: req.requestId, apiKey: req.apiKey, params, account, file: req.file, queuedAt: Date.now(), cache },
+    { ...params, file: { name: req.file.originalname, size: req.file.size, type: req.file.mimetype } },
+    req.apiKey?.id || null
+  );
+  
+  console.log(`📥 [${req.requestId}] Job ${job.id} queued: ${params.symbol || 'auto'} | ${params.timeframe || 'auto'} | ${params.tradeType} (position ${job.queuePosition || 'running'})`);
+  
+  res.status(202)
+    .location(`/api/jobs/${job.id}`)
+    .json({
+      jobId: job.id,
+      status: job.status,
+      queuePosition: job.queuePosition,
+      statusUrl: `/api/jobs/${job.id}`,
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+});
 
-    // Success response
-    res.json(analysis);
+app.get('/api/jobs/:id', (req, res) => {
+  // Another key's job answers like a missing one, so ids cannot be probed
+  const job = jobQueue.get(req.params.id, req.apiKey?.id || null);
+  
+  if (!job) {
+    return res.status(404).json({
+      error: constants.MESSAGES.JOB_NOT_FOUND,
+      code: 'JOB_NOT_FOUND',
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  }
+  
+  res.json(job);
+});
 
-  } catch (error) {
-    const errorTime = Date.now() - startTime;
-    console.error(`❌ [${req.requestId}] Analysis error after ${errorTime}ms:`, {
-      error: error.message,
-      stack: constants.NODE_ENV === 'development' ? error.stack : undefined,
-      body: req.body,
-      file: req.file ? {
-        size: req.file.size,
-        type: req.file.mimetype,
-        originalname: req.file.originalname
-      } : 'No file'
+// Prompt Templates
+app.get('/api/prompts', (req, res) => {
+  res.json({
+    items: deepseekService.prompts.list(),
+    requestId: req.requestId
+  });
+});
+
+// Renders the prompt an analysis would send (OCR/indicators run, the model is not called)
+app.post('/api/prompts/preview', limiter, previewUpload.fields([{ name: 'chart' }, { name: 'data' }]), async (req, res) => {
+  try {
+    const params = readAnalysisParams(req, res);
+    if (!params) return;
+    
+    const chart = req.files?.chart?.[0];
+    const rawData = req.files?.data?.[0]?.buffer || req.body.candles || req.body.data;
+    const candles = rawData ? parseCandles(rawData).candles : undefined;
+    
+    const preview = await deepseekService.previewPrompt({
+      imageBuffer: chart?.buffer,
+      candles: candles,
+      ...params
     });
     
-    const statusCode = error.message.includes('Invalid') ? 400 : 500;
+    res.json({
+      ...preview,
+      params: params,
+      requestId: req.requestId,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error(`❌ [${req.requestId}] Prompt preview failed:`, error.message);
     
-    res.status(statusCode).json({
-      error: error.message || constants.MESSAGES.ANALYSIS_FAILED,
-      code: 'ANALYSIS_ERROR',
+    res.status(error.message.includes('Invalid') ? 400 : 500).json({
+      error: error.message,
+      code: 'PREVIEW_FAILED',
       requestId: req.requestId,
-      timestamp: new Date().toISOString(),
-      processingTime: `${errorTime}ms`,
-      decision: {
-        action: 'HOLD',
-        reason: 'Technical error during analysis. Please try again with a clearer chart image.',
-        entry: 'N/A',
-        sl: 'N/A',
-        tp1: 'N/A',
-        tp2: 'N/A'
-      }
+      timestamp: new Date().toISOString()
     });
   }
 });
 
+// Analysis History
+app.use('/api/analyses', createAnalysesRouter({ store: analysisStore, outcomeStore, instruments }));
+
+// Follow-up Chat
+app.use('/api/analyses/:id/chat', createChatRouter({
+  store: analysisStore,
+  chatStore,
+  service: deepseekService,
+  guards: [limiter, quotaGuard],
+  onUsage: (req, analysis) => recordUsage(req, analysis, false)
+}));
+
+// Signal Accuracy
+app.use('/api/stats', createStatsRouter({ outcomeStore, instruments }));
+
+// Position Sizing
+app.use('/api/position-size', createPositionSizeRouter({ store: analysisStore }));
+
+// Instrument Registry
+app.use('/api/instruments', createInstrumentsRouter({ instruments }));
+
 // ========== ERROR HANDLING ==========
 
 // Multer error handling
@@ -358,8 +1198,26 @@ app.use('*', (req, res) => {
     timestamp: new Date().toISOString(),
     availableEndpoints: {
       'POST /api/analyze': 'Analyze trading chart',
+      'POST /api/analyze/data': 'Analyze OHLC candle data (CSV/JSON)',
+      'POST /api/analyze/multi': 'Multi-timeframe analysis (chart_<TF> / data_<TF> or JSON datasets)',
+      'POST /api/analyze/stream': 'Analyze trading chart, progress as Server-Sent Events',
+      'POST /api/jobs': 'Queue chart analysis, returns job id',
+      'GET /api/jobs/:id': 'Job status and result',
       'GET /api/health': 'Health check',
-      'GET /api/test-keys': 'Test API connection'
+      'GET /api/test-keys': 'Test API connection',
+      'GET /api/analyses': 'List stored analyses',
+      'GET /api/analyses/:id': 'Get a stored analysis',
+      'POST /api/analyses/:id/outcome': 'Record trade outcome',
+      'GET|POST /api/analyses/:id/chat': 'Follow-up questions on a stored analysis',
+      'GET /api/stats/signals': 'Signal accuracy statistics',
+      'POST /api/position-size': 'Position size for a trade plan and account',
+      'GET /api/instruments': 'Supported instruments',
+      'GET /api/instruments/:symbol': 'Instrument details',
+      'GET /api/prompts': 'Prompt templates and versions',
+      'POST /api/prompts/preview': 'Prompt an analysis would send, without calling the model',
+      'GET|POST /api/admin/keys': 'List or issue API keys',
+      'DELETE /api/admin/keys/:id': 'Revoke an API key',
+      'GET /api/admin/usage': 'Token usage per API key'
     }
   });
 });
@@ -367,33 +1225,49 @@ app.use('*', (req, res) => {
 // ========== START SERVER ==========
 const PORT = constants.PORT;
 
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`
-  🚀 ===============================================
-  🎯 TRADING CHART ANALYZER API v1.0.0
-  📡 Server: http://0.0.0.0:${PORT}
-  🌍 Environment: ${constants.NODE_ENV}
-  ⏰ Started: ${new Date().toISOString()}
-  🔗 Health: http://localhost:${PORT}/api/health
-  📊 Rate Limit: ${constants.RATE_LIMIT_MAX_REQUESTS} req/${constants.RATE_LIMIT_WINDOW_MS/60000}min
-  📁 Upload: Max ${constants.MAX_FILE_SIZE/1024/1024}MB (${constants.ALLOWED_IMAGE_TYPES.join(', ')})
-  ===============================================
-  
-  ✅ Backend ready for production!
-  ✅ Frontend can connect to: http://YOUR_SERVER_IP:${PORT}
-  ⚠️  Don't forget to update frontend API URL!
-  `);
-});
+// Only when run directly (npm start); tests require the app and listen on their own port
+if (require.main === module) {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`
+    🚀 ===============================================
+    🎯 TRADING CHART ANALYZER API v1.0.0
+    📡 Server: http://0.0.0.0:${PORT}
+    🌍 Environment: ${constants.NODE_ENV}
+    ⏰ Started: ${new Date().toISOString()}
+    🔗 Health: http://localhost:${PORT}/api/health
+    📊 Rate Limit: ${constants.RATE_LIMIT_MAX_REQUESTS} req/${constants.RATE_LIMIT_WINDOW_MS/60000}min
+    📁 Upload: Max ${constants.MAX_FILE_SIZE/1024/1024}MB (${constants.ALLOWED_IMAGE_TYPES.join(', ')})
+    ===============================================
+    
+    ✅ Backend ready for production!
+    ✅ Frontend can connect to: http://YOUR_SERVER_IP:${PORT}
+    ⚠️  Don't forget to update frontend API URL!
+    `);
+    
+    if (constants.OCR_WARMUP) {
+      deepseekService.ocrPool.start().then(stats => {
+        console.log(`🔤 OCR pool: ${stats.workers}/${stats.size} workers ready`);
+      });
+    }
+  });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  process.exit(0);
-});
+  // Graceful shutdown
+  async function shutdown() {
+    await notifier.idle();
+    await deepseekService.ocrPool.close();
+    db.close();
+    process.exit(0);
+  }
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down...');
-  process.exit(0);
-});
+  process.on('SIGTERM', () => {
+    console.log('SIGTERM received. Shutting down gracefully...');
+    shutdown();
+  });
+
+  process.on('SIGINT', () => {
+    console.log('SIGINT received. Shutting down...');
+    shutdown();
+  });
+}
 
 module.exports = app;
\ No newline at end of file
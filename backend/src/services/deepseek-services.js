@@ -1,57 +1,147 @@
-const axios = require('axios');
-const { createWorker } = require('tesseract.js');
 const sharp = require('sharp');
 const constants = require('../config/constants');
+const { createProvider } = require('./providers');
+const { isUsableApiKey } = require('../config/loader');
+const { validateAnalysis, validateDecision, validateMultiTimeframe } = require('../validation/analysis-schema');
+const { assessAlignment } = require('../validation/timeframe-alignment');
+const { enforceTradePlan } = require('../validation/trade-plan-checker');
+const ta = require('../indicators');
+const ConcurrencyLimiter = require('../jobs/concurrency-limiter');
+const OcrWorkerPool = require('../ocr/worker-pool');
+const { detectLayout } = require('../ocr/layout');
+const { calibratePriceScale, extractCandles } = require('../ocr/candle-extractor');
+const { detectChartIdentity } = require('../ocr/chart-identity');
+const { PromptRegistry } = require('../prompts/prompt-registry');
+const instruments = require('../instruments');
+const { roundPrice: roundToInstrument, isPlausiblePrice } = require('../instruments/instrument-registry');
+const {
+  REGION_OCR_SETTINGS,
+  parsePriceAxis,
+  parsePriceAxisLabels,
+  parseTimeAxis,
+  parseIndicatorPane,
+  parseLegend
+} = require('../ocr/region-parser');
+
+// Placeholders a prompt template may use (values from promptVariables).
+// formatExtractedData output is part of chart_data: bump the template versions when it changes.
+const PROMPT_VARIABLES = [
+  'symbol',
+  'timeframe',
+  'timeframe_context',
+  'strategy',
+  'trade_type',
+  'analysis_time',
+  'data_quality',
+  'chart_data',
+  'user_notes',
+  'higher_timeframes',
+  'data_instruction',
+  'disclaimer',
+  'multi_timeframe_instructions'
+];
+
+// MACD needs 26 + 9 candles before it produces a value
+const MIN_CANDLES = 35;
+
+// Quoted precision of the instrument when known, otherwise a guess from the magnitude
+function roundPrice(num, instrument = null) {
+  if (instrument) return roundToInstrument(instrument, num);
+  const precision = num < 10 ? 5 : num < 1000 ? 4 : 2;
+  return parseFloat(num.toFixed(precision));
+}
+
+function roundZones(zones, instrument = null) {
+  return zones.map(zone => ({
+    ...zone,
+    low: roundPrice(zone.low, instrument),
+    high: roundPrice(zone.high, instrument),
+    mid: roundPrice(zone.mid, instrument)
+  }));
+}
+
+function roundStructure(structure, instrument = null) {
+  return {
+    ...structure,
+    swings: structure.swings.map(swing => ({ ...swing, price: roundPrice(swing.price, instrument) })),
+    lastBreak: structure.lastBreak && { ...structure.lastBreak, level: roundPrice(structure.lastBreak.level, instrument) }
+  };
+}
+
+// Provider errors carry the tokens already spent on the request, so quotas still see them
+function withUsage(error, usage) {
+  error.usage = { ...usage };
+  return error;
+}
 
 class DeepSeekService {
-  constructor() {
-    // Validate API key
-    if (!constants.DEEPSEEK_API_KEY || constants.DEEPSEEK_API_KEY === 'sk-54c73**********1a40') {
-      console.error('❌ ERROR: DeepSeek API key not configured!');
-      console.error('Please update the API key in src/config/constants.js');
-      process.exit(1);
-    }
-    
-    this.apiKey = constants.DEEPSEEK_API_KEY;
-    this.baseURL = constants.DEEPSEEK_API_URL;
-    
-    // Create axios instance with production settings
-    this.client = axios.create({
-      baseURL: this.baseURL,
-      timeout: constants.DEEPSEEK_TIMEOUT,
-      headers: {
-        'Authorization': `Bearer ${this.apiKey}`,
-        'Content-Type': 'application/json',
-        'User-Agent': 'TradingAnalyzer-Production/1.0.0',
-        'Accept': 'application/json'
-      },
-      maxContentLength: Infinity,
-      maxBodyLength: Infinity
+  constructor(options = {}) {
+    // Provider can be injected (tests) or selected via AI_PROVIDER
+    this.provider = options.provider || createProvider(options.providerName);
+    
+    // Missing API key -> degraded mode (health reports it, analysis is refused)
+    this.degraded = this.provider.requiresApiKey && !isUsableApiKey(this.provider.apiKey);
+    this.degradedReason = this.degraded
+      ? `${this.provider.name} API key not configured`
+      : null;
+    
+    if (this.degraded) {
+      console.warn(`⚠️ ${this.degradedReason} - starting in degraded mode`);
+    }
+    
+    // OCR is CPU-bound, AI calls are bound by provider quota - limit them separately
+    this.ocrLimiter = new ConcurrencyLimiter('ocr', options.ocrConcurrency || constants.OCR_CONCURRENCY);
+    this.aiLimiter = new ConcurrencyLimiter('ai', options.aiConcurrency || constants.AI_CONCURRENCY);
+    
+    // Warm Tesseract workers, one per concurrent OCR job
+    this.ocrPool = options.ocrPool || new OcrWorkerPool({
+      size: options.ocrConcurrency || constants.OCR_CONCURRENCY,
+      language: constants.OCR_LANGUAGE,
+      timeoutMs: constants.OCR_TIMEOUT,
+      maxJobsPerWorker: constants.OCR_WORKER_MAX_JOBS,
+      parameters: {
+        tessedit_char_whitelist: '0123456789.$%:,-+ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz /()[]',
+        preserve_interword_spaces: '1',
+        tessedit_pageseg_mode: '6', // Assume uniform block of text
+      }
+    });
+    
+    // Versioned prompt templates (src/prompts/templates + PROMPTS_DIR)
+    this.prompts = options.prompts || new PromptRegistry({
+      variables: PROMPT_VARIABLES,
+      extraDir: constants.PROMPTS_DIR,
+      defaultTemplate: constants.PROMPT_TEMPLATE
     });
     
-    this.worker = null;
+    // Symbols, quoted precision and plausible price ranges (src/instruments)
+    this.instruments = options.instruments || instruments;
+    
     this.requestCount = 0;
   }
 
   async testConnection() {
+    if (this.degraded) {
+      return {
+        ok: false,
+        degraded: true,
+        message: `⚠️ ${this.degradedReason}`,
+        provider: this.provider.name,
+        timestamp: new Date().toISOString(),
+        requestId: ++this.requestCount
+      };
+    }
+    
     try {
-      const response = await this.client.get('/models', {
-        timeout: 10000,
-        validateStatus: (status) => status < 500
-      });
-      
-      const isConnected = response.status === 200;
-      const models = response.data?.data || [];
+      const status = await this.provider.testConnection();
       
       return {
-        ok: isConnected,
-        message: isConnected ? '✅ DeepSeek API is operational' : '⚠️ API connection issue',
-        modelsCount: models.length,
+        ...status,
+        provider: this.provider.name,
         timestamp: new Date().toISOString(),
         requestId: ++this.requestCount
       };
     } catch (error) {
-      console.error('DeepSeek Connection Test Failed:', {
+      console.error(`${this.provider.name} Connection Test Failed:`, {
         message: error.message,
         code: error.code,
         timestamp: new Date().toISOString()
@@ -60,17 +150,26 @@ class DeepSeekService {
       return {
         ok: false,
         message: `API connection failed: ${error.message}`,
+        provider: this.provider.name,
         timestamp: new Date().toISOString(),
         requestId: ++this.requestCount
       };
     }
   }
 
-  async analyzeTradingChart({ imageBuffer, symbol, timeframe, tradeType, extraNotes }) {
+  /**
+   * `onEvent(event, data)` reports progress: 'stage' ({ stage: preprocessing | ocr | ai }),
+   * 'preprocess' (image dimensions), 'ocr' (text + extracted levels), 'chart_detection' (symbol and
+   * timeframe read from the chart), 'token' (streamed AI output), 'validation' (schema check per
+   * attempt) and 'trade_plan' (deterministic plan check).
+   * `symbol` / `timeframe` may be null: they are then detected from the chart legend.
+   * Aborting `signal` stops the analysis before its next step (and cancels a running AI call).
+   */
+  async analyzeTradingChart({ imageBuffer, symbol, timeframe, tradeType, extraNotes, promptTemplate, onEvent = null, signal = null }) {
     const requestId = ++this.requestCount;
     const startTime = Date.now();
     
-    console.log(`📊 [${requestId}] Starting analysis: ${symbol} | ${timeframe} | ${tradeType}`);
+    console.log(`📊 [${requestId}] Starting analysis: ${symbol || 'auto'} | ${timeframe || 'auto'} | ${tradeType}`);
     
     try {
       // Validate inputs
@@ -78,52 +177,503 @@ class DeepSeekService {
         throw new Error('Empty image buffer');
       }
       
-      if (!constants.TRADING_PAIRS.includes(symbol)) {
+      // No symbol = detect it from the chart (OCR then reads prices without an instrument in mind)
+      const instrument = symbol ? this.instruments.get(symbol) : null;
+      if (symbol && !instrument) {
         throw new Error(`Invalid symbol: ${symbol}`);
       }
       
       // Step 1: Preprocess image
+      signal?.throwIfAborted();
+      onEvent?.('stage', { stage: 'preprocessing' });
       const processedImage = await this.preprocessImage(imageBuffer);
+      if (onEvent) onEvent('preprocess', await this.describeImages(imageBuffer, processedImage));
       
       // Step 2: Extract OCR data (with timeout)
-      const ocrData = await this.extractChartDataWithOCR(processedImage);
-      
-      // Step 3: Analyze with AI
-      const analysisResult = await this.analyzeWithAI(
-        ocrData, 
-        symbol, 
-        timeframe, 
-        tradeType, 
-        extraNotes,
-        requestId
-      );
+      signal?.throwIfAborted();
+      onEvent?.('stage', { stage: 'ocr' });
+      const ocrData = await this.runOCR(processedImage, { colorImage: imageBuffer, instrument, signal });
+      onEvent?.('ocr', {
+        rawText: ocrData.rawText,
+        extractedData: ocrData.extractedData,
+        regions: ocrData.regions,
+        layout: ocrData.layout
+      });
       
-      const processingTime = Date.now() - startTime;
+      // Symbol/timeframe: as selected, or as shown on the chart; a disagreement is reported
+      const chart = this.reconcileChartIdentity(ocrData.identity, { symbol, timeframe });
+      onEvent?.('chart_detection', chart.detection);
+      if (chart.detection.warnings.length > 0) {
+        console.warn(`⚠️ [${requestId}] ${chart.detection.warnings.join(' ')}`);
+      }
       
-      console.log(`✅ [${requestId}] Analysis completed in ${processingTime}ms`);
+      const result = await this.completeAnalysis(ocrData, {
+        symbol: chart.symbol, timeframe: chart.timeframe, tradeType, extraNotes, promptTemplate, source: 'screenshot', onEvent, signal
+      }, requestId, startTime);
       
-      return {
-        ...analysisResult,
-        metadata: {
-          requestId: requestId,
-          processingTime: `${processingTime}ms`,
-          apiProvider: 'DeepSeek',
-          symbol: symbol,
-          timeframe: timeframe,
-          tradeType: tradeType,
-          timestamp: new Date().toISOString(),
-          version: '1.0.0'
+      result.chart_detection = chart.detection;
+      return result;
+      
+    } catch (error) {
+      const errorTime = Date.now() - startTime;
+      console.error(`❌ [${requestId}] Analysis failed after ${errorTime}ms:`, error.message);
+      
+      return this.getFallbackAnalysis(
+        symbol || constants.DEFAULT_SYMBOL, timeframe || constants.DEFAULT_TIMEFRAME, tradeType, error, requestId
+      );
+    }
+  }
+
+  /**
+   * Symbol and timeframe to analyse with. A selection wins over what the chart shows (with a
+   * warning when they differ); no selection takes the detected value, then the configured default.
+   * @param {Object} [identity] - detectChartIdentity result of the OCR stage
+   * @param {Object} requested - { symbol, timeframe }, null for "detect"
+   * @returns {{symbol: string, timeframe: string, detection: Object}}
+   */
+  reconcileChartIdentity(identity, requested) {
+    const warnings = [];
+    const fields = {
+      symbol: { detected: identity?.symbol, fallback: constants.DEFAULT_SYMBOL },
+      timeframe: { detected: identity?.timeframe, fallback: constants.DEFAULT_TIMEFRAME }
+    };
+    const detection = {};
+    
+    Object.entries(fields).forEach(([field, { detected, fallback }]) => {
+      const value = detected ? detected[field] : null;
+      const selected = requested[field] || null;
+      let used = selected;
+      let source = 'request';
+      
+      if (!selected) {
+        used = value || fallback;
+        source = value ? 'chart' : 'default';
+        if (!value) {
+          warnings.push(`No ${field} found on the chart; analysed as ${fallback}.`);
         }
+      } else if (value && value !== selected) {
+        warnings.push(`The chart looks like ${value} ("${detected.matched}") but ${selected} was selected; analysed as ${selected}.`);
+      }
+      
+      detection[field] = {
+        requested: selected,
+        detected: value,
+        matched: detected?.matched || null,
+        ...(field === 'symbol' && { confidence: detected?.confidence ?? null }),
+        used: used,
+        source: source,
+        mismatch: Boolean(selected && value && value !== selected)
       };
+    });
+    
+    detection.warnings = warnings;
+    return { symbol: detection.symbol.used, timeframe: detection.timeframe.used, detection };
+  }
+
+  async analyzeMarketData({ candles, symbol, timeframe, tradeType, extraNotes, promptTemplate }) {
+    const requestId = ++this.requestCount;
+    const startTime = Date.now();
+    
+    console.log(`📊 [${requestId}] Starting OHLC analysis: ${symbol} | ${timeframe} | ${tradeType} | ${candles?.length || 0} candles`);
+    
+    try {
+      // Validate inputs
+      if (!Array.isArray(candles) || candles.length < MIN_CANDLES) {
+        throw new Error(`Invalid candle data: at least ${MIN_CANDLES} candles required`);
+      }
+      
+      const instrument = this.instruments.get(symbol);
+      if (!instrument) {
+        throw new Error(`Invalid symbol: ${symbol}`);
+      }
+      
+      // Step 1-2: Compute levels and indicators from real candles
+      const ocrData = this.extractChartDataFromCandles(candles, instrument);
+      
+      return await this.completeAnalysis(ocrData, {
+        symbol, timeframe, tradeType, extraNotes, promptTemplate, source: 'ohlc'
+      }, requestId, startTime);
       
     } catch (error) {
       const errorTime = Date.now() - startTime;
-      console.error(`❌ [${requestId}] Analysis failed after ${errorTime}ms:`, error.message);
+      console.error(`❌ [${requestId}] OHLC analysis failed after ${errorTime}ms:`, error.message);
       
       return this.getFallbackAnalysis(symbol, timeframe, tradeType, error, requestId);
     }
   }
 
+  /**
+   * One combined analysis from several charts/data sets of the same symbol.
+   * The lowest timeframe is the entry timeframe, the rest give the bias.
+   * @param {Object} params
+   * @param {Array<{timeframe: string, imageBuffer?: Buffer, candles?: Object[]}>} params.inputs
+   */
+  async analyzeMultiTimeframe({ inputs, symbol, tradeType, extraNotes, promptTemplate }) {
+    const requestId = ++this.requestCount;
+    const startTime = Date.now();
+    const sorted = [...(inputs || [])].sort((a, b) =>
+      constants.TIMEFRAMES.indexOf(a.timeframe) - constants.TIMEFRAMES.indexOf(b.timeframe));
+    const timeframes = sorted.map(input => input.timeframe);
+    const entryTimeframe = timeframes[0];
+    
+    console.log(`📊 [${requestId}] Starting multi-timeframe analysis: ${symbol} | ${timeframes.join(', ')} | ${tradeType}`);
+    
+    try {
+      // Validate inputs
+      if (sorted.length < 2) {
+        throw new Error('Invalid multi-timeframe request: at least 2 timeframes required');
+      }
+      
+      if (new Set(timeframes).size !== timeframes.length) {
+        throw new Error('Invalid multi-timeframe request: duplicate timeframe');
+      }
+      
+      const instrument = this.instruments.get(symbol);
+      if (!instrument) {
+        throw new Error(`Invalid symbol: ${symbol}`);
+      }
+      
+      // Step 1-2: OCR or candle extraction per timeframe
+      const extracted = [];
+      for (const input of sorted) {
+        let ocrData;
+        
+        if (input.candles) {
+          if (input.candles.length < MIN_CANDLES) {
+            throw new Error(`Invalid candle data for ${input.timeframe}: at least ${MIN_CANDLES} candles required`);
+          }
+          ocrData = this.extractChartDataFromCandles(input.candles, instrument);
+        } else {
+          if (!input.imageBuffer || input.imageBuffer.length === 0) {
+            throw new Error(`Empty image buffer for ${input.timeframe}`);
+          }
+          const processedImage = await this.preprocessImage(input.imageBuffer);
+          ocrData = await this.runOCR(processedImage, { colorImage: input.imageBuffer, instrument });
+        }
+        
+        extracted.push({ timeframe: input.timeframe, ...ocrData });
+      }
+      
+      const [entry, ...higherTimeframes] = extracted;
+      const result = await this.completeAnalysis(entry, {
+        symbol, timeframe: entryTimeframe, tradeType, extraNotes, promptTemplate,
+        source: 'multi_timeframe', higherTimeframes
+      }, requestId, startTime);
+      
+      // Step 5: Alignment verdict from the validated per-timeframe trends
+      if (result.multi_timeframe) {
+        result.multi_timeframe = {
+          entry_timeframe: entryTimeframe,
+          htf_bias: result.multi_timeframe.htf_bias,
+          ...assessAlignment(result.multi_timeframe, result.decision.action),
+          timeframes: result.multi_timeframe.timeframes
+        };
+      }
+      
+      result.ocr.timeframes = Object.fromEntries(higherTimeframes.map(h => [
+        h.timeframe, { rawText: h.rawText, extractedData: h.extractedData }
+      ]));
+      result.metadata.timeframes = timeframes;
+      
+      return result;
+    
+    } catch (error) {
+      const errorTime = Date.now() - startTime;
+      console.error(`❌ [${requestId}] Multi-timeframe analysis failed after ${errorTime}ms:`, error.message);
+      
+      return this.getFallbackAnalysis(symbol, entryTimeframe, tradeType, error, requestId);
+    }
+  }
+
+  /**
+   * The messages an analysis would send, without calling the model.
+   * Screenshots still go through preprocessing and OCR; no input renders the "no data" prompt.
+   */
+  async previewPrompt({ imageBuffer, candles, symbol, timeframe, tradeType, extraNotes, promptTemplate }) {
+    let ocrData;
+    let source = 'none';
+    
+    if (candles) {
+      if (candles.length < MIN_CANDLES) {
+        throw new Error(`Invalid candle data: at least ${MIN_CANDLES} candles required`);
+      }
+      ocrData = this.extractChartDataFromCandles(candles, this.instruments.get(symbol));
+      source = 'ohlc';
+    } else if (imageBuffer) {
+      const processedImage = await this.preprocessImage(imageBuffer);
+      ocrData = await this.runOCR(processedImage, { colorImage: imageBuffer, instrument: this.instruments.get(symbol) });
+      source = 'screenshot';
+    } else {
+      ocrData = this.parseOCRText('');
+    }
+    
+    const { template, messages } = this.buildPrompt(ocrData, {
+      symbol, timeframe, tradeType, extraNotes, promptTemplate
+    });
+    
+    return {
+      template: { name: template.name, version: template.version, description: template.description },
+      source: source,
+      messages: messages,
+      extractedData: ocrData.extractedData
+    };
+  }
+
+  /**
+   * Answer a follow-up question on a stored analysis. The model gets the prompt the analysis
+   * was made from (same template version, stored OCR data), its own answer and the conversation so far.
+   * @param {Object} record - AnalysisStore record
+   * @param {Object} options
+   * @param {string} options.message - the trader's question
+   * @param {Object[]} [options.history] - earlier ChatStore messages, oldest first
+   * @param {boolean} [options.updateDecision] - ask for a revised decision block
+   * @returns {Promise<{answer: string, decision: Object|null, trade_plan_check: Object|null, validation: Object, api_usage: Object}>}
+   */
+  async followUp(record, { message, history = [], updateDecision = false }) {
+    if (this.degraded) {
+      throw new Error(`AI service unavailable: ${this.degradedReason}`);
+    }
+    
+    const requestId = ++this.requestCount;
+    const { vision_summary, decision, risk_assessment, multi_timeframe } = record.result || {};
+    const messages = [
+      ...this.rebuildPrompt(record),
+      { role: 'assistant', content: JSON.stringify({ vision_summary, decision, risk_assessment, multi_timeframe }) },
+      ...history.map(entry => ({
+        role: entry.role,
+        content: entry.role === 'assistant'
+          ? JSON.stringify({ answer: entry.content, decision: entry.decision })
+          : entry.content
+      })),
+      { role: 'user', content: this.formatFollowUp(message, { updateDecision }) }
+    ];
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    
+    console.log(`💬 [${requestId}] Follow-up on analysis ${record.id} (${history.length} earlier messages${updateDecision ? ', decision update' : ''})`);
+    
+    try {
+      for (let attempt = 0; ; attempt++) {
+        const response = await this.aiLimiter.run(() => this.provider.chat(messages, {
+          maxTokens: 1200,
+          temperature: 0.2,
+          topP: 0.9,
+          json: true
+        }));
+        
+        usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+        usage.completion_tokens += response.usage?.completion_tokens || 0;
+        usage.total_tokens += response.usage?.total_tokens || 0;
+        
+        const check = this.validateFollowUp(response, { updateDecision });
+        
+        if (check.valid || attempt >= constants.AI_REPAIR_ATTEMPTS) {
+          if (!check.value.answer) {
+            throw new Error(`AI response failed schema validation (${check.errors.length} issues)`);
+          }
+          return this.completeFollowUp(record, check, { usage, repairAttempts: attempt });
+        }
+        
+        console.warn(`🔧 [${requestId}] Follow-up answer failed validation (${check.errors.length} issues), requesting repair...`);
+        messages.push(
+          { role: 'assistant', content: check.content },
+          { role: 'user', content: this.generateRepairPrompt(check.errors) }
+        );
+      }
+      
+    } catch (error) {
+      console.error(`❌ [${requestId}] ${this.provider.name} follow-up error:`, error.message);
+      throw withUsage(new Error(`AI service error: ${error.message}`), usage);
+    }
+  }
+
+  // The messages a stored analysis was created from; templates removed since then fall back to the current one
+  rebuildPrompt(record) {
+    const ocr = record.ocr || {};
+    const metadata = record.metadata || {};
+    const pinned = metadata.promptTemplate ? `${metadata.promptTemplate}@${metadata.promptVersion}` : null;
+    const higherTimeframes = Object.entries(ocr.timeframes || {})
+      .map(([timeframe, data]) => ({ timeframe, extractedData: data.extractedData }));
+    
+    const { messages } = this.buildPrompt(
+      ocr.extractedData ? { extractedData: ocr.extractedData } : this.parseOCRText(''),
+      {
+        symbol: record.symbol,
+        timeframe: record.timeframe,
+        tradeType: record.tradeType,
+        extraNotes: record.input?.extraNotes,
+        higherTimeframes,
+        promptTemplate: pinned && this.prompts.templates.has(pinned) ? pinned : undefined
+      }
+    );
+    return messages;
+  }
+
+  formatFollowUp(message, { updateDecision }) {
+    return `FOLLOW-UP QUESTION about the analysis above:
+${message}
+
+Answer as ONLY valid JSON:
+{
+  "answer": "plain-text answer for the trader, at most a few short paragraphs",
+  "decision": ${updateDecision ? '{ same fields as the "decision" block above, revised for this question }' : 'null'}
+}
+${updateDecision
+    ? '- Revise the decision only as far as the question and the chart data justify; the trade plan rules still apply'
+    : '- Do not change the decision; "decision" must be null'}
+- Stay within the chart data above; say so when the question cannot be answered from it`;
+  }
+
+  // Follow-up answers are JSON ({answer, decision}); a plain-text reply is accepted when no decision was asked for
+  validateFollowUp(apiResponse, { updateDecision }) {
+    const content = apiResponse.choices?.[0]?.message?.content || '';
+    const cleanedContent = content
+      .replace(/```json\s*/gi, '')
+      .replace(/```\s*/gi, '')
+      .trim();
+    
+    let data;
+    try {
+      data = JSON.parse(cleanedContent);
+    } catch (error) {
+      return updateDecision || !cleanedContent
+        ? { valid: false, errors: [`response is not valid JSON: ${error.message}`], value: { answer: null, decision: null }, content }
+        : { valid: true, errors: [], value: { answer: cleanedContent, decision: null }, content };
+    }
+    
+    const errors = [];
+    const answer = typeof data?.answer === 'string' && data.answer.trim() ? data.answer.trim() : null;
+    let decision = null;
+    
+    if (!answer) {
+      errors.push('answer: is required');
+    }
+    if (updateDecision) {
+      if (!data?.decision) {
+        errors.push('decision: is required');
+      } else {
+        const check = validateDecision(data.decision);
+        errors.push(...check.errors);
+        decision = check.valid ? check.value : null;
+      }
+    }
+    
+    return { valid: errors.length === 0, errors, value: { answer, decision }, content };
+  }
+
+  // Revised decisions get the same rounding and trade-plan check as a fresh analysis
+  completeFollowUp(record, check, { usage, repairAttempts }) {
+    const { answer, decision } = check.value;
+    let tradePlanCheck = null;
+    
+    if (decision) {
+      const instrument = this.instruments.get(record.symbol);
+      const ocr = record.ocr || {};
+      const priceLevels = [ocr, ...Object.values(ocr.timeframes || {})]
+        .flatMap(data => data.extractedData?.priceLevels || []);
+      const revised = this.roundAnalysisPrices({ decision }, instrument);
+      
+      enforceTradePlan(revised, { priceLevels, instrument });
+      tradePlanCheck = revised.trade_plan_check;
+    }
+    
+    return {
+      answer: answer,
+      decision: decision,
+      trade_plan_check: tradePlanCheck,
+      validation: {
+        valid: check.valid,
+        errors: check.errors,
+        repair_attempts: repairAttempts
+      },
+      api_usage: usage
+    };
+  }
+
+  // Steps shared by screenshot and OHLC inputs, so both return the same shape
+  async completeAnalysis(ocrData, { symbol, timeframe, tradeType, extraNotes, promptTemplate, source, higherTimeframes = [], onEvent = null, signal = null }, requestId, startTime) {
+    // Pin the exact template version, so metadata names the prompt that was sent
+    const template = this.prompts.resolve({ template: promptTemplate, tradeType });
+    
+    // Step 3: Analyze with AI
+    onEvent?.('stage', { stage: 'ai' });
+    const analysisResult = await this.aiLimiter.run(() => this.analyzeWithAI(
+      ocrData, 
+      symbol, 
+      timeframe, 
+      tradeType, 
+      extraNotes,
+      requestId,
+      { higherTimeframes, onEvent, signal, promptTemplate: template.id }
+    ));
+    
+    // Step 4: Deterministic trade-plan sanity check (skip fallbacks)
+    if (analysisResult.validation?.valid) {
+      const instrument = this.instruments.get(symbol);
+      this.roundAnalysisPrices(analysisResult, instrument);
+      
+      // Levels from every timeframe count as "on the chart"
+      const priceLevels = [ocrData, ...higherTimeframes]
+        .flatMap(d => d.extractedData.priceLevels);
+      enforceTradePlan(analysisResult, { priceLevels, instrument });
+      onEvent?.('trade_plan', analysisResult.trade_plan_check);
+      
+      if (!analysisResult.trade_plan_check.passed) {
+        console.warn(`⚠️ [${requestId}] Trade plan downgraded to HOLD (${analysisResult.trade_plan_check.violations.length} violations)`);
+      }
+    }
+    
+    const processingTime = Date.now() - startTime;
+    
+    console.log(`✅ [${requestId}] Analysis completed in ${processingTime}ms`);
+    
+    return {
+      ...analysisResult,
+      market_structure: this.describeMarketStructure(ocrData.extractedData),
+      ocr: {
+        rawText: ocrData.rawText,
+        extractedData: ocrData.extractedData,
+        ...(ocrData.regions && { regions: ocrData.regions, layout: ocrData.layout })
+      },
+      metadata: {
+        requestId: requestId,
+        processingTime: `${processingTime}ms`,
+        apiProvider: this.provider.name,
+        model: this.provider.model,
+        symbol: symbol,
+        timeframe: timeframe,
+        tradeType: tradeType,
+        source: source,
+        timestamp: new Date().toISOString(),
+        promptTemplate: template.name,
+        promptVersion: template.version,
+        version: '1.0.0'
+      }
+    };
+  }
+
+  // Model prices rounded to the instrument's quoted precision (2034.5012 -> 2034.5 for XAUUSD)
+  roundAnalysisPrices(analysis, instrument) {
+    if (!instrument) return analysis;
+    const round = value => (typeof value === 'number' ? roundPrice(value, instrument) : value);
+    const { decision, vision_summary: vision, multi_timeframe: mtf } = analysis;
+    
+    ['entry', 'sl', 'tp1', 'tp2'].forEach(key => {
+      decision[key] = round(decision[key]);
+    });
+    
+    if (vision) {
+      [vision.support_zone, vision.resistance_zone]
+        .filter(Boolean)
+        .forEach(zone => { zone.level = round(zone.level); });
+    }
+    
+    Object.values(mtf?.timeframes || {}).forEach(summary => {
+      summary.key_level = round(summary.key_level);
+    });
+    
+    return analysis;
+  }
+
   async preprocessImage(imageBuffer) {
     try {
       // Get image info first
@@ -154,36 +704,64 @@ class DeepSeekService {
     }
   }
 
-  async extractChartDataWithOCR(imageBuffer) {
-    let worker = null;
-    
+  // Original vs preprocessed size, for progress reporting
+  async describeImages(original, processed) {
     try {
-      worker = await createWorker(constants.OCR_LANGUAGE);
+      const [before, after] = await Promise.all([sharp(original).metadata(), sharp(processed).metadata()]);
       
-      await worker.setParameters({
-        tessedit_char_whitelist: '0123456789.$%:,-+ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz /()[]',
-        preserve_interword_spaces: '1',
-        tessedit_pageseg_mode: '6', // Assume uniform block of text
-      });
-      
-      const { data: { text } } = await worker.recognize(
-        imageBuffer,
-        { 
-          rectangle: { top: 0, left: 0, width: 1000, height: 1000 },
-          rotateAuto: true 
-        }
-      );
+      return {
+        original: { width: before.width, height: before.height, format: before.format, bytes: original.length },
+        processed: { width: after.width, height: after.height, bytes: processed.length }
+      };
+    } catch (error) {
+      return { original: { bytes: original.length }, processed: { bytes: processed.length } };
+    }
+  }
+
+  runOCR(imageBuffer, options) {
+    return this.ocrLimiter.run(() => {
+      // The wait for an OCR slot can be long; skip the work if nobody wants it any more
+      options.signal?.throwIfAborted();
+      return this.extractChartDataWithOCR(imageBuffer, options);
+    });
+  }
+
+  /**
+   * @param {Buffer} imageBuffer - preprocessed (grayscale) screenshot used for OCR
+   * @param {Object} [options]
+   * @param {Buffer} [options.colorImage] - original screenshot, needed to find candles by colour
+   * @param {Object} [options.instrument] - registry entry; prices are rounded to its precision
+   *   and numbers outside its plausible range are not treated as prices
+   */
+  async extractChartDataWithOCR(imageBuffer, { colorImage = null, instrument = null } = {}) {
+    let layout = null;
+    
+    try {
+      layout = await detectLayout(imageBuffer);
+    } catch (error) {
+      console.warn('Chart layout detection failed, using full-image OCR:', error.message);
+    }
+    
+    try {
+      // Pool applies OCR_TIMEOUT and recycles the worker on failure
+      // Chart symbol/timeframe from the legend; without a selected symbol the detected
+      // instrument decides which numbers are plausible prices
+      if (!layout) {
+        const { data: { text } } = await this.ocrPool.recognize(imageBuffer, { rotateAuto: true });
+        const identity = this.detectChartIdentity([text]);
+        return { ...this.parseOCRText(text, { instrument: instrument || this.detectedInstrument(identity) }), identity };
+      }
       
-      await worker.terminate();
-      worker = null;
+      const regions = await this.ocrRegions(imageBuffer, layout);
+      const identity = this.detectChartIdentity([regions.legend.text]);
+      const chartInstrument = instrument || this.detectedInstrument(identity);
+      const ocrData = this.buildRegionData(regions, layout, { instrument: chartInstrument });
+      ocrData.identity = identity;
       
-      return this.parseOCRText(text);
+      const series = colorImage && await this.extractCandleSeries(colorImage, layout, regions.priceAxis.labels);
+      return series ? this.addCandleSeries(ocrData, series, chartInstrument) : ocrData;
       
     } catch (error) {
-      if (worker) {
-        try { await worker.terminate(); } catch {}
-      }
-      
       console.warn('OCR extraction failed:', error.message);
       return { 
         rawText: '', 
@@ -197,7 +775,191 @@ class DeepSeekService {
     }
   }
 
-  parseOCRText(text) {
+  detectChartIdentity(texts) {
+    return detectChartIdentity(texts, { instruments: this.instruments, timeframes: constants.TIMEFRAMES });
+  }
+
+  detectedInstrument(identity) {
+    return identity?.symbol ? this.instruments.get(identity.symbol.symbol) : null;
+  }
+
+  // Crop, enlarge and OCR one region with its own Tesseract settings.
+  // Line positions are mapped back to image pixels (y = vertical centre of the line).
+  async ocrRegion(imageBuffer, box, settings) {
+    const crop = await sharp(imageBuffer)
+      .extract(box)
+      .resize({ width: box.width * settings.scale })
+      .toBuffer();
+    
+    const { data } = await this.ocrPool.recognize(crop, {}, settings.parameters);
+    const lines = (data.lines || []).map(line => ({
+      text: line.text.trim(),
+      y: box.top + (line.bbox.y0 + line.bbox.y1) / 2 / settings.scale
+    }));
+    
+    return { text: (data.text || '').trim(), lines };
+  }
+
+  // OCR legend, price scale, time axis and every indicator pane header separately
+  async ocrRegions(imageBuffer, layout) {
+    const { regions } = layout;
+    const errors = [];
+    let attempts = 0;
+    
+    const read = async (box, settings) => {
+      attempts++;
+      try {
+        return await this.ocrRegion(imageBuffer, box, settings);
+      } catch (error) {
+        errors.push(error);
+        return { text: '', lines: [] };
+      }
+    };
+    
+    const { text: legendText } = await read(regions.legend, REGION_OCR_SETTINGS.legend);
+    const { text: priceText, lines: priceLines } = await read(regions.priceAxis, REGION_OCR_SETTINGS.priceAxis);
+    const { text: timeText } = await read(regions.timeAxis, REGION_OCR_SETTINGS.timeAxis);
+    
+    const panes = [];
+    for (const pane of regions.panes) {
+      const { text } = await read(pane.header, REGION_OCR_SETTINGS.pane);
+      panes.push({ box: pane.box, text, ...parseIndicatorPane(text) });
+    }
+    
+    // One bad region is tolerated, a dead OCR engine is not
+    if (errors.length === attempts) {
+      throw errors[0];
+    }
+    
+    return {
+      legend: { box: regions.legend, text: legendText, ...parseLegend(legendText) },
+      priceAxis: {
+        box: regions.priceAxis,
+        text: priceText,
+        levels: parsePriceAxis(priceText),
+        labels: parsePriceAxisLabels(priceLines)
+      },
+      timeAxis: { box: regions.timeAxis, text: timeText, labels: parseTimeAxis(timeText) },
+      panes
+    };
+  }
+
+  // Region results -> the extractedData shape used everywhere else, plus the regions themselves
+  buildRegionData(regions, layout, { instrument = null } = {}) {
+    const rawText = [
+      `[legend]\n${regions.legend.text}`,
+      `[price_axis]\n${regions.priceAxis.text}`,
+      `[time_axis]\n${regions.timeAxis.text}`,
+      ...regions.panes.map(pane => `[pane:${pane.type}]\n${pane.text}`)
+    ].join('\n');
+    
+    // Prices anywhere in the text are the fallback when the price scale is unreadable
+    const flat = this.parseOCRText(rawText, { instrument }).extractedData;
+    const paneValues = Object.assign({}, ...regions.panes.map(pane => pane.values));
+    const ohlc = regions.legend.ohlc;
+    const isPrice = price => !instrument || isPlausiblePrice(instrument, price);
+    
+    // The price scale is the most reliable source of levels
+    const axisPrices = regions.priceAxis.levels.filter(isPrice);
+    const axisLevels = axisPrices.length >= 2 ? axisPrices : flat.priceLevels;
+    const priceLevels = [...new Set([...axisLevels, ...Object.values(ohlc).filter(isPrice)]
+      .map(price => roundPrice(price, instrument)))]
+      .sort((a, b) => a - b);
+    
+    const indicators = { ...regions.legend.indicators, ...paneValues };
+    
+    const extractedData = {
+      priceLevels: priceLevels,
+      indicators: indicators,
+      labels: regions.legend.labels,
+      timeLabels: regions.timeAxis.labels,
+      ...(Object.keys(ohlc).length > 0 && { ohlc }),
+      zones: this.levelZones(priceLevels, ohlc.close ?? null, instrument),
+      hasData: priceLevels.length > 0 || Object.keys(indicators).length > 0
+    };
+    
+    return {
+      rawText: rawText.substring(0, 1500),
+      extractedData,
+      regions,
+      layout: { width: layout.width, height: layout.height, detected: layout.detected }
+    };
+  }
+
+  // Price scale calibration + candle detection on the original colour screenshot
+  async extractCandleSeries(colorImage, layout, labels) {
+    const calibration = calibratePriceScale(labels);
+    if (!calibration) {
+      return null;
+    }
+    
+    try {
+      const { candles } = await extractCandles(colorImage, layout.regions.main, calibration, {
+        size: { width: layout.width, height: layout.height }
+      });
+      return candles.length > 0 ? { candles, calibration } : null;
+    } catch (error) {
+      console.warn('Candle extraction failed:', error.message);
+      return null;
+    }
+  }
+
+  // Reconstructed candles -> last price, swings and indicators the chart does not show
+  addCandleSeries(ocrData, { candles, calibration }, instrument = null) {
+    const rounded = candles.map(c => ({
+      time: c.time,
+      open: roundPrice(c.open, instrument),
+      high: roundPrice(c.high, instrument),
+      low: roundPrice(c.low, instrument),
+      close: roundPrice(c.close, instrument)
+    }));
+    const last = rounded[rounded.length - 1];
+    const extractedData = { ...ocrData.extractedData };
+    
+    extractedData.chartCandles = {
+      count: rounded.length,
+      lastPrice: last.close,
+      high: Math.max(...rounded.map(c => c.high)),
+      low: Math.min(...rounded.map(c => c.low)),
+      recent: rounded.slice(-10),
+      calibration: {
+        slope: calibration.slope,
+        intercept: calibration.intercept,
+        r2: parseFloat(calibration.r2.toFixed(5)),
+        labels: calibration.labels.length
+      }
+    };
+    
+    const extraLevels = [last.close];
+    
+    // Enough candles for MACD: compute what OCR did not read; OCR'd values win
+    if (rounded.length >= MIN_CANDLES) {
+      const derived = this.extractChartDataFromCandles(rounded, instrument).extractedData;
+      const estimated = Object.keys(derived.indicators)
+        .filter(name => extractedData.indicators[name] === undefined);
+      
+      extractedData.indicators = { ...derived.indicators, ...extractedData.indicators };
+      extractedData.estimatedIndicators = estimated;
+      extractedData.swingHighs = derived.swingHighs;
+      extractedData.swingLows = derived.swingLows;
+      extractedData.zones = derived.zones;
+      extractedData.structure = derived.structure;
+      extraLevels.push(...derived.swingHighs, ...derived.swingLows);
+    }
+    
+    extractedData.priceLevels = [...new Set([...extractedData.priceLevels, ...extraLevels])]
+      .sort((a, b) => a - b);
+    extractedData.hasData = true;
+    
+    return { ...ocrData, extractedData };
+  }
+
+  /**
+   * @param {string} text - OCR output
+   * @param {Object} [options]
+   * @param {Object} [options.instrument] - registry entry; drops numbers outside its price range
+   */
+  parseOCRText(text, { instrument = null } = {}) {
     const data = {
       rawText: text.substring(0, 1500), // Limit stored text
       extractedData: {
@@ -226,11 +988,9 @@ class DeepSeekService {
           const normalized = clean.replace(',', '.');
           const num = parseFloat(normalized);
           
-          if (!isNaN(num) && num > 0) {
-            // Round to reasonable precision
-            const precision = num < 10 ? 5 : num < 1000 ? 4 : 2;
-            const rounded = parseFloat(num.toFixed(precision));
-            allPrices.push(rounded);
+          if (!isNaN(num) && num > 0 && (!instrument || isPlausiblePrice(instrument, num))) {
+            // Round to the instrument's precision (or a reasonable one)
+            allPrices.push(roundPrice(num, instrument));
           }
         });
       });
@@ -239,6 +999,7 @@ class DeepSeekService {
       data.extractedData.priceLevels = [...new Set(allPrices)]
         .sort((a, b) => a - b)
         .slice(0, 15); // Limit to 15 prices
+      data.extractedData.zones = this.levelZones(data.extractedData.priceLevels, null, instrument);
       
       // Extract RSI
       const rsiPatterns = [
@@ -290,191 +1051,337 @@ class DeepSeekService {
     return data;
   }
 
-  async analyzeWithAI(ocrData, symbol, timeframe, tradeType, extraNotes, requestId) {
-    const prompt = this.generateTradingPrompt(ocrData, symbol, timeframe, tradeType, extraNotes);
+  // Same shape as parseOCRText, but from real candles instead of OCR guesses.
+  // Prices are rounded to the instrument's quoted precision when it is given.
+  extractChartDataFromCandles(candles, instrument = null) {
+    const round = price => roundPrice(price, instrument);
+    const closes = candles.map(c => c.close);
+    const lastCandle = candles[candles.length - 1];
+    const swings = ta.findSwings(candles);
+    const swingHighs = swings.highs.slice(-5).map(s => round(s.price));
+    const swingLows = swings.lows.slice(-5).map(s => round(s.price));
+    const rangeHigh = Math.max(...candles.map(c => c.high));
+    const rangeLow = Math.min(...candles.map(c => c.low));
+    
+    const computed = {};
+    const setIndicator = (name, value, format = round) => {
+      if (value !== null && Number.isFinite(value)) computed[name] = format(value);
+    };
+    
+    const macdResult = ta.macd(closes);
+    setIndicator('RSI', ta.last(ta.rsi(closes, 14)), v => parseFloat(v.toFixed(2)));
+    setIndicator('MACD', ta.last(macdResult.macd), v => parseFloat(v.toFixed(5)));
+    setIndicator('MACD_signal', ta.last(macdResult.signal), v => parseFloat(v.toFixed(5)));
+    setIndicator('MACD_histogram', ta.last(macdResult.histogram), v => parseFloat(v.toFixed(5)));
+    setIndicator('EMA20', ta.last(ta.ema(closes, 20)));
+    setIndicator('EMA50', ta.last(ta.ema(closes, 50)));
+    setIndicator('SMA200', ta.last(ta.sma(closes, 200)));
+    setIndicator('ATR14', ta.last(ta.atr(candles, 14)));
+    
+    const bands = ta.bollinger(closes);
+    setIndicator('BB_upper', ta.last(bands.upper));
+    setIndicator('BB_middle', ta.last(bands.middle));
+    setIndicator('BB_lower', ta.last(bands.lower));
+    
+    // Daily pivots from the previous completed day; none without a whole prior day in the data
+    const roundLevels = (levels) => Object.fromEntries(
+      Object.entries(levels).map(([k, v]) => [k, round(v)])
+    );
+    const prevDay = ta.previousDay(candles);
+    const pivotLevels = prevDay && {
+      day: prevDay.day,
+      classic: roundLevels(ta.pivots(prevDay, 'classic')),
+      fibonacci: roundLevels(ta.pivots(prevDay, 'fibonacci'))
+    };
+    
+    // Zones from every swing in the data, not only the recent ones
+    const atrValue = ta.last(ta.atr(candles, 14));
+    const zones = ta.clusterZones([
+      ...swings.highs.map(swing => ({ ...swing, kind: 'high' })),
+      ...swings.lows.map(swing => ({ ...swing, kind: 'low' }))
+    ], {
+      tolerance: (atrValue || lastCandle.close * 0.002) * 0.5,
+      currentPrice: lastCandle.close,
+      length: candles.length
+    });
+    
+    const priceLevels = [...new Set([
+      ...swingHighs,
+      ...swingLows,
+      round(lastCandle.close),
+      round(rangeHigh),
+      round(rangeLow)
+    ])].sort((a, b) => a - b).slice(0, 15);
+    
+    return {
+      rawText: '',
+      extractedData: {
+        priceLevels: priceLevels,
+        indicators: computed,
+        labels: [],
+        hasData: true,
+        source: 'ohlc',
+        candles: {
+          count: candles.length,
+          from: candles[0].time,
+          to: lastCandle.time,
+          lastClose: round(lastCandle.close),
+          high: round(rangeHigh),
+          low: round(rangeLow),
+          recent: candles.slice(-10)
+        },
+        swingHighs: swingHighs,
+        swingLows: swingLows,
+        ...(pivotLevels && { pivots: pivotLevels }),
+        zones: roundZones(zones, instrument),
+        structure: roundStructure(ta.marketStructure(candles), instrument)
+      }
+    };
+  }
+
+  // Zones from bare price levels (no candles): each level is one touch, 0.15% apart merges
+  levelZones(priceLevels, currentPrice, instrument = null) {
+    if (priceLevels.length === 0) {
+      return [];
+    }
+    
+    const reference = currentPrice || priceLevels[Math.floor(priceLevels.length / 2)];
+    const zones = ta.clusterZones(priceLevels.map(price => ({ price })), {
+      tolerance: reference * 0.0015,
+      currentPrice
+    });
+    return roundZones(zones, instrument);
+  }
+
+  // Computed zones and structure in the response, next to the AI's vision_summary zones
+  describeMarketStructure(extractedData) {
+    const { zones, structure, candles, chartCandles, ohlc } = extractedData;
+    if (!zones) {
+      return null;
+    }
+    
+    const toZone = ({ low, high, touches, strength }) => ({ low, high, touches, strength });
+    const nearestFirst = (type, direction) => zones
+      .filter(zone => zone.type === type)
+      .sort((a, b) => direction * (a.mid - b.mid))
+      .map(toZone);
+    
+    return {
+      source: structure ? 'candles' : 'levels',
+      current_price: candles?.lastClose ?? chartCandles?.lastPrice ?? ohlc?.close ?? null,
+      trend: structure ? structure.trend : 'unknown',
+      last_break: structure?.lastBreak
+        ? { type: structure.lastBreak.type, direction: structure.lastBreak.direction, level: structure.lastBreak.level, time: structure.lastBreak.time }
+        : null,
+      swings: structure ? structure.swings.map(swing => ({ kind: swing.kind, label: swing.label, price: swing.price, time: swing.time })) : [],
+      support_zones: nearestFirst('support', -1),
+      resistance_zones: nearestFirst('resistance', 1),
+      // Levels-only zones without a current price cannot be split into support/resistance
+      zones: zones.filter(zone => zone.type === null).map(toZone)
+    };
+  }
+
+  async analyzeWithAI(ocrData, symbol, timeframe, tradeType, extraNotes, requestId, { higherTimeframes = [], onEvent = null, signal = null, promptTemplate } = {}) {
+    if (this.degraded) {
+      throw new Error(`AI service unavailable: ${this.degradedReason}`);
+    }
+    
+    const { messages } = this.buildPrompt(ocrData, {
+      symbol, timeframe, tradeType, extraNotes, higherTimeframes, promptTemplate
+    });
+    // Only multi-timeframe requests must return the multi_timeframe block
+    const timeframes = higherTimeframes.length > 0
+      ? [timeframe, ...higherTimeframes.map(h => h.timeframe)]
+      : null;
+    const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
     
     try {
-      console.log(`🤖 [${requestId}] Sending request to DeepSeek API...`);
-      
-      const response = await this.client.post('/chat/completions', {
-        model: constants.DEEPSEEK_MODEL,
-        messages: [
-          { 
-            role: 'system',
-            content: 'You are a professional trading analyst with 15+ years experience in technical analysis.'
-          },
-          { 
-            role: 'user', 
-            content: prompt 
-          }
-        ],
-        max_tokens: 2500,
-        temperature: 0.1,
-        top_p: 0.9,
-        frequency_penalty: 0.1,
-        presence_penalty: 0.1,
-        response_format: { type: 'json_object' }
-      });
-      
-      console.log(`✅ [${requestId}] Received response from DeepSeek API`);
-      
-      return this.parseAIResponse(response.data, requestId);
+      for (let attempt = 0; ; attempt++) {
+        // Also checked after the wait for an AI slot
+        signal?.throwIfAborted();
+        console.log(`🤖 [${requestId}] Sending request to ${this.provider.name} provider...`);
+        
+        const response = await this.provider.chat(messages, {
+          maxTokens: 2500,
+          temperature: 0.1,
+          topP: 0.9,
+          frequencyPenalty: 0.1,
+          presencePenalty: 0.1,
+          json: true,
+          signal: signal,
+          // Only stream when someone is listening
+          ...(onEvent && { onToken: (text) => onEvent('token', { attempt, text }) })
+        });
+        
+        console.log(`✅ [${requestId}] Received response from ${this.provider.name} provider`);
+        
+        usage.prompt_tokens += response.usage?.prompt_tokens || 0;
+        usage.completion_tokens += response.usage?.completion_tokens || 0;
+        usage.total_tokens += response.usage?.total_tokens || 0;
+        
+        const check = this.validateAIResponse(response, { timeframes });
+        onEvent?.('validation', { attempt, valid: check.valid, errors: check.errors });
+        
+        if (check.valid || attempt >= constants.AI_REPAIR_ATTEMPTS) {
+          return this.parseAIResponse(response, requestId, { usage, repairAttempts: attempt, timeframes });
+        }
+        
+        // Re-ask the model with the validation errors before giving up
+        console.warn(`🔧 [${requestId}] AI response failed validation (${check.errors.length} issues), requesting repair...`);
+        messages.push(
+          { role: 'assistant', content: check.content },
+          { role: 'user', content: this.generateRepairPrompt(check.errors) }
+        );
+      }
       
     } catch (error) {
-      console.error(`❌ [${requestId}] DeepSeek API Error:`, {
+      console.error(`❌ [${requestId}] ${this.provider.name} API Error:`, {
         message: error.message,
         status: error.response?.status,
         code: error.code
       });
       
-      throw new Error(`AI service error: ${error.message}`);
+      throw withUsage(new Error(`AI service error: ${error.message}`), usage);
     }
   }
 
-  generateTradingPrompt(ocrData, symbol, timeframe, tradeType, extraNotes) {
-    const { priceLevels, indicators, hasData } = ocrData.extractedData;
-    
-    const currentTime = new Date().toISOString();
-    const dataQuality = hasData ? 'GOOD' : 'POOR';
+  generateRepairPrompt(errors) {
+    return `Your previous response did not match the required JSON schema.
+
+ERRORS:
+${errors.map(e => `- ${e}`).join('\n')}
+
+Return the corrected analysis as ONLY valid JSON with the same structure.
+- Prices (entry, sl, tp1, tp2, levels) must be plain numbers or null
+- probability must be a single integer 0-100
+- risk_reward must look like "1:2"
+- Use only the allowed values for enum fields`;
+  }
+
+  // Candle context, price levels and indicators of one chart/data set
+  formatExtractedData(extractedData) {
+    const { priceLevels, indicators, candles, swingHighs, swingLows, pivots, labels, timeLabels, ohlc, chartCandles, estimatedIndicators = [], zones, structure } = extractedData;
     
-    return `🔍 **TRADING CHART ANALYSIS REQUEST**
+    return `${timeLabels ? `
+CHART REGIONS (OCR by region - price levels are read from the price scale):
+- Legend: ${labels.join(' ') || 'not readable'}${ohlc ? `
+- Current candle: O ${ohlc.open ?? '?'} | H ${ohlc.high ?? '?'} | L ${ohlc.low ?? '?'} | C ${ohlc.close ?? '?'}` : ''}
+- Time axis: ${timeLabels.join(', ') || 'not readable'}
+` : ''}${chartCandles ? `
+CANDLES READ FROM CHART PIXELS (approximate - 1px on the price scale ≈ ${roundPrice(Math.abs(chartCandles.calibration.slope))}):
+- Candles detected: ${chartCandles.count} | Last price: ${chartCandles.lastPrice}
+- Visible high: ${chartCandles.high} | Visible low: ${chartCandles.low}${swingHighs ? `
+- Recent swing highs: ${swingHighs.join(', ') || 'none'}
+- Recent swing lows: ${swingLows.join(', ') || 'none'}` : ''}
 
-📊 **MARKET DATA:**
-- Symbol: ${symbol}
-- Timeframe: ${timeframe}
-- Strategy: ${tradeType.toUpperCase()}
-- Analysis Time: ${currentTime}
-- Data Quality: ${dataQuality}
+LAST ${chartCandles.recent.length} CANDLES (open | high | low | close):
+${chartCandles.recent.map(c => `${c.open} | ${c.high} | ${c.low} | ${c.close}`).join('\n')}
+` : ''}${candles ? `
+DATA SOURCE: OHLC candles (${candles.count} bars, ${candles.from || '?'} → ${candles.to || '?'})
+- Last close: ${candles.lastClose}
+- Range high: ${candles.high} | Range low: ${candles.low}
+- Recent swing highs: ${swingHighs.join(', ') || 'none'}
+- Recent swing lows: ${swingLows.join(', ') || 'none'}${pivots ? `
+- Classic daily pivots (${pivots.day}): P ${pivots.classic.pivot} | R1 ${pivots.classic.r1} | R2 ${pivots.classic.r2} | S1 ${pivots.classic.s1} | S2 ${pivots.classic.s2}
+- Fibonacci daily pivots (${pivots.day}): P ${pivots.fibonacci.pivot} | R1 ${pivots.fibonacci.r1} | R2 ${pivots.fibonacci.r2} | S1 ${pivots.fibonacci.s1} | S2 ${pivots.fibonacci.s2}` : ''}
 
-📈 **EXTRACTED CHART DATA:**
-${hasData ? `
+LAST ${candles.recent.length} CANDLES (time | open | high | low | close):
+${candles.recent.map(c => `${c.time || '-'} | ${c.open} | ${c.high} | ${c.low} | ${c.close}`).join('\n')}
+
+Indicator values below are COMPUTED from the candles - treat them as exact.
+` : ''}
 PRICE LEVELS (sorted):
 ${priceLevels.map((p, i) => `${i+1}. ${p}`).join('\n')}
-
+${zones && zones.length > 0 ? `
+COMPUTED ZONES (${structure ? 'clustered swing highs/lows' : 'clustered price levels - weak, no candle data'}):
+${[...zones].reverse().map(z => `- ${z.type ? z.type.toUpperCase() : 'ZONE'} ${z.low === z.high ? z.low : `${z.low} - ${z.high}`} | touches: ${z.touches} | strength: ${z.strength}/100`).join('\n')}
+` : ''}${structure ? `
+MARKET STRUCTURE (computed): trend ${structure.trend}
+- Swings: ${structure.swings.map(s => `${s.label || (s.kind === 'high' ? 'H' : 'L')} ${s.price}`).join(' → ') || 'none'}
+- Last break: ${structure.lastBreak ? `${structure.lastBreak.type} ${structure.lastBreak.direction} through ${structure.lastBreak.level}${structure.lastBreak.time ? ` (${structure.lastBreak.time})` : ''}` : 'none'}
+` : ''}
 TECHNICAL INDICATORS:
-${Object.entries(indicators).map(([k, v]) => `- ${k}: ${v}`).join('\n')}
+${Object.entries(indicators).map(([k, v]) => `- ${k}: ${v}${estimatedIndicators.includes(k) ? ' (estimated from chart pixels)' : ''}`).join('\n')}
+`;
+  }
 
+  // Higher-timeframe sections and extra output keys for multi-timeframe requests
+  formatHigherTimeframes(higherTimeframes) {
+    return `
+🧭 **HIGHER TIMEFRAME CONTEXT:**
+${higherTimeframes.map(({ timeframe, extractedData }) => `
+--- ${timeframe} ---
+${extractedData.hasData ? this.formatExtractedData(extractedData) : '⚠️ NO DATA EXTRACTED for this timeframe'}`).join('\n')}
+
+⚖️ **MULTI-TIMEFRAME RULES:**
+   - Determine the higher-timeframe bias first, then look for entries on the entry timeframe
+   - Only BUY/SELL in the direction of the higher-timeframe bias
+   - If timeframes conflict → HOLD unless the setup is exceptionally strong
+`;
+  }
+
+  // Extra output rules when higher timeframes are attached
+  formatMultiTimeframeInstructions(timeframe, higherTimeframes) {
+    return `
+7. vision_summary and decision describe the ENTRY timeframe (${timeframe})
+8. Also include this top-level key:
+  "multi_timeframe": {
+    "htf_bias": "bullish/bearish/neutral",
+    "timeframes": {
+${[timeframe, ...higherTimeframes.map(h => h.timeframe)].map(tf => `      "${tf}": { "trend_structure": "bullish/bearish/sideways/uncertain", "key_level": number_or_null, "summary": "one_sentence" }`).join(',\n')}
+    }
+  }`;
+  }
+
+  // Values for the {{placeholders}} of a prompt template (see PROMPT_VARIABLES)
+  promptVariables(ocrData, { symbol, timeframe, tradeType, extraNotes, higherTimeframes = [] }) {
+    const { hasData } = ocrData.extractedData;
+    const isMultiTimeframe = higherTimeframes.length > 0;
+    
+    return {
+      symbol: symbol,
+      timeframe: timeframe,
+      timeframe_context: isMultiTimeframe
+        ? ` (entry timeframe; context: ${higherTimeframes.map(h => h.timeframe).join(', ')})`
+        : '',
+      strategy: tradeType.toUpperCase(),
+      trade_type: tradeType,
+      analysis_time: new Date().toISOString(),
+      data_quality: hasData ? 'GOOD' : 'POOR',
+      chart_data: hasData
+        ? `${this.formatExtractedData(ocrData.extractedData)}
 USER NOTES:
 ${extraNotes || 'None provided'}
-` : '⚠️ NO DATA EXTRACTED - Chart may be unclear or contain no readable text'}
-
-🎯 **ANALYSIS REQUIREMENTS:**
-
-1. **TREND ANALYSIS:**
-   - Primary trend direction
-   - Trend strength and structure
-   - Momentum assessment
-
-2. **KEY LEVELS:**
-   - Support levels (use available price data)
-   - Resistance levels (use available price data)
-   - Pivot points if identifiable
-
-3. **PATTERN RECOGNITION:**
-   - Chart patterns (triangles, flags, H&S, etc.)
-   - Candlestick patterns
-   - Breakout/breakdown signals
-
-4. **RISK ASSESSMENT:**
-   - Market volatility
-   - Signal reliability
-   - Risk/Reward potential
-
-📉 **TRADING DECISION CRITERIA:**
-
-✅ **BUY SIGNAL (LONG):**
-   - Bullish pattern confirmation
-   - Support bounce with volume
-   - Positive momentum alignment
-   - Risk/Reward ≥ 1:1.5
-   - Clear entry/exit levels
-
-✅ **SELL SIGNAL (SHORT):**
-   - Bearish pattern confirmation
-   - Resistance rejection
-   - Negative momentum alignment
-   - Risk/Reward ≥ 1:1.5
-   - Clear entry/exit levels
-
-🔄 **HOLD SIGNAL:**
-   - Sideways/consolidation
-   - No clear pattern
-   - Low confidence signal
-   - High uncertainty
-   - Waiting for confirmation
-
-⚠️ **CONSERVATIVE APPROACH REQUIRED:**
-   - Better to miss a trade than take a bad one
-   - If data is insufficient → HOLD
-   - If confidence < 70% → HOLD
-   - Always prioritize capital preservation
-
-💰 **RISK MANAGEMENT:**
-   - Calculate precise price levels
-   - Suggest realistic stop loss
-   - Provide 2 take profit targets
-   - Assess position size suitability
-   - Define invalidation conditions
-
-📋 **OUTPUT FORMAT - STRICT JSON ONLY:**
-
-{
-  "vision_summary": {
-    "trend_structure": "bullish/bearish/sideways/uncertain",
-    "trend_confidence": "high/medium/low",
-    "support_zone": {
-      "level": "specific_price_or_N/A",
-      "description": "brief_description",
-      "confidence": "high/medium/low"
-    },
-    "resistance_zone": {
-      "level": "specific_price_or_N/A",
-      "description": "brief_description",
-      "confidence": "high/medium/low"
-    },
-    "rsi": {
-      "approx_value": "number_or_estimated_range_or_N/A",
-      "status": "overbought/oversold/neutral/unknown",
-      "divergence": true/false
-    },
-    "macd": {
-      "cross": "bullish/bearish/neutral/unknown",
-      "histogram": "rising/falling/neutral/unknown",
-      "momentum": "strong/moderate/weak/unknown"
-    },
-    "key_notes": "concise_market_observations_max_3_points"
-  },
-  "decision": {
-    "action": "BUY/SELL/HOLD",
-    "entry": "exact_price_or_N/A",
-    "sl": "exact_stop_loss_or_N/A",
-    "tp1": "first_take_profit_or_N/A",
-    "tp2": "second_take_profit_or_N/A",
-    "probability": "0-100%",
-    "risk_reward": "ratio_e.g._1:1.5_or_N/A",
-    "reason": "detailed_technical_explanation_min_3_points",
-    "invalid_if": "clear_invalidation_conditions"
-  },
-  "risk_assessment": {
-    "level": "low/medium/high",
-    "recommended_position": "small/medium/full",
-    "timeframe_suitability": "excellent/good/fair/poor"
+`
+        : '⚠️ NO DATA EXTRACTED - Chart may be unclear or contain no readable text',
+      user_notes: extraNotes || 'None provided',
+      higher_timeframes: isMultiTimeframe ? this.formatHigherTimeframes(higherTimeframes) : '',
+      data_instruction: hasData ? 'Use available price data for calculations' : 'Acknowledge data limitations',
+      disclaimer: constants.MESSAGES.DISCLAIMER,
+      multi_timeframe_instructions: isMultiTimeframe
+        ? this.formatMultiTimeframeInstructions(timeframe, higherTimeframes)
+        : ''
+    };
   }
-}
 
-🎯 **FINAL INSTRUCTIONS:**
-1. ${hasData ? 'Use available price data for calculations' : 'Acknowledge data limitations'}
-2. Be conservative - err on side of caution
-3. Provide realistic price levels
-4. Include clear risk warnings
-5. Return ONLY valid JSON, no additional text
-6. Add "${constants.MESSAGES.DISCLAIMER}" to reasoning`;
+  /**
+   * System + user messages from the selected template.
+   * @param {Object} ocrData - extracted data of the entry chart
+   * @param {Object} params - symbol, timeframe, tradeType, extraNotes, higherTimeframes and
+   *   promptTemplate (`name` or `name@version`; default picked by trade type)
+   * @returns {{template: Object, messages: Array}}
+   */
+  buildPrompt(ocrData, { promptTemplate, ...params }) {
+    const template = this.prompts.resolve({ template: promptTemplate, tradeType: params.tradeType });
+    return this.prompts.render(template, this.promptVariables(ocrData, params));
   }
 
-  parseAIResponse(apiResponse, requestId) {
+  // Extract, clean and schema-check the model output without side effects
+  validateAIResponse(apiResponse, { timeframes = null } = {}) {
+    let content = '';
+    
     try {
-      const content = apiResponse.choices[0].message.content;
-      const usage = apiResponse.usage || {};
+      content = apiResponse.choices[0].message.content || '';
       
       // Clean response
       const cleanedContent = content
@@ -483,47 +1390,85 @@ ${extraNotes || 'None provided'}
         .replace(/^json\s*/i, '')
         .trim();
       
-      // Parse JSON
-      const parsedData = JSON.parse(cleanedContent);
+      const data = JSON.parse(cleanedContent);
+      const check = validateAnalysis(data);
       
-      // Validate structure
-      if (!parsedData.decision || !parsedData.vision_summary) {
-        throw new Error('Invalid response structure from AI');
+      if (timeframes) {
+        const mtf = validateMultiTimeframe(data.multi_timeframe, timeframes);
+        check.errors.push(...mtf.errors);
+        check.valid = check.errors.length === 0;
+        if (check.value) check.value.multi_timeframe = mtf.value;
       }
       
-      // Add disclaimer and metadata
-      parsedData.disclaimer = constants.MESSAGES.DISCLAIMER;
-      parsedData.api_usage = {
-        prompt_tokens: usage.prompt_tokens,
-        completion_tokens: usage.completion_tokens,
-        total_tokens: usage.total_tokens
-      };
-      
-      return parsedData;
+      return { ...check, content };
       
     } catch (error) {
-      console.error(`[${requestId}] Failed to parse AI response:`, error.message);
-      return this.getFallbackAnalysis('Unknown', 'Unknown', 'Unknown', error, requestId);
+      return {
+        valid: false,
+        errors: [`response is not valid JSON: ${error.message}`],
+        value: null,
+        content
+      };
     }
   }
 
+  parseAIResponse(apiResponse, requestId, { usage, repairAttempts = 0, timeframes = null } = {}) {
+    const check = this.validateAIResponse(apiResponse, { timeframes });
+    const apiUsage = usage || apiResponse.usage || {};
+    
+    if (!check.valid) {
+      console.error(`[${requestId}] Failed to parse AI response:`, check.errors.join('; '));
+      
+      const fallback = this.getFallbackAnalysis(
+        'Unknown', 'Unknown', 'Unknown',
+        new Error(`AI response failed schema validation (${check.errors.length} issues)`),
+        requestId
+      );
+      fallback.validation = {
+        valid: false,
+        errors: check.errors,
+        repair_attempts: repairAttempts
+      };
+      // Unusable answers were still billed, so they count towards the key's quota
+      fallback.api_usage = { ...apiUsage };
+      return fallback;
+    }
+    
+    const parsedData = check.value;
+    
+    // Add disclaimer and metadata
+    parsedData.disclaimer = constants.MESSAGES.DISCLAIMER;
+    parsedData.api_usage = {
+      prompt_tokens: apiUsage.prompt_tokens,
+      completion_tokens: apiUsage.completion_tokens,
+      total_tokens: apiUsage.total_tokens
+    };
+    parsedData.validation = {
+      valid: true,
+      errors: [],
+      repair_attempts: repairAttempts
+    };
+    
+    return parsedData;
+  }
+
   getFallbackAnalysis(symbol, timeframe, tradeType, error, requestId) {
     return {
       vision_summary: {
-        trend_structure: "Analysis failed",
+        trend_structure: "uncertain",
         trend_confidence: "low",
         support_zone: {
-          level: "N/A",
+          level: null,
           description: "Technical analysis incomplete",
           confidence: "low"
         },
         resistance_zone: {
-          level: "N/A",
+          level: null,
           description: "Technical analysis incomplete",
           confidence: "low"
         },
         rsi: {
-          approx_value: "N/A",
+          approx_value: null,
           status: "unknown",
           divergence: false
         },
@@ -536,12 +1481,12 @@ ${extraNotes || 'None provided'}
       },
       decision: {
         action: "HOLD",
-        entry: "N/A",
-        sl: "N/A",
-        tp1: "N/A",
-        tp2: "N/A",
-        probability: "0%",
-        risk_reward: "N/A",
+        entry: null,
+        sl: null,
+        tp1: null,
+        tp2: null,
+        probability: 0,
+        risk_reward: null,
         reason: `Technical analysis failed: ${error?.message || 'Insufficient or unclear chart data'}. Please upload a clearer screenshot with visible price levels.`,
         invalid_if: "N/A"
       },
@@ -554,9 +1499,14 @@ ${extraNotes || 'None provided'}
         message: error?.message || 'Analysis failed',
         requestId: requestId,
         timestamp: new Date().toISOString()
-      }
+      },
+      // Tokens of the calls made before the failure
+      ...(error?.usage && { api_usage: error.usage })
     };
   }
 }
 
+DeepSeekService.PROMPT_VARIABLES = PROMPT_VARIABLES;
+DeepSeekService.MIN_CANDLES = MIN_CANDLES;
+
 module.exports = DeepSeekService;
\ No newline at end of file
@@ -0,0 +1,43 @@
+/**
+ * Common interface for LLM providers used by DeepSeekService.
+ *
+ * Every provider returns chat results in the OpenAI `/chat/completions`
+ * shape ({ choices: [{ message }], usage }) so parseAIResponse stays
+ * vendor-agnostic.
+ */
+class BaseProvider {
+  constructor(options = {}) {
+    this.name = options.name || 'base';
+    this.model = options.model || null;
+    this.baseURL = options.baseURL || null;
+    this.requiresApiKey = false;
+  }
+
+  /**
+   * @param {Array<{role: string, content: string}>} messages
+   * @param {Object} options - maxTokens, temperature, topP, frequencyPenalty, presencePenalty, json,
+   *   onToken (optional; streams the completion and calls onToken(text) per chunk),
+   *   signal (optional AbortSignal; aborts the HTTP request)
+   * @returns {Promise<{choices: Array, usage: Object, model: string}>}
+   */
+  async chat(messages, options = {}) {
+    throw new Error(`${this.name} provider does not implement chat()`);
+  }
+
+  /**
+   * @returns {Promise<{ok: boolean, message: string, modelsCount?: number}>}
+   */
+  async testConnection() {
+    throw new Error(`${this.name} provider does not implement testConnection()`);
+  }
+
+  describe() {
+    return {
+      name: this.name,
+      model: this.model,
+      baseURL: this.baseURL
+    };
+  }
+}
+
+module.exports = BaseProvider;
@@ -0,0 +1,21 @@
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const constants = require('../../config/constants');
+
+class DeepSeekProvider extends OpenAICompatibleProvider {
+  constructor(options = {}) {
+    super({
+      name: 'deepseek',
+      baseURL: constants.DEEPSEEK_API_URL,
+      model: constants.DEEPSEEK_MODEL,
+      apiKey: constants.DEEPSEEK_API_KEY,
+      timeout: constants.DEEPSEEK_TIMEOUT,
+      ...options
+    });
+  }
+
+  label() {
+    return 'DeepSeek';
+  }
+}
+
+module.exports = DeepSeekProvider;
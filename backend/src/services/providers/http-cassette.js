@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const axios = require('axios');
+
+const MODES = ['off', 'record', 'replay'];
+
+// Prompts embed the analysis time; ignore timestamps when matching request bodies
+function bodyHash(body) {
+  const text = (typeof body === 'string' ? body : JSON.stringify(body ?? ''))
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<time>');
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+function parseJSON(text) {
+  if (typeof text !== 'string') return text;
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return text;
+  }
+}
+
+async function readStream(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+// Path relative to the client's baseURL, so one cassette serves any host (stub, proxy, live API)
+function requestUrl(config) {
+  return axios.getUri({ url: config.url, params: config.params });
+}
+
+/**
+ * Record/replay layer for an axios instance (a provider's `client`). Request/response pairs are
+ * kept in one JSON file; request headers are never written, so API keys stay out of fixtures.
+ *
+ * Replay serves the recorded response for the same method + path, preferring an unused entry
+ * with the same request body (timestamps ignored). A request with no recording fails with
+ * code CASSETTE_MISS. Streamed responses (SSE) are recorded as text and replayed as a stream.
+ */
+class HttpCassette {
+  constructor({ file, mode = 'replay' }) {
+    if (!MODES.includes(mode) || mode === 'off') {
+      throw new Error(`HttpCassette: mode must be record or replay (got ${mode})`);
+    }
+
+    this.file = file;
+    this.mode = mode;
+    this.interactions = [];
+    this.used = new Set();
+
+    if (mode === 'replay') {
+      try {
+        this.interactions = JSON.parse(fs.readFileSync(file, 'utf8')).interactions || [];
+      } catch (error) {
+        throw new Error(`HttpCassette: cannot read ${file} (${error.code || error.message})`);
+      }
+    }
+  }
+
+  // Route every request of `client` through the cassette
+  attach(client) {
+    const realAdapter = axios.getAdapter(client.defaults.adapter);
+    client.defaults.adapter = (config) => this.mode === 'record'
+      ? this.record(config, realAdapter)
+      : this.replay(config);
+    return client;
+  }
+
+  async record(config, realAdapter) {
+    const request = {
+      method: config.method.toUpperCase(),
+      url: requestUrl(config),
+      body: parseJSON(config.data) ?? null
+    };
+
+    let response;
+    try {
+      response = await realAdapter(config);
+    } catch (error) {
+      if (!error.response) {
+        this.save({ request, error: { code: error.code || null, message: error.message } });
+        throw error;
+      }
+      response = error.response;
+      this.save({ request, response: await this.snapshot(response, config) });
+      throw error;
+    }
+
+    const snapshot = await this.snapshot(response, config);
+    this.save({ request, response: snapshot });
+
+    // The recorded stream is consumed - hand the caller a fresh one
+    if (snapshot.stream) {
+      response.data = Readable.from([snapshot.body]);
+    }
+    return response;
+  }
+
+  async snapshot(response, config) {
+    const stream = config.responseType === 'stream';
+    const body = stream ? await readStream(response.data) : response.data;
+
+    return {
+      status: response.status,
+      headers: { 'content-type': response.headers?.['content-type'] || null },
+      stream: stream,
+      body: stream ? body : parseJSON(body)
+    };
+  }
+
+  save(interaction) {
+    this.interactions.push(interaction);
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    fs.writeFileSync(this.file, `${JSON.stringify({ interactions: this.interactions }, null, 2)}\n`);
+  }
+
+  find(request) {
+    const candidates = this.interactions
+      .map((interaction, index) => ({ interaction, index }))
+      .filter(({ interaction, index }) => !this.used.has(index) &&
+        interaction.request.method === request.method &&
+        interaction.request.url === request.url);
+
+    const hash = bodyHash(request.body);
+    return candidates.find(({ interaction }) => bodyHash(interaction.request.body) === hash) || candidates[0];
+  }
+
+  async replay(config) {
+    const request = {
+      method: config.method.toUpperCase(),
+      url: requestUrl(config),
+      body: parseJSON(config.data) ?? null
+    };
+    const match = this.find(request);
+
+    if (!match) {
+      throw new axios.AxiosError(
+        `No recorded response for ${request.method} ${request.url} in ${this.file} (re-record with AI_HTTP_RECORDING=record)`,
+        'CASSETTE_MISS',
+        config
+      );
+    }
+
+    this.used.add(match.index);
+    const { response: recorded, error } = match.interaction;
+
+    if (error) {
+      throw new axios.AxiosError(error.message, error.code, config);
+    }
+
+    const response = {
+      status: recorded.status,
+      statusText: String(recorded.status),
+      headers: new axios.AxiosHeaders(recorded.headers || {}),
+      config: config,
+      request: {},
+      data: recorded.stream
+        ? Readable.from([recorded.body])
+        : typeof recorded.body === 'string' ? recorded.body : JSON.stringify(recorded.body)
+    };
+
+    const validateStatus = config.validateStatus;
+    if (!validateStatus || validateStatus(response.status)) {
+      return response;
+    }
+
+    throw new axios.AxiosError(
+      `Request failed with status code ${response.status}`,
+      response.status >= 500 ? 'ERR_BAD_RESPONSE' : 'ERR_BAD_REQUEST',
+      config,
+      response.request,
+      response
+    );
+  }
+}
+
+HttpCassette.MODES = MODES;
+HttpCassette.bodyHash = bodyHash;
+
+module.exports = HttpCassette;
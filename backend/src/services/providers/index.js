@@ -0,0 +1,54 @@
+const DeepSeekProvider = require('./deepseek-provider');
+const OpenAICompatibleProvider = require('./openai-compatible-provider');
+const OllamaProvider = require('./ollama-provider');
+const MockProvider = require('./mock-provider');
+const RecordingProvider = require('./recording-provider');
+const HttpCassette = require('./http-cassette');
+const constants = require('../../config/constants');
+
+const PROVIDERS = {
+  deepseek: DeepSeekProvider,
+  openai: OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+  local: OllamaProvider,
+  mock: MockProvider
+};
+
+/**
+ * Build the provider selected by configuration (AI_PROVIDER and friends).
+ * Explicit options override configured values.
+ */
+function createProvider(name = constants.AI_PROVIDER, options = {}) {
+  const key = (name || 'deepseek').toLowerCase();
+  const Provider = PROVIDERS[key];
+
+  if (!Provider) {
+    throw new Error(`Unknown AI provider: ${name}. Allowed: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+
+  const configured = {};
+  if (constants.AI_BASE_URL) configured.baseURL = constants.AI_BASE_URL;
+  if (constants.AI_MODEL) configured.model = constants.AI_MODEL;
+  if (constants.AI_API_KEY) configured.apiKey = constants.AI_API_KEY;
+
+  const provider = new Provider({ ...configured, ...options });
+
+  // Deterministic provider traffic for tests and offline runs
+  if (constants.AI_HTTP_RECORDING !== 'off' && provider.client) {
+    new HttpCassette({ file: constants.AI_HTTP_CASSETTE, mode: constants.AI_HTTP_RECORDING }).attach(provider.client);
+    console.log(`📼 AI HTTP ${constants.AI_HTTP_RECORDING}: ${constants.AI_HTTP_CASSETTE}`);
+  }
+
+  return provider;
+}
+
+module.exports = {
+  createProvider,
+  PROVIDERS,
+  DeepSeekProvider,
+  OpenAICompatibleProvider,
+  OllamaProvider,
+  MockProvider,
+  RecordingProvider,
+  HttpCassette
+};
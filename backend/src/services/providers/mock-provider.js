@@ -0,0 +1,148 @@
+const BaseProvider = require('./base-provider');
+
+// Characters per onToken() call when simulating a stream
+const MOCK_CHUNK_SIZE = 24;
+
+const DEFAULT_ANALYSIS = {
+  vision_summary: {
+    trend_structure: 'sideways',
+    trend_confidence: 'low',
+    support_zone: {
+      level: 'N/A',
+      description: 'Mock provider - no real analysis performed',
+      confidence: 'low'
+    },
+    resistance_zone: {
+      level: 'N/A',
+      description: 'Mock provider - no real analysis performed',
+      confidence: 'low'
+    },
+    rsi: {
+      approx_value: 'N/A',
+      status: 'unknown',
+      divergence: false
+    },
+    macd: {
+      cross: 'unknown',
+      histogram: 'unknown',
+      momentum: 'unknown'
+    },
+    key_notes: 'Deterministic mock response'
+  },
+  decision: {
+    action: 'HOLD',
+    entry: 'N/A',
+    sl: 'N/A',
+    tp1: 'N/A',
+    tp2: 'N/A',
+    probability: '0%',
+    risk_reward: 'N/A',
+    reason: 'Mock provider always returns HOLD unless configured otherwise.',
+    invalid_if: 'N/A'
+  },
+  risk_assessment: {
+    level: 'high',
+    recommended_position: 'small',
+    timeframe_suitability: 'poor'
+  }
+};
+
+// Multi-timeframe prompts ask for an extra block; answer it for every requested timeframe
+function withMultiTimeframe(analysis, messages) {
+  const prompt = messages.map(m => m.content || '').join('\n');
+  const timeframes = [...prompt.matchAll(/"(\w+)": \{ "trend_structure"/g)].map(m => m[1]);
+
+  if (timeframes.length === 0 || analysis.multi_timeframe) return analysis;
+
+  return {
+    ...analysis,
+    multi_timeframe: {
+      htf_bias: 'neutral',
+      timeframes: Object.fromEntries(timeframes.map(tf => [tf, {
+        trend_structure: analysis.vision_summary.trend_structure,
+        key_level: null,
+        summary: 'Deterministic mock response'
+      }]))
+    }
+  };
+}
+
+// Follow-up questions get an answer; the decision is only repeated when a revision was asked for
+function followUpAnswer(analysis, messages) {
+  const question = messages[messages.length - 1]?.content || '';
+  if (!question.startsWith('FOLLOW-UP QUESTION')) return null;
+
+  return {
+    answer: 'Deterministic mock response',
+    decision: question.includes('"decision": null') ? null : analysis.decision
+  };
+}
+
+/**
+ * Offline provider returning a fixed (or caller-supplied) analysis.
+ * `response` may be an object, a raw string, or a function of the messages.
+ */
+class MockProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ name: 'mock', model: 'mock-model', ...options });
+
+    this.response = options.response || DEFAULT_ANALYSIS;
+    this.calls = [];
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages, options });
+
+    let content = typeof this.response === 'function'
+      ? await this.response(messages, options)
+      : this.response;
+
+    if (content === DEFAULT_ANALYSIS) {
+      content = followUpAnswer(content, messages) || withMultiTimeframe(content, messages);
+    }
+
+    if (typeof content !== 'string') {
+      content = JSON.stringify(content);
+    }
+
+    // Simulate streaming in small chunks
+    if (options.onToken) {
+      for (let i = 0; i < content.length; i += MOCK_CHUNK_SIZE) {
+        options.onToken(content.slice(i, i + MOCK_CHUNK_SIZE));
+      }
+    }
+
+    // Rough token estimate (~4 chars per token) so usage stays deterministic
+    const promptChars = messages.reduce((sum, m) => sum + (m.content || '').length, 0);
+    const promptTokens = Math.ceil(promptChars / 4);
+    const completionTokens = Math.ceil(content.length / 4);
+
+    return {
+      model: this.model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: content },
+          finish_reason: 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  async testConnection() {
+    return {
+      ok: true,
+      message: '✅ Mock provider is operational',
+      modelsCount: 1
+    };
+  }
+}
+
+MockProvider.DEFAULT_ANALYSIS = DEFAULT_ANALYSIS;
+
+module.exports = MockProvider;
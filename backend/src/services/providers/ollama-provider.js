@@ -0,0 +1,112 @@
+const axios = require('axios');
+const readline = require('readline');
+const BaseProvider = require('./base-provider');
+const constants = require('../../config/constants');
+
+/**
+ * Local model server using the Ollama native API (`/api/chat`, `/api/tags`).
+ * llama.cpp's server exposes the OpenAI API, so use the `openai` provider for it.
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({
+      name: 'ollama',
+      baseURL: 'http://127.0.0.1:11434',
+      model: 'llama3.1',
+      ...options
+    });
+
+    this.timeout = options.timeout || constants.DEEPSEEK_TIMEOUT;
+
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      }
+    });
+  }
+
+  async chat(messages, options = {}) {
+    const payload = {
+      model: this.model,
+      messages: messages,
+      stream: Boolean(options.onToken),
+      options: {
+        num_predict: options.maxTokens,
+        temperature: options.temperature,
+        top_p: options.topP,
+        frequency_penalty: options.frequencyPenalty,
+        presence_penalty: options.presencePenalty
+      }
+    };
+
+    if (options.json) {
+      payload.format = 'json';
+    }
+
+    const data = options.onToken
+      ? await this.readStream(payload, options)
+      : (await this.client.post('/api/chat', payload, { signal: options.signal })).data || {};
+    const promptTokens = data.prompt_eval_count || 0;
+    const completionTokens = data.eval_count || 0;
+
+    // Normalize to the OpenAI response shape
+    return {
+      model: data.model || this.model,
+      choices: [
+        {
+          index: 0,
+          message: data.message || { role: 'assistant', content: '' },
+          finish_reason: data.done_reason || 'stop'
+        }
+      ],
+      usage: {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+      }
+    };
+  }
+
+  // NDJSON stream: one object per line, the last one (`done: true`) carries the counters
+  async readStream(payload, { onToken, signal }) {
+    const response = await this.client.post('/api/chat', payload, { responseType: 'stream', signal });
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+    let content = '';
+    let last = {};
+
+    for await (const line of lines) {
+      if (!line.trim()) continue;
+
+      last = JSON.parse(line);
+      const text = last.message?.content;
+
+      if (text) {
+        content += text;
+        onToken(text);
+      }
+    }
+
+    return { ...last, message: { role: 'assistant', content: content } };
+  }
+
+  async testConnection() {
+    const response = await this.client.get('/api/tags', {
+      timeout: 10000,
+      validateStatus: (status) => status < 500
+    });
+
+    const isConnected = response.status === 200;
+    const models = response.data?.models || [];
+
+    return {
+      ok: isConnected,
+      message: isConnected ? '✅ Local model server is operational' : '⚠️ API connection issue',
+      modelsCount: models.length
+    };
+  }
+}
+
+module.exports = OllamaProvider;
@@ -0,0 +1,134 @@
+const axios = require('axios');
+const readline = require('readline');
+const BaseProvider = require('./base-provider');
+const constants = require('../../config/constants');
+
+/**
+ * Any endpoint speaking the OpenAI `/chat/completions` + `/models` API.
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super({ name: 'openai', ...options });
+
+    this.apiKey = options.apiKey || '';
+    this.timeout = options.timeout || constants.DEEPSEEK_TIMEOUT;
+    this.requiresApiKey = options.requiresApiKey !== undefined ? options.requiresApiKey : true;
+
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'TradingAnalyzer-Production/1.0.0',
+      'Accept': 'application/json'
+    };
+
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+
+    // Create axios instance with production settings
+    this.client = axios.create({
+      baseURL: this.baseURL,
+      timeout: this.timeout,
+      headers: headers,
+      maxContentLength: Infinity,
+      maxBodyLength: Infinity
+    });
+  }
+
+  buildPayload(messages, options) {
+    const payload = {
+      model: this.model,
+      messages: messages,
+      max_tokens: options.maxTokens,
+      temperature: options.temperature,
+      top_p: options.topP,
+      frequency_penalty: options.frequencyPenalty,
+      presence_penalty: options.presencePenalty
+    };
+
+    if (options.json) {
+      payload.response_format = { type: 'json_object' };
+    }
+
+    return payload;
+  }
+
+  async chat(messages, options = {}) {
+    if (options.onToken) {
+      return this.chatStream(messages, options);
+    }
+
+    const response = await this.client.post('/chat/completions', this.buildPayload(messages, options), { signal: options.signal });
+    return response.data;
+  }
+
+  // SSE stream (`data: {...}` lines, `data: [DONE]`) folded back into one completion
+  async chatStream(messages, options) {
+    const payload = {
+      ...this.buildPayload(messages, options),
+      stream: true,
+      stream_options: { include_usage: true }
+    };
+    const response = await this.client.post('/chat/completions', payload, { responseType: 'stream', signal: options.signal });
+
+    let content = '';
+    let usage = null;
+    let model = this.model;
+    let finishReason = 'stop';
+
+    const lines = readline.createInterface({ input: response.data, crlfDelay: Infinity });
+
+    for await (const line of lines) {
+      if (!line.startsWith('data:')) continue;
+
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') break;
+
+      const chunk = JSON.parse(data);
+      const choice = chunk.choices?.[0];
+      const text = choice?.delta?.content;
+
+      model = chunk.model || model;
+      usage = chunk.usage || usage;
+      finishReason = choice?.finish_reason || finishReason;
+
+      if (text) {
+        content += text;
+        options.onToken(text);
+      }
+    }
+
+    return {
+      model: model,
+      choices: [
+        {
+          index: 0,
+          message: { role: 'assistant', content: content },
+          finish_reason: finishReason
+        }
+      ],
+      usage: usage || {}
+    };
+  }
+
+  async testConnection() {
+    const response = await this.client.get('/models', {
+      timeout: 10000,
+      validateStatus: (status) => status < 500
+    });
+
+    const isConnected = response.status === 200;
+    const models = response.data?.data || [];
+
+    return {
+      ok: isConnected,
+      message: isConnected ? `✅ ${this.label()} API is operational` : '⚠️ API connection issue',
+      modelsCount: models.length
+    };
+  }
+
+  label() {
+    return 'OpenAI-compatible';
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
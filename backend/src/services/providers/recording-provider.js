@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const BaseProvider = require('./base-provider');
+
+// Prompts embed the analysis time; ignore timestamps when comparing them
+function promptHash(messages) {
+  const text = messages
+    .map(m => `${m.role}:${m.content || ''}`)
+    .join('\n')
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g, '<time>');
+  return crypto.createHash('sha256').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Records model responses per cassette (one JSON file per evaluation fixture) or replays them,
+ * so evaluations can be repeated offline. Replay serves the recorded responses in order and
+ * wraps around; a call whose prompt differs from the recording is counted in `staleCalls`.
+ *
+ * mode 'record': `inner` answers and every response is saved to `<dir>/<cassette>.json`
+ * mode 'replay': answers come from `<dir>/<cassette>.json`
+ */
+class RecordingProvider extends BaseProvider {
+  constructor({ mode, dir, inner = null }) {
+    if (mode === 'record' && !inner) {
+      throw new Error('RecordingProvider: record mode needs an inner provider');
+    }
+
+    super({
+      name: mode === 'record' ? inner.name : 'replay',
+      model: mode === 'record' ? inner.model : null,
+      baseURL: mode === 'record' ? inner.baseURL : null
+    });
+
+    this.mode = mode;
+    this.dir = dir;
+    this.inner = inner;
+    this.requiresApiKey = mode === 'record' ? inner.requiresApiKey : false;
+    this.apiKey = inner?.apiKey;
+    this.cassette = null;
+    this.staleCalls = 0;
+  }
+
+  cassettePath(name) {
+    return path.join(this.dir, `${name}.json`);
+  }
+
+  // Switch to the recording of one fixture
+  use(name) {
+    if (this.mode === 'record') {
+      this.cassette = { name, provider: this.inner.name, model: this.inner.model, recordedAt: new Date().toISOString(), calls: [] };
+      return;
+    }
+
+    let recording;
+    try {
+      recording = JSON.parse(fs.readFileSync(this.cassettePath(name), 'utf8'));
+    } catch (error) {
+      throw new Error(`No recording for ${name} in ${this.dir} (${error.code || error.message})`);
+    }
+
+    if (!Array.isArray(recording.calls) || recording.calls.length === 0) {
+      throw new Error(`Recording ${this.cassettePath(name)} has no calls`);
+    }
+
+    this.cassette = { ...recording, next: 0 };
+    this.model = `${recording.provider}/${recording.model}`;
+  }
+
+  save() {
+    if (this.mode !== 'record' || !this.cassette) return;
+
+    fs.mkdirSync(this.dir, { recursive: true });
+    fs.writeFileSync(this.cassettePath(this.cassette.name), `${JSON.stringify(this.cassette, null, 2)}\n`);
+  }
+
+  async chat(messages, options = {}) {
+    if (!this.cassette) {
+      throw new Error('RecordingProvider: call use(<fixture>) before chat()');
+    }
+
+    const hash = promptHash(messages);
+
+    if (this.mode === 'record') {
+      const response = await this.inner.chat(messages, options);
+      this.cassette.calls.push({ promptHash: hash, response });
+      return response;
+    }
+
+    const call = this.cassette.calls[this.cassette.next % this.cassette.calls.length];
+    this.cassette.next++;
+    if (call.promptHash !== hash) this.staleCalls++;
+
+    const content = call.response.choices?.[0]?.message?.content || '';
+    if (options.onToken && content) options.onToken(content);
+
+    return call.response;
+  }
+
+  async testConnection() {
+    if (this.mode === 'record') return this.inner.testConnection();
+    return { ok: true, message: `✅ Replaying recordings from ${this.dir}`, modelsCount: 1 };
+  }
+}
+
+RecordingProvider.promptHash = promptHash;
+
+module.exports = RecordingProvider;
@@ -0,0 +1,156 @@
+const crypto = require('crypto');
+
+const MAX_PAGE_SIZE = 100;
+
+function toJSON(value) {
+  return value === undefined ? null : JSON.stringify(value);
+}
+
+function fromJSON(value) {
+  return value ? JSON.parse(value) : null;
+}
+
+function numberOrNull(value) {
+  return typeof value === 'number' && Number.isFinite(value) ? value : null;
+}
+
+/**
+ * Persists every /api/analyze result and answers history queries.
+ */
+class AnalysisStore {
+  constructor(db) {
+    this.db = db;
+    
+    this.insertStmt = db.prepare(`
+      INSERT INTO analyses (
+        id, created_at, request_id, symbol, timeframe, trade_type, extra_notes,
+        action, probability, entry, sl, tp1, tp2,
+        provider, model, prompt_version, processing_ms,
+        input_json, ocr_json, result_json, metadata_json
+      ) VALUES (
+        @id, @created_at, @request_id, @symbol, @timeframe, @trade_type, @extra_notes,
+        @action, @probability, @entry, @sl, @tp1, @tp2,
+        @provider, @model, @prompt_version, @processing_ms,
+        @input_json, @ocr_json, @result_json, @metadata_json
+      )
+    `);
+    this.getStmt = db.prepare('SELECT * FROM analyses WHERE id = ?');
+  }
+
+  /**
+   * @param {Object} record
+   * @param {Object} record.input - symbol, timeframe, tradeType, extraNotes, file info
+   * @param {Object} record.analysis - full analysis response (incl. ocr and metadata)
+   * @returns {string} id of the stored analysis
+   */
+  save({ input, analysis }) {
+    const { ocr, metadata = {}, ...result } = analysis;
+    const decision = result.decision || {};
+    const id = crypto.randomUUID();
+    
+    this.insertStmt.run({
+      id: id,
+      created_at: metadata.timestamp || new Date().toISOString(),
+      request_id: metadata.requestId !== undefined ? String(metadata.requestId) : null,
+      symbol: input.symbol,
+      timeframe: input.timeframe,
+      trade_type: input.tradeType,
+      extra_notes: input.extraNotes || null,
+      action: decision.action || 'HOLD',
+      probability: numberOrNull(decision.probability),
+      entry: numberOrNull(decision.entry),
+      sl: numberOrNull(decision.sl),
+      tp1: numberOrNull(decision.tp1),
+      tp2: numberOrNull(decision.tp2),
+      provider: metadata.apiProvider || null,
+      model: metadata.model || null,
+      // Template and version, e.g. default@1.7.0 (older rows: version only)
+      prompt_version: metadata.promptTemplate
+        ? `${metadata.promptTemplate}@${metadata.promptVersion}`
+        : metadata.promptVersion || null,
+      processing_ms: parseInt(metadata.processingTime, 10) || null,
+      input_json: toJSON(input),
+      ocr_json: toJSON(ocr),
+      result_json: toJSON(result),
+      metadata_json: toJSON(metadata)
+    });
+    
+    return id;
+  }
+
+  get(id) {
+    const row = this.getStmt.get(id);
+    return row ? this.toRecord(row) : null;
+  }
+
+  /**
+   * @param {Object} filters - symbol, timeframe, action, from, to (ISO dates), page, limit
+   * @returns {{ items: Object[], pagination: Object }}
+   */
+  list({ symbol, timeframe, action, from, to, page = 1, limit = 20 } = {}) {
+    const where = [];
+    const params = {};
+    
+    if (symbol) { where.push('symbol = @symbol'); params.symbol = symbol; }
+    if (timeframe) { where.push('timeframe = @timeframe'); params.timeframe = timeframe; }
+    if (action) { where.push('action = @action'); params.action = action; }
+    if (from) { where.push('created_at >= @from'); params.from = from; }
+    if (to) { where.push('created_at <= @to'); params.to = to; }
+    
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const pageSize = Math.min(Math.max(limit, 1), MAX_PAGE_SIZE);
+    const offset = (Math.max(page, 1) - 1) * pageSize;
+    
+    const total = this.db.prepare(`SELECT COUNT(*) AS count FROM analyses ${whereSql}`).get(params).count;
+    const rows = this.db.prepare(`
+      SELECT id, created_at, symbol, timeframe, trade_type, action, probability,
+             entry, sl, tp1, tp2, provider, model, prompt_version
+      FROM analyses ${whereSql}
+      ORDER BY created_at DESC
+      LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit: pageSize, offset });
+    
+    return {
+      items: rows.map(row => this.toSummary(row)),
+      pagination: {
+        page: Math.max(page, 1),
+        limit: pageSize,
+        total: total,
+        pages: Math.ceil(total / pageSize)
+      }
+    };
+  }
+
+  toSummary(row) {
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      symbol: row.symbol,
+      timeframe: row.timeframe,
+      tradeType: row.trade_type,
+      action: row.action,
+      probability: row.probability,
+      entry: row.entry,
+      sl: row.sl,
+      tp1: row.tp1,
+      tp2: row.tp2,
+      provider: row.provider,
+      model: row.model,
+      promptVersion: row.prompt_version
+    };
+  }
+
+  toRecord(row) {
+    return {
+      ...this.toSummary(row),
+      analysisRequestId: row.request_id,
+      processingMs: row.processing_ms,
+      input: fromJSON(row.input_json),
+      ocr: fromJSON(row.ocr_json),
+      result: fromJSON(row.result_json),
+      metadata: fromJSON(row.metadata_json)
+    };
+  }
+}
+
+module.exports = AnalysisStore;
@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+
+const KEY_PREFIX = 'tca_';
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// UTC day the usage counts towards, e.g. '2024-01-15'
+function dayOf(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Issued API keys and their token consumption. Only a SHA-256 of each key is stored;
+ * the plain key is returned once, by create().
+ */
+class ApiKeyStore {
+  constructor(db) {
+    this.db = db;
+    
+    this.insertStmt = db.prepare(`
+      INSERT INTO api_keys (id, name, key_hash, key_prefix, rate_limit, daily_token_quota, created_at)
+      VALUES (@id, @name, @key_hash, @key_prefix, @rate_limit, @daily_token_quota, @created_at)
+    `);
+    this.getStmt = db.prepare('SELECT * FROM api_keys WHERE id = ?');
+    this.byHashStmt = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?');
+    this.touchStmt = db.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?');
+    this.revokeStmt = db.prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL');
+    this.usageStmt = db.prepare(`
+      INSERT INTO api_usage (
+        api_key_id, created_at, day, endpoint, analysis_id, cached,
+        prompt_tokens, completion_tokens, total_tokens
+      ) VALUES (
+        @api_key_id, @created_at, @day, @endpoint, @analysis_id, @cached,
+        @prompt_tokens, @completion_tokens, @total_tokens
+      )
+    `);
+    this.tokensTodayStmt = db.prepare(`
+      SELECT COALESCE(SUM(total_tokens), 0) AS tokens
+      FROM api_usage WHERE api_key_id = ? AND day = ?
+    `);
+  }
+  
+  /**
+   * @param {Object} options
+   * @param {string} options.name - who the key is for
+   * @param {number} [options.rateLimit] - requests per rate-limit window (null = server default)
+   * @param {number} [options.dailyTokenQuota] - AI tokens per UTC day (null = server default, 0 = unlimited)
+   * @returns {Object} the stored key plus `key`, the only time the plain key is available
+   */
+  create({ name, rateLimit = null, dailyTokenQuota = null }) {
+    const id = crypto.randomUUID();
+    const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    
+    this.insertStmt.run({
+      id: id,
+      name: name,
+      key_hash: hashKey(key),
+      key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+      rate_limit: rateLimit,
+      daily_token_quota: dailyTokenQuota,
+      created_at: new Date().toISOString()
+    });
+    
+    return { ...this.get(id), key };
+  }
+  
+  get(id) {
+    const row = this.getStmt.get(id);
+    return row ? this.toRecord(row) : null;
+  }
+  
+  list() {
+    return this.db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC').all()
+      .map(row => ({ ...this.toRecord(row), tokensToday: this.tokensUsedToday(row.id) }));
+  }
+  
+  /**
+   * Active key for a plain key string; null for unknown or revoked keys.
+   */
+  authenticate(key) {
+    const row = this.byHashStmt.get(hashKey(String(key)));
+    if (!row || row.revoked_at) return null;
+    
+    this.touchStmt.run(new Date().toISOString(), row.id);
+    return this.toRecord(row);
+  }
+  
+  // Returns the revoked key, or null when it does not exist
+  revoke(id) {
+    this.revokeStmt.run(new Date().toISOString(), id);
+    return this.get(id);
+  }
+  
+  /**
+   * @param {Object} entry
+   * @param {string|null} entry.apiKeyId - null for anonymous requests
+   * @param {string} entry.endpoint
+   * @param {string} [entry.analysisId]
+   * @param {boolean} [entry.cached] - served from the result cache, no tokens spent
+   * @param {Object} [entry.usage] - api_usage of the analysis
+   */
+  recordUsage({ apiKeyId, endpoint, analysisId = null, cached = false, usage = {} }) {
+    const now = new Date();
+    
+    this.usageStmt.run({
+      api_key_id: apiKeyId,
+      created_at: now.toISOString(),
+      day: dayOf(now),
+      endpoint: endpoint,
+      analysis_id: analysisId,
+      cached: cached ? 1 : 0,
+      prompt_tokens: cached ? 0 : usage.prompt_tokens || 0,
+      completion_tokens: cached ? 0 : usage.completion_tokens || 0,
+      total_tokens: cached ? 0 : usage.total_tokens || 0
+    });
+  }
+  
+  tokensUsedToday(apiKeyId) {
+    return this.tokensTodayStmt.get(apiKeyId, dayOf(new Date())).tokens;
+  }
+  
+  /**
+   * Consumption per key and per day.
+   * @param {Object} filters - apiKeyId, from, to (YYYY-MM-DD, inclusive)
+   */
+  usage({ apiKeyId, from, to } = {}) {
+    const where = [];
+    const params = {};
+    
+    if (apiKeyId) { where.push('u.api_key_id = @apiKeyId'); params.apiKeyId = apiKeyId; }
+    if (from) { where.push('u.day >= @from'); params.from = from; }
+    if (to) { where.push('u.day <= @to'); params.to = to; }
+    
+    const whereSql = where.length > 0 ? `WHERE ${where.join(' AND ')}` : '';
+    const totals = `
+      COUNT(*) AS requests,
+      SUM(u.cached) AS cached_requests,
+      SUM(u.prompt_tokens) AS prompt_tokens,
+      SUM(u.completion_tokens) AS completion_tokens,
+      SUM(u.total_tokens) AS total_tokens
+    `;
+    
+    const byKey = this.db.prepare(`
+      SELECT u.api_key_id, k.name, ${totals}
+      FROM api_usage u LEFT JOIN api_keys k ON k.id = u.api_key_id
+      ${whereSql}
+      GROUP BY u.api_key_id
+      ORDER BY total_tokens DESC
+    `).all(params);
+    
+    const byDay = this.db.prepare(`
+      SELECT u.day, u.api_key_id, ${totals}
+      FROM api_usage u
+      ${whereSql}
+      GROUP BY u.day, u.api_key_id
+      ORDER BY u.day DESC
+    `).all(params);
+    
+    const toTotals = row => ({
+      requests: row.requests,
+      cachedRequests: row.cached_requests,
+      promptTokens: row.prompt_tokens,
+      completionTokens: row.completion_tokens,
+      totalTokens: row.total_tokens
+    });
+    
+    return {
+      keys: byKey.map(row => ({ apiKeyId: row.api_key_id, name: row.name || null, ...toTotals(row) })),
+      days: byDay.map(row => ({ day: row.day, apiKeyId: row.api_key_id, ...toTotals(row) }))
+    };
+  }
+  
+  toRecord(row) {
+    return {
+      id: row.id,
+      name: row.name,
+      prefix: row.key_prefix,
+      rateLimit: row.rate_limit,
+      dailyTokenQuota: row.daily_token_quota,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at,
+      revokedAt: row.revoked_at,
+      active: !row.revoked_at
+    };
+  }
+}
+
+module.exports = ApiKeyStore;
@@ -0,0 +1,57 @@
+/**
+ * SQLite backend of the result cache (CACHE_PERSIST), so cached analyses survive restarts.
+ * Expired rows are dropped on read and by prune().
+ */
+class CacheStore {
+  constructor(db) {
+    this.db = db;
+    
+    this.getStmt = db.prepare('SELECT * FROM analysis_cache WHERE cache_key = ?');
+    this.upsertStmt = db.prepare(`
+      INSERT INTO analysis_cache (cache_key, cached_at, expires_at, value_json)
+      VALUES (@cache_key, @cached_at, @expires_at, @value_json)
+      ON CONFLICT (cache_key) DO UPDATE SET
+        cached_at = excluded.cached_at,
+        expires_at = excluded.expires_at,
+        value_json = excluded.value_json
+    `);
+    this.deleteStmt = db.prepare('DELETE FROM analysis_cache WHERE cache_key = ?');
+    this.pruneStmt = db.prepare('DELETE FROM analysis_cache WHERE expires_at <= ?');
+  }
+
+  /**
+   * @param {string} key
+   * @returns {{value: Object, cachedAt: string, expiresAt: number}|null}
+   */
+  get(key) {
+    const row = this.getStmt.get(key);
+    if (!row) return null;
+    
+    if (row.expires_at <= Date.now()) {
+      this.deleteStmt.run(key);
+      return null;
+    }
+    
+    return {
+      value: JSON.parse(row.value_json),
+      cachedAt: row.cached_at,
+      expiresAt: row.expires_at
+    };
+  }
+
+  set(key, { value, cachedAt, expiresAt }) {
+    this.upsertStmt.run({
+      cache_key: key,
+      cached_at: cachedAt,
+      expires_at: expiresAt,
+      value_json: JSON.stringify(value)
+    });
+  }
+
+  // Remove expired entries; returns the number removed
+  prune() {
+    return this.pruneStmt.run(Date.now()).changes;
+  }
+}
+
+module.exports = CacheStore;
@@ -0,0 +1,70 @@
+/**
+ * Follow-up conversation of a stored analysis. Only the newest `maxMessages` messages
+ * per analysis are kept; older ones are dropped when new ones arrive.
+ */
+class ChatStore {
+  constructor(db, { maxMessages = 20 } = {}) {
+    this.db = db;
+    this.maxMessages = maxMessages;
+    
+    this.insertStmt = db.prepare(`
+      INSERT INTO analysis_messages (analysis_id, created_at, role, content, decision_json, total_tokens)
+      VALUES (@analysis_id, @created_at, @role, @content, @decision_json, @total_tokens)
+    `);
+    this.listStmt = db.prepare('SELECT * FROM analysis_messages WHERE analysis_id = ? ORDER BY id');
+    this.trimStmt = db.prepare(`
+      DELETE FROM analysis_messages
+      WHERE analysis_id = @analysis_id AND id NOT IN (
+        SELECT id FROM analysis_messages WHERE analysis_id = @analysis_id ORDER BY id DESC LIMIT @keep
+      )
+    `);
+  }
+
+  list(analysisId) {
+    return this.listStmt.all(analysisId).map(row => this.toRecord(row));
+  }
+
+  /**
+   * Store one exchange (question and answer) atomically and trim the history.
+   * @param {string} analysisId
+   * @param {Array<{role: string, content: string, decision?: Object, tradePlanCheck?: Object, totalTokens?: number}>} messages
+   * @returns {Object[]} the whole remaining conversation
+   */
+  append(analysisId, messages) {
+    const now = new Date().toISOString();
+    
+    this.db.transaction(() => {
+      messages.forEach(message => {
+        this.insertStmt.run({
+          analysis_id: analysisId,
+          created_at: now,
+          role: message.role,
+          content: message.content,
+          decision_json: message.decision
+            ? JSON.stringify({ decision: message.decision, tradePlanCheck: message.tradePlanCheck || null })
+            : null,
+          total_tokens: message.totalTokens || 0
+        });
+      });
+      this.trimStmt.run({ analysis_id: analysisId, keep: this.maxMessages });
+    })();
+    
+    return this.list(analysisId);
+  }
+
+  toRecord(row) {
+    const updated = row.decision_json ? JSON.parse(row.decision_json) : null;
+    
+    return {
+      id: row.id,
+      createdAt: row.created_at,
+      role: row.role,
+      content: row.content,
+      decision: updated ? updated.decision : null,
+      tradePlanCheck: updated ? updated.tradePlanCheck : null,
+      totalTokens: row.total_tokens
+    };
+  }
+}
+
+module.exports = ChatStore;
@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const migrations = require('./migrations');
+
+/**
+ * Open (or create) the SQLite database and bring its schema up to date.
+ * Pass ':memory:' for a throwaway database (tests).
+ */
+function openDatabase(filename) {
+  if (filename !== ':memory:') {
+    fs.mkdirSync(path.dirname(path.resolve(filename)), { recursive: true });
+  }
+  
+  const db = new Database(filename);
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  
+  migrate(db);
+  return db;
+}
+
+function migrate(db) {
+  const current = db.pragma('user_version', { simple: true });
+  const pending = migrations.filter(m => m.version > current);
+  
+  pending.forEach(migration => {
+    db.transaction(() => {
+      db.exec(migration.up);
+      db.pragma(`user_version = ${migration.version}`);
+    })();
+    console.log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+  });
+}
+
+module.exports = { openDatabase, migrate };
@@ -0,0 +1,109 @@
+// Schema migrations, applied in order. Never edit a released entry - append a new one.
+module.exports = [
+  {
+    version: 1,
+    name: 'create_analyses',
+    up: `
+      CREATE TABLE analyses (
+        id TEXT PRIMARY KEY,
+        created_at TEXT NOT NULL,
+        request_id TEXT,
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        trade_type TEXT NOT NULL,
+        extra_notes TEXT,
+        action TEXT NOT NULL,
+        probability REAL,
+        entry REAL,
+        sl REAL,
+        tp1 REAL,
+        tp2 REAL,
+        provider TEXT,
+        model TEXT,
+        prompt_version TEXT,
+        processing_ms INTEGER,
+        input_json TEXT,
+        ocr_json TEXT,
+        result_json TEXT NOT NULL,
+        metadata_json TEXT
+      );
+      CREATE INDEX idx_analyses_created_at ON analyses (created_at);
+      CREATE INDEX idx_analyses_symbol_timeframe ON analyses (symbol, timeframe);
+      CREATE INDEX idx_analyses_action ON analyses (action);
+    `
+  },
+  {
+    version: 2,
+    name: 'create_analysis_outcomes',
+    up: `
+      CREATE TABLE analysis_outcomes (
+        analysis_id TEXT PRIMARY KEY REFERENCES analyses(id) ON DELETE CASCADE,
+        outcome TEXT NOT NULL,
+        exit_price REAL,
+        r_multiple REAL NOT NULL,
+        closed_at TEXT NOT NULL,
+        notes TEXT,
+        recorded_at TEXT NOT NULL
+      );
+    `
+  },
+  {
+    version: 3,
+    name: 'create_analysis_cache',
+    up: `
+      CREATE TABLE analysis_cache (
+        cache_key TEXT PRIMARY KEY,
+        cached_at TEXT NOT NULL,
+        expires_at INTEGER NOT NULL,
+        value_json TEXT NOT NULL
+      );
+      CREATE INDEX idx_analysis_cache_expires_at ON analysis_cache (expires_at);
+    `
+  },
+  {
+    version: 4,
+    name: 'create_api_keys_and_usage',
+    up: `
+      CREATE TABLE api_keys (
+        id TEXT PRIMARY KEY,
+        name TEXT NOT NULL,
+        key_hash TEXT NOT NULL UNIQUE,
+        key_prefix TEXT NOT NULL,
+        rate_limit INTEGER,
+        daily_token_quota INTEGER,
+        created_at TEXT NOT NULL,
+        last_used_at TEXT,
+        revoked_at TEXT
+      );
+      CREATE TABLE api_usage (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        api_key_id TEXT REFERENCES api_keys(id),
+        created_at TEXT NOT NULL,
+        day TEXT NOT NULL,
+        endpoint TEXT NOT NULL,
+        analysis_id TEXT,
+        cached INTEGER NOT NULL DEFAULT 0,
+        prompt_tokens INTEGER NOT NULL DEFAULT 0,
+        completion_tokens INTEGER NOT NULL DEFAULT 0,
+        total_tokens INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_api_usage_key_day ON api_usage (api_key_id, day);
+    `
+  },
+  {
+    version: 5,
+    name: 'create_analysis_messages',
+    up: `
+      CREATE TABLE analysis_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        analysis_id TEXT NOT NULL REFERENCES analyses(id) ON DELETE CASCADE,
+        created_at TEXT NOT NULL,
+        role TEXT NOT NULL,
+        content TEXT NOT NULL,
+        decision_json TEXT,
+        total_tokens INTEGER NOT NULL DEFAULT 0
+      );
+      CREATE INDEX idx_analysis_messages_analysis ON analysis_messages (analysis_id, id);
+    `
+  }
+];
@@ -0,0 +1,162 @@
+const OUTCOMES = ['tp1_hit', 'tp2_hit', 'stopped_out', 'expired', 'manual_close'];
+
+// Outcomes of orders that never filled: kept, but not counted as trades
+const UNFILLED = ['expired'];
+
+/**
+ * R multiple of a closed trade: profit divided by the initial risk (entry to SL).
+ */
+function computeRMultiple({ action, entry, sl }, exitPrice) {
+  const risk = Math.abs(entry - sl);
+  if (!risk) return 0;
+  
+  const move = action === 'SELL' ? entry - exitPrice : exitPrice - entry;
+  return parseFloat((move / risk).toFixed(4));
+}
+
+// Price the trade closed at for a given outcome; expired trades never filled
+function resolveExitPrice(analysis, outcome, exitPrice) {
+  if (typeof exitPrice === 'number') return exitPrice;
+  
+  switch (outcome) {
+    case 'tp1_hit': return analysis.tp1;
+    case 'tp2_hit': return analysis.tp2;
+    case 'stopped_out': return analysis.sl;
+    case 'expired': return analysis.entry;
+    default: return null;
+  }
+}
+
+/**
+ * Win rate, average R and expectancy of filled trades. Unfilled orders are only counted
+ * (`unfilled`), so they neither dilute the win rate nor pull the average R towards 0.
+ */
+function summarize(outcomes) {
+  const rows = outcomes.filter(r => !UNFILLED.includes(r.outcome));
+  const wins = rows.filter(r => r.r_multiple > 0);
+  const losses = rows.filter(r => r.r_multiple < 0);
+  const sum = (list) => list.reduce((total, r) => total + r.r_multiple, 0);
+  const round = (value) => parseFloat(value.toFixed(4));
+  
+  const trades = rows.length;
+  const winRate = trades ? wins.length / trades : 0;
+  const lossRate = trades ? losses.length / trades : 0;
+  const avgWin = wins.length ? sum(wins) / wins.length : 0;
+  const avgLoss = losses.length ? Math.abs(sum(losses)) / losses.length : 0;
+  
+  return {
+    trades: trades,
+    unfilled: outcomes.length - trades,
+    wins: wins.length,
+    losses: losses.length,
+    scratches: trades - wins.length - losses.length,
+    winRate: round(winRate),
+    avgR: trades ? round(sum(rows) / trades) : 0,
+    avgWinR: round(avgWin),
+    avgLossR: round(avgLoss),
+    expectancy: round(winRate * avgWin - lossRate * avgLoss),
+    totalR: round(sum(rows))
+  };
+}
+
+function groupBy(rows, keyFn) {
+  const groups = {};
+  rows.forEach(row => {
+    const key = keyFn(row);
+    (groups[key] = groups[key] || []).push(row);
+  });
+  
+  return Object.fromEntries(
+    Object.entries(groups).map(([key, list]) => [key, summarize(list)])
+  );
+}
+
+/**
+ * Records trade outcomes against stored BUY/SELL analyses and reports accuracy.
+ */
+class OutcomeStore {
+  constructor(db) {
+    this.db = db;
+    
+    this.upsertStmt = db.prepare(`
+      INSERT INTO analysis_outcomes (analysis_id, outcome, exit_price, r_multiple, closed_at, notes, recorded_at)
+      VALUES (@analysis_id, @outcome, @exit_price, @r_multiple, @closed_at, @notes, @recorded_at)
+      ON CONFLICT(analysis_id) DO UPDATE SET
+        outcome = excluded.outcome,
+        exit_price = excluded.exit_price,
+        r_multiple = excluded.r_multiple,
+        closed_at = excluded.closed_at,
+        notes = excluded.notes,
+        recorded_at = excluded.recorded_at
+    `);
+    this.getStmt = db.prepare('SELECT * FROM analysis_outcomes WHERE analysis_id = ?');
+  }
+
+  /**
+   * @param {Object} analysis - stored analysis summary (action, entry, sl, tp1, tp2)
+   * @param {Object} outcome - outcome, exitPrice, closedAt, notes
+   */
+  record(analysis, { outcome, exitPrice, closedAt, notes }) {
+    const exit = resolveExitPrice(analysis, outcome, exitPrice);
+    
+    this.upsertStmt.run({
+      analysis_id: analysis.id,
+      outcome: outcome,
+      exit_price: exit,
+      r_multiple: computeRMultiple(analysis, exit),
+      closed_at: closedAt || new Date().toISOString(),
+      notes: notes || null,
+      recorded_at: new Date().toISOString()
+    });
+    
+    return this.get(analysis.id);
+  }
+
+  get(analysisId) {
+    const row = this.getStmt.get(analysisId);
+    if (!row) return null;
+    
+    return {
+      outcome: row.outcome,
+      exitPrice: row.exit_price,
+      rMultiple: row.r_multiple,
+      closedAt: row.closed_at,
+      notes: row.notes,
+      recordedAt: row.recorded_at
+    };
+  }
+
+  /**
+   * Win rate, average R and expectancy overall and per symbol, timeframe,
+   * trade type and model/prompt version.
+   */
+  stats({ symbol, from, to } = {}) {
+    const where = [];
+    const params = {};
+    
+    if (symbol) { where.push('a.symbol = @symbol'); params.symbol = symbol; }
+    if (from) { where.push('a.created_at >= @from'); params.from = from; }
+    if (to) { where.push('a.created_at <= @to'); params.to = to; }
+    
+    const rows = this.db.prepare(`
+      SELECT a.symbol, a.timeframe, a.trade_type, a.provider, a.model, a.prompt_version, o.outcome, o.r_multiple
+      FROM analysis_outcomes o
+      JOIN analyses a ON a.id = o.analysis_id
+      ${where.length > 0 ? `WHERE ${where.join(' AND ')}` : ''}
+    `).all(params);
+    
+    return {
+      overall: summarize(rows),
+      bySymbol: groupBy(rows, r => r.symbol),
+      byTimeframe: groupBy(rows, r => r.timeframe),
+      byTradeType: groupBy(rows, r => r.trade_type),
+      byModel: groupBy(rows, r => `${r.provider || 'unknown'}/${r.model || 'unknown'}@${r.prompt_version || 'unknown'}`)
+    };
+  }
+}
+
+OutcomeStore.OUTCOMES = OUTCOMES;
+OutcomeStore.computeRMultiple = computeRMultiple;
+OutcomeStore.summarize = summarize;
+
+module.exports = OutcomeStore;
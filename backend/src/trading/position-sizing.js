@@ -0,0 +1,234 @@
+const constants = require('../config/constants');
+const instruments = require('../instruments');
+
+// Share of the requested risk used for the model's risk_assessment.recommended_position
+const RECOMMENDED_RISK_SHARE = {
+  none: 0,
+  small: 0.5,
+  medium: 0.75,
+  full: 1
+};
+
+class PositionSizeError extends Error {
+  constructor(message, code = 'INVALID_POSITION_INPUT') {
+    super(message);
+    this.name = 'PositionSizeError';
+    this.code = code;
+  }
+}
+
+const money = (value) => parseFloat(value.toFixed(2));
+const decimalsOf = (step) => (String(step).split('.')[1] || '').length;
+
+function isPositive(value) {
+  return typeof value === 'number' && Number.isFinite(value) && value > 0;
+}
+
+// Lots rounded down to the broker's lot step and capped at maxLot
+function roundLots(lots, spec) {
+  const steps = Math.floor(lots / spec.lotStep + 1e-9);
+  const rounded = parseFloat((steps * spec.lotStep).toFixed(decimalsOf(spec.lotStep)));
+  return Math.min(rounded, spec.maxLot);
+}
+
+/**
+ * Value of one unit of the quote currency in the account currency. Direct when they are the
+ * same, or when the account currency is the instrument's base currency (EURUSD for an EUR
+ * account, USDJPY for a USD account); otherwise the caller has to supply `conversionRate`.
+ */
+function quoteToAccountRate({ symbol, spec, accountCurrency, price, conversionRate }) {
+  if (isPositive(conversionRate)) return conversionRate;
+  if (spec.quoteCurrency === accountCurrency) return 1;
+  if (spec.baseCurrency === accountCurrency) return 1 / price;
+
+  throw new PositionSizeError(
+    `conversionRate (1 ${spec.quoteCurrency} in ${accountCurrency}) is required to size ${symbol} for a ${accountCurrency} account`,
+    'CONVERSION_RATE_REQUIRED'
+  );
+}
+
+function sizeForRisk(riskAmount, lossPerLot, spec) {
+  const lots = roundLots(riskAmount / lossPerLot, spec);
+  const tradable = lots >= spec.minLot;
+
+  return {
+    lots: tradable ? lots : 0,
+    units: tradable ? parseFloat((lots * spec.contractSize).toFixed(6)) : 0,
+    actualRisk: tradable ? money(lots * lossPerLot) : 0
+  };
+}
+
+// Problems with the account part of a request, checked before any analysis work
+function accountErrors({ balance, riskPercent, accountCurrency = constants.DEFAULT_ACCOUNT_CURRENCY, conversionRate }) {
+  const errors = [];
+  if (!isPositive(balance)) errors.push('accountBalance must be a positive number');
+  if (!isPositive(riskPercent) || riskPercent > constants.MAX_RISK_PERCENT) {
+    errors.push(`riskPercent must be > 0 and <= ${constants.MAX_RISK_PERCENT}`);
+  }
+  if (!/^[A-Z]{3}$/.test(String(accountCurrency).toUpperCase().trim())) {
+    errors.push('accountCurrency must be a 3-letter currency code');
+  }
+  if (conversionRate !== undefined && conversionRate !== null && !isPositive(conversionRate)) {
+    errors.push('conversionRate must be a positive number');
+  }
+  return errors;
+}
+
+/**
+ * Lot size that loses `riskPercent` of `balance` when the stop is hit.
+ * @param {Object} input
+ * @param {string} input.symbol - instrument symbol or alias
+ * @param {string} [input.action] - BUY | SELL, checks the stop is on the right side
+ * @param {number} input.entry
+ * @param {number} input.sl
+ * @param {number} [input.tp1]
+ * @param {number} [input.tp2]
+ * @param {number} input.balance - account balance in `accountCurrency`
+ * @param {number} input.riskPercent - 0 < riskPercent <= MAX_RISK_PERCENT
+ * @param {string} [input.accountCurrency]
+ * @param {number} [input.conversionRate] - 1 unit of the quote currency in the account currency
+ * @param {string} [input.recommendedPosition] - risk_assessment.recommended_position of the analysis
+ * @returns {Object} sizing with lots/units, money at risk and at each target
+ * @throws {PositionSizeError}
+ */
+function calculatePositionSize(input) {
+  const instrument = instruments.resolve(input.symbol);
+  const accountCurrency = String(input.accountCurrency || constants.DEFAULT_ACCOUNT_CURRENCY).toUpperCase().trim();
+  const { action, entry, sl, balance, riskPercent, conversionRate } = input;
+
+  if (!instrument) {
+    throw new PositionSizeError(
+      `Unknown instrument ${input.symbol || '(none)'}. Known: ${instruments.symbols().join(', ')}`,
+      'UNKNOWN_INSTRUMENT'
+    );
+  }
+
+  // Contract specs plus what sizing needs from the instrument itself
+  const symbol = instrument.symbol;
+  const spec = {
+    ...instrument.contract,
+    pipSize: instrument.pipSize,
+    baseCurrency: instrument.baseCurrency,
+    quoteCurrency: instrument.quoteCurrency
+  };
+
+  const errors = accountErrors({ balance, riskPercent, accountCurrency, conversionRate });
+  if (!isPositive(entry)) errors.push('entry must be a positive number');
+  if (!isPositive(sl)) errors.push('sl must be a positive number');
+  if (errors.length === 0 && entry === sl) errors.push('entry and sl must differ');
+  if (errors.length === 0 && action === 'BUY' && sl > entry) errors.push('sl must be below entry for a BUY');
+  if (errors.length === 0 && action === 'SELL' && sl < entry) errors.push('sl must be above entry for a SELL');
+
+  if (errors.length > 0) {
+    throw new PositionSizeError(`Invalid position size request: ${errors.join('; ')}`);
+  }
+
+  const rate = quoteToAccountRate({ symbol, spec, accountCurrency, price: entry, conversionRate });
+  const stopDistance = Math.abs(entry - sl);
+  const lossPerLot = stopDistance * spec.contractSize * rate;
+  const pipValue = spec.pipSize * spec.contractSize * rate;
+  const riskAmount = balance * riskPercent / 100;
+
+  const position = sizeForRisk(riskAmount, lossPerLot, spec);
+  const warnings = [];
+
+  if (position.lots === 0) {
+    warnings.push(`Risking ${money(riskAmount)} ${accountCurrency} is below the minimum lot ${spec.minLot} (${money(spec.minLot * lossPerLot)} ${accountCurrency} at this stop)`);
+  } else if (position.lots === spec.maxLot) {
+    warnings.push(`Capped at the maximum lot ${spec.maxLot}`);
+  }
+
+  const share = RECOMMENDED_RISK_SHARE[input.recommendedPosition];
+  const recommended = share === undefined ? null : {
+    position: input.recommendedPosition,
+    riskPercent: parseFloat((riskPercent * share).toFixed(4)),
+    ...sizeForRisk(riskAmount * share, lossPerLot, spec)
+  };
+
+  const targets = ['tp1', 'tp2']
+    .filter(name => isPositive(input[name]))
+    .map(name => {
+      const distance = Math.abs(input[name] - entry);
+      return {
+        name: name,
+        price: input[name],
+        pips: parseFloat((distance / spec.pipSize).toFixed(1)),
+        profit: money(position.lots * distance * spec.contractSize * rate),
+        rr: parseFloat((distance / stopDistance).toFixed(2))
+      };
+    });
+
+  return {
+    symbol: symbol,
+    action: action || null,
+    accountCurrency: accountCurrency,
+    balance: balance,
+    riskPercent: riskPercent,
+    riskAmount: money(riskAmount),
+    entry: entry,
+    sl: sl,
+    stopDistance: parseFloat(stopDistance.toFixed(8)),
+    stopPips: parseFloat((stopDistance / spec.pipSize).toFixed(1)),
+    pipValue: parseFloat(pipValue.toFixed(4)),
+    conversionRate: parseFloat(rate.toFixed(8)),
+    ...position,
+    actualRiskPercent: parseFloat((position.actualRisk / balance * 100).toFixed(4)),
+    recommended: recommended,
+    targets: targets,
+    spec: spec,
+    warnings: warnings
+  };
+}
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  return Number(value);
+}
+
+/**
+ * Account fields of a request body (JSON or form): accountBalance, riskPercent,
+ * accountCurrency, conversionRate. Null when no accountBalance was sent.
+ */
+function readAccount(body = {}) {
+  if (body.accountBalance === undefined || body.accountBalance === '') return null;
+
+  return {
+    balance: toNumber(body.accountBalance),
+    riskPercent: toNumber(body.riskPercent) ?? 1,
+    accountCurrency: body.accountCurrency ? String(body.accountCurrency) : undefined,
+    conversionRate: toNumber(body.conversionRate)
+  };
+}
+
+/**
+ * Sizing for the decision of an analysis (response body or stored record).
+ * @throws {PositionSizeError} NOT_A_TRADE for HOLD or missing entry/SL
+ */
+function sizeAnalysis(analysis, symbol, account) {
+  const decision = analysis.decision || {};
+
+  if ((decision.action !== 'BUY' && decision.action !== 'SELL') || !isPositive(decision.entry) || !isPositive(decision.sl)) {
+    throw new PositionSizeError('Position size needs a BUY/SELL decision with entry and stop loss', 'NOT_A_TRADE');
+  }
+
+  return calculatePositionSize({
+    ...account,
+    symbol: symbol,
+    action: decision.action,
+    entry: decision.entry,
+    sl: decision.sl,
+    tp1: decision.tp1,
+    tp2: decision.tp2,
+    recommendedPosition: analysis.risk_assessment?.recommended_position
+  });
+}
+
+module.exports = {
+  calculatePositionSize,
+  sizeAnalysis,
+  readAccount,
+  accountErrors,
+  toNumber,
+  PositionSizeError,
+  RECOMMENDED_RISK_SHARE
+};
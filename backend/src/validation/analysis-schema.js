@@ -0,0 +1,355 @@
+/**
+ * Formal schema for the analysis object returned by the AI.
+ *
+ * validateAnalysis() normalizes loose model output (price strings, "75%",
+ * mixed-case enums) into a strict shape and reports everything it could not
+ * repair, so the caller can re-ask the model with the list of errors.
+ */
+
+const ENUMS = {
+  trend_structure: ['bullish', 'bearish', 'sideways', 'uncertain'],
+  confidence: ['high', 'medium', 'low'],
+  rsi_status: ['overbought', 'oversold', 'neutral', 'unknown'],
+  macd_cross: ['bullish', 'bearish', 'neutral', 'unknown'],
+  macd_histogram: ['rising', 'falling', 'neutral', 'unknown'],
+  macd_momentum: ['strong', 'moderate', 'weak', 'unknown'],
+  action: ['BUY', 'SELL', 'HOLD'],
+  risk_level: ['low', 'medium', 'high'],
+  recommended_position: ['none', 'small', 'medium', 'full'],
+  timeframe_suitability: ['excellent', 'good', 'fair', 'poor'],
+  htf_bias: ['bullish', 'bearish', 'neutral']
+};
+
+// Common model wording mapped onto enum values
+const SYNONYMS = {
+  trend_structure: { ranging: 'sideways', range: 'sideways', consolidation: 'sideways', neutral: 'sideways', unclear: 'uncertain', unknown: 'uncertain', uptrend: 'bullish', downtrend: 'bearish' },
+  action: { LONG: 'BUY', SHORT: 'SELL', WAIT: 'HOLD', 'NO TRADE': 'HOLD' },
+  recommended_position: { 'n/a': 'none', zero: 'none', large: 'full' },
+  htf_bias: { sideways: 'neutral', ranging: 'neutral', uncertain: 'neutral', unknown: 'neutral', mixed: 'neutral' }
+};
+
+const EMPTY_VALUES = ['', 'n/a', 'na', 'none', 'null', '-', 'unknown'];
+
+// Probability ranges wider than this are placeholders ("0-100%"), not estimates
+const MAX_RANGE_SPAN = 20;
+
+function isBlank(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function isEmpty(value) {
+  return value === undefined || value === null ||
+    (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase()));
+}
+
+/**
+ * "2,034.50", "$2034.5", "1.234,56", "2030-2035" (midpoint) -> number, else NaN
+ */
+function parsePrice(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : NaN;
+  if (typeof value !== 'string') return NaN;
+  
+  const range = value.match(/(\d[\d.,]*)\s*(?:-|–|to)\s*(\d[\d.,]*)/i);
+  if (range) {
+    const low = parsePrice(range[1]);
+    const high = parsePrice(range[2]);
+    return isNaN(low) || isNaN(high) ? NaN : (low + high) / 2;
+  }
+  
+  const match = value.match(/\d[\d.,]*/);
+  if (!match) return NaN;
+  
+  let clean = match[0].replace(/[.,]$/, '');
+  const lastComma = clean.lastIndexOf(',');
+  const lastDot = clean.lastIndexOf('.');
+  
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal separator
+    clean = lastComma > lastDot
+      ? clean.replace(/\./g, '').replace(',', '.')
+      : clean.replace(/,/g, '');
+  } else if (lastComma !== -1) {
+    clean = /^\d{1,3}(,\d{3})+$/.test(clean) ? clean.replace(/,/g, '') : clean.replace(',', '.');
+  }
+  
+  return parseFloat(clean);
+}
+
+/**
+ * "75%", "75", 0.75, "70-80%" -> 0..100, else NaN
+ */
+function parseProbability(value) {
+  if (typeof value === 'number') {
+    return value > 0 && value < 1 ? value * 100 : value;
+  }
+  if (typeof value !== 'string') return NaN;
+  
+  const range = value.match(/(\d+(?:\.\d+)?)\s*%?\s*(?:-|–|to)\s*(\d+(?:\.\d+)?)/i);
+  if (range) {
+    const low = parseFloat(range[1]);
+    const high = parseFloat(range[2]);
+    return high - low > MAX_RANGE_SPAN ? NaN : (low + high) / 2;
+  }
+  
+  const match = value.match(/\d+(?:\.\d+)?/);
+  if (!match) return NaN;
+  
+  const num = parseFloat(match[0]);
+  return !value.includes('%') && num > 0 && num < 1 ? num * 100 : num;
+}
+
+/**
+ * "1:2", "1 : 2.5", "2.5", 2.5 -> "1:2.5", else null
+ */
+function parseRiskReward(value) {
+  let reward = NaN;
+  
+  if (typeof value === 'number') {
+    reward = value;
+  } else if (typeof value === 'string') {
+    const ratio = value.match(/(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)/);
+    if (ratio) {
+      const risk = parseFloat(ratio[1]);
+      reward = risk > 0 ? parseFloat(ratio[2]) / risk : NaN;
+    } else {
+      reward = parseFloat(value);
+    }
+  }
+  
+  if (!Number.isFinite(reward) || reward <= 0) return null;
+  return `1:${parseFloat(reward.toFixed(2))}`;
+}
+
+class SchemaContext {
+  constructor() {
+    this.errors = [];
+  }
+  
+  fail(path, message) {
+    this.errors.push(`${path}: ${message}`);
+  }
+  
+  object(value, path) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      this.fail(path, 'must be an object');
+      return {};
+    }
+    return value;
+  }
+  
+  string(value, path, { required = false } = {}) {
+    if (Array.isArray(value)) value = value.join('; ');
+    if (isBlank(value)) {
+      if (required) this.fail(path, 'is required');
+      return required ? '' : 'N/A';
+    }
+    return String(value).trim();
+  }
+  
+  enumValue(value, path, enumName, fallback) {
+    if (isBlank(value) && fallback !== undefined) {
+      return fallback;
+    }
+    
+    const allowed = ENUMS[enumName];
+    const upper = enumName === 'action';
+    let normalized = String(value ?? '').trim();
+    normalized = upper ? normalized.toUpperCase() : normalized.toLowerCase();
+    
+    // Accept "bullish/strong" style answers by taking the first word
+    const first = normalized.split(/[\s/,(]/)[0];
+    const synonyms = SYNONYMS[enumName] || {};
+    
+    if (allowed.includes(normalized)) return normalized;
+    if (synonyms[normalized]) return synonyms[normalized];
+    if (allowed.includes(first)) return first;
+    if (synonyms[first]) return synonyms[first];
+    
+    this.fail(path, `must be one of ${allowed.join(', ')} (got ${JSON.stringify(value)})`);
+    return fallback !== undefined ? fallback : allowed[allowed.length - 1];
+  }
+  
+  price(value, path, { required = false } = {}) {
+    if (isEmpty(value)) {
+      if (required) this.fail(path, 'is required for BUY/SELL');
+      return null;
+    }
+    
+    const num = parsePrice(value);
+    if (!Number.isFinite(num) || num <= 0) {
+      this.fail(path, `must be a positive price (got ${JSON.stringify(value)})`);
+      return null;
+    }
+    return num;
+  }
+  
+  boolean(value) {
+    if (typeof value === 'boolean') return value;
+    return typeof value === 'string' && /^(true|yes)$/i.test(value.trim());
+  }
+}
+
+function normalizeZone(ctx, zone, path) {
+  const z = ctx.object(zone, path);
+  return {
+    level: ctx.price(z.level, `${path}.level`),
+    description: ctx.string(z.description, `${path}.description`),
+    confidence: ctx.enumValue(z.confidence, `${path}.confidence`, 'confidence', 'low')
+  };
+}
+
+function normalizeDecision(ctx, value) {
+  const d = ctx.object(value, 'decision');
+  const action = ctx.enumValue(d.action, 'decision.action', 'action');
+  const isTrade = action === 'BUY' || action === 'SELL';
+  
+  let probability = null;
+  if (isEmpty(d.probability)) {
+    ctx.fail('decision.probability', 'is required');
+  } else {
+    probability = parseProbability(d.probability);
+    if (!Number.isFinite(probability) || probability < 0 || probability > 100) {
+      ctx.fail('decision.probability', `must be a single number between 0 and 100 (got ${JSON.stringify(d.probability)})`);
+      probability = null;
+    } else {
+      probability = Math.round(probability);
+    }
+  }
+  
+  let riskReward = null;
+  if (!isEmpty(d.risk_reward)) {
+    riskReward = parseRiskReward(d.risk_reward);
+    if (!riskReward) {
+      ctx.fail('decision.risk_reward', `must look like "1:2" (got ${JSON.stringify(d.risk_reward)})`);
+    }
+  } else if (isTrade) {
+    ctx.fail('decision.risk_reward', 'is required for BUY/SELL');
+  }
+  
+  return {
+    action: action,
+    entry: ctx.price(d.entry, 'decision.entry', { required: isTrade }),
+    sl: ctx.price(d.sl, 'decision.sl', { required: isTrade }),
+    tp1: ctx.price(d.tp1, 'decision.tp1', { required: isTrade }),
+    tp2: ctx.price(d.tp2, 'decision.tp2'),
+    probability: probability,
+    risk_reward: riskReward,
+    reason: ctx.string(d.reason, 'decision.reason', { required: true }),
+    invalid_if: ctx.string(d.invalid_if, 'decision.invalid_if')
+  };
+}
+
+/**
+ * @param {Object} data - parsed JSON from the model
+ * @returns {{ valid: boolean, errors: string[], value: Object }}
+ */
+function validateAnalysis(data) {
+  const ctx = new SchemaContext();
+  const root = ctx.object(data, 'analysis');
+  
+  const v = ctx.object(root.vision_summary, 'vision_summary');
+  const rsi = ctx.object(v.rsi || {}, 'vision_summary.rsi');
+  const macd = ctx.object(v.macd || {}, 'vision_summary.macd');
+  
+  let rsiValue = null;
+  if (!isEmpty(rsi.approx_value)) {
+    rsiValue = parsePrice(rsi.approx_value);
+    if (!Number.isFinite(rsiValue) || rsiValue < 0 || rsiValue > 100) {
+      ctx.fail('vision_summary.rsi.approx_value', `must be a number between 0 and 100 (got ${JSON.stringify(rsi.approx_value)})`);
+      rsiValue = null;
+    }
+  }
+  
+  const vision_summary = {
+    trend_structure: ctx.enumValue(v.trend_structure, 'vision_summary.trend_structure', 'trend_structure'),
+    trend_confidence: ctx.enumValue(v.trend_confidence, 'vision_summary.trend_confidence', 'confidence', 'low'),
+    support_zone: normalizeZone(ctx, v.support_zone || {}, 'vision_summary.support_zone'),
+    resistance_zone: normalizeZone(ctx, v.resistance_zone || {}, 'vision_summary.resistance_zone'),
+    rsi: {
+      approx_value: rsiValue,
+      status: ctx.enumValue(rsi.status, 'vision_summary.rsi.status', 'rsi_status', 'unknown'),
+      divergence: ctx.boolean(rsi.divergence)
+    },
+    macd: {
+      cross: ctx.enumValue(macd.cross, 'vision_summary.macd.cross', 'macd_cross', 'unknown'),
+      histogram: ctx.enumValue(macd.histogram, 'vision_summary.macd.histogram', 'macd_histogram', 'unknown'),
+      momentum: ctx.enumValue(macd.momentum, 'vision_summary.macd.momentum', 'macd_momentum', 'unknown')
+    },
+    key_notes: ctx.string(v.key_notes, 'vision_summary.key_notes')
+  };
+  
+  const decision = normalizeDecision(ctx, root.decision);
+  
+  const r = ctx.object(root.risk_assessment || {}, 'risk_assessment');
+  const risk_assessment = {
+    level: ctx.enumValue(r.level, 'risk_assessment.level', 'risk_level', 'high'),
+    recommended_position: ctx.enumValue(r.recommended_position, 'risk_assessment.recommended_position', 'recommended_position', 'none'),
+    timeframe_suitability: ctx.enumValue(r.timeframe_suitability, 'risk_assessment.timeframe_suitability', 'timeframe_suitability', 'poor')
+  };
+  
+  return {
+    valid: ctx.errors.length === 0,
+    errors: ctx.errors,
+    value: { vision_summary, decision, risk_assessment }
+  };
+}
+
+/**
+ * Validates a decision block on its own (follow-up answers that revise the plan).
+ * @param {Object} data - the `decision` object from the model
+ * @returns {{ valid: boolean, errors: string[], value: Object }}
+ */
+function validateDecision(data) {
+  const ctx = new SchemaContext();
+  const decision = normalizeDecision(ctx, data);
+  
+  return {
+    valid: ctx.errors.length === 0,
+    errors: ctx.errors,
+    value: decision
+  };
+}
+
+/**
+ * Validates the extra `multi_timeframe` block of a multi-timeframe analysis.
+ * @param {Object} block - data.multi_timeframe
+ * @param {string[]} timeframes - every timeframe that was sent to the model
+ * @returns {{ errors: string[], value: Object }}
+ */
+function validateMultiTimeframe(block, timeframes) {
+  const ctx = new SchemaContext();
+  const mtf = ctx.object(block, 'multi_timeframe');
+  const summaries = ctx.object(mtf.timeframes || {}, 'multi_timeframe.timeframes');
+  
+  const value = {
+    htf_bias: ctx.enumValue(mtf.htf_bias, 'multi_timeframe.htf_bias', 'htf_bias'),
+    timeframes: {}
+  };
+  
+  timeframes.forEach(tf => {
+    const path = `multi_timeframe.timeframes.${tf}`;
+    if (!summaries[tf]) {
+      ctx.fail(path, 'is required');
+      return;
+    }
+    
+    const entry = ctx.object(summaries[tf], path);
+    value.timeframes[tf] = {
+      trend_structure: ctx.enumValue(entry.trend_structure, `${path}.trend_structure`, 'trend_structure'),
+      key_level: ctx.price(entry.key_level, `${path}.key_level`),
+      summary: ctx.string(entry.summary, `${path}.summary`)
+    };
+  });
+  
+  return { errors: ctx.errors, value };
+}
+
+module.exports = {
+  validateAnalysis,
+  validateDecision,
+  validateMultiTimeframe,
+  parsePrice,
+  parseProbability,
+  parseRiskReward,
+  ENUMS
+};
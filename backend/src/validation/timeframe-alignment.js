@@ -0,0 +1,37 @@
+/**
+ * Deterministic aligned/conflicting verdict for multi-timeframe analyses,
+ * computed from the per-timeframe trends instead of trusting the model.
+ */
+
+function direction(trend) {
+  if (trend === 'bullish') return 1;
+  if (trend === 'bearish') return -1;
+  return 0;
+}
+
+/**
+ * @param {Object} mtf - validated multi_timeframe block ({ htf_bias, timeframes })
+ * @param {string} action - decision.action
+ * @returns {{ alignment: string, decision_alignment: string }}
+ */
+function assessAlignment(mtf, action) {
+  const directions = Object.values(mtf.timeframes).map(tf => direction(tf.trend_structure));
+  const hasBull = directions.includes(1);
+  const hasBear = directions.includes(-1);
+  
+  let alignment = 'mixed';
+  if (hasBull && hasBear) alignment = 'conflicting';
+  else if (directions.every(d => d === 1) || directions.every(d => d === -1)) alignment = 'aligned';
+  
+  const bias = direction(mtf.htf_bias);
+  const tradeDirection = action === 'BUY' ? 1 : action === 'SELL' ? -1 : 0;
+  
+  let decisionAlignment = 'neutral';
+  if (tradeDirection !== 0 && bias !== 0) {
+    decisionAlignment = tradeDirection === bias ? 'with_htf' : 'against_htf';
+  }
+  
+  return { alignment, decision_alignment: decisionAlignment };
+}
+
+module.exports = { assessAlignment };
@@ -0,0 +1,157 @@
+/**
+ * Deterministic sanity checks for BUY/SELL decisions.
+ *
+ * Works on a schema-normalized analysis (see analysis-schema.js), so all
+ * price fields are numbers or null. Errors downgrade the decision to HOLD;
+ * warnings are reported but leave the decision alone.
+ */
+const constants = require('../config/constants');
+
+// Stated vs computed R:R may differ by this fraction before it is flagged
+const RR_TOLERANCE = 0.15;
+
+function violation(code, severity, message) {
+  return { code, severity, message };
+}
+
+function ratio(reward, risk) {
+  return risk > 0 ? parseFloat((reward / risk).toFixed(2)) : null;
+}
+
+function parseStatedRR(value) {
+  const match = typeof value === 'string' && value.match(/^1:(\d+(?:\.\d+)?)$/);
+  return match ? parseFloat(match[1]) : null;
+}
+
+/**
+ * @param {Object} decision - normalized decision block
+ * @param {Object} [context]
+ * @param {number[]} [context.priceLevels] - OCR-extracted price levels
+ * @param {Object} [context.instrument] - registry entry with the plausible priceRange
+ * @returns {{ passed: boolean, violations: Object[], computed: Object }}
+ */
+function checkTradePlan(decision, { priceLevels = [], instrument = null } = {}) {
+  const violations = [];
+  const computed = {};
+  const { action, entry, sl, tp1, tp2, probability } = decision || {};
+  
+  if (action !== 'BUY' && action !== 'SELL') {
+    return { passed: true, violations, computed };
+  }
+  
+  const isBuy = action === 'BUY';
+  const missing = ['entry', 'sl', 'tp1'].filter(key => typeof decision[key] !== 'number');
+  if (missing.length > 0) {
+    violations.push(violation('MISSING_LEVELS', 'error', `${action} requires numeric ${missing.join(', ')}`));
+    return { passed: false, violations, computed };
+  }
+  
+  // Ordering by direction: BUY sl < entry < tp1 <= tp2, SELL mirrored
+  if (isBuy ? sl >= entry : sl <= entry) {
+    violations.push(violation('SL_WRONG_SIDE', 'error',
+      `Stop loss ${sl} must be ${isBuy ? 'below' : 'above'} entry ${entry} for a ${action}`));
+  }
+  if (isBuy ? tp1 <= entry : tp1 >= entry) {
+    violations.push(violation('TP_WRONG_SIDE', 'error',
+      `TP1 ${tp1} must be ${isBuy ? 'above' : 'below'} entry ${entry} for a ${action}`));
+  }
+  if (typeof tp2 === 'number' && (isBuy ? tp2 < tp1 : tp2 > tp1)) {
+    violations.push(violation('TP_ORDER', 'error',
+      `TP2 ${tp2} must be ${isBuy ? 'at or above' : 'at or below'} TP1 ${tp1}`));
+  }
+  
+  // Recompute risk/reward from the actual distances
+  const risk = Math.abs(entry - sl);
+  computed.risk = risk;
+  computed.rr_tp1 = ratio(Math.abs(tp1 - entry), risk);
+  computed.rr_tp2 = typeof tp2 === 'number' ? ratio(Math.abs(tp2 - entry), risk) : null;
+  computed.risk_reward = computed.rr_tp1 !== null ? `1:${computed.rr_tp1}` : null;
+  
+  const bestRR = Math.max(computed.rr_tp1 || 0, computed.rr_tp2 || 0);
+  if (risk === 0) {
+    violations.push(violation('ZERO_RISK', 'error', 'Entry and stop loss are identical'));
+  } else if (bestRR < constants.MIN_RISK_REWARD) {
+    violations.push(violation('RR_TOO_LOW', 'error',
+      `Best R:R 1:${bestRR} is below the required 1:${constants.MIN_RISK_REWARD}`));
+  }
+  
+  const stated = parseStatedRR(decision.risk_reward);
+  if (stated !== null && risk > 0) {
+    const matches = [computed.rr_tp1, computed.rr_tp2]
+      .filter(rr => rr !== null)
+      .some(rr => Math.abs(rr - stated) <= rr * RR_TOLERANCE);
+    
+    if (!matches) {
+      violations.push(violation('RR_MISMATCH', 'warning',
+        `Stated R:R ${decision.risk_reward} does not match computed ${computed.risk_reward}${computed.rr_tp2 !== null ? ` / 1:${computed.rr_tp2}` : ''}`));
+    }
+  }
+  
+  if (typeof probability !== 'number' || probability < constants.MIN_CONFIDENCE) {
+    violations.push(violation('LOW_CONFIDENCE', 'error',
+      `Probability ${probability ?? 'N/A'}% is below the required ${constants.MIN_CONFIDENCE}%`));
+  }
+  
+  // Levels the instrument can never trade at (wrong symbol, misplaced decimal point)
+  if (instrument) {
+    const [min, max] = instrument.priceRange;
+    ['entry', 'sl', 'tp1', 'tp2'].forEach(key => {
+      const level = decision[key];
+      if (typeof level === 'number' && (level < min || level > max)) {
+        violations.push(violation('PRICE_IMPLAUSIBLE', 'error',
+          `${key} ${level} is not a plausible ${instrument.symbol} price (${min} - ${max})`));
+      }
+    });
+  }
+  
+  // Levels must lie near the price range visible on the chart
+  if (priceLevels.length >= 2) {
+    const low = Math.min(...priceLevels);
+    const high = Math.max(...priceLevels);
+    const margin = (high - low) * constants.LEVEL_RANGE_TOLERANCE;
+    computed.chart_range = { low, high };
+    
+    ['entry', 'sl', 'tp1', 'tp2'].forEach(key => {
+      const level = decision[key];
+      if (typeof level === 'number' && (level < low - margin || level > high + margin)) {
+        violations.push(violation('LEVEL_OUT_OF_RANGE', 'error',
+          `${key} ${level} is outside the chart price range ${low} - ${high}`));
+      }
+    });
+  }
+  
+  return {
+    passed: !violations.some(v => v.severity === 'error'),
+    violations,
+    computed
+  };
+}
+
+/**
+ * Run checkTradePlan on an analysis and downgrade it to HOLD on errors.
+ * Mutates and returns the analysis with a `trade_plan_check` block attached.
+ */
+function enforceTradePlan(analysis, context = {}) {
+  const decision = analysis.decision;
+  const result = checkTradePlan(decision, context);
+  
+  analysis.trade_plan_check = {
+    passed: result.passed,
+    original_action: decision.action,
+    violations: result.violations,
+    computed: result.computed
+  };
+  
+  if (!result.passed) {
+    const errors = result.violations.filter(v => v.severity === 'error');
+    decision.action = 'HOLD';
+    decision.reason = `Downgraded from ${analysis.trade_plan_check.original_action} to HOLD: ${errors.map(v => v.message).join('; ')}.\n\n${decision.reason}`;
+  }
+  
+  return analysis;
+}
+
+module.exports = {
+  checkTradePlan,
+  enforceTradePlan
+};
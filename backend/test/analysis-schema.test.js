@@ -0,0 +1,160 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateAnalysis, parsePrice, parseProbability, parseRiskReward } = require('../src/validation/analysis-schema');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { MockProvider } = require('../src/services/providers');
+
+function analysis(decision = {}, visionSummary = {}) {
+  return {
+    vision_summary: { trend_structure: 'bullish', support_zone: { level: 2020 }, resistance_zone: { level: 2060 }, ...visionSummary },
+    decision: { action: 'BUY', entry: 2030, sl: 2020, tp1: 2050, probability: 75, risk_reward: '1:2', reason: 'Trend', ...decision },
+    risk_assessment: { level: 'medium', recommended_position: 'small', timeframe_suitability: 'good' }
+  };
+}
+
+// Gently rising candles, enough for every indicator
+function candles(count = 60) {
+  return Array.from({ length: count }, (_, i) => {
+    const open = 2000 + i + Math.sin(i) * 3;
+    return { time: 1700000000 + i * 3600, open, high: open + 4, low: open - 4, close: open + 1 };
+  });
+}
+
+// Keep the pipeline logs out of the test reporter's output
+before(() => ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {})));
+
+after(() => mock.restoreAll());
+
+describe('parsePrice', () => {
+  test('reads thousands and decimal separators either way round', () => {
+    assert.equal(parsePrice('2,034.50'), 2034.5);
+    assert.equal(parsePrice('$2034.5'), 2034.5);
+    assert.equal(parsePrice('1.234,56'), 1234.56);
+    assert.equal(parsePrice('1,0850'), 1.085);
+    assert.equal(parsePrice('12,500'), 12500);
+    assert.equal(parsePrice('around 2040.'), 2040);
+  });
+
+  test('takes the midpoint of a range and rejects text without a number', () => {
+    assert.equal(parsePrice('2030-2035'), 2032.5);
+    assert.equal(parsePrice('2,030 to 2,040'), 2035);
+    assert.ok(Number.isNaN(parsePrice('market')));
+    assert.ok(Number.isNaN(parsePrice(Infinity)));
+    assert.ok(Number.isNaN(parsePrice(null)));
+  });
+});
+
+describe('parseProbability', () => {
+  test('reads percentages, fractions and narrow ranges', () => {
+    assert.equal(parseProbability('75%'), 75);
+    assert.equal(parseProbability('75'), 75);
+    assert.equal(parseProbability(0.75), 75);
+    assert.equal(parseProbability('0.8'), 80);
+    assert.equal(parseProbability('0.5%'), 0.5);
+    assert.equal(parseProbability('70-80%'), 75);
+  });
+
+  test('treats wide ranges like "0-100%" as placeholders', () => {
+    assert.ok(Number.isNaN(parseProbability('0-100%')));
+    assert.ok(Number.isNaN(parseProbability('40 to 90')));
+    assert.ok(Number.isNaN(parseProbability('high')));
+  });
+});
+
+describe('parseRiskReward', () => {
+  test('normalizes ratios and bare rewards to "1:x"', () => {
+    assert.equal(parseRiskReward('1:2.5'), '1:2.5');
+    assert.equal(parseRiskReward('1 : 2'), '1:2');
+    assert.equal(parseRiskReward('2:5'), '1:2.5');
+    assert.equal(parseRiskReward('2.5'), '1:2.5');
+    assert.equal(parseRiskReward(2.456), '1:2.46');
+  });
+
+  test('rejects zero, negative and unreadable values', () => {
+    assert.equal(parseRiskReward('0:2'), null);
+    assert.equal(parseRiskReward(-1), null);
+    assert.equal(parseRiskReward('good'), null);
+    assert.equal(parseRiskReward(null), null);
+  });
+});
+
+describe('validateAnalysis', () => {
+  test('normalizes loose values and synonyms', () => {
+    const { valid, errors, value } = validateAnalysis(analysis(
+      { action: 'long', entry: '2,030.00', sl: '$2020', tp1: '2050', tp2: 'n/a', probability: '75%', risk_reward: '2' },
+      { trend_structure: 'Uptrend', trend_confidence: 'HIGH', rsi: { approx_value: '55', status: 'Neutral', divergence: 'yes' } }
+    ));
+
+    assert.equal(valid, true, errors.join('; '));
+    assert.deepEqual(
+      [value.decision.action, value.decision.entry, value.decision.sl, value.decision.tp2, value.decision.probability, value.decision.risk_reward],
+      ['BUY', 2030, 2020, null, 75, '1:2']
+    );
+    assert.deepEqual([value.vision_summary.trend_structure, value.vision_summary.trend_confidence], ['bullish', 'high']);
+    assert.deepEqual(value.vision_summary.rsi, { approx_value: 55, status: 'neutral', divergence: true });
+    assert.equal(value.vision_summary.macd.cross, 'unknown');
+  });
+
+  test('maps the other action and trend synonyms', () => {
+    const value = decision => validateAnalysis(analysis(decision)).value.decision.action;
+    const trend = word => validateAnalysis(analysis({}, { trend_structure: word })).value.vision_summary.trend_structure;
+
+    assert.deepEqual(['SHORT', 'wait', 'No Trade', 'buy (weak)'].map(action => value({ action })), ['SELL', 'HOLD', 'HOLD', 'BUY']);
+    assert.deepEqual(['ranging', 'Downtrend', 'bearish/strong', 'unclear'].map(trend), ['sideways', 'bearish', 'bearish', 'uncertain']);
+  });
+
+  test('lists every value it could not repair', () => {
+    const { valid, errors, value } = validateAnalysis(analysis(
+      { action: 'maybe', entry: 'market', sl: null, probability: '0-100%', risk_reward: 'good', reason: '' },
+      { trend_structure: 'sideways-ish?', rsi: { approx_value: 140 } }
+    ));
+
+    assert.equal(valid, false);
+    assert.deepEqual(errors.map(error => error.split(':')[0]), [
+      'vision_summary.rsi.approx_value',
+      'vision_summary.trend_structure',
+      'decision.action',
+      'decision.probability',
+      'decision.risk_reward',
+      'decision.entry',
+      'decision.reason'
+    ]);
+    assert.equal(value.decision.action, 'HOLD');
+    assert.equal(value.decision.probability, null);
+  });
+
+  test('requires the trade levels only for BUY and SELL', () => {
+    const sell = validateAnalysis(analysis({ action: 'SELL', entry: 'market', sl: '', tp1: null, risk_reward: null }));
+    assert.deepEqual(sell.errors, [
+      'decision.risk_reward: is required for BUY/SELL',
+      'decision.entry: must be a positive price (got "market")',
+      'decision.sl: is required for BUY/SELL',
+      'decision.tp1: is required for BUY/SELL'
+    ]);
+
+    const hold = validateAnalysis(analysis({ action: 'HOLD', entry: null, sl: null, tp1: null, risk_reward: null }));
+    assert.equal(hold.valid, true);
+  });
+});
+
+describe('schema repair round-trip', () => {
+  test('re-asks the model with the errors and uses the corrected answer', async () => {
+    const answers = [
+      analysis({ action: 'maybe', probability: '0-100%' }),
+      analysis({ action: 'BUY', entry: 2040, sl: 2034, tp1: 2052, probability: 74 })
+    ];
+    const provider = new MockProvider({ response: () => answers.shift() });
+    const service = new DeepSeekService({ provider, ocrPool: {} });
+
+    const result = await service.analyzeMarketData({ candles: candles(), symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday' });
+
+    assert.equal(provider.calls.length, 2);
+    const repair = provider.calls[1].messages.at(-1).content;
+    assert.match(repair, /decision\.action: must be one of BUY, SELL, HOLD \(got "maybe"\)/);
+    assert.match(repair, /decision\.probability: must be a single number between 0 and 100 \(got "0-100%"\)/);
+    assert.equal(JSON.parse(provider.calls[1].messages.at(-2).content).decision.action, 'maybe');
+
+    assert.deepEqual(result.validation, { valid: true, errors: [], repair_attempts: 1 });
+    assert.equal(result.decision.probability, 74);
+  });
+});
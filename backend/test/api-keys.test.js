@@ -0,0 +1,103 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ApiKeyStore = require('../src/storage/api-key-store');
+const { openDatabase } = require('../src/storage/database');
+const { createAuthMiddleware, createQuotaGuard, createAdminAuth } = require('../src/auth/api-keys');
+
+function mockRequest(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  return { requestId: 'test', get: name => lower[name.toLowerCase()] };
+}
+
+// Runs one middleware; resolves with `next` or the response it sent
+function run(middleware, req) {
+  return new Promise(resolve => {
+    const res = {
+      status(code) { this.statusCode = code; return this; },
+      json(body) { resolve({ status: this.statusCode, body }); }
+    };
+    middleware(req, res, () => resolve({ next: true }));
+  });
+}
+
+describe('ApiKeyStore', () => {
+  test('stores only a hash and authenticates the plain key until it is revoked', () => {
+    const db = openDatabase(':memory:');
+    const store = new ApiKeyStore(db);
+    const created = store.create({ name: 'desk-1', rateLimit: 10 });
+
+    assert.match(created.key, /^tca_/);
+    assert.equal(db.prepare('SELECT COUNT(*) AS n FROM api_keys WHERE key_hash = ?').get(created.key).n, 0);
+    assert.equal(store.authenticate(created.key).rateLimit, 10);
+    assert.equal(store.authenticate('tca_unknown'), null);
+
+    store.revoke(created.id);
+    assert.equal(store.authenticate(created.key), null);
+    assert.equal(store.get(created.id).active, false);
+  });
+
+  test('counts tokens per key and day; cache hits cost nothing', () => {
+    const store = new ApiKeyStore(openDatabase(':memory:'));
+    const { id } = store.create({ name: 'desk-1' });
+    const usage = { prompt_tokens: 800, completion_tokens: 200, total_tokens: 1000 };
+
+    store.recordUsage({ apiKeyId: id, endpoint: '/api/analyze', usage });
+    store.recordUsage({ apiKeyId: id, endpoint: '/api/analyze', usage, cached: true });
+    store.recordUsage({ apiKeyId: null, endpoint: '/api/analyze', usage });
+
+    assert.equal(store.tokensUsedToday(id), 1000);
+
+    const report = store.usage({ apiKeyId: id });
+    assert.deepEqual(report.keys[0], {
+      apiKeyId: id,
+      name: 'desk-1',
+      requests: 2,
+      cachedRequests: 1,
+      promptTokens: 800,
+      completionTokens: 200,
+      totalTokens: 1000
+    });
+    assert.equal(store.usage().keys.length, 2);
+  });
+});
+
+describe('auth middleware', () => {
+  test('anonymous requests pass unless a key is required; a sent key must be valid', async () => {
+    const keyStore = new ApiKeyStore(openDatabase(':memory:'));
+    const { key } = keyStore.create({ name: 'desk-1' });
+    const optional = createAuthMiddleware({ keyStore, required: false });
+    const required = createAuthMiddleware({ keyStore, required: true });
+
+    assert.deepEqual(await run(optional, mockRequest()), { next: true });
+    assert.equal((await run(required, mockRequest())).body.code, 'API_KEY_REQUIRED');
+    assert.equal((await run(optional, mockRequest({ 'X-API-Key': 'tca_wrong' }))).status, 401);
+
+    const req = mockRequest({ Authorization: `Bearer ${key}` });
+    assert.deepEqual(await run(required, req), { next: true });
+    assert.equal(req.apiKey.name, 'desk-1');
+  });
+
+  test('quota guard refuses keys over their daily quota', async () => {
+    const keyStore = new ApiKeyStore(openDatabase(':memory:'));
+    const limited = keyStore.create({ name: 'limited', dailyTokenQuota: 500 });
+    const unlimited = keyStore.create({ name: 'unlimited', dailyTokenQuota: 0 });
+    const guard = createQuotaGuard({ keyStore, defaultQuota: 100 });
+
+    [limited, unlimited].forEach(({ id }) => keyStore.recordUsage({
+      apiKeyId: id, endpoint: '/api/analyze', usage: { total_tokens: 600 }
+    }));
+
+    const refused = await run(guard, { ...mockRequest(), apiKey: keyStore.get(limited.id) });
+    assert.equal(refused.status, 429);
+    assert.deepEqual({ quota: refused.body.quota, used: refused.body.used }, { quota: 500, used: 600 });
+
+    assert.deepEqual(await run(guard, { ...mockRequest(), apiKey: keyStore.get(unlimited.id) }), { next: true });
+    assert.deepEqual(await run(guard, mockRequest()), { next: true });
+  });
+
+  test('admin routes are disabled without ADMIN_API_KEY', async () => {
+    assert.equal((await run(createAdminAuth(''), mockRequest({ 'X-API-Key': '' }))).status, 503);
+    assert.equal((await run(createAdminAuth('secret'), mockRequest({ 'X-API-Key': 'nope' }))).status, 401);
+    assert.deepEqual(await run(createAdminAuth('secret'), mockRequest({ Authorization: 'Bearer secret' })), { next: true });
+  });
+});
@@ -0,0 +1,406 @@
+const path = require('path');
+
+// Provider HTTP traffic comes from the cassette; set AI_HTTP_RECORDING=record (and a real
+// DEEPSEEK_API_KEY / DEEPSEEK_API_URL) to re-record it
+process.env.NODE_ENV = 'test';
+process.env.AI_PROVIDER = 'deepseek';
+process.env.DEEPSEEK_API_KEY = process.env.DEEPSEEK_API_KEY || 'sk-test-cassette';
+process.env.AI_HTTP_RECORDING = process.env.AI_HTTP_RECORDING || 'replay';
+process.env.AI_HTTP_CASSETTE = path.join(__dirname, 'fixtures', 'cassettes', 'api.json');
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const OcrWorkerPool = require('../src/ocr/worker-pool');
+const DeepSeekService = require('../src/services/deepseek-services');
+
+// Tesseract needs its language data from the network - read a fixed legend instead
+const OCR_TEXT = 'XAUUSD 2030.50 2040.10 2025.00 2060.00 RSI 55';
+OcrWorkerPool.prototype.recognize = async () => ({ data: { text: OCR_TEXT, lines: [] } });
+
+const app = require('../src/server');
+
+let server;
+let baseUrl;
+
+async function chartImage() {
+  return sharp({ create: { width: 400, height: 300, channels: 3, background: '#131722' } }).png().toBuffer();
+}
+
+async function analyze(fields, image) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  if (image) {
+    form.append('chart', new Blob([image.buffer], { type: image.type }), image.name);
+  }
+
+  const response = await fetch(`${baseUrl}/api/analyze`, { method: 'POST', body: form });
+  return { status: response.status, body: await response.json() };
+}
+
+// Steadily rising hourly candles, the same on every run so the cassette request matches
+function candleSet(count, { start = 2000, step = 1 } = {}) {
+  return Array.from({ length: count }, (_, i) => {
+    const open = start + i * step + (i % 3) - 1;
+    const close = open + step;
+    return { time: 1704067200 + i * 3600, open, high: close + 2, low: open - 2, close };
+  });
+}
+
+function candleCsv(candles) {
+  return ['time,open,high,low,close', ...candles.map(c => [c.time, c.open, c.high, c.low, c.close].join(','))].join('\n');
+}
+
+// JSON `datasets`, or multipart `parts` ([{ field, buffer, type, name }])
+async function analyzeMulti(fields, { datasets, parts }) {
+  let request;
+  if (parts) {
+    const form = new FormData();
+    Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+    parts.forEach(part => form.append(part.field, new Blob([part.buffer], { type: part.type }), part.name));
+    request = { method: 'POST', body: form };
+  } else {
+    request = { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ ...fields, datasets }) };
+  }
+
+  const response = await fetch(`${baseUrl}/api/analyze/multi`, request);
+  return { status: response.status, body: await response.json() };
+}
+
+// The SSE events of /api/analyze/stream, in order
+async function analyzeStream(fields, image) {
+  const form = new FormData();
+  Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+  form.append('chart', new Blob([image.buffer], { type: image.type }), image.name);
+
+  const response = await fetch(`${baseUrl}/api/analyze/stream`, { method: 'POST', body: form });
+  const events = (await response.text()).split('\n\n').filter(Boolean).map(block => {
+    const [, event] = block.match(/^event: (.+)$/m);
+    const [, data] = block.match(/^data: (.+)$/m);
+    return { event, data: JSON.parse(data) };
+  });
+  return { status: response.status, type: response.headers.get('content-type'), events };
+}
+
+before(async () => {
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+// Tests share one cassette and run in file order: health, analysis, provider failure
+describe('GET /api/health', () => {
+  test('reports the provider status from GET /models', async () => {
+    const response = await fetch(`${baseUrl}/api/health`);
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.status, 'healthy');
+    assert.equal(body.api.provider.name, 'deepseek');
+    assert.equal(body.api.deepseek.ok, true);
+    assert.ok(body.api.deepseek.modelsCount > 0);
+  });
+});
+
+describe('POST /api/analyze', () => {
+  test('returns the validated analysis of the chart', async () => {
+    const { status, body } = await analyze(
+      { symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday' },
+      { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.validation.valid, true);
+    assert.equal(body.error, undefined);
+    assert.ok(['BUY', 'SELL', 'HOLD'].includes(body.decision.action));
+    assert.equal(typeof body.api_usage.total_tokens, 'number');
+    assert.equal(body.metadata.symbol, 'XAUUSD');
+    assert.equal(body.metadata.apiProvider, 'deepseek');
+  });
+
+  test('falls back to HOLD when the provider call fails', async () => {
+    const { status, body } = await analyze(
+      { symbol: 'EURUSD', timeframe: 'M15', tradeType: 'scalping' },
+      { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.decision.action, 'HOLD');
+    assert.match(body.error.message, /AI service error: Request failed with status code 500/);
+  });
+
+  test('rejects a request without an image', async () => {
+    const { status, body } = await analyze({ symbol: 'XAUUSD' });
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'NO_IMAGE');
+    assert.ok(body.requestId);
+  });
+
+  test('rejects an invalid symbol before calling the provider', async () => {
+    const { status, body } = await analyze(
+      { symbol: 'XAU USD!!' },
+      { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_SYMBOL');
+  });
+});
+
+describe('POST /api/analyze/stream', () => {
+  test('pushes the pipeline stages, the OCR data and then the result', async () => {
+    const { status, type, events } = await analyzeStream(
+      { symbol: 'XAUUSD', timeframe: 'H4', tradeType: 'swing' },
+      { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+    );
+    const names = events.map(e => e.event);
+    const stages = events.filter(e => e.event === 'stage').map(e => e.data.stage);
+    const result = events.at(-1).data;
+
+    assert.equal(status, 200);
+    assert.match(type, /^text\/event-stream/);
+    assert.deepEqual(stages, ['preprocessing', 'ocr', 'ai']);
+    assert.deepEqual(names.filter(name => name !== 'token'), [
+      'start', 'stage', 'preprocess', 'stage', 'ocr', 'chart_detection', 'stage', 'validation', 'trade_plan', 'result'
+    ]);
+    assert.ok(names.indexOf('token') > names.indexOf('ocr'));
+    assert.equal(result.validation.valid, true);
+    assert.equal(result.metadata.streamed, true);
+    assert.ok(result.id);
+
+    // The streamed tokens add up to the answer the result was parsed from
+    const streamed = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+    assert.equal(JSON.parse(streamed).decision.action, result.decision.action);
+  });
+
+  test('ends with an error event when the pipeline throws', async () => {
+    const crash = mock.method(DeepSeekService.prototype, 'analyzeTradingChart', async () => {
+      throw new Error('Pipeline crashed');
+    });
+
+    try {
+      const { status, events } = await analyzeStream(
+        { symbol: 'XAUUSD', timeframe: 'D1', tradeType: 'swing' },
+        { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+      );
+
+      assert.equal(status, 200);
+      assert.deepEqual(events.map(e => e.event), ['start', 'error']);
+      assert.deepEqual(events[1].data, { error: 'Pipeline crashed', code: 'ANALYSIS_ERROR', requestId: events[0].data.requestId });
+    } finally {
+      crash.mock.restore();
+    }
+  });
+});
+
+describe('POST /api/analyze/multi', () => {
+  test('combines datasets into one analysis on the lowest timeframe', async () => {
+    const { status, body } = await analyzeMulti({ symbol: 'XAUUSD', tradeType: 'intraday' }, {
+      datasets: [
+        { timeframe: 'H4', candles: candleSet(40, { start: 1900, step: 4 }) },
+        { timeframe: 'h1', candles: candleSet(40) }
+      ]
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.validation.valid, true);
+    assert.equal(body.metadata.timeframe, 'H1');
+    assert.deepEqual(body.metadata.timeframes, ['H1', 'H4']);
+    assert.equal(body.multi_timeframe.entry_timeframe, 'H1');
+    assert.deepEqual(Object.keys(body.multi_timeframe.timeframes).sort(), ['H1', 'H4']);
+    assert.equal(body.multi_timeframe.alignment, 'aligned');
+    assert.ok(body.ocr.timeframes.H4.extractedData.candles);
+  });
+
+  test('rejects malformed timeframe sets before calling the provider', async () => {
+    const fields = { symbol: 'XAUUSD' };
+    const cases = [
+      [[{ timeframe: 'H1', candles: candleSet(40) }], /at least 2 timeframes required/],
+      [['M5', 'M15', 'H1', 'H4', 'D1'].map(timeframe => ({ timeframe, candles: candleSet(40) })), /at most 4 timeframes allowed/],
+      [[{ timeframe: 'H1', candles: candleSet(40) }, { timeframe: ' h1', candles: candleSet(40) }], /duplicate timeframe H1/],
+      [[{ timeframe: 'H1', candles: candleSet(40) }, { timeframe: 'H2', candles: candleSet(40) }], /Invalid timeframe "H2"/],
+      [[{ timeframe: 'H1', candles: candleSet(40) }, { timeframe: 'H4', candles: candleSet(10) }], /H4: at least 35 candles required \(got 10\)/],
+      [[{ timeframe: 'H1', candles: candleSet(40) }, { timeframe: 'H4', candles: [] }], /H4: no data/]
+    ];
+
+    for (const [datasets, message] of cases) {
+      const { status, body } = await analyzeMulti(fields, { datasets });
+      assert.equal(status, 400, String(message));
+      assert.match(body.error, message);
+    }
+  });
+
+  test('reads chart_<TF> images and data_<TF> exports from a multipart form', async () => {
+    const chart = field => ({ field, buffer: Buffer.alloc(0), type: 'image/png', name: 'chart.png' });
+    const csv = (field, count) => ({ field, buffer: Buffer.from(candleCsv(candleSet(count))), type: 'text/csv', name: 'export.csv' });
+    const image = await chartImage();
+    const cases = [
+      [[{ ...chart('chart_H1'), buffer: image }, csv('data_H4', 10)], /Invalid candle data for H4: at least 35 candles required \(got 10\)/],
+      [[{ ...chart('chart_M15'), buffer: image }, { ...chart('chart_m15'), buffer: image }], /duplicate timeframe M15/],
+      [[{ ...chart('chart'), buffer: image }, csv('data_H4', 40)], /unexpected field "chart"/]
+    ];
+
+    for (const [parts, message] of cases) {
+      const { status, body } = await analyzeMulti({ symbol: 'XAUUSD' }, { parts });
+      assert.equal(status, 400, String(message));
+      assert.match(body.error, message);
+    }
+  });
+});
+
+describe('POST /api/position-size', () => {
+  test('sizes a manual trade plan', async () => {
+    const response = await fetch(`${baseUrl}/api/position-size`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ symbol: 'XAUUSD', action: 'BUY', entry: 2030, sl: 2025, accountBalance: 10000, riskPercent: 1 })
+    });
+    const body = await response.json();
+
+    assert.equal(response.status, 200);
+    assert.equal(body.lots, 0.2);
+    assert.equal(body.analysisId, null);
+  });
+
+  test('rejects analyze requests with an invalid account before any analysis work', async () => {
+    const { status, body } = await analyze(
+      { symbol: 'XAUUSD', accountBalance: '-5' },
+      { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+    );
+
+    assert.equal(status, 400);
+    assert.equal(body.code, 'INVALID_POSITION_INPUT');
+  });
+});
+
+describe('GET /api/instruments', () => {
+  test('lists instruments by asset class and resolves aliases', async () => {
+    const list = await (await fetch(`${baseUrl}/api/instruments?assetClass=metal`)).json();
+    assert.deepEqual(list.items.map(item => item.symbol), ['XAUUSD', 'XAGUSD']);
+    assert.ok(list.assetClasses.includes('forex'));
+
+    const gold = await (await fetch(`${baseUrl}/api/instruments/gold`)).json();
+    assert.equal(gold.symbol, 'XAUUSD');
+    assert.equal(gold.precision, 2);
+    assert.deepEqual(Object.keys(gold.sessions), ['london', 'new_york']);
+
+    const missing = await fetch(`${baseUrl}/api/instruments/DOGEUSD`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, 'UNKNOWN_INSTRUMENT');
+  });
+});
+
+describe('/api/analyses/:id/chat', () => {
+  test('starts with an empty thread and validates questions before calling the provider', async () => {
+    const history = await (await fetch(`${baseUrl}/api/analyses?limit=1`)).json();
+    const chatUrl = `${baseUrl}/api/analyses/${history.items[0].id}/chat`;
+
+    const thread = await (await fetch(chatUrl)).json();
+    assert.deepEqual(thread.messages, []);
+
+    const empty = await fetch(chatUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: '  ' })
+    });
+    assert.equal(empty.status, 400);
+    assert.equal((await empty.json()).code, 'INVALID_CHAT_MESSAGE');
+
+    const missing = await fetch(`${baseUrl}/api/analyses/nope/chat`);
+    assert.equal(missing.status, 404);
+    assert.equal((await missing.json()).code, 'ANALYSIS_NOT_FOUND');
+  });
+});
+
+describe('POST /api/analyses/:id/outcome', () => {
+  test('rejects tp2_hit when the trade plan has no TP2', async () => {
+    const plan = mock.method(DeepSeekService.prototype, 'analyzeTradingChart', async () => ({
+      decision: { action: 'SELL', entry: 2030, sl: 2036, tp1: 2018, tp2: null, probability: 72, risk_reward: '1:2', reason: 'Rejected at resistance' }
+    }));
+    let analysis;
+    try {
+      ({ body: analysis } = await analyze(
+        { symbol: 'XAUUSD', timeframe: 'M15', tradeType: 'scalping', extraNotes: 'single target' },
+        { buffer: await chartImage(), type: 'image/png', name: 'chart.png' }
+      ));
+    } finally {
+      plan.mock.restore();
+    }
+
+    const record = outcome => fetch(`${baseUrl}/api/analyses/${analysis.id}/outcome`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ outcome })
+    });
+
+    const tp2 = await record('tp2_hit');
+    assert.equal(tp2.status, 400);
+    assert.equal((await tp2.json()).code, 'INVALID_OUTCOME');
+
+    const tp1 = await record('tp1_hit');
+    assert.equal(tp1.status, 200);
+    assert.equal((await tp1.json()).outcome.rMultiple, 2);
+  });
+});
+
+describe('symbol filters', () => {
+  test('resolve aliases and reject unknown instruments', async () => {
+    const gold = await (await fetch(`${baseUrl}/api/analyses?symbol=gold`)).json();
+    const xauusd = await (await fetch(`${baseUrl}/api/analyses?symbol=XAUUSD`)).json();
+
+    assert.ok(xauusd.pagination.total > 0);
+    assert.equal(gold.pagination.total, xauusd.pagination.total);
+    assert.equal(gold.filters.symbol, 'XAUUSD');
+
+    const stats = await (await fetch(`${baseUrl}/api/stats/signals?symbol=xau/usd`)).json();
+    assert.deepEqual(stats.overall, (await (await fetch(`${baseUrl}/api/stats/signals?symbol=XAUUSD`)).json()).overall);
+
+    for (const url of ['/api/analyses?symbol=DOGEUSD', '/api/stats/signals?symbol=DOGEUSD']) {
+      const response = await fetch(`${baseUrl}${url}`);
+      assert.equal(response.status, 400);
+      assert.equal((await response.json()).code, 'UNKNOWN_INSTRUMENT');
+    }
+  });
+});
+
+describe('date filters', () => {
+  test('a date-only `to` includes the whole day', async () => {
+    const today = new Date().toISOString().slice(0, 10);
+    const all = await (await fetch(`${baseUrl}/api/analyses`)).json();
+    const untilToday = await (await fetch(`${baseUrl}/api/analyses?from=${today}&to=${today}`)).json();
+
+    assert.ok(all.pagination.total > 0);
+    assert.equal(untilToday.pagination.total, all.pagination.total);
+    assert.equal(untilToday.filters.to, `${today}T23:59:59.999Z`);
+
+    const stats = await (await fetch(`${baseUrl}/api/stats/signals`)).json();
+    const statsUntilToday = await (await fetch(`${baseUrl}/api/stats/signals?to=${today}`)).json();
+    assert.ok(stats.overall.trades > 0);
+    assert.deepEqual(statsUntilToday.overall, stats.overall);
+
+    const invalid = await fetch(`${baseUrl}/api/stats/signals?from=yesterday`);
+    assert.equal(invalid.status, 400);
+    assert.equal((await invalid.json()).error, 'Invalid query: from must be an ISO date');
+  });
+});
+
+describe('unknown routes', () => {
+  test('answer 404 NOT_FOUND as JSON', async () => {
+    const response = await fetch(`${baseUrl}/api/nope`);
+    const body = await response.json();
+
+    assert.equal(response.status, 404);
+    assert.equal(body.code, 'NOT_FOUND');
+  });
+
+  test('list every endpoint the health check lists', async () => {
+    const { endpoints } = await (await fetch(`${baseUrl}/api/health`)).json();
+    const { availableEndpoints } = await (await fetch(`${baseUrl}/api/nope`)).json();
+    const routes = Object.values(endpoints).flatMap(value => value.replace(' (SSE)', '').split(', '));
+
+    assert.deepEqual(routes.filter(route => !availableEndpoints[route]), []);
+  });
+});
@@ -0,0 +1,90 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { calibratePriceScale, priceAtY, detectCandlesFromPixels } = require('../src/ocr/candle-extractor');
+const { parsePriceAxisLabels } = require('../src/ocr/region-parser');
+
+const GREEN = [38, 166, 154];
+const RED = [239, 83, 80];
+const GREY = [51, 51, 51];
+
+// White RGB canvas with candles drawn as { left, width, bodyTop, bodyBottom, wickTop, wickBottom, color, wick }
+function drawCandles(width, height, candles) {
+  const channels = 3;
+  const data = new Uint8Array(width * height * channels).fill(255);
+  const paint = (x, y, rgb) => data.set(rgb, (y * width + x) * channels);
+
+  for (const c of candles) {
+    const centre = c.left + Math.floor(c.width / 2);
+    for (let y = c.wickTop; y <= c.wickBottom; y++) paint(centre, y, c.wick || c.color);
+    for (let x = c.left; x < c.left + c.width; x++) {
+      for (let y = c.bodyTop; y <= c.bodyBottom; y++) paint(x, y, c.color);
+    }
+  }
+
+  return { data, width, height, channels };
+}
+
+describe('price scale calibration', () => {
+  test('fits price to pixel rows and drops a misread label', () => {
+    const calibration = calibratePriceScale([
+      { price: 2040, y: 100 },
+      { price: 2035, y: 200 },
+      { price: 2080, y: 300 }, // "2030" misread
+      { price: 2025, y: 400 },
+      { price: 2020, y: 500 }
+    ]);
+
+    assert.equal(calibration.labels.length, 4);
+    assert.ok(Math.abs(calibration.slope + 0.05) < 1e-9);
+    assert.ok(Math.abs(priceAtY(calibration, 300) - 2030) < 1e-9);
+  });
+
+  test('rejects labels where price does not fall down the axis', () => {
+    assert.equal(calibratePriceScale([{ price: 1, y: 100 }, { price: 2, y: 200 }]), null);
+    assert.equal(calibratePriceScale([{ price: 1.1, y: 100 }]), null);
+  });
+
+  test('scrambled labels do not calibrate down to a pair', () => {
+    assert.equal(calibratePriceScale([
+      { price: 2035, y: 100 },
+      { price: 2060, y: 200 },
+      { price: 2020, y: 300 },
+      { price: 2045, y: 400 },
+      { price: 2010, y: 500 }
+    ]), null);
+    assert.ok(calibratePriceScale([{ price: 2040, y: 100 }, { price: 2030, y: 300 }]));
+  });
+
+  test('price scale OCR lines keep their position', () => {
+    assert.deepEqual(
+      parsePriceAxisLabels([{ text: '2,040.00', y: 12 }, { text: 'USD', y: 30 }, { text: '2035.5', y: 51.5 }]),
+      [{ price: 2040, y: 12 }, { price: 2035.5, y: 51.5 }]
+    );
+  });
+});
+
+describe('candle detection', () => {
+  test('finds bodies by colour and wicks of any colour', () => {
+    const pixels = drawCandles(200, 100, [
+      { left: 5, width: 7, bodyTop: 40, bodyBottom: 60, wickTop: 30, wickBottom: 70, color: GREEN },
+      { left: 20, width: 7, bodyTop: 20, bodyBottom: 45, wickTop: 10, wickBottom: 55, color: RED, wick: GREY }
+    ]);
+
+    assert.deepEqual(detectCandlesFromPixels(pixels), [
+      { x: 8, width: 7, direction: 'up', bodyTop: 40, bodyBottom: 60, wickTop: 30, wickBottom: 70 },
+      { x: 23, width: 7, direction: 'down', bodyTop: 20, bodyBottom: 45, wickTop: 10, wickBottom: 55 }
+    ]);
+  });
+
+  test('ignores wide coloured lines and short dashes', () => {
+    const pixels = drawCandles(200, 100, [
+      { left: 0, width: 150, bodyTop: 80, bodyBottom: 81, wickTop: 80, wickBottom: 81, color: GREEN },
+      { left: 160, width: 4, bodyTop: 20, bodyBottom: 20, wickTop: 20, wickBottom: 20, color: RED },
+      { left: 180, width: 5, bodyTop: 30, bodyBottom: 40, wickTop: 25, wickBottom: 45, color: RED }
+    ]);
+
+    const candles = detectCandlesFromPixels(pixels);
+    assert.equal(candles.length, 1);
+    assert.equal(candles[0].x, 182);
+  });
+});
@@ -0,0 +1,84 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCandles } = require('../src/market-data/candle-parser');
+
+const times = ({ candles }) => candles.map(c => c.time);
+
+describe('parseCandles', () => {
+  test('reads TradingView CSV with epoch seconds', () => {
+    const { candles, skipped } = parseCandles([
+      'time,open,high,low,close,Volume',
+      '1704067200,2060.5,2065,2058,2063.2,1200',
+      '1704070800,2063.2,2068.4,2061,2067.9,980'
+    ].join('\n'));
+
+    assert.equal(skipped, 0);
+    assert.deepEqual(candles[0], { time: '2024-01-01T00:00:00.000Z', open: 2060.5, high: 2065, low: 2058, close: 2063.2, volume: 1200 });
+    assert.equal(candles[1].time, '2024-01-01T01:00:00.000Z');
+  });
+
+  test('reads tab-separated MetaTrader 5 exports with <DATE> and <TIME>', () => {
+    const result = parseCandles([
+      '<DATE>\t<TIME>\t<OPEN>\t<HIGH>\t<LOW>\t<CLOSE>\t<TICKVOL>\t<VOL>\t<SPREAD>',
+      '2024.01.02\t00:00:00\t1.10410\t1.10480\t1.10350\t1.10452\t812\t0\t5',
+      '2024.01.02\t01:00:00\t1.10452\t1.10500\t1.10400\t1.10420\t640\t0\t5'
+    ].join('\n'));
+
+    assert.deepEqual(times(result), ['2024-01-02T00:00:00.000Z', '2024-01-02T01:00:00.000Z']);
+    assert.deepEqual(result.candles[0], { time: '2024-01-02T00:00:00.000Z', open: 1.1041, high: 1.1048, low: 1.1035, close: 1.10452, volume: 812 });
+  });
+
+  test('reads headerless MetaTrader 4 history', () => {
+    const result = parseCandles('2024.01.02,00:00,146.20,146.45,146.10,146.38,350\n2024.01.02,00:15,146.38,146.50,146.30,146.41,290');
+
+    assert.deepEqual(times(result), ['2024-01-02T00:00:00.000Z', '2024-01-02T00:15:00.000Z']);
+    assert.equal(result.candles[1].close, 146.41);
+    assert.equal(result.candles[1].volume, 290);
+  });
+
+  test('reads JSON objects, short keys and arrays', () => {
+    const objects = parseCandles(JSON.stringify({ candles: [
+      { time: '2024-01-02T00:00:00Z', open: 100, high: 102, low: 99, close: 101 },
+      { t: 1704157200000, o: 101, h: 103, l: 100, c: 102, v: 15 }
+    ] }));
+    const arrays = parseCandles([[1704153600, 100, 102, 99, 101, 10], [1704157200, 101, 103, 100, 102, 15]]);
+
+    assert.deepEqual(times(objects), ['2024-01-02T00:00:00.000Z', '2024-01-02T01:00:00.000Z']);
+    assert.equal(objects.candles[0].volume, null);
+    assert.deepEqual(arrays.candles, objects.candles.map((c, i) => ({ ...c, volume: [10, 15][i] })));
+  });
+
+  test('skips invalid rows and counts them', () => {
+    const { candles, skipped } = parseCandles([
+      'time,open,high,low,close',
+      '1704067200,100,102,99,101',
+      '1704070800,101,100.5,99,101.5',
+      '1704074400,abc,103,100,102',
+      '1704078000,101,103,100,-1',
+      '1704081600,102,104,101,103'
+    ].join('\n'));
+
+    assert.equal(skipped, 3);
+    assert.deepEqual(candles.map(c => c.close), [101, 103]);
+  });
+
+  test('sorts oldest first and keeps the last row of a repeated timestamp', () => {
+    const { candles, skipped } = parseCandles([
+      [1704074400, 102, 104, 101, 103],
+      [1704067200, 100, 102, 99, 101],
+      [1704070800, 101, 103, 100, 102],
+      [1704074400, 102, 105, 101, 104.5]
+    ]);
+
+    assert.deepEqual(candles.map(c => c.close), [101, 102, 104.5]);
+    assert.equal(skipped, 1);
+  });
+
+  test('rejects input without usable candles', () => {
+    assert.throws(() => parseCandles('  '), /input is empty/);
+    assert.throws(() => parseCandles('[{"time": 1,'), /malformed JSON/);
+    assert.throws(() => parseCandles('time,open,high,low\n1704067200,1,2,0.5'), /missing close column/);
+    assert.throws(() => parseCandles({ rows: [] }), /expected an array of candles/);
+    assert.throws(() => parseCandles('time,open,high,low,close\n1704067200,1,0.5,2,1'), /no valid OHLC rows/);
+  });
+});
@@ -0,0 +1,80 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectChartIdentity, detectSymbol, detectTimeframe } = require('../src/ocr/chart-identity');
+const { InstrumentRegistry } = require('../src/instruments/instrument-registry');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { MockProvider } = require('../src/services/providers');
+
+const instruments = new InstrumentRegistry();
+const timeframes = ['M1', 'M5', 'M15', 'M30', 'H1', 'H4', 'D1', 'W1', 'MN'];
+
+function identity(text) {
+  const { symbol, timeframe } = detectChartIdentity([text], { instruments, timeframes });
+  return [symbol && symbol.symbol, timeframe && timeframe.timeframe];
+}
+
+describe('detectChartIdentity', () => {
+  test('reads TradingView and MetaTrader legends', () => {
+    assert.deepEqual(identity('XAUUSD, 1H, OANDA'), ['XAUUSD', 'H1']);
+    assert.deepEqual(identity('OANDA:XAUUSD · 240'), ['XAUUSD', 'H4']);
+    assert.deepEqual(identity('EURUSD.m,H4'), ['EURUSD', 'H4']);
+    assert.deepEqual(identity('Gold Spot / U.S. Dollar · 1D'), ['XAUUSD', 'D1']);
+    assert.deepEqual(identity('EUR / USD 15m'), ['EURUSD', 'M15']);
+    assert.deepEqual(identity('Bitcoin / U.S. Dollar, 1W'), ['BTCUSD', 'W1']);
+  });
+
+  test('matches OCR misreads approximately but not ambiguously', () => {
+    const misread = detectSymbol('XAUU5D 4h', instruments);
+    assert.equal(misread.symbol, 'XAUUSD');
+    assert.ok(misread.confidence < 1 && misread.confidence >= 0.8);
+
+    // One letter away from both XAUUSD and XAGUSD
+    assert.equal(detectSymbol('XAOUSD', instruments), null);
+    assert.equal(detectSymbol('RSI 14 close 2030.50', instruments), null);
+  });
+
+  test('lowers confidence for broker suffixes', () => {
+    assert.deepEqual(detectSymbol('EURUSD.m,H4', instruments), { symbol: 'EURUSD', matched: 'EURUSD.m', confidence: 0.95, end: 8 });
+  });
+
+  test('only takes bare numbers as a timeframe right after the symbol', () => {
+    assert.equal(detectTimeframe('RSI 14 MACD 12 26 9', { timeframes }), null);
+    assert.equal(detectTimeframe('XAUUSD, 60', { timeframes, symbolEnd: 6 }).timeframe, 'H1');
+    assert.equal(detectTimeframe('1M chart', { timeframes }).timeframe, 'MN');
+    assert.equal(detectTimeframe('daily chart', { timeframes }).timeframe, 'D1');
+    assert.equal(detectTimeframe('M7', { timeframes }), null);
+  });
+});
+
+describe('reconcileChartIdentity', () => {
+  const service = new DeepSeekService({ provider: new MockProvider(), ocrPool: {} });
+  const detected = service.detectChartIdentity(['EURUSD, 4h']);
+
+  test('fills in what the request left out', () => {
+    const chart = service.reconcileChartIdentity(detected, { symbol: null, timeframe: null });
+
+    assert.equal(chart.symbol, 'EURUSD');
+    assert.equal(chart.timeframe, 'H4');
+    assert.equal(chart.detection.symbol.source, 'chart');
+    assert.deepEqual(chart.detection.warnings, []);
+  });
+
+  test('keeps the selection and warns when the chart disagrees', () => {
+    const chart = service.reconcileChartIdentity(detected, { symbol: 'XAUUSD', timeframe: 'H4' });
+
+    assert.equal(chart.symbol, 'XAUUSD');
+    assert.equal(chart.detection.symbol.mismatch, true);
+    assert.equal(chart.detection.timeframe.mismatch, false);
+    assert.deepEqual(chart.detection.warnings, ['The chart looks like EURUSD ("EURUSD") but XAUUSD was selected; analysed as XAUUSD.']);
+  });
+
+  test('falls back to the defaults when nothing is readable', () => {
+    const chart = service.reconcileChartIdentity({ symbol: null, timeframe: null }, { symbol: null, timeframe: 'M15' });
+
+    assert.equal(chart.symbol, 'XAUUSD');
+    assert.equal(chart.timeframe, 'M15');
+    assert.equal(chart.detection.symbol.source, 'default');
+    assert.equal(chart.detection.timeframe.source, 'request');
+    assert.match(chart.detection.warnings[0], /No symbol found on the chart/);
+  });
+});
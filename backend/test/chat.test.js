@@ -0,0 +1,104 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/storage/database');
+const AnalysisStore = require('../src/storage/analysis-store');
+const ChatStore = require('../src/storage/chat-store');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { MockProvider } = require('../src/services/providers');
+
+function storedAnalysis(store, service) {
+  const { rawText, extractedData } = service.parseOCRText('XAUUSD 2030.50 2040.10 2025.00 2060.00 RSI 55');
+  const id = store.save({
+    input: { symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday', extraNotes: 'London session' },
+    analysis: {
+      decision: { action: 'BUY', entry: 2030.5, sl: 2025, tp1: 2040.1, probability: 75, risk_reward: '1:1.8', reason: 'Bounce' },
+      vision_summary: { trend_structure: 'bullish' },
+      ocr: { rawText, extractedData },
+      metadata: { promptTemplate: 'default', promptVersion: '1.7.0' }
+    }
+  });
+  return store.get(id);
+}
+
+function setup(response) {
+  const db = openDatabase(':memory:');
+  const provider = new MockProvider(response && { response });
+  const service = new DeepSeekService({ provider, ocrPool: {} });
+  const store = new AnalysisStore(db);
+  return { provider, service, record: storedAnalysis(store, service), chatStore: new ChatStore(db, { maxMessages: 4 }) };
+}
+
+describe('ChatStore', () => {
+  test('keeps the newest messages and revised decisions', () => {
+    const { record, chatStore } = setup();
+
+    [1, 2, 3].forEach(n => chatStore.append(record.id, [
+      { role: 'user', content: `question ${n}` },
+      { role: 'assistant', content: `answer ${n}`, decision: n === 3 ? { action: 'HOLD' } : null, totalTokens: 10 }
+    ]));
+    const messages = chatStore.list(record.id);
+
+    assert.deepEqual(messages.map(m => m.content), ['question 2', 'answer 2', 'question 3', 'answer 3']);
+    assert.deepEqual(messages[3].decision, { action: 'HOLD' });
+    assert.equal(messages[2].decision, null);
+  });
+});
+
+describe('followUp', () => {
+  test('sends the original prompt, the analysis and the conversation', async () => {
+    const { provider, service, record } = setup();
+    const history = [
+      { role: 'user', content: 'Why BUY?' },
+      { role: 'assistant', content: 'Support held.', decision: null }
+    ];
+
+    const reply = await service.followUp(record, { message: 'What if price closes below 2025?', history });
+    const messages = provider.calls[0].messages;
+
+    assert.equal(reply.answer, 'Deterministic mock response');
+    assert.equal(reply.decision, null);
+    assert.deepEqual(messages.map(m => m.role), ['system', 'user', 'assistant', 'user', 'assistant', 'user']);
+    assert.match(messages[1].content, /2030\.5/);
+    assert.match(messages[1].content, /London session/);
+    assert.equal(JSON.parse(messages[2].content).decision.action, 'BUY');
+    assert.deepEqual(JSON.parse(messages[4].content), { answer: 'Support held.', decision: null });
+    assert.match(messages[5].content, /What if price closes below 2025\?/);
+  });
+
+  test('checks a revised decision like a fresh analysis', async () => {
+    const { service, record } = setup({
+      answer: 'Tighter stop, same target.',
+      decision: { action: 'BUY', entry: '2030.5', sl: 2030.1, tp1: 2040.1, probability: '80%', risk_reward: '1:24', reason: 'Scalp' }
+    });
+
+    const reply = await service.followUp(record, { message: 'Tighten the SL for scalping', updateDecision: true });
+
+    assert.equal(reply.decision.entry, 2030.5);
+    assert.equal(reply.decision.probability, 80);
+    assert.equal(reply.trade_plan_check.original_action, 'BUY');
+    assert.equal(reply.validation.valid, true);
+  });
+
+  test('re-asks for a missing decision and accepts plain-text answers', async () => {
+    const answers = [{ answer: 'No decision here' }, { answer: 'Now with one', decision: { action: 'HOLD', probability: 40, reason: 'Unclear' } }];
+    const { provider, service, record } = setup(() => answers.shift());
+
+    const reply = await service.followUp(record, { message: 'Update it', updateDecision: true });
+    assert.equal(reply.decision.action, 'HOLD');
+    assert.equal(reply.validation.repair_attempts, 1);
+    assert.match(provider.calls[1].messages.at(-1).content, /decision: is required/);
+
+    const plain = setup('Price would likely retest 2020.');
+    assert.equal((await plain.service.followUp(plain.record, { message: 'And then?' })).answer, 'Price would likely retest 2020.');
+  });
+
+  test('reports the tokens already spent when the provider fails', async () => {
+    const answers = [() => ({ answer: 'No decision here' }), () => { throw new Error('socket hang up'); }];
+    const { service, record } = setup(() => answers.shift()());
+
+    await assert.rejects(
+      service.followUp(record, { message: 'Update it', updateDecision: true }),
+      error => /AI service error: socket hang up/.test(error.message) && error.usage.total_tokens > 0
+    );
+  });
+});
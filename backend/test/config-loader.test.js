@@ -0,0 +1,115 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, validateConfig, redactConfig, ConfigError } = require('../src/config/loader');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { DeepSeekProvider } = require('../src/services/providers');
+
+let dir;
+
+// Config file in a scratch directory
+function configFile(name, content) {
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+before(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'config-loader-'));
+  // The degraded-mode warning
+  mock.method(console, 'warn', () => {});
+});
+
+after(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+  mock.restoreAll();
+});
+
+describe('loadConfig', () => {
+  test('layers defaults < NODE_ENV profile < CONFIG_FILE < env', () => {
+    const file = configFile('layers.yaml', [
+      'RATE_LIMIT_MAX_REQUESTS: 500',
+      'MIN_CONFIDENCE: 65',
+      'MAX_TIMEFRAMES: 3',
+      'MESSAGES:',
+      '  DISCLAIMER: Not advice'
+    ].join('\n'));
+    const config = loadConfig({ env: { NODE_ENV: 'test', MAX_TIMEFRAMES: '5', OCR_WARMUP: 'yes' }, file });
+
+    assert.equal(config.PORT, 3000); // default
+    assert.equal(config.DB_PATH, ':memory:'); // profile over default
+    assert.equal(config.RATE_LIMIT_MAX_REQUESTS, 500); // file over profile
+    assert.equal(config.MIN_CONFIDENCE, 65); // file over default
+    assert.equal(config.MAX_TIMEFRAMES, 5); // env over file
+    assert.equal(config.OCR_WARMUP, true); // env over profile
+    assert.equal(config.NODE_ENV, 'test');
+
+    // Messages are merged one by one
+    assert.equal(config.MESSAGES.DISCLAIMER, 'Not advice');
+    assert.ok(config.MESSAGES.ADMIN_DISABLED);
+  });
+
+  test('throws one ConfigError listing every invalid key', () => {
+    const file = configFile('invalid.json', JSON.stringify({ MIN_CONFIDENCE: 150, AI_PROVIDER: 'gpt', COLOUR: 'blue' }));
+
+    assert.throws(
+      () => loadConfig({ env: { NODE_ENV: 'test', PORT: 'eighty', LOG_REQUESTS: 'maybe' }, file }),
+      error => {
+        assert.ok(error instanceof ConfigError);
+        assert.deepEqual(error.issues, [
+          'PORT: expected a number, got "eighty" (from environment)',
+          'LOG_REQUESTS: expected true/false, got "maybe" (from environment)',
+          'MIN_CONFIDENCE: must be <= 100 (got 150)',
+          'AI_PROVIDER: must be one of deepseek, openai, ollama, local, mock (got "gpt")',
+          'COLOUR: unknown configuration key'
+        ]);
+        error.issues.forEach(issue => assert.ok(error.message.includes(issue)));
+        return true;
+      }
+    );
+  });
+
+  test('reports unknown profiles and unreadable files', () => {
+    assert.throws(() => loadConfig({ env: { NODE_ENV: 'staging' } }), /NODE_ENV: unknown profile "staging"/);
+    assert.throws(() => loadConfig({ env: { NODE_ENV: 'test' }, file: path.join(dir, 'missing.json') }), /CONFIG_FILE: cannot read .*missing\.json \(ENOENT\)/);
+    assert.throws(() => loadConfig({ env: { NODE_ENV: 'test' }, file: configFile('list.json', '[1]') }), /top level must be an object/);
+  });
+
+  test('starts without an API key, in degraded mode', () => {
+    const config = loadConfig({ env: { NODE_ENV: 'production', AI_PROVIDER: 'deepseek' } });
+    assert.equal(config.DEEPSEEK_API_KEY, '');
+
+    const service = new DeepSeekService({ provider: new DeepSeekProvider({ apiKey: config.DEEPSEEK_API_KEY }), ocrPool: {} });
+    assert.equal(service.degraded, true);
+    assert.equal(service.degradedReason, 'deepseek API key not configured');
+  });
+});
+
+describe('secrets', () => {
+  test('redactConfig masks API keys and webhook definitions', () => {
+    const redacted = redactConfig({
+      AI_API_KEY: 'sk-live-123',
+      ADMIN_API_KEY: 'admin-secret',
+      DEEPSEEK_API_KEY: '',
+      WEBHOOKS: [{ url: 'https://example.com/hook', secret: 'hook-secret' }],
+      PORT: 3000
+    });
+
+    assert.deepEqual(redacted, {
+      AI_API_KEY: '***',
+      ADMIN_API_KEY: '***',
+      DEEPSEEK_API_KEY: '(not set)',
+      WEBHOOKS: '1 configured',
+      PORT: 3000
+    });
+    assert.ok(!JSON.stringify(redacted).includes('secret'));
+  });
+
+  test('validation errors never print secret values', () => {
+    const issues = validateConfig({ ...loadConfig({ env: { NODE_ENV: 'test' } }), AI_API_KEY: 12345 });
+
+    assert.deepEqual(issues, ['AI_API_KEY: expected string, got number ***']);
+  });
+});
@@ -0,0 +1,313 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const DeepSeekService = require('../src/services/deepseek-services');
+const ApiKeyStore = require('../src/storage/api-key-store');
+const { openDatabase } = require('../src/storage/database');
+const { DeepSeekProvider, MockProvider, HttpCassette } = require('../src/services/providers');
+
+const apiCassette = path.join(__dirname, 'fixtures', 'cassettes', 'api.json');
+
+function service() {
+  return new DeepSeekService({ provider: new MockProvider(), ocrPool: {} });
+}
+
+function completion(content) {
+  return {
+    choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+    usage: { prompt_tokens: 100, completion_tokens: 50, total_tokens: 150 }
+  };
+}
+
+// Gently rising candles, enough for every indicator
+function candles(count = 60) {
+  return Array.from({ length: count }, (_, i) => {
+    const open = 2000 + i + Math.sin(i) * 3;
+    return { time: 1700000000 + i * 3600, open, high: open + 4, low: open - 4, close: open + 1 };
+  });
+}
+
+function validAnalysis() {
+  return {
+    ...MockProvider.DEFAULT_ANALYSIS,
+    decision: {
+      ...MockProvider.DEFAULT_ANALYSIS.decision,
+      action: 'SELL', entry: 2050, sl: 2060, tp1: 2030, tp2: 2020, probability: 62, risk_reward: '1:2'
+    }
+  };
+}
+
+// Replaying provider built on a cassette file
+function replayProvider(file, options = {}) {
+  const provider = new DeepSeekProvider({ apiKey: 'sk-test-cassette', baseURL: 'http://cassette.invalid', ...options });
+  new HttpCassette({ file, mode: 'replay' }).attach(provider.client);
+  return provider;
+}
+
+// Keep the pipeline logs out of the test reporter's output
+before(() => ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {})));
+
+after(() => mock.restoreAll());
+
+describe('parseOCRText', () => {
+  test('extracts sorted unique price levels and indicators', () => {
+    const { extractedData } = service().parseOCRText('XAUUSD 2040.10 2030.50 2040.10 RSI: 71.5 MACD -1.25 EMA 2035.20');
+    const levels = extractedData.priceLevels;
+
+    assert.ok([2030.5, 2035.2, 2040.1].every(price => levels.includes(price)));
+    assert.deepEqual(levels, [...new Set(levels)].sort((a, b) => a - b));
+    assert.equal(extractedData.indicators.RSI, 71.5);
+    assert.equal(extractedData.indicators.MACD, -1.25);
+    assert.equal(extractedData.indicators.EMA, 2035.2);
+    assert.equal(extractedData.hasData, true);
+  });
+
+  test('reports no data for text without prices, and ignores impossible RSI values', () => {
+    const data = service().parseOCRText('RSI 140 no numbers here');
+
+    assert.deepEqual(data.extractedData.priceLevels, []);
+    assert.equal(data.extractedData.indicators.RSI, undefined);
+    assert.equal(data.extractedData.hasData, false);
+    assert.equal(data.rawText, 'RSI 140 no numbers here');
+  });
+});
+
+describe('extractChartDataFromCandles', () => {
+  // Every price in the extracted data: levels, swings, pivots, zones and structure
+  function prices({ extractedData }) {
+    const { priceLevels, swingHighs, swingLows, pivots, zones, structure, candles: summary } = extractedData;
+    return [
+      ...priceLevels, ...swingHighs, ...swingLows, summary.lastClose, summary.high, summary.low,
+      ...(pivots ? [...Object.values(pivots.classic), ...Object.values(pivots.fibonacci)] : []),
+      ...zones.flatMap(zone => [zone.low, zone.high, zone.mid]),
+      ...structure.swings.map(swing => swing.price)
+    ];
+  }
+
+  const decimals = price => (String(price).split('.')[1] || '').length;
+  const yen = candles().map(c => ({ ...c, open: c.open / 13.3, high: c.high / 13.3, low: c.low / 13.3, close: c.close / 13.3 }));
+
+  test('rounds prices to the quoted precision of the instrument', () => {
+    const ds = service();
+    const data = ds.extractChartDataFromCandles(yen, ds.instruments.get('USDJPY'));
+
+    assert.ok(prices(data).every(price => decimals(price) <= 3));
+    assert.ok(decimals(data.extractedData.indicators.EMA20) <= 3);
+    assert.ok(prices(ds.extractChartDataFromCandles(yen)).some(price => decimals(price) === 4));
+  });
+
+  test('builds the pivots from the previous completed day, not the previous candle', () => {
+    const ds = service();
+    // Hourly from 2024-01-01 12:00 UTC: index 12-35 is the whole of January 2nd
+    const hourly = candles(60).map((c, i) => ({ ...c, time: new Date(Date.UTC(2024, 0, 1, 12 + i)).toISOString() }));
+    hourly[20] = { ...hourly[20], high: 2100 };
+    hourly[30] = { ...hourly[30], low: 1950 };
+    hourly[35] = { ...hourly[35], open: 2018, high: 2022, low: 2015, close: 2020 };
+
+    // P = (2100 + 1950 + 2020) / 3, R1 = 2P - L, S1 = 2P - H, R2/S2 = P ± (H - L)
+    const { pivots } = ds.extractChartDataFromCandles(hourly, ds.instruments.get('XAUUSD')).extractedData;
+    assert.equal(pivots.day, '2024-01-02');
+    assert.deepEqual(
+      [pivots.classic.pivot, pivots.classic.r1, pivots.classic.s1, pivots.classic.r2, pivots.classic.s2],
+      [2023.33, 2096.67, 1946.67, 2173.33, 1873.33]
+    );
+    assert.equal(pivots.fibonacci.r1, 2080.63);
+
+    // Starting mid-day, the data has no whole prior day
+    const partial = ds.extractChartDataFromCandles(hourly.slice(20)).extractedData;
+    assert.equal(partial.pivots, undefined);
+    assert.ok(!ds.formatExtractedData(partial).includes('pivots'));
+    assert.match(ds.formatExtractedData(ds.extractChartDataFromCandles(hourly).extractedData), /Classic daily pivots \(2024-01-02\): P 2023\.33/);
+  });
+
+  test('uses the precision of the analysed symbol', async () => {
+    const result = await service()
+      .analyzeMarketData({ candles: yen, symbol: 'USDJPY', timeframe: 'H1', tradeType: 'intraday' });
+
+    assert.ok(prices(result.ocr).every(price => decimals(price) <= 3));
+  });
+});
+
+describe('parseAIResponse', () => {
+  test('returns the validated analysis with usage and disclaimer', () => {
+    const analysis = service().parseAIResponse(completion(JSON.stringify(validAnalysis())), 'req-1');
+
+    assert.equal(analysis.decision.action, 'SELL');
+    assert.equal(analysis.decision.entry, 2050);
+    assert.deepEqual(analysis.validation, { valid: true, errors: [], repair_attempts: 0 });
+    assert.equal(analysis.api_usage.total_tokens, 150);
+    assert.ok(analysis.disclaimer);
+  });
+
+  test('accepts JSON wrapped in a markdown code fence', () => {
+    const content = `\`\`\`json\n${JSON.stringify(validAnalysis())}\n\`\`\``;
+    const analysis = service().parseAIResponse(completion(content), 'req-2');
+
+    assert.equal(analysis.validation.valid, true);
+    assert.equal(analysis.decision.action, 'SELL');
+  });
+
+  test('falls back to HOLD with the reasons when the output is not usable', () => {
+    const notJSON = service().parseAIResponse(completion('Sorry, I cannot analyse this chart.'), 'req-3');
+
+    assert.equal(notJSON.decision.action, 'HOLD');
+    assert.equal(notJSON.validation.valid, false);
+    assert.match(notJSON.validation.errors[0], /not valid JSON/);
+    assert.equal(notJSON.error.requestId, 'req-3');
+
+    const badSchema = service().parseAIResponse(completion(JSON.stringify({ decision: { action: 'MAYBE' } })), 'req-4');
+    assert.equal(badSchema.decision.action, 'HOLD');
+    assert.ok(badSchema.validation.errors.some(error => error.startsWith('decision.action')));
+  });
+});
+
+describe('usage accounting', () => {
+  test('counts the tokens of unusable answers against the key quota', async () => {
+    const provider = new MockProvider({ response: 'Sorry, I cannot analyse this chart.' });
+    const analysis = await new DeepSeekService({ provider, ocrPool: {} })
+      .analyzeMarketData({ candles: candles(), symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday' });
+
+    assert.equal(analysis.validation.valid, false);
+    assert.equal(provider.calls.length, 2);
+    assert.ok(analysis.api_usage.total_tokens > 0);
+
+    const keyStore = new ApiKeyStore(openDatabase(':memory:'));
+    const { id } = keyStore.create({ name: 'desk-1' });
+    keyStore.recordUsage({ apiKeyId: id, endpoint: '/api/analyze/data', usage: analysis.api_usage });
+
+    assert.equal(keyStore.tokensUsedToday(id), analysis.api_usage.total_tokens);
+  });
+
+  test('keeps the usage of earlier attempts when the provider fails mid-repair', async () => {
+    const answers = [() => 'not json', () => { throw new Error('socket hang up'); }];
+    const provider = new MockProvider({ response: () => answers.shift()() });
+    const analysis = await new DeepSeekService({ provider, ocrPool: {} })
+      .analyzeMarketData({ candles: candles(), symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday' });
+
+    assert.match(analysis.error.message, /AI service error: socket hang up/);
+    assert.ok(analysis.api_usage.total_tokens > 0);
+    assert.equal(analysis.api_usage.completion_tokens, Math.ceil('not json'.length / 4));
+  });
+});
+
+describe('analyzeTradingChart', () => {
+  test('stops before the next step once the signal is aborted', async () => {
+    const provider = new MockProvider();
+    const controller = new AbortController();
+    const image = await require('sharp')({ create: { width: 40, height: 30, channels: 3, background: '#131722' } }).png().toBuffer();
+    const stages = [];
+
+    const analysis = await new DeepSeekService({ provider, ocrPool: {} }).analyzeTradingChart({
+      imageBuffer: image,
+      symbol: 'XAUUSD',
+      timeframe: 'H1',
+      tradeType: 'intraday',
+      signal: controller.signal,
+      onEvent: (event, data) => {
+        if (event === 'stage') stages.push(data.stage);
+        if (event === 'preprocess') controller.abort(new Error('Client disconnected'));
+      }
+    });
+
+    assert.deepEqual(stages, ['preprocessing']);
+    assert.equal(analysis.error.message, 'Client disconnected');
+    assert.equal(provider.calls.length, 0);
+  });
+});
+
+describe('DeepSeekProvider over a cassette', () => {
+  test('replays the health check and a completion without network access', async () => {
+    const provider = replayProvider(apiCassette);
+
+    const status = await provider.testConnection();
+    assert.equal(status.ok, true);
+    assert.equal(status.modelsCount, 2);
+
+    const response = await provider.chat([{ role: 'user', content: 'analyse' }], { json: true });
+    assert.equal(response.usage.total_tokens, 1648);
+    assert.equal(JSON.parse(response.choices[0].message.content).decision.action, 'BUY');
+  });
+
+  test('fails with CASSETTE_MISS when no recording is left for the request', async () => {
+    const provider = replayProvider(apiCassette);
+    await provider.testConnection();
+
+    await assert.rejects(provider.testConnection(), error => error.code === 'CASSETTE_MISS');
+  });
+
+  test('refuses to replay a missing cassette file', () => {
+    assert.throws(() => replayProvider(path.join(os.tmpdir(), 'no-such-cassette.json')), /cannot read/);
+  });
+});
+
+describe('HttpCassette recording', () => {
+  const completionBody = completion(JSON.stringify(validAnalysis()));
+  let server;
+  let baseURL;
+  let dir;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassettes-'));
+
+    // Minimal OpenAI-compatible endpoint: JSON, SSE stream, and 401 for a bad key
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        if (req.headers.authorization !== 'Bearer sk-live') {
+          res.writeHead(401, { 'Content-Type': 'application/json' });
+          return res.end(JSON.stringify({ error: { message: 'Authentication Fails' } }));
+        }
+        if (JSON.parse(body).stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '{"a":' } }] })}\n\n`);
+          res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: '1}' }, finish_reason: 'stop' }], usage: { total_tokens: 9 } })}\n\n`);
+          return res.end('data: [DONE]\n\n');
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(completionBody));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    return new Promise(resolve => server.close(resolve));
+  });
+
+  test('records plain, streamed and failed calls and replays them identically', async () => {
+    const file = path.join(dir, 'provider.json');
+    const messages = [{ role: 'user', content: `Analysis Time: ${new Date().toISOString()}` }];
+
+    // One cassette for both clients, in call order
+    const cassette = new HttpCassette({ file, mode: 'record' });
+    const live = new DeepSeekProvider({ apiKey: 'sk-live', baseURL });
+    const rejected = new DeepSeekProvider({ apiKey: 'sk-wrong', baseURL });
+    cassette.attach(live.client);
+    cassette.attach(rejected.client);
+    const recordedTokens = [];
+
+    const plain = await live.chat(messages, { json: true });
+    const streamed = await live.chat(messages, { onToken: text => recordedTokens.push(text) });
+    await assert.rejects(rejected.chat(messages), error => error.response?.status === 401);
+
+    const written = fs.readFileSync(file, 'utf8');
+    assert.doesNotMatch(written, /sk-live|Authorization/i);
+    assert.equal(streamed.choices[0].message.content, '{"a":1}');
+
+    // Timestamps in the prompt differ between recording and replay
+    const later = [{ role: 'user', content: 'Analysis Time: 2030-01-01T00:00:00.000Z' }];
+    const replay = replayProvider(file);
+    const replayedTokens = [];
+
+    assert.deepEqual(await replay.chat(later, { json: true }), plain);
+    assert.deepEqual(await replay.chat(later, { onToken: text => replayedTokens.push(text) }), streamed);
+    assert.deepEqual(replayedTokens, recordedTokens);
+    await assert.rejects(replay.chat(later), error => error.response?.status === 401 && error.code === 'ERR_BAD_REQUEST');
+  });
+});
@@ -0,0 +1,106 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { MockProvider, RecordingProvider } = require('../src/services/providers');
+const { loadFixtures } = require('../src/eval/fixtures');
+const { runEvaluation } = require('../src/eval/runner');
+const { simulateTrade, scoreAnalysis, compareRuns } = require('../src/eval/scoring');
+
+const fixturesDir = path.join(__dirname, '..', 'eval', 'fixtures');
+
+function buyAnalysis() {
+  return {
+    ...MockProvider.DEFAULT_ANALYSIS,
+    vision_summary: {
+      ...MockProvider.DEFAULT_ANALYSIS.vision_summary,
+      trend_structure: 'bullish',
+      support_zone: { level: 2070, description: 'swing low', confidence: 'medium' },
+      resistance_zone: { level: 2116, description: 'range high', confidence: 'medium' }
+    },
+    decision: {
+      ...MockProvider.DEFAULT_ANALYSIS.decision,
+      action: 'BUY', entry: 2100, sl: 2090, tp1: 2120, tp2: 2130, probability: 75, risk_reward: '1:2'
+    }
+  };
+}
+
+function service(provider) {
+  return new DeepSeekService({ provider, ocrPool: {} });
+}
+
+describe('evaluation scoring', () => {
+  test('plays trades through the following candles, stop first', () => {
+    const decision = { action: 'BUY', entry: 100, sl: 95, tp1: 110 };
+
+    assert.deepEqual(simulateTrade(decision, [{ high: 104, low: 99 }, { high: 111, low: 101 }]), { outcome: 'tp1_hit', r: 2 });
+    assert.deepEqual(simulateTrade(decision, [{ high: 111, low: 94 }]), { outcome: 'stopped_out', r: -1 });
+    assert.deepEqual(simulateTrade({ ...decision, action: 'HOLD' }, [{ high: 111, low: 94 }]), { outcome: 'no_trade', r: 0 });
+  });
+
+  test('scores action, trend and levels against the labels', () => {
+    const fixture = { expected: { action: 'BUY', trend: 'bearish', support: 2070, resistance: 2140 }, future: null };
+    const analysis = { ...buyAnalysis(), validation: { valid: true } };
+    const scores = scoreAnalysis(analysis, fixture);
+
+    assert.equal(scores.schemaValid, true);
+    assert.equal(scores.actionMatch, true);
+    assert.equal(scores.actionAcceptable, true);
+    assert.equal(scores.trendMatch, false);
+    assert.equal(scores.levels.support.score, 1);
+    assert.equal(scores.levels.resistance.score, 0);
+    assert.equal(scores.levelScore, 0.5);
+    assert.equal(scores.trade, null);
+  });
+
+  test('only the golden action counts as accurate; acceptable actions are scored apart', () => {
+    const fixture = { expected: { action: 'SELL', acceptableActions: ['HOLD'] }, future: null };
+    const hold = scoreAnalysis(MockProvider.DEFAULT_ANALYSIS, fixture);
+    const buy = scoreAnalysis(buyAnalysis(), fixture);
+
+    assert.deepEqual([hold.actionMatch, hold.actionAcceptable], [false, true]);
+    assert.deepEqual([buy.actionMatch, buy.actionAcceptable], [false, false]);
+  });
+});
+
+describe('evaluation runs', () => {
+  test('runs the golden fixtures and reports regressions between runs', async () => {
+    const fixtures = loadFixtures(fixturesDir);
+    const baseline = await runEvaluation({ fixtures, service: service(new MockProvider()), repeat: 2, label: 'hold' });
+    const candidate = await runEvaluation({ fixtures, service: service(new MockProvider({ response: buyAnalysis() })), label: 'buy' });
+
+    assert.equal(baseline.summary.runs, fixtures.length * 2);
+    assert.equal(baseline.summary.schemaValidRate, 1);
+    assert.equal(baseline.summary.consistency, 1);
+    // Never trading is defensible but never right
+    assert.equal(baseline.summary.actionAccuracy, 0);
+    assert.equal(baseline.summary.actionAcceptableRate, 1);
+    assert.deepEqual(baseline.promptTemplates, ['default@1.7.0']);
+    assert.equal(candidate.summary.trades, fixtures.length);
+
+    // BUY is the golden action on the uptrend and not even acceptable on the downtrend
+    const comparison = compareRuns(baseline, candidate);
+    assert.equal(comparison.improvements, 1);
+    assert.equal(comparison.regressions, 1);
+    assert.equal(comparison.fixtures.find(f => f.change === 'improved').name, 'xauusd-h1-uptrend');
+    assert.equal(comparison.fixtures.find(f => f.change === 'regressed').name, 'xauusd-h1-downtrend');
+    assert.equal(comparison.metrics.find(m => m.key === 'actionAccuracy').verdict, 'better');
+    assert.equal(comparison.metrics.find(m => m.key === 'actionAcceptableRate').verdict, 'worse');
+  });
+
+  test('replays recorded answers offline', async () => {
+    const fixtures = loadFixtures(fixturesDir).slice(0, 1);
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'eval-recordings-'));
+    const recorder = new RecordingProvider({ mode: 'record', dir, inner: new MockProvider({ response: buyAnalysis() }) });
+    await runEvaluation({ fixtures, service: service(recorder), recorder, label: 'recorded' });
+
+    const replay = new RecordingProvider({ mode: 'replay', dir });
+    const run = await runEvaluation({ fixtures, service: service(replay), recorder: replay, label: 'replayed' });
+
+    assert.equal(run.fixtures[0].runs[0].action, 'BUY');
+    assert.equal(run.staleRecordings, 0);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
@@ -0,0 +1,202 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const ta = require('../src/indicators');
+
+function assertClose(actual, expected, tolerance = 0.01) {
+  assert.ok(
+    Math.abs(actual - expected) <= tolerance,
+    `expected ${actual} to be within ${tolerance} of ${expected}`
+  );
+}
+
+// Wilder RSI reference data (StockCharts ChartSchool worksheet). Expected values are
+// the unrounded ones TA-Lib produces; the worksheet rounds averages and shows 70.53, 66.32, ...
+const RSI_CLOSES = [
+  44.34, 44.09, 44.15, 43.61, 44.33, 44.83, 45.10, 45.42, 45.84, 46.08,
+  45.89, 46.03, 45.61, 46.28, 46.28, 46.00, 46.03, 46.41, 46.22, 45.64
+];
+const RSI_EXPECTED = [70.46, 66.25, 66.48, 69.35, 66.29, 57.92];
+
+describe('moving averages', () => {
+  test('sma averages the trailing window', () => {
+    assert.deepEqual(ta.sma([1, 2, 3, 4, 5], 3), [null, null, 2, 3, 4]);
+  });
+  
+  test('ema seeds with the SMA and applies 2/(n+1) smoothing', () => {
+    assert.deepEqual(ta.ema([2, 4, 6, 8, 10], 3), [null, null, 4, 6, 8]);
+  });
+  
+  test('ema returns all nulls when there is not enough data', () => {
+    assert.deepEqual(ta.ema([1, 2], 3), [null, null]);
+  });
+});
+
+describe('rsi', () => {
+  test('matches the Wilder reference values', () => {
+    const result = ta.rsi(RSI_CLOSES, 14);
+    
+    assert.equal(result[13], null);
+    RSI_EXPECTED.forEach((expected, i) => assertClose(result[14 + i], expected));
+  });
+  
+  test('is 100 when price only rises', () => {
+    const closes = Array.from({ length: 20 }, (_, i) => 100 + i);
+    assert.equal(ta.last(ta.rsi(closes, 14)), 100);
+  });
+});
+
+describe('macd', () => {
+  test('converges to the EMA lag difference on a linear series', () => {
+    // For x = i the n-period EMA is exactly i - (n - 1) / 2, so MACD(12, 26) = 7
+    const closes = Array.from({ length: 60 }, (_, i) => i);
+    const { macd, signal, histogram } = ta.macd(closes);
+    
+    assert.equal(macd[24], null);
+    assertClose(macd[25], 7, 1e-9);
+    assert.equal(signal[32], null);
+    assertClose(signal[33], 7, 1e-9);
+    assertClose(ta.last(histogram), 0, 1e-9);
+  });
+});
+
+describe('atr', () => {
+  test('includes gaps against the previous close in the true range', () => {
+    const candles = [
+      { high: 11, low: 9, close: 10 },
+      { high: 12, low: 10, close: 11 },
+      { high: 15, low: 14, close: 14.5 }, // gap up: TR = 15 - 11 = 4
+      { high: 14, low: 12, close: 13 }
+    ];
+    
+    assert.deepEqual(ta.trueRange(candles), [2, 2, 4, 2.5]);
+    
+    const result = ta.atr(candles, 3);
+    assert.equal(result[1], null);
+    assertClose(result[2], 8 / 3, 1e-9);
+    assertClose(result[3], ((8 / 3) * 2 + 2.5) / 3, 1e-9);
+  });
+});
+
+describe('bollinger', () => {
+  test('uses population standard deviation around the SMA', () => {
+    const { upper, middle, lower } = ta.bollinger([1, 2, 3, 4, 5], { period: 5, multiplier: 2 });
+    
+    assert.equal(middle[3], null);
+    assert.equal(middle[4], 3);
+    assertClose(upper[4], 3 + 2 * Math.SQRT2, 1e-9);
+    assertClose(lower[4], 3 - 2 * Math.SQRT2, 1e-9);
+  });
+});
+
+describe('pivots', () => {
+  const period = { high: 110, low: 100, close: 105 };
+  
+  test('classic floor pivots', () => {
+    assert.deepEqual(ta.pivots(period), {
+      pivot: 105, r1: 110, r2: 115, r3: 120, s1: 100, s2: 95, s3: 90
+    });
+  });
+  
+  test('fibonacci pivots', () => {
+    const result = ta.pivots(period, 'fibonacci');
+    
+    assert.equal(result.pivot, 105);
+    assertClose(result.r1, 108.82, 1e-9);
+    assertClose(result.r2, 111.18, 1e-9);
+    assertClose(result.r3, 115, 1e-9);
+    assertClose(result.s1, 101.18, 1e-9);
+    assertClose(result.s2, 98.82, 1e-9);
+    assertClose(result.s3, 95, 1e-9);
+  });
+  
+  test('rejects unknown methods', () => {
+    assert.throws(() => ta.pivots(period, 'camarilla'), /Unknown pivot method/);
+  });
+});
+
+describe('previousDay', () => {
+  // 6-hour candles from `start`; the close is the candle's index
+  const sixHourly = (start, count) => Array.from({ length: count }, (_, i) => ({
+    time: new Date(Date.parse(start) + i * 6 * 3600 * 1000).toISOString(),
+    high: 100 + i, low: 90 - i, close: i
+  }));
+  
+  test('takes the high, low and close of the last completed UTC day', () => {
+    const candles = sixHourly('2024-01-01T00:00:00Z', 10);
+    
+    assert.deepEqual(ta.previousDay(candles), { day: '2024-01-02', high: 107, low: 83, close: 7 });
+  });
+  
+  test('reads epoch seconds as well as ISO times', () => {
+    const candles = sixHourly('2024-01-01T00:00:00Z', 10).map(c => ({ ...c, time: Date.parse(c.time) / 1000 }));
+    
+    assert.equal(ta.previousDay(candles).day, '2024-01-02');
+  });
+  
+  test('is null without a whole prior day or without times', () => {
+    assert.equal(ta.previousDay(sixHourly('2024-01-01T06:00:00Z', 6)), null);
+    assert.equal(ta.previousDay(sixHourly('2024-01-01T00:00:00Z', 4)), null);
+    assert.equal(ta.previousDay(sixHourly('2024-01-01T00:00:00Z', 10).map(c => ({ ...c, time: undefined }))), null);
+  });
+});
+
+describe('findSwings', () => {
+  test('finds fractal highs and lows, counting equal tops once', () => {
+    const highs = [1, 2, 5, 5, 3, 2, 1, 2, 3];
+    const lows = [0.5, 1, 4, 4, 2, 1, 0.2, 1, 2];
+    const candles = highs.map((high, i) => ({ high, low: lows[i], time: `t${i}` }));
+    
+    const swings = ta.findSwings(candles, 2);
+    assert.deepEqual(swings.highs.map(s => s.index), [2]);
+    assert.deepEqual(swings.lows.map(s => s.index), [6]);
+  });
+});
+
+describe('clusterZones', () => {
+  test('merges nearby swings and scores touches, recency and role reversal', () => {
+    const zones = ta.clusterZones([
+      { price: 100, index: 2, kind: 'low' },
+      { price: 100.4, index: 10, kind: 'high' },
+      { price: 100.2, index: 18, kind: 'low' },
+      { price: 110, index: 5, kind: 'high' }
+    ], { tolerance: 0.5, currentPrice: 105, length: 21 });
+    
+    assert.equal(zones.length, 2);
+    assert.deepEqual(
+      { low: zones[0].low, high: zones[0].high, touches: zones[0].touches, type: zones[0].type },
+      { low: 100, high: 100.4, touches: 3, type: 'support' }
+    );
+    // 3 touches (75) + last touch at 18/20 (22.5) + role reversal (15), capped
+    assert.equal(zones[0].strength, 100);
+    assert.equal(zones[1].type, 'resistance');
+    assert.equal(zones[1].strength, 31);
+  });
+  
+  test('plain levels have no type without a current price', () => {
+    const zones = ta.clusterZones([{ price: 1.1 }, { price: 1.1001 }, { price: 1.2 }], { tolerance: 0.001 });
+    assert.deepEqual(zones.map(z => [z.touches, z.type]), [[2, null], [1, null]]);
+  });
+});
+
+describe('marketStructure', () => {
+  // Zig-zag closes; each candle spans close ± 0.5
+  const series = (closes) => closes.map((close, i) => ({ open: close, high: close + 0.5, low: close - 0.5, close, time: `t${i}` }));
+  
+  test('labels higher highs/lows and finds a break of structure', () => {
+    const structure = ta.marketStructure(series([10, 11, 12, 11, 10, 11, 13, 12, 11, 12, 14, 15, 16]));
+    
+    assert.equal(structure.trend, 'bullish');
+    assert.deepEqual(structure.swings.map(s => `${s.kind}:${s.label}`), ['high:null', 'low:null', 'high:HH', 'low:HL']);
+    assert.deepEqual(
+      { type: structure.lastBreak.type, direction: structure.lastBreak.direction, level: structure.lastBreak.level },
+      { type: 'BOS', direction: 'up', level: 13.5 }
+    );
+  });
+  
+  test('a break against the previous one is a change of character', () => {
+    const structure = ta.marketStructure(series([10, 11, 12, 11, 10, 11, 13, 12, 11, 12, 14, 13, 12, 11, 10, 9]));
+    
+    assert.equal(structure.lastBreak.type, 'CHoCH');
+    assert.equal(structure.lastBreak.direction, 'down');
+  });
+});
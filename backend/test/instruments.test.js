@@ -0,0 +1,143 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { InstrumentRegistry, InstrumentError, roundPrice, formatPrice, isPlausiblePrice } = require('../src/instruments/instrument-registry');
+const { checkTradePlan } = require('../src/validation/trade-plan-checker');
+const DeepSeekService = require('../src/services/deepseek-services');
+const { MockProvider } = require('../src/services/providers');
+
+const registry = new InstrumentRegistry();
+
+function instrumentsFile(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'instruments-'));
+  const file = path.join(dir, 'instruments.yaml');
+  fs.writeFileSync(file, content);
+  return file;
+}
+
+describe('InstrumentRegistry', () => {
+  test('resolves symbols, aliases and separated forms but not junk', () => {
+    assert.equal(registry.resolve('GOLD').symbol, 'XAUUSD');
+    assert.equal(registry.resolve(' eur/usd ').symbol, 'EURUSD');
+    assert.equal(registry.resolve('xau_usd').symbol, 'XAUUSD');
+    assert.equal(registry.resolve('dax').symbol, 'GER40');
+    assert.equal(registry.resolve('XAU USD!!'), null);
+    assert.equal(registry.resolve(''), null);
+
+    // get() takes canonical symbols only
+    assert.equal(registry.get('GOLD'), null);
+    assert.equal(registry.get('xauusd').symbol, 'XAUUSD');
+  });
+
+  test('lists instruments by asset class', () => {
+    assert.deepEqual(registry.list({ assetClass: 'crypto' }).map(i => i.symbol), ['BTCUSD', 'ETHUSD']);
+    assert.deepEqual(registry.assetClasses(), ['forex', 'metal', 'crypto', 'index', 'energy']);
+    assert.ok(registry.symbols().includes('USOIL'));
+  });
+
+  test('limits the registry to an allow-list and rejects unknown entries in it', () => {
+    const limited = new InstrumentRegistry({ enabled: ['xauusd', 'EURUSD'] });
+    assert.deepEqual(limited.symbols(), ['EURUSD', 'XAUUSD']);
+    assert.equal(limited.resolve('BTC'), null);
+
+    assert.throws(() => new InstrumentRegistry({ enabled: ['XAUUSD', 'DOGEUSD'] }), /unknown instruments DOGEUSD/);
+  });
+
+  test('adds instruments and overrides single fields from an extra file', () => {
+    const extraFile = instrumentsFile([
+      'instruments:',
+      '  XAUUSD:',
+      '    contract: { maxLot: 10 }',
+      '  AAPL:',
+      '    name: Apple Inc.',
+      '    assetClass: stock',
+      '    quoteCurrency: USD',
+      '    pipSize: 0.01',
+      '    tickSize: 0.01',
+      '    precision: 2',
+      '    typicalSpread: 2',
+      '    sessions: [new_york]',
+      '    aliases: [APPLE]',
+      '    priceRange: [10, 1000]',
+      '    contract: { contractSize: 1, minLot: 1, lotStep: 1, maxLot: 1000 }'
+    ].join('\n'));
+    const extended = new InstrumentRegistry({ extraFile });
+
+    assert.deepEqual(extended.get('XAUUSD').contract, { contractSize: 100, minLot: 0.01, lotStep: 0.01, maxLot: 10 });
+    assert.equal(extended.resolve('apple').symbol, 'AAPL');
+  });
+
+  test('reports every problem in a data file', () => {
+    const extraFile = instrumentsFile([
+      'instruments:',
+      '  BADPAIR:',
+      '    name: Broken',
+      '    assetClass: bonds',
+      '    quoteCurrency: usd',
+      '    pipSize: 0',
+      '    tickSize: 0.01',
+      '    precision: 2.5',
+      '    typicalSpread: 1',
+      '    sessions: [moon]',
+      '    aliases: [GOLD]',
+      '    priceRange: [10, 5]'
+    ].join('\n'));
+
+    assert.throws(() => new InstrumentRegistry({ extraFile }), error => {
+      assert.ok(error instanceof InstrumentError);
+      ['assetClass', 'quoteCurrency', 'pipSize', 'precision', 'priceRange', 'unknown session "moon"', 'contract', '"GOLD" is already used']
+        .forEach(part => assert.ok(error.message.includes(part), part));
+      return true;
+    });
+  });
+});
+
+describe('price helpers', () => {
+  test('round and format to the quoted precision', () => {
+    const eurusd = registry.get('EURUSD');
+    const usdjpy = registry.get('USDJPY');
+
+    assert.equal(roundPrice(eurusd, 1.0850049), 1.085);
+    assert.equal(formatPrice(eurusd, 1.085), '1.08500');
+    assert.equal(formatPrice(usdjpy, 150.2), '150.200');
+    assert.equal(roundPrice(registry.get('XAUUSD'), 2034.5012), 2034.5);
+  });
+
+  test('check prices against the plausible range', () => {
+    const gold = registry.get('XAUUSD');
+    assert.equal(isPlausiblePrice(gold, 2030.5), true);
+    assert.equal(isPlausiblePrice(gold, 71.5), false);
+    assert.equal(isPlausiblePrice(gold, null), false);
+  });
+});
+
+describe('instrument-aware analysis', () => {
+  const service = new DeepSeekService({ provider: new MockProvider(), ocrPool: {} });
+
+  test('OCR parsing keeps plausible prices only, at the instrument precision', () => {
+    const text = 'XAUUSD 2040.10 2030.50 RSI: 71.5 MACD -1.25 EMA 2035.2049';
+    const { extractedData } = service.parseOCRText(text, { instrument: registry.get('XAUUSD') });
+
+    assert.deepEqual(extractedData.priceLevels, [2030.5, 2035.2, 2040.1]);
+    assert.equal(extractedData.indicators.RSI, 71.5);
+  });
+
+  test('model prices are rounded and implausible levels downgrade the plan', () => {
+    const analysis = {
+      decision: { action: 'BUY', entry: 1.0850049, sl: 1.08201, tp1: 1.0910, tp2: null, probability: 80 },
+      vision_summary: { support_zone: { level: 1.08123456 }, resistance_zone: { level: null } }
+    };
+    service.roundAnalysisPrices(analysis, registry.get('EURUSD'));
+
+    assert.equal(analysis.decision.entry, 1.085);
+    assert.equal(analysis.decision.sl, 1.08201);
+    assert.equal(analysis.vision_summary.support_zone.level, 1.08123);
+
+    // A gold-sized price on EURUSD
+    const check = checkTradePlan({ ...analysis.decision, tp1: 2040 }, { instrument: registry.get('EURUSD') });
+    assert.equal(check.passed, false);
+    assert.ok(check.violations.some(v => v.code === 'PRICE_IMPLAUSIBLE' && /tp1 2040/.test(v.message)));
+  });
+});
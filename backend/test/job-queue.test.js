@@ -0,0 +1,166 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const JobQueue = require('../src/jobs/job-queue');
+const ConcurrencyLimiter = require('../src/jobs/concurrency-limiter');
+
+// A promise the test settles by hand
+function deferred() {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+  return { promise, resolve, reject };
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+// Handler whose calls wait until the test finishes them, in any order
+function manualHandler() {
+  const calls = [];
+  const handler = (payload, context) => {
+    const call = { payload, context, ...deferred() };
+    calls.push(call);
+    return call.promise;
+  };
+  return { calls, handler };
+}
+
+before(() => {
+  // Failed jobs are logged
+  mock.method(console, 'error', () => {});
+});
+
+after(() => mock.restoreAll());
+
+describe('JobQueue', () => {
+  test('runs at most `concurrency` jobs, in submission order, and reports queue positions', async () => {
+    const { calls, handler } = manualHandler();
+    const queue = new JobQueue({ handler, concurrency: 2 });
+    const jobs = ['a', 'b', 'c', 'd'].map(name => queue.submit({ name }));
+
+    assert.deepEqual(calls.map(call => call.payload.name), ['a', 'b']);
+    assert.deepEqual(jobs.map(job => job.queuePosition), [null, null, 1, 2]);
+    assert.deepEqual(queue.stats(), { concurrency: 2, running: 2, queued: 2, maxQueued: 50, done: 0, failed: 0 });
+
+    calls[1].resolve('b done');
+    await tick();
+
+    assert.deepEqual(calls.map(call => call.payload.name), ['a', 'b', 'c']);
+    assert.equal(queue.get(jobs[3].id).queuePosition, 1);
+    assert.equal(queue.get(jobs[1].id).status, 'done');
+    assert.equal(queue.get(jobs[1].id).result, 'b done');
+
+    calls[0].resolve();
+    calls[2].resolve();
+    await tick();
+    assert.equal(calls.length, 4);
+    calls[3].resolve();
+    await tick();
+
+    assert.equal(queue.stats().done, 4);
+    assert.equal(queue.stats().running, 0);
+  });
+
+  test('records stages, and keeps the stage and partial result of a failure', async () => {
+    const queue = new JobQueue({
+      handler: async (payload, { setStage }) => {
+        setStage('ocr');
+        const error = new Error('OCR timed out');
+        error.result = { decision: { action: 'HOLD' } };
+        throw error;
+      }
+    });
+
+    const { id } = queue.submit({ file: Buffer.alloc(8) }, { symbol: 'XAUUSD' });
+    await tick();
+    const job = queue.get(id);
+
+    assert.equal(job.status, 'failed');
+    assert.deepEqual(job.stages.map(s => s.stage), ['queued', 'ocr', 'failed']);
+    assert.deepEqual(job.error, { message: 'OCR timed out', stage: 'ocr' });
+    assert.deepEqual(job.result, { decision: { action: 'HOLD' } });
+    assert.deepEqual(job.input, { symbol: 'XAUUSD' });
+    assert.equal(job.payload, undefined);
+    assert.ok(job.finishedAt);
+  });
+
+  test('shows a job only to the owner that submitted it', () => {
+    const { handler } = manualHandler();
+    const queue = new JobQueue({ handler });
+    const owned = queue.submit({}, {}, 'key-a');
+    const anonymous = queue.submit({});
+
+    assert.equal(queue.get(owned.id, 'key-a').id, owned.id);
+    assert.equal(queue.get(owned.id, 'key-a').owner, undefined);
+    assert.equal(queue.get(owned.id, 'key-b'), null);
+    assert.equal(queue.get(owned.id), null);
+    assert.equal(queue.get(anonymous.id).id, anonymous.id);
+    assert.equal(queue.get(anonymous.id, 'key-a'), null);
+  });
+
+  test('is full at `maxQueued` waiting jobs', () => {
+    const { handler } = manualHandler();
+    const queue = new JobQueue({ handler, concurrency: 1, maxQueued: 2 });
+
+    queue.submit({});
+    queue.submit({});
+    assert.equal(queue.isFull(), false);
+    queue.submit({});
+    assert.equal(queue.isFull(), true);
+  });
+
+  test('forgets finished jobs after `ttlMs`, never running or queued ones', async () => {
+    const { calls, handler } = manualHandler();
+    const queue = new JobQueue({ handler, concurrency: 1, ttlMs: 1000 });
+    const finished = queue.submit({});
+    const running = queue.submit({});
+
+    calls[0].resolve();
+    await tick();
+    const waiting = queue.submit({});
+    const now = Date.now();
+    const clock = mock.method(Date, 'now', () => now + 1001);
+
+    try {
+      assert.equal(queue.get(finished.id), null);
+      assert.equal(queue.get(running.id).finishedAt, null);
+      assert.equal(queue.get(waiting.id).queuePosition, 1);
+    } finally {
+      clock.mock.restore();
+    }
+  });
+});
+
+describe('ConcurrencyLimiter', () => {
+  test('holds tasks over the limit and starts them first in, first out', async () => {
+    const limiter = new ConcurrencyLimiter('test', 1);
+    const started = [];
+    const gates = [deferred(), deferred(), deferred()];
+    const runs = gates.map((gate, i) => limiter.run(async () => {
+      started.push(i);
+      await gate.promise;
+      return i;
+    }));
+
+    await tick();
+    assert.deepEqual(started, [0]);
+    assert.deepEqual(limiter.stats(), { concurrency: 1, active: 1, waiting: 2 });
+
+    gates[0].resolve();
+    gates[2].resolve();
+    await tick();
+    assert.deepEqual(started, [0, 1]);
+
+    gates[1].resolve();
+    assert.deepEqual(await Promise.all(runs), [0, 1, 2]);
+    assert.deepEqual(started, [0, 1, 2]);
+    assert.deepEqual(limiter.stats(), { concurrency: 1, active: 0, waiting: 0 });
+  });
+
+  test('frees the slot when a task fails', async () => {
+    const limiter = new ConcurrencyLimiter('test', 1);
+
+    await assert.rejects(limiter.run(async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await limiter.run(async () => 'next'), 'next');
+    assert.equal(limiter.stats().active, 0);
+  });
+});
@@ -0,0 +1,86 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { detectLayoutFromPixels } = require('../src/ocr/layout');
+const {
+  parsePriceAxis,
+  parseTimeAxis,
+  parseIndicatorPane,
+  parseLegend
+} = require('../src/ocr/region-parser');
+
+// White 400x300 canvas with a price scale border at x=360, a pane border at y=200
+// and the time axis border at y=285, plus a few "candles" in the main pane
+function syntheticChart() {
+  const width = 400;
+  const height = 300;
+  const data = new Uint8Array(width * height).fill(255);
+  const set = (x, y) => { data[y * width + x] = 0; };
+
+  for (let y = 0; y < height; y++) set(360, y);
+  for (let x = 0; x < 360; x++) set(x, 200);
+  for (let x = 0; x < width; x++) set(x, 285);
+  for (let i = 0; i < 20; i++) {
+    for (let y = 60 + i * 3; y < 90 + i * 3; y++) set(20 + i * 15, y);
+  }
+
+  return { data, width, height };
+}
+
+describe('chart layout detection', () => {
+  test('finds price scale, time axis and indicator pane from separator lines', () => {
+    const layout = detectLayoutFromPixels(syntheticChart());
+    const { regions } = layout;
+
+    assert.deepEqual(layout.detected, { priceAxis: true, timeAxis: true, paneBorders: 1 });
+    assert.deepEqual(regions.main, { left: 0, top: 0, width: 360, height: 200 });
+    assert.deepEqual(regions.priceAxis, { left: 361, top: 0, width: 39, height: 200 });
+    assert.deepEqual(regions.timeAxis, { left: 0, top: 286, width: 360, height: 14 });
+    assert.equal(regions.panes.length, 1);
+    assert.deepEqual(regions.panes[0].box, { left: 0, top: 201, width: 360, height: 84 });
+  });
+
+  test('falls back to default bands on a chart without borders', () => {
+    const width = 1000;
+    const height = 500;
+    const layout = detectLayoutFromPixels({ data: new Uint8Array(width * height).fill(255), width, height });
+
+    assert.deepEqual(layout.detected, { priceAxis: false, timeAxis: false, paneBorders: 0 });
+    assert.equal(layout.regions.priceAxis.left, 921);
+    assert.equal(layout.regions.timeAxis.top, 481);
+    assert.deepEqual(layout.regions.panes, []);
+  });
+});
+
+describe('region text parsers', () => {
+  test('price axis labels become sorted levels', () => {
+    assert.deepEqual(parsePriceAxis('2,040.00\n2035.50\nUSD\n2030.00\n'), [2030, 2035.5, 2040]);
+  });
+
+  test('time axis keeps times, days and dates', () => {
+    assert.deepEqual(parseTimeAxis('12:00  16:00  Tue  04:00  15 Jan  2024'), ['12:00', '16:00', 'Tue', '04:00', '15 Jan', '2024']);
+  });
+
+  test('RSI pane ignores the length parameter', () => {
+    assert.deepEqual(parseIndicatorPane('RSI (14, close) 55.23'), { type: 'rsi', values: { RSI: 55.23 } });
+    assert.deepEqual(parseIndicatorPane('RSI 14 close 61.4'), { type: 'rsi', values: { RSI: 61.4 } });
+  });
+
+  test('MACD pane detects the histogram by value', () => {
+    assert.deepEqual(
+      parseIndicatorPane('MACD 12 26 close 9 -0.25 -1.23 -0.98').values,
+      { MACD_histogram: -0.25, MACD: -1.23, MACD_signal: -0.98 }
+    );
+    assert.deepEqual(
+      parseIndicatorPane('MACD(12,26,9) 0.45 0.32').values,
+      { MACD: 0.45, MACD_signal: 0.32 }
+    );
+  });
+
+  test('legend yields symbol/timeframe labels, OHLC and moving averages', () => {
+    const legend = parseLegend('XAUUSD, 1H  O2034.50 H2036.00 L2030.10 C2035.20  EMA (20, close) 2031.5  MA 50 close 2025');
+
+    assert.deepEqual(legend.labels, ['XAUUSD', '1H']);
+    assert.deepEqual(legend.ohlc, { open: 2034.5, high: 2036, low: 2030.1, close: 2035.2 });
+    assert.deepEqual(legend.indicators, { EMA20: 2031.5, MA50: 2025 });
+  });
+});
@@ -0,0 +1,136 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const OcrWorkerPool = require('../src/ocr/worker-pool');
+
+// Fake tesseract worker; `recognize` behaviour is supplied per test
+function fakeFactory(recognize = async () => ({ data: { text: 'ok' } })) {
+  const created = [];
+  const factory = async () => {
+    const worker = {
+      id: created.length + 1,
+      terminated: false,
+      setParameters: async () => {},
+      recognize: (image) => recognize(image, worker),
+      terminate: async () => { worker.terminated = true; }
+    };
+    created.push(worker);
+    return worker;
+  };
+  return { factory, created };
+}
+
+const never = () => new Promise(() => {});
+
+describe('OcrWorkerPool', () => {
+  test('start() warms the pool and workers are reused', async () => {
+    const { factory, created } = fakeFactory();
+    const pool = new OcrWorkerPool({ size: 2, factory });
+
+    await pool.start();
+    await pool.recognize('a');
+    await pool.recognize('b');
+
+    assert.equal(created.length, 2);
+    assert.equal(pool.stats().jobs, 2);
+    assert.equal(pool.stats().idle, 2);
+  });
+
+  test('recycles a worker after maxJobsPerWorker jobs', async () => {
+    const { factory, created } = fakeFactory();
+    const pool = new OcrWorkerPool({ size: 1, maxJobsPerWorker: 2, factory });
+
+    await pool.recognize('a');
+    await pool.recognize('b');
+    await pool.recognize('c');
+
+    assert.equal(created.length, 2);
+    assert.ok(created[0].terminated);
+    assert.equal(pool.stats().recycled, 1);
+  });
+
+  test('times out a stuck job and replaces its worker', async () => {
+    const { factory, created } = fakeFactory((image) => image === 'stuck' ? never() : Promise.resolve({ data: { text: 'ok' } }));
+    const pool = new OcrWorkerPool({ size: 1, timeoutMs: 20, factory });
+
+    await assert.rejects(pool.recognize('stuck'), /OCR timed out after 20ms/);
+    const result = await pool.recognize('fine');
+
+    assert.equal(result.data.text, 'ok');
+    assert.ok(created[0].terminated);
+    assert.equal(pool.stats().timeouts, 1);
+  });
+
+  test('queues callers when every worker is busy', async () => {
+    let finish;
+    const { factory, created } = fakeFactory((image) => image === 'slow'
+      ? new Promise(resolve => { finish = () => resolve({ data: { text: 'slow' } }); })
+      : Promise.resolve({ data: { text: image } }));
+    const pool = new OcrWorkerPool({ size: 1, factory });
+
+    const slow = pool.recognize('slow');
+    await new Promise(resolve => setImmediate(resolve));
+    const queued = pool.recognize('next');
+    assert.equal(pool.stats().waiting, 1);
+
+    finish();
+    assert.equal((await slow).data.text, 'slow');
+    assert.equal((await queued).data.text, 'next');
+    assert.equal(created.length, 1);
+  });
+
+  test('fails fast after a worker cannot be started', async () => {
+    let calls = 0;
+    // Mirrors tesseract.js: the error handler fires and createWorker never settles
+    const factory = (errorHandler) => {
+      calls++;
+      errorHandler(new Error('language data unavailable'));
+      return never();
+    };
+    const pool = new OcrWorkerPool({ size: 1, timeoutMs: 1000, factory });
+
+    await assert.rejects(pool.recognize('a'), /language data unavailable/);
+    await assert.rejects(pool.recognize('b'), /OCR worker unavailable/);
+
+    assert.equal(calls, 1);
+    assert.equal(pool.stats().available, false);
+  });
+
+  test('terminates workers that fail setup or start after the timeout', async () => {
+    const { factory, created } = fakeFactory();
+    const failing = new OcrWorkerPool({
+      size: 1,
+      factory: async (errorHandler) => {
+        const worker = await factory(errorHandler);
+        worker.setParameters = async () => { throw new Error('bad parameter'); };
+        return worker;
+      }
+    });
+
+    await assert.rejects(failing.recognize('a'), /bad parameter/);
+    assert.ok(created[0].terminated);
+
+    let startLate;
+    const slow = new OcrWorkerPool({
+      size: 1,
+      timeoutMs: 20,
+      factory: (errorHandler) => new Promise(resolve => { startLate = () => resolve(factory(errorHandler)); })
+    });
+
+    await assert.rejects(slow.recognize('b'), /OCR worker start timed out after 20ms/);
+    startLate();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(created.length, 2);
+    assert.ok(created[1].terminated);
+  });
+
+  test('close() terminates workers and rejects new jobs', async () => {
+    const { factory, created } = fakeFactory();
+    const pool = new OcrWorkerPool({ size: 1, factory });
+
+    await pool.start();
+    await pool.close();
+
+    assert.ok(created[0].terminated);
+    await assert.rejects(pool.recognize('a'), /closed/);
+  });
+});
@@ -0,0 +1,80 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { openDatabase } = require('../src/storage/database');
+const AnalysisStore = require('../src/storage/analysis-store');
+const OutcomeStore = require('../src/storage/outcome-store');
+
+function setup() {
+  const db = openDatabase(':memory:');
+  const analyses = new AnalysisStore(db);
+  const save = (symbol, decision) => analyses.get(analyses.save({
+    input: { symbol, timeframe: 'H1', tradeType: 'intraday' },
+    analysis: { decision, metadata: { apiProvider: 'mock', model: 'mock-1', promptTemplate: 'default', promptVersion: '1.7.0' } }
+  }));
+  return { outcomes: new OutcomeStore(db), save };
+}
+
+describe('computeRMultiple', () => {
+  test('measures the move to the exit in units of the entry-to-SL risk', () => {
+    const buy = { action: 'BUY', entry: 100, sl: 95 };
+    const sell = { action: 'SELL', entry: 100, sl: 104 };
+
+    assert.equal(OutcomeStore.computeRMultiple(buy, 110), 2);
+    assert.equal(OutcomeStore.computeRMultiple(buy, 95), -1);
+    assert.equal(OutcomeStore.computeRMultiple(sell, 94), 1.5);
+    assert.equal(OutcomeStore.computeRMultiple(sell, 102), -0.5);
+    assert.equal(OutcomeStore.computeRMultiple({ ...buy, sl: 100 }, 110), 0);
+  });
+});
+
+describe('summarize', () => {
+  test('reports expired orders as unfilled, outside the win rate and R figures', () => {
+    const summary = OutcomeStore.summarize([
+      { outcome: 'tp1_hit', r_multiple: 2 },
+      { outcome: 'stopped_out', r_multiple: -1 },
+      { outcome: 'manual_close', r_multiple: 0 },
+      { outcome: 'expired', r_multiple: 0 }
+    ]);
+
+    assert.equal(summary.trades, 3);
+    assert.equal(summary.unfilled, 1);
+    assert.deepEqual([summary.wins, summary.losses, summary.scratches], [1, 1, 1]);
+    assert.equal(summary.winRate, 0.3333);
+    assert.equal(summary.avgR, 0.3333);
+    assert.equal(summary.totalR, 1);
+  });
+
+  test('is all zero without filled trades', () => {
+    const summary = OutcomeStore.summarize([{ outcome: 'expired', r_multiple: 0 }]);
+
+    assert.deepEqual([summary.trades, summary.unfilled, summary.winRate, summary.avgR], [0, 1, 0, 0]);
+  });
+});
+
+describe('OutcomeStore', () => {
+  test('prices outcomes at the plan levels unless an exit price is given', () => {
+    const { outcomes, save } = setup();
+    const trade = save('XAUUSD', { action: 'BUY', entry: 2030, sl: 2025, tp1: 2040, tp2: 2050 });
+
+    assert.deepEqual(
+      [outcomes.record(trade, { outcome: 'tp2_hit' }).rMultiple, outcomes.record(trade, { outcome: 'tp1_hit' }).rMultiple],
+      [4, 2]
+    );
+    const closed = outcomes.record(trade, { outcome: 'manual_close', exitPrice: 2027.5, notes: 'News' });
+    assert.deepEqual([closed.exitPrice, closed.rMultiple, closed.notes], [2027.5, -0.5, 'News']);
+  });
+
+  test('groups the stats and keeps unfilled orders out of them', () => {
+    const { outcomes, save } = setup();
+    outcomes.record(save('XAUUSD', { action: 'BUY', entry: 2030, sl: 2025, tp1: 2040 }), { outcome: 'tp1_hit' });
+    outcomes.record(save('XAUUSD', { action: 'SELL', entry: 2030, sl: 2035, tp1: 2020 }), { outcome: 'stopped_out' });
+    outcomes.record(save('EURUSD', { action: 'BUY', entry: 1.085, sl: 1.083, tp1: 1.089 }), { outcome: 'expired' });
+
+    const stats = outcomes.stats();
+    assert.deepEqual([stats.overall.trades, stats.overall.unfilled, stats.overall.winRate], [2, 1, 0.5]);
+    assert.equal(stats.bySymbol.XAUUSD.trades, 2);
+    assert.deepEqual([stats.bySymbol.EURUSD.trades, stats.bySymbol.EURUSD.unfilled], [0, 1]);
+    assert.equal(stats.byModel['mock/mock-1@default@1.7.0'].trades, 2);
+    assert.equal(outcomes.stats({ symbol: 'EURUSD' }).overall.winRate, 0);
+  });
+});
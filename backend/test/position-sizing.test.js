@@ -0,0 +1,102 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { calculatePositionSize, sizeAnalysis, readAccount, PositionSizeError } = require('../src/trading/position-sizing');
+
+const account = { balance: 10000, riskPercent: 1 };
+
+describe('calculatePositionSize', () => {
+  test('sizes gold so the stop loses the risked amount', () => {
+    const size = calculatePositionSize({ ...account, symbol: 'XAUUSD', action: 'BUY', entry: 2030, sl: 2025, tp1: 2040 });
+
+    assert.equal(size.riskAmount, 100);
+    assert.equal(size.stopPips, 50);
+    assert.equal(size.pipValue, 10);
+    assert.equal(size.lots, 0.2);
+    assert.equal(size.units, 20);
+    assert.equal(size.actualRisk, 100);
+    assert.deepEqual(size.targets, [{ name: 'tp1', price: 2040, pips: 100, profit: 200, rr: 2 }]);
+    assert.deepEqual(size.warnings, []);
+  });
+
+  test('rounds down to the lot step and converts the quote currency', () => {
+    // EURUSD in an EUR account: 1 USD = 1 / 1.085 EUR
+    const eur = calculatePositionSize({ balance: 5000, riskPercent: 2, accountCurrency: 'eur', symbol: 'EURUSD', entry: 1.085, sl: 1.082 });
+    assert.equal(eur.lots, 0.36);
+    assert.equal(eur.actualRisk, 99.54);
+    assert.ok(eur.actualRisk <= eur.riskAmount);
+
+    // USDJPY in a USD account: 1 JPY = 1 / 150.2 USD
+    const jpy = calculatePositionSize({ ...account, symbol: 'USDJPY', entry: 150.2, sl: 149.7 });
+    assert.equal(jpy.stopPips, 50);
+    assert.equal(jpy.lots, 0.3);
+
+    // Explicit rate for pairs that cannot be derived
+    const gbp = calculatePositionSize({ ...account, accountCurrency: 'GBP', conversionRate: 0.8, symbol: 'XAUUSD', entry: 2030, sl: 2025 });
+    assert.equal(gbp.lots, 0.25);
+  });
+
+  test('takes contract specs from the instrument registry, aliases included', () => {
+    const gold = calculatePositionSize({ ...account, symbol: 'gold', entry: 2030, sl: 2025 });
+    assert.equal(gold.symbol, 'XAUUSD');
+    assert.equal(gold.lots, 0.2);
+
+    // GER40 is quoted in EUR: no conversion for an EUR account
+    const dax = calculatePositionSize({ ...account, accountCurrency: 'EUR', symbol: 'DAX', entry: 18000, sl: 17950 });
+    assert.equal(dax.conversionRate, 1);
+    assert.equal(dax.lots, 2);
+  });
+
+  test('requires a conversion rate it cannot derive', () => {
+    assert.throws(
+      () => calculatePositionSize({ ...account, accountCurrency: 'JPY', symbol: 'XAUUSD', entry: 2030, sl: 2025 }),
+      error => error instanceof PositionSizeError && error.code === 'CONVERSION_RATE_REQUIRED'
+    );
+  });
+
+  test('returns zero lots below the minimum and caps at the maximum', () => {
+    const small = calculatePositionSize({ balance: 500, riskPercent: 1, symbol: 'NAS100', entry: 18000, sl: 17900 });
+    assert.equal(small.lots, 0);
+    assert.equal(small.actualRisk, 0);
+    assert.match(small.warnings[0], /below the minimum lot 0.1/);
+
+    const large = calculatePositionSize({ balance: 10000000, riskPercent: 5, symbol: 'XAUUSD', entry: 2030, sl: 2029 });
+    assert.equal(large.lots, 50);
+    assert.match(large.warnings[0], /maximum lot/);
+  });
+
+  test('scales the recommended position by the model recommendation', () => {
+    const size = calculatePositionSize({ ...account, symbol: 'XAUUSD', entry: 2030, sl: 2025, recommendedPosition: 'small' });
+    assert.deepEqual(size.recommended, { position: 'small', riskPercent: 0.5, lots: 0.1, units: 10, actualRisk: 50 });
+  });
+
+  test('rejects unknown symbols and inconsistent input', () => {
+    assert.throws(() => calculatePositionSize({ ...account, symbol: 'DOGEUSD', entry: 1, sl: 0.9 }), { code: 'UNKNOWN_INSTRUMENT' });
+    assert.throws(() => calculatePositionSize({ ...account, riskPercent: 50, symbol: 'XAUUSD', entry: 2030, sl: 2025 }), /riskPercent must be > 0 and <= 5/);
+    assert.throws(() => calculatePositionSize({ ...account, symbol: 'XAUUSD', action: 'BUY', entry: 2030, sl: 2035 }), /sl must be below entry/);
+    assert.throws(() => calculatePositionSize({ ...account, symbol: 'XAUUSD', entry: 2030, sl: 2030 }), /must differ/);
+  });
+});
+
+describe('sizeAnalysis', () => {
+  test('uses the decision and recommended_position of an analysis', () => {
+    const analysis = {
+      decision: { action: 'SELL', entry: 2050, sl: 2060, tp1: 2030, tp2: 2020 },
+      risk_assessment: { recommended_position: 'medium' }
+    };
+    const size = sizeAnalysis(analysis, 'XAUUSD', readAccount({ accountBalance: '20000', riskPercent: '1' }));
+
+    assert.equal(size.action, 'SELL');
+    assert.equal(size.lots, 0.2);
+    assert.equal(size.recommended.lots, 0.15);
+    assert.deepEqual(size.targets.map(target => target.rr), [2, 3]);
+  });
+
+  test('refuses HOLD decisions', () => {
+    assert.throws(() => sizeAnalysis({ decision: { action: 'HOLD', entry: null, sl: null } }, 'XAUUSD', account), { code: 'NOT_A_TRADE' });
+  });
+
+  test('reads account fields only when a balance was sent', () => {
+    assert.equal(readAccount({ symbol: 'XAUUSD' }), null);
+    assert.deepEqual(readAccount({ accountBalance: '1000' }), { balance: 1000, riskPercent: 1, accountCurrency: undefined, conversionRate: undefined });
+  });
+});
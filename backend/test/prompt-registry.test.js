@@ -0,0 +1,70 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PromptRegistry } = require('../src/prompts/prompt-registry');
+const DeepSeekService = require('../src/services/deepseek-services');
+
+const variables = DeepSeekService.PROMPT_VARIABLES;
+
+function templateDir(files) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  Object.entries(files).forEach(([name, content]) => fs.writeFileSync(path.join(dir, name), content));
+  return dir;
+}
+
+const template = (body, meta = 'system: You are a test analyst.') => `---\n${meta}\n---\n${body}\n`;
+
+describe('PromptRegistry', () => {
+  test('picks the requested template, then the trade type, then the default', () => {
+    const extraDir = templateDir({
+      'scalp@1.0.0.md': template('Scalp {{symbol}}', 'system: Fast.\ntradeTypes: [scalping]'),
+      'scalp@1.2.0.md': template('Scalp v2 {{symbol}}', 'system: Fast.\ntradeTypes: [scalping]'),
+      'plain@1.0.0.md': template('Plain {{symbol}}')
+    });
+    const registry = new PromptRegistry({ variables, extraDir });
+
+    assert.equal(registry.resolve({ tradeType: 'scalping' }).id, 'scalp@1.2.0');
+    assert.equal(registry.resolve({ tradeType: 'swing' }).name, 'default');
+    assert.equal(registry.resolve({ template: 'plain', tradeType: 'scalping' }).id, 'plain@1.0.0');
+    assert.equal(registry.resolve({ template: 'scalp@1.0.0' }).version, '1.0.0');
+    assert.throws(() => registry.resolve({ template: 'scalp@9.9.9' }), { code: 'UNKNOWN_PROMPT_TEMPLATE' });
+
+    const { messages } = registry.render(registry.resolve({ template: 'plain' }), { symbol: 'XAUUSD' });
+    assert.deepEqual(messages, [
+      { role: 'system', content: 'You are a test analyst.' },
+      { role: 'user', content: 'Plain XAUUSD' }
+    ]);
+  });
+
+  test('rejects templates with unknown placeholders', () => {
+    const extraDir = templateDir({ 'typo@1.0.0.md': template('{{symbl}}') });
+
+    assert.throws(() => new PromptRegistry({ variables, extraDir }), /unknown variables symbl/);
+  });
+
+  test('lists versions, newest last', () => {
+    const extraDir = templateDir({
+      'plain@1.10.0.md': template('{{symbol}}'),
+      'plain@1.9.0.md': template('{{symbol}}')
+    });
+    const plain = new PromptRegistry({ variables, extraDir }).list().find(item => item.name === 'plain');
+
+    assert.deepEqual({ latest: plain.latest, versions: plain.versions }, { latest: '1.10.0', versions: ['1.9.0', '1.10.0'] });
+  });
+});
+
+describe('built-in default template', () => {
+  test('renders every section of the analysis prompt', async () => {
+    const service = new DeepSeekService({ provider: { name: 'mock', model: 'test', requiresApiKey: false }, ocrPool: {} });
+    const preview = await service.previewPrompt({ symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'swing', extraNotes: '' });
+    const [system, user] = preview.messages;
+
+    assert.equal(preview.template.name, 'default');
+    assert.match(system.content, /professional trading analyst/);
+    assert.match(user.content, /- Strategy: SWING/);
+    assert.match(user.content, /NO DATA EXTRACTED/);
+    assert.doesNotMatch(user.content, /\{\{/);
+  });
+});
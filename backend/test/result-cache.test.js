@@ -0,0 +1,73 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { ResultCache, cacheKey, imageFingerprint } = require('../src/cache/result-cache');
+const CacheStore = require('../src/storage/cache-store');
+const { openDatabase } = require('../src/storage/database');
+
+const params = { symbol: 'XAUUSD', timeframe: 'H1', tradeType: 'intraday', extraNotes: '' };
+
+describe('ResultCache', () => {
+  test('returns copies, so callers cannot change the cached value', () => {
+    const cache = new ResultCache();
+    cache.set('k', { decision: { action: 'BUY' } });
+
+    const first = cache.get('k');
+    first.value.decision.action = 'SELL';
+
+    assert.equal(cache.get('k').value.decision.action, 'BUY');
+    assert.deepEqual({ hits: cache.stats().hits, misses: cache.stats().misses }, { hits: 2, misses: 0 });
+  });
+
+  test('evicts the least recently used entry', () => {
+    const cache = new ResultCache({ maxEntries: 2 });
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a');
+    cache.set('c', 3);
+
+    assert.equal(cache.get('b'), null);
+    assert.equal(cache.get('a').value, 1);
+    assert.equal(cache.stats().evictions, 1);
+  });
+
+  test('entries expire after the TTL', async () => {
+    const cache = new ResultCache({ ttlMs: 10 });
+    cache.set('k', 1);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    assert.equal(cache.get('k'), null);
+  });
+
+  test('reads through to the persistent store after a restart', () => {
+    const store = new CacheStore(openDatabase(':memory:'));
+    new ResultCache({ store }).set('k', { id: 'abc' });
+
+    const restarted = new ResultCache({ store });
+    assert.equal(restarted.get('k').value.id, 'abc');
+    assert.equal(restarted.stats().entries, 1);
+  });
+});
+
+describe('cache keys', () => {
+  test('change with every parameter and the prompt version', () => {
+    const base = cacheKey({ inputs: ['img'], params, promptVersion: '1.0.0' });
+
+    assert.equal(base, cacheKey({ inputs: ['img'], params: { ...params }, promptVersion: '1.0.0' }));
+    assert.notEqual(base, cacheKey({ inputs: ['img'], params: { ...params, timeframe: 'H4' }, promptVersion: '1.0.0' }));
+    assert.notEqual(base, cacheKey({ inputs: ['img'], params: { ...params, extraNotes: 'news at 14:00' }, promptVersion: '1.0.0' }));
+    assert.notEqual(base, cacheKey({ inputs: ['img'], params, promptVersion: '1.1.0' }));
+    assert.notEqual(base, cacheKey({ inputs: ['other'], params, promptVersion: '1.0.0' }));
+  });
+
+  test('image fingerprint ignores how identical pixels were encoded', async () => {
+    const image = sharp({ create: { width: 40, height: 20, channels: 3, background: { r: 10, g: 200, b: 30 } } });
+    const fast = await image.clone().png({ compressionLevel: 1 }).toBuffer();
+    const small = await image.clone().png({ compressionLevel: 9 }).toBuffer();
+    const other = await sharp({ create: { width: 40, height: 20, channels: 3, background: { r: 10, g: 200, b: 31 } } }).png().toBuffer();
+
+    assert.notDeepEqual(fast, small);
+    assert.equal(await imageFingerprint(fast), await imageFingerprint(small));
+    assert.notEqual(await imageFingerprint(fast), await imageFingerprint(other));
+  });
+});
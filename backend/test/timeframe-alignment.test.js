@@ -0,0 +1,29 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const { assessAlignment } = require('../src/validation/timeframe-alignment');
+
+function mtf(htfBias, ...trends) {
+  return {
+    htf_bias: htfBias,
+    timeframes: Object.fromEntries(trends.map((trend, i) => [`TF${i}`, { trend_structure: trend }]))
+  };
+}
+
+describe('assessAlignment', () => {
+  test('aligned only when every timeframe trends the same way', () => {
+    assert.equal(assessAlignment(mtf('bullish', 'bullish', 'bullish'), 'BUY').alignment, 'aligned');
+    assert.equal(assessAlignment(mtf('bearish', 'bearish', 'bearish', 'bearish'), 'SELL').alignment, 'aligned');
+    assert.equal(assessAlignment(mtf('bullish', 'bullish', 'sideways'), 'BUY').alignment, 'mixed');
+    assert.equal(assessAlignment(mtf('neutral', 'uncertain', 'sideways'), 'HOLD').alignment, 'mixed');
+    assert.equal(assessAlignment(mtf('bearish', 'bullish', 'sideways', 'bearish'), 'SELL').alignment, 'conflicting');
+  });
+
+  test('compares the trade direction with the higher-timeframe bias', () => {
+    const bullish = mtf('bullish', 'bearish', 'bullish');
+
+    assert.equal(assessAlignment(bullish, 'BUY').decision_alignment, 'with_htf');
+    assert.equal(assessAlignment(bullish, 'SELL').decision_alignment, 'against_htf');
+    assert.equal(assessAlignment(bullish, 'HOLD').decision_alignment, 'neutral');
+    assert.equal(assessAlignment(mtf('neutral', 'bullish', 'bullish'), 'BUY').decision_alignment, 'neutral');
+  });
+});
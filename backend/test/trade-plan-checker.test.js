@@ -0,0 +1,93 @@
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const constants = require('../src/config/constants');
+const { checkTradePlan, enforceTradePlan } = require('../src/validation/trade-plan-checker');
+
+// Risk 10, TP1 at 2R, TP2 at 3R
+const buy = { action: 'BUY', entry: 2030, sl: 2020, tp1: 2050, tp2: 2060, probability: 80, risk_reward: '1:2' };
+const sell = { action: 'SELL', entry: 2030, sl: 2040, tp1: 2010, tp2: 2000, probability: 80, risk_reward: '1:2' };
+
+const codes = result => result.violations.map(v => v.code);
+
+describe('checkTradePlan', () => {
+  test('passes well-formed BUY and SELL plans and recomputes their R:R', () => {
+    const result = checkTradePlan(buy);
+
+    assert.equal(result.passed, true);
+    assert.deepEqual(result.violations, []);
+    assert.deepEqual(result.computed, { risk: 10, rr_tp1: 2, rr_tp2: 3, risk_reward: '1:2' });
+    assert.equal(checkTradePlan(sell).passed, true);
+  });
+
+  test('leaves HOLD alone and requires entry, SL and TP1 for a trade', () => {
+    assert.deepEqual(checkTradePlan({ action: 'HOLD', entry: null }), { passed: true, violations: [], computed: {} });
+
+    const missing = checkTradePlan({ ...buy, sl: null, tp1: undefined });
+    assert.equal(missing.passed, false);
+    assert.deepEqual(codes(missing), ['MISSING_LEVELS']);
+    assert.match(missing.violations[0].message, /BUY requires numeric sl, tp1/);
+  });
+
+  test('orders SL and targets by direction', () => {
+    assert.deepEqual(codes(checkTradePlan({ ...buy, sl: 2035, risk_reward: null })), ['SL_WRONG_SIDE']);
+    assert.deepEqual(codes(checkTradePlan({ ...sell, sl: 2025, risk_reward: null })), ['SL_WRONG_SIDE']);
+    assert.ok(codes(checkTradePlan({ ...buy, tp1: 2025, tp2: null })).includes('TP_WRONG_SIDE'));
+    assert.ok(codes(checkTradePlan({ ...sell, tp1: 2045, tp2: null })).includes('TP_WRONG_SIDE'));
+    assert.deepEqual(codes(checkTradePlan({ ...buy, tp2: 2045 })), ['TP_ORDER']);
+    assert.deepEqual(codes(checkTradePlan({ ...sell, tp2: 2015 })), ['TP_ORDER']);
+  });
+
+  test('flags a stated R:R that matches neither target as a warning only', () => {
+    const overstated = checkTradePlan({ ...buy, risk_reward: '1:5' });
+
+    assert.equal(overstated.passed, true);
+    assert.deepEqual(overstated.violations.map(v => [v.code, v.severity]), [['RR_MISMATCH', 'warning']]);
+    assert.match(overstated.violations[0].message, /computed 1:2 \/ 1:3/);
+
+    // Within tolerance of either target
+    assert.deepEqual(checkTradePlan({ ...buy, risk_reward: '1:2.2' }).violations, []);
+    assert.deepEqual(checkTradePlan({ ...buy, risk_reward: '1:3' }).violations, []);
+  });
+
+  test('rejects a best R:R below the minimum, zero risk and low confidence', () => {
+    const target = buy.entry + 10 * (constants.MIN_RISK_REWARD - 0.5);
+
+    assert.deepEqual(codes(checkTradePlan({ ...buy, tp1: target, tp2: null, risk_reward: null })), ['RR_TOO_LOW']);
+    assert.ok(codes(checkTradePlan({ ...buy, sl: buy.entry })).includes('ZERO_RISK'));
+    assert.deepEqual(codes(checkTradePlan({ ...buy, probability: constants.MIN_CONFIDENCE - 1 })), ['LOW_CONFIDENCE']);
+  });
+
+  test('rejects levels outside the chart price range', () => {
+    const levels = [2015, 2030, 2065];
+
+    assert.deepEqual(checkTradePlan(buy, { priceLevels: levels }).violations, []);
+    assert.deepEqual(checkTradePlan(buy, { priceLevels: levels }).computed.chart_range, { low: 2015, high: 2065 });
+
+    // Range 50, tolerance 25% of it: 2002.5 - 2077.5
+    const outside = checkTradePlan({ ...buy, tp2: 2090 }, { priceLevels: levels });
+    assert.deepEqual(codes(outside), ['LEVEL_OUT_OF_RANGE']);
+    assert.match(outside.violations[0].message, /tp2 2090 is outside the chart price range 2015 - 2065/);
+
+    // One level is not a range
+    assert.deepEqual(checkTradePlan({ ...buy, tp2: 2090 }, { priceLevels: [2030] }).violations, []);
+  });
+});
+
+describe('enforceTradePlan', () => {
+  test('downgrades a failing plan to HOLD and keeps the original action', () => {
+    const analysis = enforceTradePlan({ decision: { ...sell, sl: 2025, reason: 'Rejection at resistance' } });
+
+    assert.equal(analysis.decision.action, 'HOLD');
+    assert.equal(analysis.trade_plan_check.passed, false);
+    assert.equal(analysis.trade_plan_check.original_action, 'SELL');
+    assert.match(analysis.decision.reason, /^Downgraded from SELL to HOLD: Stop loss 2025 must be above entry 2030 for a SELL\.\n\nRejection at resistance$/);
+  });
+
+  test('keeps a passing plan, warnings included', () => {
+    const analysis = enforceTradePlan({ decision: { ...buy, risk_reward: '1:5', reason: 'Breakout' } });
+
+    assert.equal(analysis.decision.action, 'BUY');
+    assert.equal(analysis.decision.reason, 'Breakout');
+    assert.deepEqual(analysis.trade_plan_check.violations.map(v => v.code), ['RR_MISMATCH']);
+  });
+});
@@ -0,0 +1,140 @@
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { WebhookNotifier, WebhookError, signPayload } = require('../src/notifications/webhook-notifier');
+const { InstrumentRegistry } = require('../src/instruments/instrument-registry');
+
+const instruments = new InstrumentRegistry();
+
+// Local receiver: answers with the queued statuses (then 200) and records every request
+const stub = { requests: [], statuses: [] };
+let baseUrl;
+let server;
+
+before(async () => {
+  // Keep the delivery logs out of the test reporter's output
+  ['log', 'warn', 'error'].forEach(level => mock.method(console, level, () => {}));
+
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      stub.requests.push({ path: req.url, headers: req.headers, body });
+      res.statusCode = stub.statuses.shift() || 200;
+      res.end('{}');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+function reset(statuses = []) {
+  stub.requests = [];
+  stub.statuses = statuses;
+}
+
+function notifier(webhooks, options = {}) {
+  return new WebhookNotifier({ webhooks, instruments, retryDelayMs: 5, maxRetries: 2, ...options });
+}
+
+function analysis({ symbol = 'XAUUSD', action = 'BUY', probability = 78 } = {}) {
+  return {
+    id: 'analysis-1',
+    decision: { action, entry: 2030.5, sl: 2025, tp1: 2040.1, tp2: null, probability, risk_reward: '1:1.9', reason: 'Bounce <off> support' },
+    risk_assessment: { level: 'medium', recommended_position: 'small' },
+    trade_plan_check: { passed: true },
+    disclaimer: 'Educational only',
+    metadata: { symbol, timeframe: 'H1', tradeType: 'intraday', source: 'screenshot', timestamp: '2024-01-15T10:00:00.000Z' }
+  };
+}
+
+describe('WebhookNotifier', () => {
+  test('posts signed JSON that the receiver can verify', async () => {
+    reset();
+    const results = await notifier([{ url: `${baseUrl}/hook`, secret: 's3cret' }]).notify(analysis());
+
+    assert.deepEqual(results, [{ webhook: baseUrl.slice(7), delivered: true, status: 200, attempts: 1 }]);
+    const [request] = stub.requests;
+    const expected = signPayload('s3cret', request.headers['x-webhook-timestamp'], request.body);
+
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(request.headers['x-webhook-event'], 'analysis.completed');
+    assert.deepEqual(JSON.parse(request.body).decision.tp1, 2040.1);
+    assert.equal(JSON.parse(request.body).analysisId, 'analysis-1');
+  });
+
+  test('filters by symbol, action and minimum probability', async () => {
+    reset();
+    const hooks = notifier([
+      { name: 'gold', url: `${baseUrl}/gold`, symbols: ['gold'] },
+      { name: 'confident', url: `${baseUrl}/confident`, minProbability: 80 },
+      { name: 'all', url: `${baseUrl}/all`, actions: ['buy', 'sell', 'hold'] }
+    ]);
+
+    await hooks.notify(analysis());
+    await hooks.notify(analysis({ symbol: 'EURUSD', action: 'HOLD', probability: 90 }));
+    await hooks.notify({ ...analysis(), error: { message: 'AI service error' } });
+
+    assert.deepEqual(stub.requests.map(r => r.path), ['/gold', '/all', '/all']);
+    assert.deepEqual(hooks.stats(), { configured: 3, pending: 0, delivered: 3, failed: 0, skipped: 3 });
+  });
+
+  test('retries 5xx with backoff but gives up on other 4xx', async () => {
+    reset([503, 500]);
+    const [retried] = await notifier([{ url: `${baseUrl}/flaky` }]).notify(analysis());
+    assert.equal(retried.delivered, true);
+    assert.equal(retried.attempts, 3);
+
+    // The delivery id stays the same across attempts
+    assert.equal(new Set(stub.requests.map(r => r.headers['x-webhook-delivery'])).size, 1);
+
+    reset([410]);
+    const [gone] = await notifier([{ url: `${baseUrl}/gone` }]).notify(analysis());
+    assert.deepEqual([gone.delivered, gone.status, gone.attempts], [false, 410, 1]);
+
+    reset([500, 500, 500]);
+    const [down] = await notifier([{ url: `${baseUrl}/down` }]).notify(analysis());
+    assert.deepEqual([down.delivered, down.attempts], [false, 3]);
+  });
+
+  test('formats Telegram and Discord payloads', async () => {
+    reset();
+    await notifier([
+      { url: `${baseUrl}/bot123/sendMessage`, format: 'telegram', chatId: '-100200' },
+      { url: `${baseUrl}/discord`, format: 'discord' }
+    ]).notify(analysis());
+
+    const telegram = JSON.parse(stub.requests.find(r => r.path.startsWith('/bot')).body);
+    assert.equal(telegram.chat_id, '-100200');
+    assert.equal(telegram.parse_mode, 'HTML');
+    assert.match(telegram.text, /<b>BUY XAUUSD<\/b> \(H1\)/);
+    assert.match(telegram.text, /Entry: <code>2030\.50<\/code>/);
+    assert.match(telegram.text, /Bounce &lt;off&gt; support/);
+
+    const discord = JSON.parse(stub.requests.find(r => r.path === '/discord').body);
+    const [embed] = discord.embeds;
+    assert.equal(embed.title, '🟢 BUY XAUUSD (H1)');
+    assert.equal(embed.color, 0x16a34a);
+    assert.deepEqual(embed.fields.slice(0, 2), [
+      { name: 'Entry', value: '2030.50', inline: true },
+      { name: 'Stop Loss', value: '2025.00', inline: true }
+    ]);
+  });
+
+  test('rejects invalid webhook definitions with every problem listed', () => {
+    assert.throws(
+      () => notifier([
+        { url: 'ftp://example.com', format: 'slack' },
+        { url: 'https://api.telegram.org/botX/sendMessage', format: 'telegram', symbols: ['DOGEUSD'], actions: ['LONG'], minProbability: 120 }
+      ]),
+      error => {
+        assert.ok(error instanceof WebhookError);
+        ['WEBHOOKS[0].url', 'WEBHOOKS[0].format', 'WEBHOOKS[1].chatId', 'unknown instrument DOGEUSD', 'unknown action LONG', 'WEBHOOKS[1].minProbability']
+          .forEach(part => assert.ok(error.message.includes(part), part));
+        return true;
+      }
+    );
+  });
+});